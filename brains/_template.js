@@ -75,16 +75,31 @@ You: "Example response that demonstrates your personality"`,
   temperature: 0.7,    // Suggested creativity (0.0 = deterministic, 1.0 = creative)
 
   /**
-   * Rate Limits (OPTIONAL - for Phase 1b with database)
+   * Rate Limits (OPTIONAL)
    *
-   * Define message limits per user tier.
-   * Only used if rate limiting is enabled via Supabase.
+   * Define message limits per user tier. Counts persist in SQLite
+   * (data/rate-limits.db) and apply to Telegram, web chat, IDE proxy
+   * and /trigger-bot traffic.
+   *
+   * A plain number is the daily quota. Use an object for a per-minute
+   * burst limit too. Users are 'free' unless an admin sets them to 'paid'
+   * (POST /admin/rate-limits/tier) or they are listed in PAID_USER_IDS.
    */
   rateLimits: {
-    free: 10,      // Free users: 10 messages per day
-    paid: 1000     // Paid users: 1000 messages per day
+    free: { daily: 10, perMinute: 3 },      // Free users: 10/day, max 3/minute
+    paid: { daily: 1000, perMinute: 30 }    // Paid users: 1000/day, max 30/minute
   },
 
+  /**
+   * MCP Tool Allow-List (OPTIONAL)
+   *
+   * Restrict which MCP router tools this bot can see and call.
+   * Omit to allow every tool. Use [] to disable MCP tools entirely.
+   * A trailing * matches a prefix (e.g. "tapjot_*").
+   * Can be overridden per instance via my_agents.config_overrides.allowedTools.
+   */
+  // allowedTools: ["get_live_scores", "get_standings"],
+
   /**
    * Text-to-Speech Configuration (OPTIONAL)
    *
@@ -104,5 +119,32 @@ You: "Example response that demonstrates your personality"`,
     voice: "nova",            // Voice to use (see options above)
     speed: 1.0,               // Speaking rate (0.25 to 4.0, default 1.0)
     sendTextToo: false        // Set to true to also send text alongside audio (default: audio only)
+  },
+
+  /**
+   * Voice Input (OPTIONAL)
+   *
+   * Telegram voice notes, audio files and video notes are transcribed with
+   * the transcribe service (Whisper) and used as the user's message.
+   * Combine with tts.enabled (or /tts) for full voice conversations.
+   */
+  voiceInput: {
+    enabled: true,            // Set to false to refuse voice messages (default: true)
+    echoTranscript: false,    // Reply with the transcript so the user can see what was heard
+    language: "en"            // Optional ISO-639-1 hint; omit to auto-detect
+  },
+
+  /**
+   * File Attachments (OPTIONAL)
+   *
+   * Limits for files users attach in Telegram (documents) or web chat.
+   * Files are stored in R2, recorded in chat_messages, and passed to Claude:
+   * images and PDFs as content blocks, text/CSV/JSON inline.
+   */
+  attachments: {
+    enabled: true,            // Set to false to refuse attachments
+    maxSizeMb: 10,            // Per-file size limit
+    maxFiles: 5,              // Max attachments per message (web chat)
+    allowedTypes: ["image/*", "application/pdf", "text/*", "application/json"]
   }
 };
@@ -114,6 +114,8 @@ You MUST output valid JSON for every response. Your response should be a JSON ob
 - \`"create"\`: Create a new agent. MUST include \`agent_config\` with name, description, and system_prompt.
 - \`"delegate"\`: Use an existing agent for tasks requiring LLM reasoning/creativity.
 - \`"action"\`: Execute a deterministic operation directly (no LLM needed). MUST include \`action\` and \`params\` fields.
+- \`"branch"\`: Jump to a later step based on a previous step's output. MUST include \`condition\` and \`then\`.
+- \`"loop"\`: Re-run earlier steps until a condition holds. MUST include \`back_to\`, \`until\` and \`max_iterations\`.
 
 ### Available Actions (for step_type: "action")
 Use action steps for deterministic operations that don't need LLM reasoning:
@@ -138,6 +140,35 @@ Use action steps for deterministic operations that don't need LLM reasoning:
 - Create specialized agents for image generation (with MCP image tools) and TTS (with MCP audio tools)
 - Params can reference previous step outputs: \`"url": "{{step_1.image_url}}"\`
 
+### Branches and Loops (step_type: "branch" / "loop")
+Node evaluates these directly - no extra orchestrator turn is needed.
+
+A condition tests a previous step's output: \`{ "value": "{{step_N.field}}", "<operator>": <operand> }\`
+- Operators: \`equals\`, \`not_equals\`, \`contains\`, \`matches\` (regex, optional \`flags\`), \`gt\`, \`gte\`, \`lt\`, \`lte\`, \`exists\`, \`in\`
+- Fields come from the judge RESULT block, action data, or JSON output. Nested paths work: \`{{step_3.ranking[0]}}\`
+- Combine with \`{ "all": [...] }\`, \`{ "any": [...] }\`, \`{ "not": {...} }\`
+
+**Branch** - \`then\`/\`else\` are LATER step numbers or \`"end"\`. Without \`else\`, a false condition continues with the next step:
+\`\`\`json
+{"step": 4, "step_type": "branch", "condition": {"value": "{{step_3.winner}}", "equals": "step_1"}, "then": 5, "else": 6}
+\`\`\`
+
+**Loop** - re-runs steps \`back_to\`..(this step - 1) until \`until\` holds, at most \`max_iterations\` (1-10) runs in total. \`feedback_step\` passes that step's output to the re-run steps:
+\`\`\`json
+{"step": 3, "step_type": "loop", "back_to": 1, "until": {"value": "{{step_2.score}}", "gte": 8}, "max_iterations": 3, "feedback_step": 2}
+\`\`\`
+For score-based loops, tell the judge to include \`"score": <1-10>\` in its RESULT block.
+
+### Retries, Timeouts and Fallbacks
+Any work step can declare how failures are handled:
+- \`retries\` (0-5) - extra attempts after the first
+- \`backoff\` - delay between attempts: \`"exponential"\` (default, 2s doubling), \`"fixed"\` (2s), \`"none"\`, or milliseconds
+- \`timeout_ms\` - fail the attempt if it takes longer (min 1000)
+- \`fallback_agent\` (delegate steps only) - agent that gets one attempt if every retry fails
+\`\`\`json
+{"step": 2, "step_type": "delegate", "agent": "researcher", "task": "...", "retries": 2, "timeout_ms": 300000, "fallback_agent": "web-researcher"}
+\`\`\`
+
 ### Delegation Command (to start a step)
 \`\`\`json
 {
@@ -225,7 +256,7 @@ Use \`step_type: "delegate"\` when:
 
 1. ALWAYS output valid JSON - never plain text
 2. ALWAYS include a "message" field with human-readable text for the user
-3. Use the "depends_on" field to indicate step dependencies
+3. Use the "depends_on" field to indicate step dependencies - steps run IN PARALLEL as soon as their dependencies finish, so list EVERY step a step needs (including the "create" step for its agent). Optional plan fields: "max_parallel" (default 3) and "on_failure" ("fail_fast" default, or "continue" to keep running steps that don't depend on a failed one)
 4. When you receive results from an agent, evaluate them before proceeding
 5. If an agent fails, you can retry with different instructions or ask user for help
 6. Keep the user informed with clear "message" fields
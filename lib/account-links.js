@@ -0,0 +1,102 @@
+/**
+ * Account Links
+ *
+ * Connects one person's user IDs across channels (Telegram, Slack, ...) so
+ * cross-channel features like /team delegation can reach them on another
+ * channel. Linking uses one-time codes: /link on one channel replies with a
+ * code, and /link <code> on another channel joins the two accounts.
+ *
+ * An identity is { channel, userId }. Links are stored with lib/storage
+ * (account_links); pending codes live in memory and expire after 10 minutes.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+
+const pendingCodes = new Map(); // code → { identity, expiresAt }
+
+/**
+ * Create a one-time link code for an identity
+ *
+ * @param {Object} identity - { channel, userId }
+ * @returns {string} 6-character code
+ */
+function createLinkCode(identity) {
+  const now = Date.now();
+  for (const [code, pending] of pendingCodes) {
+    if (pending.expiresAt < now) pendingCodes.delete(code);
+  }
+
+  const code = crypto.randomBytes(3).toString('hex').toUpperCase();
+  pendingCodes.set(code, { identity, expiresAt: now + CODE_TTL_MS });
+  return code;
+}
+
+/**
+ * Link an identity to the one that created a code
+ *
+ * If either side is already linked, the other joins that account (an
+ * account the redeeming user was in before is merged in).
+ *
+ * @param {string} code - Code from createLinkCode()
+ * @param {Object} identity - { channel, userId } redeeming the code
+ * @returns {Promise<Array<Object>|null>} Linked identities, or null if the code is unknown or expired
+ */
+async function redeemLinkCode(code, identity) {
+  const key = code.trim().toUpperCase();
+  const pending = pendingCodes.get(key);
+  if (!pending || pending.expiresAt < Date.now()) {
+    return null;
+  }
+  pendingCodes.delete(key);
+
+  const storage = getStorage();
+  const [codeLink, redeemerLink] = await Promise.all([
+    storage.getAccountLink(pending.identity.channel, pending.identity.userId),
+    storage.getAccountLink(identity.channel, identity.userId)
+  ]);
+  const accountId = codeLink?.account_id || redeemerLink?.account_id || crypto.randomUUID();
+
+  const merged = redeemerLink && redeemerLink.account_id !== accountId
+    ? (await storage.listAccountLinks(redeemerLink.account_id)).map(toIdentity)
+    : [];
+
+  for (const { channel, userId } of [pending.identity, identity, ...merged]) {
+    await storage.linkAccount({ channel, channel_user_id: userId, account_id: accountId });
+  }
+
+  return (await storage.listAccountLinks(accountId)).map(toIdentity);
+}
+
+/**
+ * Get every identity linked to an identity (including itself)
+ *
+ * Falls back to just the identity if links can't be loaded, so same-channel
+ * features keep working when storage is down.
+ *
+ * @param {Object} identity - { channel, userId }
+ * @returns {Promise<Array<Object>>} [{ channel, userId }]
+ */
+async function getLinkedIdentities(identity) {
+  try {
+    const link = await getStorage().getAccountLink(identity.channel, identity.userId);
+    if (!link) return [identity];
+
+    return (await getStorage().listAccountLinks(link.account_id)).map(toIdentity);
+  } catch (err) {
+    console.error(`⚠️  Failed to load linked accounts for ${identity.channel} user ${identity.userId}:`, err.message);
+    return [identity];
+  }
+}
+
+function toIdentity(row) {
+  return { channel: row.channel, userId: row.channel_user_id };
+}
+
+module.exports = {
+  createLinkCode,
+  redeemLinkCode,
+  getLinkedIdentities
+};
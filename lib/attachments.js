@@ -0,0 +1,364 @@
+/**
+ * File attachments for Telegram and web chat
+ *
+ * Validates attachments against per-brain limits, stores them in R2 via the
+ * /assets/upload route, and turns them into Claude content blocks:
+ *   - images → image blocks (Claude can see them)
+ *   - PDFs → document blocks
+ *   - text/CSV/JSON/markdown → inline text blocks
+ */
+
+const path = require('path');
+const { serviceAuthHeaders } = require('./auth');
+
+// Defaults - override per brain with `attachments: { ... }`
+const DEFAULT_LIMITS = {
+  enabled: true,
+  maxSizeMb: 10,
+  maxFiles: 5,
+  allowedTypes: ['image/*', 'application/pdf', 'text/*', 'application/json'],
+  maxTextChars: 100000  // Inline text files are truncated beyond this
+};
+
+// Fallback content types when the client doesn't send a useful one
+const EXTENSION_TYPES = {
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values',
+  md: 'text/markdown',
+  json: 'application/json',
+  html: 'text/html',
+  xml: 'text/xml',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+// Image formats Claude accepts as image blocks
+const VISION_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Where /assets/upload serves R2 objects from (services/r2-storage.js)
+const R2_PUBLIC_URL = (process.env.R2_PUBLIC_URL || 'https://assets.labcart.io').replace(/\/+$/, '');
+
+// R2 object keys as /assets/upload creates them ("users/123/attachments/<uuid>.pdf")
+const R2_KEY_PATTERN = /^(?!.*\.\.)[\w-]+(\/[\w.-]+)+$/;
+
+/**
+ * Get attachment limits for a brain (brain config merged over defaults)
+ *
+ * @param {Object} brain - Brain config
+ * @returns {Object} Limits
+ */
+function getAttachmentLimits(brain) {
+  return { ...DEFAULT_LIMITS, ...(brain?.attachments || {}) };
+}
+
+/**
+ * Largest web chat message the attachment limits allow: every file at the
+ * size limit, base64-encoded (4 bytes per 3), plus room for the rest of the
+ * message. Socket.IO drops bigger messages (maxHttpBufferSize).
+ *
+ * @param {Array<Object>} brains - Brain configs
+ * @returns {number} Bytes
+ */
+function getMaxMessageBytes(brains = []) {
+  return Math.max(...[null, ...brains].map(brain => {
+    const limits = getAttachmentLimits(brain);
+    return limits.enabled ? Math.ceil(limits.maxSizeMb * 1024 * 1024 * limits.maxFiles * 4 / 3) : 0;
+  })) + 1024 * 1024;
+}
+
+/**
+ * Resolve a usable content type from the declared type and file extension
+ *
+ * @param {string} filename - Original filename
+ * @param {string} contentType - Declared content type (may be missing or generic)
+ * @returns {string} Content type
+ */
+function resolveContentType(filename, contentType) {
+  const declared = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (declared && declared !== 'application/octet-stream') {
+    return declared;
+  }
+
+  const ext = path.extname(filename || '').slice(1).toLowerCase();
+  return EXTENSION_TYPES[ext] || 'application/octet-stream';
+}
+
+/**
+ * Check whether a content type matches an allow-list entry (supports "type/*")
+ */
+function matchesType(contentType, pattern) {
+  if (pattern === '*' || pattern === '*/*') return true;
+  if (pattern.endsWith('/*')) {
+    return contentType.startsWith(pattern.slice(0, -1));
+  }
+  return contentType === pattern;
+}
+
+/**
+ * Validate one attachment against limits
+ *
+ * @param {Object} limits - From getAttachmentLimits()
+ * @param {Object} file - { filename, contentType, size }
+ * @returns {string|null} Human-readable rejection reason, or null if allowed
+ */
+function checkAttachment(limits, file) {
+  if (!limits.enabled) {
+    return 'This bot does not accept file attachments.';
+  }
+
+  if (!limits.allowedTypes.some(pattern => matchesType(file.contentType, pattern))) {
+    return `"${file.filename}" has an unsupported type (${file.contentType}). Allowed: ${limits.allowedTypes.join(', ')}`;
+  }
+
+  if (file.size > limits.maxSizeMb * 1024 * 1024) {
+    return `"${file.filename}" is too large (${(file.size / (1024 * 1024)).toFixed(1)}MB). Max: ${limits.maxSizeMb}MB`;
+  }
+
+  return null;
+}
+
+/**
+ * Get the asset type used in chat_messages metadata
+ *
+ * @param {string} contentType - Content type
+ * @returns {string} 'image' | 'audio' | 'file'
+ */
+function getAssetType(contentType) {
+  if (contentType.startsWith('image/')) return 'image';
+  if (contentType.startsWith('audio/')) return 'audio';
+  return 'file';
+}
+
+/**
+ * Upload an attachment to R2 via the /assets/upload route
+ *
+ * @param {Buffer} buffer - File content
+ * @param {Object} options - { userId, filename, contentType }
+ * @returns {Promise<Object>} { key, url }
+ */
+async function uploadAttachment(buffer, { userId, filename, contentType }) {
+  const uploadUrl = new URL(process.env.R2_UPLOAD_URL || 'http://localhost:8080/assets/upload');
+  uploadUrl.searchParams.set('workflowId', `users/${userId}/attachments`);
+  uploadUrl.searchParams.set('filename', filename);
+  uploadUrl.searchParams.set('contentType', contentType);
+
+  const response = await fetch(uploadUrl.toString(), {
+    method: 'POST',
+    headers: { 'Content-Type': contentType, ...serviceAuthHeaders({ userId, scopes: ['files'] }) },
+    body: buffer
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`R2 upload failed: ${errorText}`);
+  }
+
+  const result = await response.json();
+  return { key: result.key, url: result.signedUrl };
+}
+
+/**
+ * Resolve an already-uploaded attachment to its R2 object
+ *
+ * Only our own R2 uploads are accepted: a key, or a URL under R2_PUBLIC_URL.
+ * Anything else (other hosts, localhost services) is refused, so clients
+ * can't make the server fetch arbitrary URLs.
+ *
+ * @param {Object} attachment - { key?, url? }
+ * @returns {Object|null} { key, url }, or null if it isn't an R2 upload
+ */
+function resolveR2Asset({ key, url }) {
+  const prefix = `${R2_PUBLIC_URL}/`;
+  const assetKey = key || (typeof url === 'string' && url.startsWith(prefix) ? url.slice(prefix.length).split(/[?#]/)[0] : null);
+
+  if (typeof assetKey !== 'string' || !R2_KEY_PATTERN.test(assetKey)) {
+    return null;
+  }
+
+  // A URL sent with the key must be the key's own
+  const assetUrl = `${prefix}${assetKey}`;
+  if (url && url.split(/[?#]/)[0] !== assetUrl) {
+    return null;
+  }
+
+  return { key: assetKey, url: assetUrl };
+}
+
+/**
+ * Download an R2 object, giving up as soon as it's larger than maxBytes
+ *
+ * @param {string} url - From resolveR2Asset()
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<Object>} { buffer } or { error: 'status' | 'size', status? }
+ */
+async function downloadAsset(url, maxBytes) {
+  const response = await fetch(url, { redirect: 'error' });
+  if (!response.ok) {
+    return { error: 'status', status: response.status };
+  }
+
+  if (parseInt(response.headers.get('content-length')) > maxBytes) {
+    await response.body?.cancel();
+    return { error: 'size' };
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      await response.body.cancel().catch(() => {});
+      return { error: 'size' };
+    }
+    chunks.push(chunk);
+  }
+
+  return { buffer: Buffer.concat(chunks) };
+}
+
+/**
+ * Validate, load and store a list of attachments
+ *
+ * Each input attachment provides either `data` (Buffer or base64 string) or
+ * `key`/`url` of an R2 upload (e.g. via /assets/upload from the web UI).
+ * Inline data is uploaded to R2; R2 attachments are downloaded (up to
+ * maxSizeMb, whatever size the client declared) so Claude can read them.
+ *
+ * @param {Array<Object>} attachments - [{ filename, contentType, data?, url?, key? }]
+ * @param {Object} options - { brain, userId }
+ * @returns {Promise<Object>} { files: [...], error: string|null }
+ */
+async function prepareAttachments(attachments, { brain, userId }) {
+  const limits = getAttachmentLimits(brain);
+  const files = [];
+
+  if (!Array.isArray(attachments) || attachments.length === 0) {
+    return { files, error: null };
+  }
+
+  if (attachments.length > limits.maxFiles) {
+    return { files, error: `Too many attachments (${attachments.length}). Max: ${limits.maxFiles}` };
+  }
+
+  for (const attachment of attachments) {
+    const filename = path.basename(attachment.filename || attachment.name || 'attachment');
+    const contentType = resolveContentType(filename, attachment.contentType || attachment.mimeType);
+
+    // Reject early on declared size/type before downloading anything
+    const preCheck = checkAttachment(limits, { filename, contentType, size: attachment.size || 0 });
+    if (preCheck) {
+      return { files, error: preCheck };
+    }
+
+    let buffer;
+    let key = null;
+    let url = null;
+    if (attachment.data) {
+      buffer = Buffer.isBuffer(attachment.data)
+        ? attachment.data
+        : Buffer.from(attachment.data, 'base64');
+    } else if (attachment.url || attachment.key) {
+      const asset = resolveR2Asset(attachment);
+      if (!asset) {
+        return { files, error: `"${filename}" must be uploaded with /assets/upload first` };
+      }
+      ({ key, url } = asset);
+
+      const download = await downloadAsset(url, limits.maxSizeMb * 1024 * 1024);
+      if (download.error === 'status') {
+        return { files, error: `Could not fetch "${filename}" (HTTP ${download.status})` };
+      }
+      if (download.error === 'size') {
+        return { files, error: `"${filename}" is too large. Max: ${limits.maxSizeMb}MB` };
+      }
+      buffer = download.buffer;
+    } else {
+      return { files, error: `Attachment "${filename}" has no data or url` };
+    }
+
+    const rejection = checkAttachment(limits, { filename, contentType, size: buffer.length });
+    if (rejection) {
+      return { files, error: rejection };
+    }
+
+    if (!url) {
+      ({ key, url } = await uploadAttachment(buffer, { userId, filename, contentType }));
+      console.log(`📎 Uploaded attachment ${filename} (${buffer.length} bytes) → ${key}`);
+    }
+
+    files.push({
+      filename,
+      contentType,
+      size: buffer.length,
+      buffer,
+      key,
+      url,
+      assetType: getAssetType(contentType)
+    });
+  }
+
+  return { files, error: null };
+}
+
+/**
+ * Build Claude content blocks for prepared attachments
+ *
+ * @param {Array<Object>} files - From prepareAttachments()
+ * @param {Object} brain - Brain config (for maxTextChars)
+ * @returns {Array<Object>} Content blocks
+ */
+function buildAttachmentBlocks(files, brain) {
+  const limits = getAttachmentLimits(brain);
+  const blocks = [];
+
+  for (const file of files) {
+    if (VISION_TYPES.includes(file.contentType)) {
+      blocks.push({ type: 'text', text: `\n\n--- Attached image: ${file.filename} ---` });
+      blocks.push({
+        type: 'image',
+        source: { type: 'base64', media_type: file.contentType, data: file.buffer.toString('base64') }
+      });
+    } else if (file.contentType === 'application/pdf') {
+      blocks.push({ type: 'text', text: `\n\n--- Attached PDF: ${file.filename} ---` });
+      blocks.push({
+        type: 'document',
+        source: { type: 'base64', media_type: 'application/pdf', data: file.buffer.toString('base64') }
+      });
+    } else if (file.contentType.startsWith('text/') || file.contentType === 'application/json') {
+      let content = file.buffer.toString('utf-8');
+      if (content.length > limits.maxTextChars) {
+        content = content.substring(0, limits.maxTextChars) + `\n[... truncated, ${content.length - limits.maxTextChars} more characters]`;
+      }
+      blocks.push({
+        type: 'text',
+        text: `\n\n--- Attached file: ${file.filename} (${file.contentType}) ---\n${content}\n--- End of ${file.filename} ---`
+      });
+    } else {
+      // Allowed by brain config but not readable inline - give Claude the URL
+      blocks.push({
+        type: 'text',
+        text: `\n\n--- Attached file: ${file.filename} ---\nType: ${file.contentType}\nURL: ${file.url}`
+      });
+    }
+  }
+
+  return blocks;
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  getAttachmentLimits,
+  getMaxMessageBytes,
+  resolveContentType,
+  checkAttachment,
+  getAssetType,
+  uploadAttachment,
+  resolveR2Asset,
+  prepareAttachments,
+  buildAttachmentBlocks
+};
@@ -0,0 +1,282 @@
+/**
+ * Authentication for the bot server's HTTP and Socket.IO API
+ *
+ * Callers present a signed token (HS256 JWT, signed with AUTH_SECRET):
+ *   - HTTP:      Authorization: Bearer <token>   (or ?token= for EventSource/links)
+ *   - Socket.IO: io(url, { auth: { token } })
+ *
+ * Token payload: { sub: userId, scopes: [...], brain?, iat, exp }
+ * The caller's userId always comes from the token, never from the request body.
+ * Tokens issued to a brain's tools carry that brain's name, which lets them
+ * read its knowledge base without the 'knowledge' scope and limits memory
+ * tokens to that brain. The server accepts them on those routes only.
+ *
+ * Scopes:
+ *   files     - file browser, workspaces, repo cloning, asset storage
+ *   terminal  - PTY terminals
+ *   workflows - workflow orchestration and agent creation
+ *   knowledge - reading, ingesting and re-indexing brain knowledge bases
+ *   admin     - everything, plus acting on behalf of other users
+ *
+ * Chat routes need a valid token but no particular scope.
+ *
+ * Set AUTH_DISABLED=true for local development only - every request is then
+ * treated as an admin and userIds from the request are trusted.
+ */
+
+const crypto = require('crypto');
+
+const SCOPES = ['files', 'terminal', 'workflows', 'knowledge', 'admin'];
+const DEFAULT_EXPIRES_IN = 24 * 60 * 60; // 24 hours (seconds)
+
+function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === 'true';
+}
+
+function getSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) {
+    throw new Error('AUTH_SECRET is not configured');
+  }
+  return secret;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Sign a token for a user
+ *
+ * @param {Object} options
+ * @param {string|number} options.userId - User the token acts as
+ * @param {Array<string>} options.scopes - Granted scopes (see SCOPES)
+ * @param {number} options.expiresIn - Lifetime in seconds (default: 24h, 0 = never)
+ * @param {string} [options.brain] - Brain the token is issued to
+ * @returns {string} Signed token
+ */
+function signToken({ userId, scopes = [], expiresIn = DEFAULT_EXPIRES_IN, brain }) {
+  if (userId === undefined || userId === null || userId === '') {
+    throw new Error('userId is required to sign a token');
+  }
+
+  const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope(s): ${unknown.join(', ')}`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { sub: userId, scopes, iat: now };
+  if (expiresIn) {
+    payload.exp = now + expiresIn;
+  }
+  if (brain) {
+    payload.brain = brain;
+  }
+
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  return `${header}.${body}.${hmac(`${header}.${body}`)}`;
+}
+
+/**
+ * Verify a token and return the caller's identity
+ *
+ * @param {string} token - Signed token
+ * @returns {Object} { userId, scopes, brain? }
+ * @throws {Error} If the token is malformed, tampered with or expired
+ */
+function verifyToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(hmac(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid token signature');
+  }
+
+  let payload;
+  try {
+    const decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString());
+    if (decodedHeader.alg !== 'HS256') {
+      throw new Error();
+    }
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+    throw new Error('Token expired');
+  }
+
+  return {
+    userId: payload.sub,
+    scopes: Array.isArray(payload.scopes) ? payload.scopes : [],
+    ...(typeof payload.brain === 'string' && { brain: payload.brain })
+  };
+}
+
+/**
+ * Check whether an identity holds a scope (admin holds every scope)
+ *
+ * @param {Object} auth - From verifyToken()
+ * @param {string} scope - Scope name
+ * @returns {boolean}
+ */
+function hasScope(auth, scope) {
+  if (!auth) return false;
+  return auth.scopes.includes('admin') || auth.scopes.includes(scope);
+}
+
+/**
+ * Resolve the userId a request acts as
+ *
+ * Requests act as the token's user. A different userId in the request is
+ * only honoured for admins (or when auth is disabled).
+ *
+ * @param {Object} auth - From verifyToken()
+ * @param {string|number} requestedUserId - userId supplied in the request (optional)
+ * @returns {string|number|null|undefined} userId, null if the caller may not act as
+ *   requestedUserId, undefined if auth is disabled and no userId was supplied
+ */
+function resolveUserId(auth, requestedUserId) {
+  const hasRequested = requestedUserId !== undefined && requestedUserId !== null && requestedUserId !== '';
+
+  if (auth.disabled) {
+    return hasRequested ? requestedUserId : undefined;
+  }
+
+  if (hasScope(auth, 'admin')) {
+    return hasRequested ? requestedUserId : auth.userId;
+  }
+
+  if (hasRequested && String(requestedUserId) !== String(auth.userId)) {
+    return null;
+  }
+
+  return auth.userId;
+}
+
+function identityWhenDisabled() {
+  return { userId: null, scopes: ['admin'], disabled: true };
+}
+
+/**
+ * Extract a bearer token from an HTTP request
+ */
+function getRequestToken(req) {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  // EventSource and plain links can't set headers
+  return req.query?.token || null;
+}
+
+/**
+ * Express middleware: verify the token and set req.auth
+ */
+function authenticate(req, res, next) {
+  if (isAuthDisabled()) {
+    req.auth = identityWhenDisabled();
+    return next();
+  }
+
+  const token = getRequestToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    req.auth = verifyToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({ error: `Invalid token: ${error.message}` });
+  }
+}
+
+/**
+ * Express middleware factory: require a scope (after authenticate)
+ *
+ * @param {string} scope - Scope name
+ * @returns {Function} Middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope(req.auth, scope)) {
+      return res.status(403).json({ error: `Forbidden - requires '${scope}' scope` });
+    }
+    next();
+  };
+}
+
+/**
+ * Socket.IO middleware: verify the handshake token and set socket.data.auth
+ */
+function authenticateSocket(socket, next) {
+  if (isAuthDisabled()) {
+    socket.data.auth = identityWhenDisabled();
+    return next();
+  }
+
+  const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+  if (!token) {
+    return next(new Error('Authentication required'));
+  }
+
+  try {
+    socket.data.auth = verifyToken(token);
+    next();
+  } catch (error) {
+    next(new Error(`Invalid token: ${error.message}`));
+  }
+}
+
+/**
+ * Token for calls this process (or a service it spawns) makes to the bot
+ * server's own API: bot callbacks, asset uploads from the MCP router,
+ * media services and workflows
+ *
+ * @param {Object} options - { userId, scopes, expiresIn, brain } (default: bot-server, admin, 1h)
+ * @returns {string|null} Signed token, or null when auth is disabled or not configured
+ *   (standalone scripts using the clients without a server)
+ */
+function createServiceToken({ userId = 'bot-server', scopes = ['admin'], expiresIn = 60 * 60, brain } = {}) {
+  if (isAuthDisabled() || !process.env.AUTH_SECRET) {
+    return null;
+  }
+  return signToken({ userId, scopes, expiresIn, brain });
+}
+
+/**
+ * Authorization header for createServiceToken()
+ *
+ * @returns {Object} Headers object (empty without a token)
+ */
+function serviceAuthHeaders(options) {
+  const token = createServiceToken(options);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+module.exports = {
+  SCOPES,
+  isAuthDisabled,
+  signToken,
+  verifyToken,
+  hasScope,
+  resolveUserId,
+  authenticate,
+  requireScope,
+  authenticateSocket,
+  createServiceToken,
+  serviceAuthHeaders
+};
@@ -0,0 +1,137 @@
+/**
+ * Bot Commands
+ *
+ * The slash commands a bot offers, declared by its brain:
+ *
+ *   commands: [
+ *     { name: 'restart', action: 'restart' },
+ *     { name: 'summary', description: 'Summarise our chat', prompt: 'Summarise our conversation so far. {{args}}' },
+ *     { name: 'plan', description: 'Plan a project', workflow: 'Plan this project: {{args}}', adminOnly: true },
+ *     { name: 'team', action: 'team', hidden: true }
+ *   ]
+ *
+ * Each command does one of:
+ *   action   - a built-in (BUILT_IN_ACTIONS), run by BotManager
+ *   prompt   - a template sent to Claude as the user's message
+ *   workflow - a goal template that starts a workflow (lib/workflow-handler)
+ * Templates get the text after the command as {{args}} (appended if the
+ * template doesn't use it).
+ *
+ * hidden commands work but stay out of the menu and /help. adminOnly
+ * commands are for group admins in group chats (built-ins that change the
+ * group's shared session are admin-only anyway).
+ *
+ * Brains without `commands` get DEFAULT_COMMANDS (plus /memory when the
+ * brain has memory enabled). SYSTEM_COMMANDS are added
+ * to every bot unless the brain declares a command with the same name.
+ * The Telegram menu (setMyCommands), /help and dispatch are all built from
+ * the resolved list.
+ */
+
+const BUILT_IN_ACTIONS = {
+  help: { description: 'Show help message' },
+  tts: { description: 'Toggle voice/text mode', groupAdmin: true },
+  stats: { description: 'Show conversation stats' },
+  link: { description: 'Link your accounts on other channels', privateOnly: true },
+  reset: { description: 'Start a fresh conversation without notice', groupAdmin: true },
+  restart: { description: 'Start fresh conversation', groupAdmin: true },
+  team: { description: 'Share context with another bot' },
+  group: { description: 'Show or change group settings', groupAdmin: true, groupOnly: true },
+  memory: { description: 'See or delete what I remember about you', privateOnly: true }
+};
+
+// Bots whose brain doesn't declare commands
+const DEFAULT_COMMANDS = [
+  { name: 'help', action: 'help' },
+  { name: 'tts', action: 'tts' },
+  { name: 'stats', action: 'stats' },
+  { name: 'link', action: 'link' },
+  { name: 'team', action: 'team', hidden: true }
+];
+
+// Every bot (Telegram sends /start when someone opens the chat). Users can
+// always delete memories, even after a brain stops keeping them.
+const SYSTEM_COMMANDS = [
+  { name: 'start', action: 'help', hidden: true },
+  { name: 'help', action: 'help', hidden: true },
+  { name: 'reset', action: 'reset', hidden: true },
+  { name: 'group', action: 'group' },
+  { name: 'memory', action: 'memory', hidden: true }
+];
+
+/**
+ * Resolve a brain's commands
+ *
+ * @param {Object} brain - Effective brain
+ * @returns {Array<Object>} [{ name, description, action | prompt | workflow, hidden, adminOnly, groupOnly, privateOnly }]
+ */
+function resolveCommands(brain = {}) {
+  const declared = Array.isArray(brain.commands)
+    ? brain.commands
+    : [...DEFAULT_COMMANDS, ...(brain.memory?.enabled ? [{ name: 'memory', action: 'memory' }] : [])];
+  const names = new Set(declared.map(command => command.name.toLowerCase()));
+  const commands = [...declared, ...SYSTEM_COMMANDS.filter(command => !names.has(command.name))];
+
+  return commands.map(command => {
+    const builtIn = command.action ? BUILT_IN_ACTIONS[command.action] || {} : {};
+
+    return {
+      ...command,
+      name: command.name.toLowerCase(),
+      description: command.description || builtIn.description || `/${command.name}`,
+      hidden: command.hidden === true,
+      adminOnly: command.adminOnly === true || builtIn.groupAdmin === true,
+      groupOnly: builtIn.groupOnly === true,
+      privateOnly: builtIn.privateOnly === true
+    };
+  });
+}
+
+/**
+ * Find a command by name
+ *
+ * @param {Array<Object>} commands - From resolveCommands()
+ * @param {string} name - Command name, with or without the slash
+ * @returns {Object|null}
+ */
+function findCommand(commands, name) {
+  // "/help" or "/help@thisbot"
+  const wanted = name.replace(/^\//, '').replace(/@\w+$/, '').toLowerCase();
+  return commands.find(command => command.name === wanted) || null;
+}
+
+/**
+ * Commands to list in a chat's menu and /help
+ *
+ * @param {Array<Object>} commands - From resolveCommands()
+ * @param {boolean} isGroup - Group chat (otherwise private)
+ * @returns {Array<Object>}
+ */
+function listCommands(commands, isGroup) {
+  return commands.filter(command =>
+    !command.hidden && !(isGroup ? command.privateOnly : command.groupOnly)
+  );
+}
+
+/**
+ * Fill in a prompt or workflow template
+ *
+ * @param {string} template - Template with an optional {{args}}
+ * @param {string} args - Text after the command
+ * @returns {string}
+ */
+function renderCommandTemplate(template, args) {
+  const text = args.trim();
+  if (template.includes('{{args}}')) {
+    return template.replace(/\{\{args\}\}/g, text).trim();
+  }
+  return text ? `${template}\n\n${text}` : template;
+}
+
+module.exports = {
+  BUILT_IN_ACTIONS,
+  resolveCommands,
+  findCommand,
+  listCommands,
+  renderCommandTemplate
+};
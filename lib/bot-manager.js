@@ -1,13 +1,35 @@
 const TelegramBot = require('node-telegram-bot-api');
 const BrainLoader = require('./brain-loader');
+const { validateBrainConfig } = require('./brain-schema');
 const ImageProfileLoader = require('./image-profile-loader');
 const SessionManager = require('./session-manager');
 const RateLimiter = require('./rate-limiter');
-const { sendToClaudeSession, sendToClaudeWithTTS, sendToClaudeWithImage } = require('./claude-client');
-const { clearRequest } = require('./restart-recovery');
+const ConversationEngine = require('./conversation-engine');
+const { TelegramAdapter, DiscordAdapter, SlackAdapter } = require('./channels');
+const messageStore = require('./message-store');
+const { createLinkCode, redeemLinkCode, getLinkedIdentities } = require('./account-links');
+const { getGroupSettings, updateGroupSettings } = require('./group-settings');
+const { resolveCommands, findCommand, listCommands, renderCommandTemplate } = require('./bot-commands');
+const { answerApproval } = require('./tool-permissions');
+const { getTranscriptSize, formatBytes } = require('./session-compaction');
+const { listMemories, forget } = require('./user-memory');
+const { sendToClaudeSession } = require('./claude-client');
+const { transcribeFile } = require('./transcribe-client');
+const { serviceAuthHeaders } = require('./auth');
 const logger = require('./logger');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Whether a Telegram chat is a group (sessions, settings and rate limits are per group)
+ *
+ * @param {Object} chat - Telegram chat
+ * @returns {boolean}
+ */
+function isGroupChat(chat) {
+  return chat.type === 'group' || chat.type === 'supergroup';
+}
 
 /**
  * BotManager
@@ -17,22 +39,44 @@ const fs = require('fs');
  */
 class BotManager {
   constructor(options = {}) {
-    this.bots = new Map(); // botId → { bot: TelegramBot, config: {...}, brain: {...}, lastHealthCheck: Date, status: 'healthy' }
+    this.bots = new Map(); // botId → { bot: TelegramBot, discord: DiscordClient, slack: SlackClient, config: {...}, brain: {...}, lastHealthCheck: Date, status: 'healthy' }
     this.brainLoader = new BrainLoader();
+    this.brainLoader.on('brain:reloaded', ({ slug, error }) => {
+      if (!error) this.refreshBrain(slug);
+    });
     this.imageProfileLoader = new ImageProfileLoader();
     this.sessionManager = new SessionManager();
     this.rateLimiter = new RateLimiter();
     this.claudeCmd = options.claudeCmd || 'claude';
 
+    // Conversation pipeline shared by all channels (Telegram, Discord and Slack here, web/IDE in server.js)
+    this.engine = new ConversationEngine(this, { workflowHandler: options.workflowHandler });
+    this.telegram = new TelegramAdapter(this);
+    this.discord = new DiscordAdapter(this);
+    this.slack = new SlackAdapter(this);
+
     // Track active conversations (for streaming)
     this.activeConversations = new Map(); // chatId → { statusMsg, lastUpdate }
 
     // Track pending photo confirmations (for promptOnImageUpload flow)
-    this.pendingPhotos = new Map(); // chatId → { photoBase64, photoMediaType, photoPath, timestamp }
+    this.pendingPhotos = new Map(); // 'chatId:userId' → { photoBase64, photoMediaType, photoPath, timestamp }
 
     // Check if Telegram polling is disabled via env var
     this.telegramEnabled = process.env.TELEGRAM_ENABLED !== 'false';
 
+    // Bot API server (TELEGRAM_API_URL points it at a local Bot API server or a mock)
+    this.telegramOptions = {
+      ...(process.env.TELEGRAM_API_URL && { baseApiUrl: process.env.TELEGRAM_API_URL })
+    };
+
+    // Webhook mode (TELEGRAM_WEBHOOK=true): Telegram posts updates to
+    // /telegram/:botId/webhook once configureTelegramWebhooks() knows the public URL.
+    // Bots poll instead if there's no URL or Telegram rejects it.
+    this.telegramWebhook = process.env.TELEGRAM_WEBHOOK === 'true';
+    this.telegramPollingFallback = false;
+    this.webhookBaseUrl = null;
+    this.webhookSecret = process.env.TELEGRAM_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+
     // Health check interval (every 30 seconds) - only if Telegram is enabled
     if (this.telegramEnabled) {
       this.healthCheckInterval = setInterval(() => this.performHealthChecks(), 30000);
@@ -44,12 +88,15 @@ class BotManager {
    *
    * @param {Object} config - Bot configuration
    * @param {string} config.id - Unique bot identifier
-   * @param {string} config.token - Telegram bot token
+   * @param {string} [config.token] - Telegram bot token
+   * @param {string} [config.discordToken] - Discord bot token
+   * @param {string} [config.slackBotToken] - Slack bot token (xoxb-...)
+   * @param {string} [config.slackAppToken] - Slack app-level token for Socket Mode (xapp-...)
    * @param {string} config.brain - Brain file name
    * @param {boolean} [config.active=true] - Whether bot is active
    */
   async addBot(config) {
-    const { id, token, brain, active = true, webOnly = false } = config;
+    const { id, token, discordToken, slackBotToken, slackAppToken, brain, active = true, webOnly = false } = config;
 
     if (!id || !brain) {
       throw new Error('Bot config must include: id, brain');
@@ -63,6 +110,17 @@ class BotManager {
     // Load and validate brain
     const brainConfig = await this.brainLoader.load(brain);
 
+    // Instance overrides (brain_config + config_overrides from my_agents) must still form a valid brain
+    if (config.brainConfig) {
+      const { errors, warnings } = validateBrainConfig({ ...brainConfig, ...config.brainConfig });
+      if (errors.length > 0) {
+        throw new Error(`Invalid config for bot ${id}: ${errors.join('; ')}`);
+      }
+      for (const warning of warnings) {
+        logger.bot(id, 'warn', `Brain config: ${warning}`);
+      }
+    }
+
     // For web-only bots (like Claude), skip Telegram bot creation
     if (webOnly || id === 'claude') {
       this.bots.set(id, {
@@ -80,80 +138,268 @@ class BotManager {
       return;
     }
 
-    if (!token) {
-      throw new Error('Telegram bots must have a token');
+    if (!token && !discordToken && !slackBotToken) {
+      throw new Error('Bots must have a token (Telegram), discordToken or slackBotToken');
+    }
+
+    if (slackBotToken && !slackAppToken) {
+      throw new Error('Slack bots need a slackAppToken for Socket Mode');
     }
 
     // Skip Telegram bot creation if Telegram is disabled
-    if (!this.telegramEnabled) {
+    const useTelegram = !!token && this.telegramEnabled;
+    if (!useTelegram && !discordToken && !slackBotToken) {
       logger.bot(id, 'info', `Telegram disabled - skipping bot: ${brainConfig.name || id}`);
       return;
     }
 
     // Create Telegram bot instance
-    const bot = new TelegramBot(token, { polling: true });
+    const bot = useTelegram ? this.createTelegramBot(token) : null;
 
     // Store bot info
-    this.bots.set(id, {
+    const botInfo = {
       bot,
+      // The bot's Telegram user - the ID is the token's prefix, getMe() adds the username
+      telegramUser: bot ? { id: parseInt(token.split(':')[0]) } : null,
+      discord: null,
+      slack: null,
       config,
       brain: brainConfig,
       status: 'healthy',
       lastHealthCheck: new Date(),
       messageCount: 0,
       errorCount: 0
-    });
+    };
+    this.bots.set(id, botInfo);
+
+    // Other channels - a bot without Telegram needs at least one of them
+    const connections = [
+      ['discord', 'Discord', discordToken && (() => this.discord.connect(id, discordToken))],
+      ['slack', 'Slack', slackBotToken && (() => this.slack.connect(id, { botToken: slackBotToken, appToken: slackAppToken }))]
+    ];
+    for (const [key, label, connect] of connections) {
+      if (!connect) continue;
+      try {
+        botInfo[key] = await connect();
+      } catch (error) {
+        logger.bot(id, 'error', `${label} connection failed`, { error: error.message });
+      }
+    }
+
+    if (!bot) {
+      const connected = connections.filter(([key]) => botInfo[key]).map(([, label]) => label);
+      if (connected.length === 0) {
+        this.bots.delete(id);
+        throw new Error(`Bot ${id} could not connect to any channel`);
+      }
+      logger.bot(id, 'info', `Bot started on ${connected.join(' and ')}: ${brainConfig.name || id}`);
+      return;
+    }
 
+    this.attachTelegramHandlers(id, bot);
+
+    // Receive updates by webhook if the public URL is already known
+    if (this.usesTelegramWebhook() && this.webhookBaseUrl) {
+      await this.registerWebhook(id);
+    }
+
+    // Set bot commands menu (bottom-left menu in Telegram)
+    this.setupBotCommands(bot, id);
+
+    // Username for recognising @mentions in groups
+    bot.getMe()
+      .then(me => { botInfo.telegramUser = me; })
+      .catch(err => console.error(`⚠️ Failed to get bot user for ${id}:`, err.message));
+
+    logger.bot(id, 'info', `Bot started: ${brainConfig.name || id}`);
+  }
+
+  /**
+   * Create a Telegram bot instance (polling unless webhook mode is on)
+   *
+   * @param {string} token - Telegram bot token
+   * @returns {TelegramBot}
+   */
+  createTelegramBot(token) {
+    return new TelegramBot(token, { ...this.telegramOptions, polling: !this.usesTelegramWebhook() });
+  }
+
+  /**
+   * Route a Telegram bot's events to the manager
+   *
+   * @param {string} id - Bot identifier
+   * @param {TelegramBot} bot - Telegram bot instance
+   */
+  attachTelegramHandlers(id, bot) {
     // Set up message handler
     bot.on('message', (msg) => this.handleMessage(id, msg));
 
     // Set up callback query handler (for inline button clicks)
     bot.on('callback_query', (query) => this.handleCallbackQuery(id, query));
 
+    // Votes in polls from reply markup
+    bot.on('poll_answer', (answer) => this.handlePollAnswer(id, answer));
+
     // Set up error handler
     bot.on('polling_error', (error) => {
       logger.bot(id, 'error', 'Polling error', { error: error.message });
       this.handleBotError(id, error);
     });
+  }
 
-    // Set bot commands menu (bottom-left menu in Telegram)
-    this.setupBotCommands(bot, id);
+  // ========== Telegram Webhooks ==========
 
-    logger.bot(id, 'info', `Bot started: ${brainConfig.name || id}`);
+  /**
+   * Whether Telegram bots receive updates by webhook (rather than polling)
+   *
+   * @returns {boolean}
+   */
+  usesTelegramWebhook() {
+    return this.telegramWebhook && !this.telegramPollingFallback;
   }
 
   /**
-   * Setup bot commands menu (appears in bottom-left of Telegram)
+   * Point every Telegram bot's webhook at the server's public URL
+   *
+   * Called with the tunnel URL whenever it changes (or SERVER_URL);
+   * TELEGRAM_WEBHOOK_URL overrides it. Without a URL, bots poll instead.
+   *
+   * @param {string|null} publicUrl - Public base URL of this server
    */
-  async setupBotCommands(bot, botId) {
-    let commands = [];
+  async configureTelegramWebhooks(publicUrl) {
+    if (!this.telegramWebhook) return;
 
-    // Focus bots: ONLY /team command
-    if (['finnshipley', 'mattyatlas', 'rickd'].includes(botId)) {
-      commands = [
-        { command: 'team', description: 'Share context with another bot' }
-      ];
-    } else {
-      // Other bots: standard commands
-      commands = [
-        { command: 'help', description: 'Show help message' },
-        { command: 'tts', description: 'Toggle voice/text mode' },
-        { command: 'stats', description: 'Show conversation stats' }
-      ];
-
-      // Add /restart for CartoonGen
-      if (botId === 'cartooned') {
-        commands.push({ command: 'restart', description: 'Start fresh conversation' });
-      }
+    const baseUrl = process.env.TELEGRAM_WEBHOOK_URL || publicUrl;
+    if (!baseUrl) {
+      console.warn('⚠️  TELEGRAM_WEBHOOK=true but there is no public URL - falling back to polling');
+      await this.fallBackToPolling();
+      return;
+    }
+
+    this.telegramPollingFallback = false;
+    this.webhookBaseUrl = baseUrl.replace(/\/+$/, '');
+
+    for (const [id, { bot }] of this.bots) {
+      if (bot) await this.registerWebhook(id);
+    }
+  }
+
+  /**
+   * Register a bot's webhook with Telegram (falls back to polling on failure)
+   *
+   * @param {string} id - Bot identifier
+   * @returns {Promise<boolean>} Whether the webhook was set
+   */
+  async registerWebhook(id) {
+    const botInfo = this.bots.get(id);
+    if (!botInfo?.bot) return false;
+
+    const url = `${this.webhookBaseUrl}/telegram/${id}/webhook`;
+
+    try {
+      if (botInfo.bot.isPolling()) await botInfo.bot.stopPolling();
+
+      await botInfo.bot.setWebHook(url, {
+        secret_token: this.getWebhookSecret(id),
+        allowed_updates: JSON.stringify(['message', 'callback_query', 'poll_answer'])
+      });
+
+      botInfo.webhookUrl = url;
+      logger.bot(id, 'info', 'Telegram webhook registered', { url });
+      return true;
+    } catch (error) {
+      botInfo.webhookUrl = null;
+      logger.bot(id, 'error', 'Failed to register webhook - polling instead', { url, error: error.message });
+      // Polling clears the webhook itself if one is still set
+      if (!botInfo.bot.isPolling()) botInfo.bot.startPolling();
+      return false;
+    }
+  }
+
+  /**
+   * Poll with every Telegram bot until a public URL is configured again
+   */
+  async fallBackToPolling() {
+    this.telegramPollingFallback = true;
+    this.webhookBaseUrl = null;
+
+    for (const [, botInfo] of this.bots) {
+      if (!botInfo.bot || botInfo.bot.isPolling()) continue;
+      botInfo.webhookUrl = null;
+      await botInfo.bot.startPolling();
+    }
+  }
+
+  /**
+   * Secret Telegram sends back in the X-Telegram-Bot-Api-Secret-Token header
+   *
+   * Derived per bot, so one bot's secret can't post updates to another.
+   *
+   * @param {string} id - Bot identifier
+   * @returns {string} Secret token (A-Z, a-z, 0-9)
+   */
+  getWebhookSecret(id) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(id).digest('hex');
+  }
+
+  /**
+   * Handle a webhook request from Telegram
+   *
+   * @param {string} id - Bot identifier (from the URL)
+   * @param {string|undefined} secretToken - X-Telegram-Bot-Api-Secret-Token header
+   * @param {Object} update - Telegram update
+   * @returns {number} HTTP status for the response
+   */
+  handleTelegramWebhook(id, secretToken, update) {
+    const botInfo = this.bots.get(id);
+    if (!botInfo?.bot || !botInfo.webhookUrl) {
+      return 404;
+    }
+
+    const expected = Buffer.from(this.getWebhookSecret(id));
+    const actual = Buffer.from(secretToken || '');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      logger.bot(id, 'warn', 'Rejected webhook request with an invalid secret token');
+      return 401;
     }
 
+    if (!update || typeof update.update_id !== 'number') {
+      return 400;
+    }
+
+    // Handlers run asynchronously - Telegram gets its 200 right away and doesn't retry
+    botInfo.bot.processUpdate(update);
+    return 200;
+  }
+
+  /**
+   * Setup bot commands menu (appears in bottom-left of Telegram)
+   *
+   * Built from the brain's commands (lib/bot-commands), with a separate
+   * menu for group chats.
+   */
+  async setupBotCommands(bot, botId) {
+    const commands = this.getCommands(botId);
+    const toMenu = list => list.map(({ name, description }) => ({ command: name, description }));
+
     try {
-      await bot.setMyCommands(commands);
+      await bot.setMyCommands(toMenu(listCommands(commands, false)));
+      await bot.setMyCommands(toMenu(listCommands(commands, true)), { scope: { type: 'all_group_chats' } });
     } catch (err) {
       console.error(`⚠️ Failed to set commands for ${botId}:`, err.message);
     }
   }
 
+  /**
+   * A bot's commands, from its brain
+   *
+   * @param {string} botId - Bot identifier
+   * @returns {Array<Object>} Resolved commands (see lib/bot-commands)
+   */
+  getCommands(botId) {
+    return resolveCommands(this.getEffectiveBrain(this.bots.get(botId)));
+  }
+
   /**
    * Handle incoming Telegram message
    *
@@ -162,11 +408,13 @@ class BotManager {
    */
   async handleMessage(botId, msg) {
     const chatId = msg.chat.id;
-    const text = msg.text?.trim() || msg.caption?.trim() || '';
+    let text = msg.text?.trim() || msg.caption?.trim() || '';
     const hasPhoto = msg.photo && msg.photo.length > 0;
+    const voice = msg.voice || msg.audio || msg.video_note || null;
+    const document = msg.document || null;
 
-    // Ignore messages with no text AND no photo
-    if (!text && !hasPhoto) return;
+    // Ignore messages with no text, photo, voice or document
+    if (!text && !hasPhoto && !voice && !document) return;
 
     const botInfo = this.bots.get(botId);
     if (!botInfo) {
@@ -176,6 +424,34 @@ class BotManager {
 
     const { bot, brain } = botInfo;
 
+    // Groups: only answer messages addressed to the bot (mention, reply or command)
+    let group = null;
+    if (isGroupChat(msg.chat)) {
+      if (!this.isAddressedInGroup(botInfo, msg)) return;
+
+      if (brain.groups?.enabled === false) {
+        await bot.sendMessage(chatId, '👋 I only chat one-on-one. Send me a private message!', {
+          reply_to_message_id: msg.message_id
+        });
+        return;
+      }
+
+      // "/help@thisbot" → "/help"
+      if (msg.text) {
+        msg.text = msg.text.replace(/^(\/\w+)@\w+/, '$1');
+        text = msg.text.trim();
+      }
+
+      group = {
+        id: chatId,
+        title: msg.chat.title,
+        settings: await getGroupSettings(this.telegram.name, chatId)
+      };
+
+      // Admins can still turn the bot back on with /group on
+      if (!group.settings.enabled && !text.startsWith('/group')) return;
+    }
+
     // Check if bot is private and user is authorized
     if (brain.private) {
       const adminUserIds = process.env.ADMIN_USER_IDS?.split(',').map(id => parseInt(id.trim())) || [];
@@ -191,11 +467,17 @@ class BotManager {
     }
 
     // Log incoming message
-    const logText = hasPhoto ? `[PHOTO] ${text || '(no caption)'}` : text;
+    const logText = hasPhoto ? `[PHOTO] ${text || '(no caption)'}`
+      : voice ? `[VOICE] ${text || '(no caption)'}`
+      : document ? `[FILE ${document.file_name || 'unnamed'}] ${text || '(no caption)'}`
+      : text;
     logger.user(botId, msg.from.id, 'info', 'Message received', {
       username: msg.from.username || msg.from.first_name,
+      ...(group && { group: chatId }),
       text: logText.substring(0, 100),
-      hasPhoto
+      hasPhoto,
+      hasVoice: !!voice,
+      hasDocument: !!document
     });
 
     // Update message count
@@ -203,1045 +485,677 @@ class BotManager {
 
     // Handle commands
     if (text.startsWith('/')) {
-      // Check for /team command first
-      if (text.startsWith('/team')) {
-        // If just "/team" with no args, show menu
-        if (text.trim() === '/team') {
-          return this.showTeamMenu(botId, chatId);
-        }
-        // Otherwise handle as full team command with args
-        return this.handleTeamCommand(botId, msg);
-      }
       // Check for /respond command (for callback responses)
       if (text.startsWith('/respond')) {
         return this.handleRespondCommand(botId, msg);
       }
-      return this.handleCommand(botId, msg);
+      return this.handleCommand(botId, msg, group);
     }
 
-    // Check rate limit
-    const rateLimit = this.rateLimiter.checkLimit(botId, msg.from.id, brain);
-    if (!rateLimit.allowed) {
-      const resetTime = new Date();
-      resetTime.setHours(24, 0, 0, 0); // Midnight
-      await bot.sendMessage(chatId,
-        `⏸️ You've reached your daily limit of ${rateLimit.limit} messages.\n\n` +
-        `Resets at midnight. Current: ${rateLimit.current}/${rateLimit.limit}`
-      );
-      logger.user(botId, msg.from.id, 'warn', 'Rate limit exceeded', rateLimit);
-      return;
+    // Everything else goes through the conversation engine
+    return this.engine.handleMessage(this.telegram, this.telegram.normalize(botId, msg, group));
+  }
+
+  /**
+   * Whether a group message is for this bot: a command (not one addressed
+   * to another bot), a reply to the bot, or an @mention
+   *
+   * @param {Object} botInfo - Bot info
+   * @param {Object} msg - Telegram message object
+   * @returns {boolean}
+   */
+  isAddressedInGroup(botInfo, msg) {
+    const me = botInfo.telegramUser;
+    const username = me.username?.toLowerCase();
+    const text = msg.text || msg.caption || '';
+
+    // "/help" or "/help@thisbot", but not "/help@otherbot"
+    const command = text.match(/^\/\w+(?:@(\w+))?/);
+    if (command) {
+      return !command[1] || command[1].toLowerCase() === username;
     }
 
-    // NEW: Check if user is confirming a pending photo cartoonification
-    const pendingPhoto = this.pendingPhotos.get(chatId);
-    if (pendingPhoto && text) {
-      // Check if text looks like confirmation
-      const confirmWords = ['yes', 'yeah', 'yep', 'sure', 'ok', 'okay', 'do it', 'go', 'yea', 'y'];
-      const textLower = text.toLowerCase().trim();
-      const isConfirmation = confirmWords.some(word => textLower.startsWith(word));
-
-      if (isConfirmation) {
-        // User confirmed! Process the photo
-        console.log(`✅ [${botId}] User confirmed cartoonification: "${text}"`);
-
-        // Extract custom instructions (everything after "yes" / "yeah" / etc)
-        let customInstructions = '';
-        for (const word of confirmWords) {
-          if (textLower.startsWith(word)) {
-            customInstructions = text.substring(word.length).trim();
-            // Remove leading "but" if present
-            if (customInstructions.toLowerCase().startsWith('but ')) {
-              customInstructions = customInstructions.substring(4).trim();
-            }
-            break;
-          }
-        }
+    if (msg.reply_to_message?.from?.id === me.id) {
+      return true;
+    }
 
-        // Clear pending photo
-        this.pendingPhotos.delete(chatId);
+    const entities = msg.entities || msg.caption_entities || [];
+    return entities.some(entity =>
+      (entity.type === 'mention' && !!username &&
+        text.substring(entity.offset, entity.offset + entity.length).toLowerCase() === `@${username}`) ||
+      (entity.type === 'text_mention' && entity.user?.id === me.id)
+    );
+  }
 
-        // Now handle this as a special image-to-cartoon request
-        // We'll send to Claude with the image + special prompt to describe it and output marker
+  /**
+   * Whether a user is an admin of a group (or a bot admin from ADMIN_USER_IDS)
+   *
+   * @param {string} botId - Bot identifier
+   * @param {number} chatId - Group chat ID
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<boolean>}
+   */
+  async isGroupAdmin(botId, chatId, userId) {
+    const adminUserIds = process.env.ADMIN_USER_IDS?.split(',').map(id => parseInt(id.trim())) || [];
+    if (adminUserIds.includes(userId)) return true;
 
-        // Send "Drawing..." indicator
-        const statusMsg = await bot.sendMessage(chatId, '🎨 Drawing...');
+    try {
+      const member = await this.bots.get(botId).bot.getChatMember(chatId, userId);
+      return member.status === 'creator' || member.status === 'administrator';
+    } catch (err) {
+      console.error(`⚠️ Failed to check admin status in ${chatId} for ${userId}:`, err.message);
+      return false;
+    }
+  }
 
-        // Build special prompt for Claude to describe image and output marker
-        const systemPrompt = await this.brainLoader.buildSystemPrompt(
-          botInfo.config.brain,
-          msg.from
-        );
+  /**
+   * Turn a pending photo into a cartoon once the user confirms
+   * (brain.imageGen.promptOnImageUpload flow)
+   *
+   * Claude describes the photo and outputs an [[IMAGE_PROMPT: ...]] marker,
+   * which is sent to the image service with the brain's image profile.
+   *
+   * @param {string} botId - Bot identifier
+   * @param {Object} msg - Telegram message that confirmed
+   * @param {Object} pendingPhoto - { photoBase64, photoMediaType, photoPath }
+   * @param {string} customInstructions - Changes the user asked for ("yes but make it blue")
+   */
+  async cartoonifyPhoto(botId, msg, pendingPhoto, customInstructions) {
+    const chatId = msg.chat.id;
+    const botInfo = this.bots.get(botId);
+    const { bot, brain } = botInfo;
 
-        const describePrompt = customInstructions
-          ? `Describe this image in detail and output [[IMAGE_PROMPT: description with these modifications: ${customInstructions}]]. Focus on what to draw, not how to draw it.`
-          : `Describe this image in detail and output [[IMAGE_PROMPT: description]]. Focus on what to draw, not how to draw it.`;
+    // Send "Drawing..." indicator
+    const statusMsg = await bot.sendMessage(chatId, '🎨 Drawing...');
 
-        // Build message content with image
-        const messageContent = [
-          {
-            type: 'text',
-            text: `${systemPrompt}\n\nUser says: ${describePrompt}`
-          },
-          {
-            type: 'image',
-            source: {
-              type: 'base64',
-              media_type: pendingPhoto.photoMediaType,
-              data: pendingPhoto.photoBase64
-            }
-          }
-        ];
+    // Build special prompt for Claude to describe image and output marker
+    const systemPrompt = await this.brainLoader.buildSystemPrompt(
+      botInfo.config.brain,
+      msg.from
+    );
 
-        // Call Claude to describe image and output marker
-        try {
-          const currentUuid = this.sessionManager.getCurrentUuid(botId, msg.from.id);
-
-          const result = await sendToClaudeSession({
-            message: describePrompt,
-            messageContent: messageContent,
-            sessionId: currentUuid,
-            claudeCmd: this.claudeCmd,
-            workspacePath: this.sessionManager.getWorkspacePath(botId, msg.from.id) || botInfo.config.workspace || process.env.LABCART_WORKSPACE || process.cwd(),
-            botId,
-            telegramUserId: msg.from.id,
-            chatId,
-            statusMsgId: statusMsg.message_id,
-            onStreamUpdate: async (partialText) => {
-              // Keep showing "🎨 Drawing..." during streaming
-              // (Don't update, just keep the status as is)
-            }
-          });
+    const describePrompt = customInstructions
+      ? `Describe this image in detail and output [[IMAGE_PROMPT: description with these modifications: ${customInstructions}]]. Focus on what to draw, not how to draw it.`
+      : `Describe this image in detail and output [[IMAGE_PROMPT: description]]. Focus on what to draw, not how to draw it.`;
 
-          // Detect image generation marker in result
-          if (result.success && result.text) {
-            const markerRegex = /\[\[IMAGE_PROMPT:\s*(.+?)\]\]/s;
-            const match = result.text.match(markerRegex);
-
-            if (match) {
-              const imagePrompt = match[1].trim();
-              console.log(`🎨 [${botId}] Detected image generation marker from cartoonify flow`);
-              console.log(`📝 [${botId}] IMAGE DESCRIPTION:\n${imagePrompt}`);
-
-              // Load image config
-              const imageConfig = this.imageProfileLoader.load(brain.imageGen.profile);
-
-              // Generate organized output directory
-              const imagesOutputDir = path.join(process.cwd(), 'images-output');
-              const organizedDir = path.join(imagesOutputDir, `bot-${botId}`, `user-${msg.from.id}`);
-              fs.mkdirSync(organizedDir, { recursive: true });
-
-              const imageFilename = `bot-${botId}-user-${msg.from.id}-${Date.now()}`;
-
-              // Build final prompt: Profile's style context + Claude's subject description
-              const finalPrompt = imageConfig.promptContext
-                ? `${imageConfig.promptContext}\n\n${imagePrompt}`
-                : imagePrompt;
-
-              console.log(`📏 [${botId}] Final prompt length: ${finalPrompt.length} chars`);
-
-              // Call image generation HTTP service
-              const imageResponse = await fetch('http://localhost:3002/generate_image', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  prompt: finalPrompt,
-                  model: imageConfig.model,
-                  size: imageConfig.size,
-                  quality: imageConfig.quality,
-                  style: imageConfig.style,
-                  filename: imageFilename,
-                  output_dir: organizedDir,
-                  include_base64: false
-                })
-              });
-
-              if (!imageResponse.ok) {
-                const errorText = await imageResponse.text();
-                console.error(`❌ Image service error: ${imageResponse.status} - ${errorText}`);
-                await bot.editMessageText('❌ Image generation failed. Try again.', {
-                  chat_id: chatId,
-                  message_id: statusMsg.message_id
-                });
-                return;
-              }
+    // Build message content with image
+    const messageContent = [
+      {
+        type: 'text',
+        text: `${systemPrompt}\n\nUser says: ${describePrompt}`
+      },
+      {
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: pendingPhoto.photoMediaType,
+          data: pendingPhoto.photoBase64
+        }
+      }
+    ];
 
-              const imageResult = await imageResponse.json();
-              if (imageResult.success && imageResult.image_path) {
-                console.log(`✅ [${botId}] Cartoon generated: ${imageResult.image_path}`);
+    // Call Claude to describe image and output marker
+    try {
+      const currentUuid = this.sessionManager.getCurrentUuid(botId, msg.from.id);
 
-                // Delete status message
-                try {
-                  await bot.deleteMessage(chatId, statusMsg.message_id);
-                } catch (e) {
-                  // Ignore
-                }
+      const result = await sendToClaudeSession({
+        message: describePrompt,
+        messageContent: messageContent,
+        sessionId: currentUuid,
+        claudeCmd: this.claudeCmd,
+        workspacePath: this.sessionManager.getWorkspacePath(botId, msg.from.id) || botInfo.config.workspace || process.env.LABCART_WORKSPACE || process.cwd(),
+        allowedTools: this.getAllowedTools(botInfo),
+        botId,
+        telegramUserId: msg.from.id,
+        chatId,
+        statusMsgId: statusMsg.message_id,
+        onStreamUpdate: async (partialText) => {
+          // Keep showing "🎨 Drawing..." during streaming
+          // (Don't update, just keep the status as is)
+        }
+      });
 
-                // Send cartoon image
-                await bot.sendPhoto(chatId, imageResult.image_path);
+      // Detect image generation marker in result
+      if (result.success && result.text) {
+        const markerRegex = /\[\[IMAGE_PROMPT:\s*(.+?)\]\]/s;
+        const match = result.text.match(markerRegex);
+
+        if (match) {
+          const imagePrompt = match[1].trim();
+          console.log(`🎨 [${botId}] Detected image generation marker from cartoonify flow`);
+          console.log(`📝 [${botId}] IMAGE DESCRIPTION:\n${imagePrompt}`);
+
+          // Load image config
+          const imageConfig = this.imageProfileLoader.load(brain.imageGen.profile);
+
+          // Generate organized output directory
+          const imagesOutputDir = path.join(process.cwd(), 'images-output');
+          const organizedDir = path.join(imagesOutputDir, `bot-${botId}`, `user-${msg.from.id}`);
+          fs.mkdirSync(organizedDir, { recursive: true });
+
+          const imageFilename = `bot-${botId}-user-${msg.from.id}-${Date.now()}`;
+
+          // Build final prompt: Profile's style context + Claude's subject description
+          const finalPrompt = imageConfig.promptContext
+            ? `${imageConfig.promptContext}\n\n${imagePrompt}`
+            : imagePrompt;
+
+          console.log(`📏 [${botId}] Final prompt length: ${finalPrompt.length} chars`);
+
+          // Call image generation HTTP service
+          const imageResponse = await fetch('http://localhost:3002/generate_image', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              prompt: finalPrompt,
+              model: imageConfig.model,
+              size: imageConfig.size,
+              quality: imageConfig.quality,
+              style: imageConfig.style,
+              filename: imageFilename,
+              output_dir: organizedDir,
+              include_base64: false
+            })
+          });
 
-                logger.user(botId, msg.from.id, 'info', 'Cartoon generated successfully', {
-                  imagePrompt: imagePrompt.substring(0, 100),
-                  imagePath: imageResult.image_path
-                });
+          if (!imageResponse.ok) {
+            const errorText = await imageResponse.text();
+            console.error(`❌ Image service error: ${imageResponse.status} - ${errorText}`);
+            await bot.editMessageText('❌ Image generation failed. Try again.', {
+              chat_id: chatId,
+              message_id: statusMsg.message_id
+            });
+            return;
+          }
 
-                return; // Done!
-              } else {
-                await bot.editMessageText('❌ Image generation failed. Please try again.', {
-                  chat_id: chatId,
-                  message_id: statusMsg.message_id
-                });
-                return;
-              }
-            } else {
-              // No marker found - shouldn't happen, but handle gracefully
-              await bot.editMessageText(result.text || '❌ Could not process image', {
-                chat_id: chatId,
-                message_id: statusMsg.message_id
-              });
-              return;
+          const imageResult = await imageResponse.json();
+          if (imageResult.success && imageResult.image_path) {
+            console.log(`✅ [${botId}] Cartoon generated: ${imageResult.image_path}`);
+
+            // Delete status message
+            try {
+              await bot.deleteMessage(chatId, statusMsg.message_id);
+            } catch (e) {
+              // Ignore
             }
+
+            // Send cartoon image
+            await bot.sendPhoto(chatId, imageResult.image_path);
+
+            logger.user(botId, msg.from.id, 'info', 'Cartoon generated successfully', {
+              imagePrompt: imagePrompt.substring(0, 100),
+              imagePath: imageResult.image_path
+            });
+
+            return; // Done!
           } else {
-            // Claude failed
-            await bot.editMessageText('❌ Failed to process image', {
+            await bot.editMessageText('❌ Image generation failed. Please try again.', {
               chat_id: chatId,
               message_id: statusMsg.message_id
             });
             return;
           }
-
-        } catch (error) {
-          console.error(`❌ [${botId}] Cartoonify error:`, error.message);
-          await bot.editMessageText('❌ Failed to generate cartoon', {
+        } else {
+          // No marker found - shouldn't happen, but handle gracefully
+          await bot.editMessageText(result.text || '❌ Could not process image', {
             chat_id: chatId,
             message_id: statusMsg.message_id
           });
           return;
         }
       } else {
-        // Not a confirmation - clear pending and handle normally
-        console.log(`❌ [${botId}] Not a confirmation, clearing pending photo`);
-        this.pendingPhotos.delete(chatId);
+        // Claude failed
+        await bot.editMessageText('❌ Failed to process image', {
+          chat_id: chatId,
+          message_id: statusMsg.message_id
+        });
+        return;
       }
-    }
-
-    // Handle regular message
-    try {
-      // Send "thinking" indicator
-      const statusMsg = await bot.sendMessage(chatId, '⏳ Thinking...');
-
-      // Helper function to call Claude with automatic retry on timeout
-      const callClaudeWithRetry = async (claudeFunction, options, maxRetries = 1) => {
-        let lastError = null;
-
-        for (let attempt = 0; attempt <= maxRetries; attempt++) {
-          try {
-            if (attempt > 0) {
-              console.log(`🔄 [${botId}] Retry attempt ${attempt}/${maxRetries} for user ${msg.from.id}`);
-              // Update status message for retry
-              try {
-                await bot.editMessageText(`⏳ Retrying... (${attempt}/${maxRetries})`, {
-                  chat_id: chatId,
-                  message_id: statusMsg.message_id
-                });
-              } catch (e) {
-                // Ignore edit errors
-              }
-            }
-
-            const result = await claudeFunction(options);
-            return result;
-          } catch (error) {
-            lastError = error;
-            const isTimeout = error.timeout === true;
-
-            if (isTimeout && attempt < maxRetries) {
-              console.warn(`⏱️  [${botId}] Timeout on attempt ${attempt + 1}, retrying...`);
-              continue; // Try again
-            } else {
-              // Final attempt failed or non-timeout error
-              throw error;
-            }
-          }
-        }
-
-        // All retries exhausted
-        throw lastError;
-      };
-
-      // Handle photo if present
-      let photoBase64 = null;
-      let photoMediaType = null;
-      let photoPath = null;
-      if (hasPhoto) {
-        try {
-          // Get highest quality photo (last item in array)
-          const photo = msg.photo[msg.photo.length - 1];
-          const file = await bot.getFile(photo.file_id);
-          const fileUrl = `https://api.telegram.org/file/bot${botInfo.config.token}/${file.file_path}`;
-
-          // Create images directory if it doesn't exist
-          const imagesDir = require('path').join(process.cwd(), 'telegram-images');
-          if (!require('fs').existsSync(imagesDir)) {
-            require('fs').mkdirSync(imagesDir, { recursive: true });
-          }
-
-          // Download and save the image
-          const timestamp = Date.now();
-          const filename = `${botId}-user-${msg.from.id}-${timestamp}.jpg`;
-          photoPath = require('path').join(imagesDir, filename);
-
-          // Download using node-fetch or https
-          const https = require('https');
-          const fs = require('fs');
-          const fileStream = fs.createWriteStream(photoPath);
-
-          await new Promise((resolve, reject) => {
-            https.get(fileUrl, (response) => {
-              response.pipe(fileStream);
-              fileStream.on('finish', () => {
-                fileStream.close();
-                resolve();
-              });
-            }).on('error', (err) => {
-              fs.unlink(photoPath, () => {}); // Delete partial file
-              reject(err);
-            });
-          });
-
-          console.log(`📸 [${botId}] Downloaded photo: ${photoPath}`);
 
-          // Convert to base64 for Claude API
-          const imageBuffer = fs.readFileSync(photoPath);
-          photoBase64 = imageBuffer.toString('base64');
-          photoMediaType = 'image/jpeg'; // Telegram photos are always JPEG
+    } catch (error) {
+      console.error(`❌ [${botId}] Cartoonify error:`, error.message);
+      await bot.editMessageText('❌ Failed to generate cartoon', {
+        chat_id: chatId,
+        message_id: statusMsg.message_id
+      });
+      return;
+    }
+  }
 
-          console.log(`🔄 [${botId}] Converted photo to base64 (${photoBase64.length} chars)`);
-        } catch (photoError) {
-          console.error(`❌ [${botId}] Failed to process photo:`, photoError.message);
-          // Continue without photo
-        }
-      }
+  /**
+   * Download a Telegram file to a local directory
+   *
+   * @param {string} botId - Bot identifier
+   * @param {string} fileId - Telegram file_id
+   * @param {string} dirName - Directory (relative to cwd) to save into
+   * @param {string} filename - Filename to save as
+   * @returns {Promise<string>} Local file path
+   */
+  async downloadTelegramFile(botId, fileId, dirName, filename) {
+    const dir = path.join(process.cwd(), dirName);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
 
-      // NEW: Check if photo upload requires confirmation (promptOnImageUpload flow)
-      if (photoBase64 && brain.imageGen?.promptOnImageUpload === true && !text) {
-        // User uploaded photo with no caption → Ask if they want to cartoonify/transform it
-        // Store photo info for later
-        this.pendingPhotos.set(chatId, {
-          photoBase64,
-          photoMediaType,
-          photoPath,
-          timestamp: Date.now()
-        });
+    const filePath = path.join(dir, filename);
+    fs.writeFileSync(filePath, await this.fetchTelegramFile(botId, fileId));
+    return filePath;
+  }
 
-        // Delete the "Thinking..." status message
-        try {
-          await bot.deleteMessage(chatId, statusMsg.message_id);
-        } catch (e) {
-          // Ignore delete errors
-        }
+  /**
+   * Fetch a Telegram file into memory
+   *
+   * @param {string} botId - Bot identifier
+   * @param {string} fileId - Telegram file_id
+   * @returns {Promise<Buffer>} File content
+   */
+  async fetchTelegramFile(botId, fileId) {
+    const botInfo = this.bots.get(botId);
+    const fileUrl = await botInfo.bot.getFileLink(fileId);
 
-        // Ask user for confirmation (wording based on bot personality)
-        await bot.sendMessage(chatId, 'cartoonify this?');
+    const response = await fetch(fileUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to download Telegram file: HTTP ${response.status}`);
+    }
 
-        console.log(`📸 [${botId}] Asking user to confirm cartoonification`);
-        return; // Exit early, wait for user's response
-      }
+    return Buffer.from(await response.arrayBuffer());
+  }
 
-      // Build system prompt
-      const systemPrompt = await this.brainLoader.buildSystemPrompt(
-        botInfo.config.brain,
-        msg.from
-      );
+  /**
+   * Download and transcribe a voice note, audio file or video note
+   *
+   * Uses the transcribe service (Whisper). The downloaded file is removed
+   * once transcribed.
+   *
+   * @param {string} botId - Bot identifier
+   * @param {Object} msg - Telegram message object
+   * @param {Object} voice - msg.voice, msg.audio or msg.video_note
+   * @returns {Promise<string|null>} Transcript, or null if it failed or was empty
+   */
+  async transcribeVoiceMessage(botId, msg, voice) {
+    const { bot, brain } = this.bots.get(botId);
+    const chatId = msg.chat.id;
 
-      // Debug: Log first 300 chars of system prompt
-      console.log(`🧠 [${botId}] System prompt preview: ${systemPrompt.substring(0, 300)}...`);
+    // Bot API getFile only serves files up to 20MB
+    const maxBytes = 20 * 1024 * 1024;
+    if (voice.file_size && voice.file_size > maxBytes) {
+      console.warn(`⚠️ [${botId}] Voice file too large to download (${voice.file_size} bytes)`);
+      return null;
+    }
 
-      // Get session info - use session manager for persistence
-      const currentUuid = this.sessionManager.getCurrentUuid(botId, msg.from.id);
-      const isNewSession = !currentUuid;
+    const mimeType = voice.mime_type || (msg.video_note ? 'video/mp4' : 'audio/ogg');
+    const ext = msg.video_note ? 'mp4' : (mimeType.split('/')[1]?.replace('mpeg', 'mp3') || 'ogg');
+    const filename = `${botId}-user-${msg.from.id}-${Date.now()}.${ext}`;
+    let filePath = null;
 
-      if (isNewSession) {
-        console.log(`🆕 [${botId}] New session for user ${msg.from.id}`);
-      } else {
-        console.log(`📝 [${botId}] Resuming session ${currentUuid.substring(0, 8)}... for user ${msg.from.id}`);
-      }
+    try {
+      bot.sendChatAction(chatId, 'typing').catch(() => {});
 
-      // Prepare message
-      // For new sessions, include system prompt
-      // For resumed sessions, just send the user message (context is persisted)
-
-      // Security reminder - sent with EVERY message to prevent role drift
-      // Get from brain loader (respects brain's security profile)
-      const securityReminder = await this.brainLoader.getSecurityReminder(botInfo.config.brain);
-
-      // Build message content based on whether we have an image
-      let fullMessage;
-      let messageContent = null; // For structured content (images)
-
-      if (photoBase64) {
-        // MULTI-MODAL MODE: Image present
-        // We need to structure content as an array for Claude API
-        // System prompt and security reminder go in text, then user content is structured
-
-        let prefixText;
-        if (isNewSession) {
-          // New session: system prompt + security reminder (if enabled)
-          prefixText = securityReminder
-            ? `${systemPrompt}\n\n---\n\n${securityReminder}\n\nUser says:`
-            : `${systemPrompt}\n\nUser says:`;
-        } else {
-          // Resumed session: just security reminder (if enabled)
-          prefixText = securityReminder
-            ? `${securityReminder}\n\nUser says:`
-            : `User says:`;
-        }
+      filePath = await this.downloadTelegramFile(botId, voice.file_id, 'telegram-audio', filename);
+      console.log(`🎤 [${botId}] Downloaded voice message: ${filePath}`);
 
-        messageContent = [
-          {
-            type: 'text',
-            text: `${prefixText}\n${text || '(user sent an image)'}`
-          },
-          {
-            type: 'image',
-            source: {
-              type: 'base64',
-              media_type: photoMediaType,
-              data: photoBase64
-            }
-          }
-        ];
+      const result = await transcribeFile(filePath, {
+        mimeType,
+        language: brain.voiceInput?.language
+      });
 
-        // fullMessage is not used when we have messageContent, but set it for logging
-        fullMessage = `${prefixText}\n${text || '(user sent an image)'} [IMAGE]`;
+      console.log(`📝 [${botId}] Transcribed ${result.durationSeconds || '?'}s: "${result.text.substring(0, 80)}"`);
+      logger.user(botId, msg.from.id, 'info', 'Voice message transcribed', {
+        durationSeconds: result.durationSeconds,
+        language: result.language,
+        chars: result.text.length
+      });
 
-      } else {
-        // TEXT-ONLY MODE: No image
-        // Use traditional string format (more efficient)
-        if (isNewSession) {
-          // New session: system prompt + security reminder (if enabled)
-          // Wrap user text in delimiters so we can extract it when reading logs
-          fullMessage = securityReminder
-            ? `${systemPrompt}\n\n---\n\n${securityReminder}\n\n<<<USER_TEXT_START>>>${text}<<<USER_TEXT_END>>>`
-            : `${systemPrompt}\n\n<<<USER_TEXT_START>>>${text}<<<USER_TEXT_END>>>`;
-        } else {
-          // Resumed session: just security reminder (if enabled)
-          // Wrap user text in delimiters so we can extract it when reading logs
-          fullMessage = securityReminder
-            ? `${securityReminder}\n\n<<<USER_TEXT_START>>>${text}<<<USER_TEXT_END>>>`
-            : `<<<USER_TEXT_START>>>${text}<<<USER_TEXT_END>>>`;
-        }
+      return result.text || null;
+    } catch (error) {
+      console.error(`❌ [${botId}] Voice transcription failed:`, error.message);
+      return null;
+    } finally {
+      if (filePath) {
+        fs.unlink(filePath, () => {});
       }
+    }
+  }
 
-      // Check if image generation is enabled and how it should be handled
-      const imageGenEnabled = brain.imageGen?.enabled === true;
-      const useOrganicImageFlow = brain.imageGen?.toolsAlwaysAvailable === true;
-
-      // OLD APPROACH (forced 2-turn): Only for legacy bots without toolsAlwaysAvailable
-      // Detect image keywords and force tool call
-      const isImageRequest = imageGenEnabled && !useOrganicImageFlow && (
-        text.toLowerCase().includes('image') ||
-        text.toLowerCase().includes('picture') ||
-        text.toLowerCase().includes('photo') ||
-        text.toLowerCase().includes('draw') ||
-        text.toLowerCase().includes('generate') ||
-        text.toLowerCase().includes('create a')
-      );
-
-      // Check if TTS is enabled
-      // Priority: User preference > Brain default
-      const userTtsPreference = this.sessionManager.getTtsPreference(botId, msg.from.id);
-      const ttsEnabled = userTtsPreference !== null
-        ? userTtsPreference  // Use user preference if set
-        : (brain.tts?.enabled === true);  // Otherwise use brain default
-
-      let result;
-
-      if (isImageRequest) {
-        // LEGACY IMAGE MODE: 2-turn forced conversation (for old-style image bots)
-        // This approach is deprecated - use toolsAlwaysAvailable: true instead
-        // IMAGE MODE: 2-turn conversation (identical to TTS)
-        // Turn 1: Get Claude's understanding
-        // Turn 2: Call image tool → download image file → send to user
-
-        // Load image generation configuration
-        // Brain can specify a profile OR inline config (profile takes precedence)
-        let imageConfig;
-        if (brain.imageGen.profile) {
-          // Load profile (throws if profile doesn't exist)
-          try {
-            imageConfig = this.imageProfileLoader.load(brain.imageGen.profile);
-            console.log(`🎨 Using image profile: ${brain.imageGen.profile}`);
-          } catch (err) {
-            console.error(`❌ Failed to load image profile: ${err.message}`);
-            // Fall back to inline config if profile fails
-            imageConfig = {
-              model: brain.imageGen.model || 'dall-e-2',
-              size: brain.imageGen.size || '256x256',
-              quality: brain.imageGen.quality || 'standard',
-              style: brain.imageGen.style || 'vivid',
-              promptContext: brain.imageGen.promptContext || ''
-            };
-          }
-        } else {
-          // Use inline config from brain
-          imageConfig = {
-            model: brain.imageGen.model || 'dall-e-2',
-            size: brain.imageGen.size || '256x256',
-            quality: brain.imageGen.quality || 'standard',
-            style: brain.imageGen.style || 'vivid',
-            promptContext: brain.imageGen.promptContext || ''
-          };
-        }
-
-        result = await callClaudeWithRetry(sendToClaudeWithImage, {
-          message: fullMessage,
-          messageContent: messageContent,
-          userText: text,  // Pass raw user text for image prompt
-          sessionId: currentUuid,
-          claudeCmd: this.claudeCmd,
-          workspacePath: botInfo.config.workspace || null,
-          botId,
-          telegramUserId: msg.from.id,
-          chatId,
-          statusMsgId: statusMsg.message_id,
-          imageModel: imageConfig.model,
-          imageSize: imageConfig.size,
-          imageQuality: imageConfig.quality,
-          imageStyle: imageConfig.style,
-          imagePromptContext: imageConfig.promptContext,
-          onTurn2Start: async () => {
-            // Update status from "Thinking..." to "Drawing..."
-            try {
-              await bot.editMessageText('🎨 Drawing...', {
-                chat_id: chatId,
-                message_id: statusMsg.message_id
-              });
-            } catch (e) {
-              // Ignore edit errors
-            }
-          }
-        });
-      } else if (ttsEnabled) {
-        // TTS MODE: 2-turn conversation (convert Claude's text response to audio)
-        result = await callClaudeWithRetry(sendToClaudeWithTTS, {
-          message: fullMessage,
-          messageContent: messageContent, // Pass structured content if we have images
-          sessionId: currentUuid, // Use UUID for --resume
-          claudeCmd: this.claudeCmd,
-          workspacePath: botInfo.config.workspace || null,
-          chatId,
-          statusMsgId: statusMsg.message_id,
-          ttsVoice: brain.tts.voice || 'nova',
-          ttsSpeed: brain.tts.speed || 1.0,
-          ttsProvider: brain.tts.provider || null,  // Pass provider from brain config
-          botId,
-          telegramUserId: msg.from.id,
-          onTurn2Start: async () => {
-            // Update status from "Thinking..." to "Recording..."
-            try {
-              await bot.editMessageText('🎙️ Recording...', {
-                chat_id: chatId,
-                message_id: statusMsg.message_id
-              });
-            } catch (e) {
-              // Ignore edit errors
-            }
-          }
-        });
-      } else {
-        // TEXT MODE: Streaming enabled (Claude may call tools during response)
-        // If useOrganicImageFlow is true, image tools will be available for Claude to use
-        let streamedText = '';
-        let lastUpdate = Date.now();
-        let generatedImages = []; // Track images generated during response
-
-        const onStream = async (chunk) => {
-          streamedText += chunk;
-
-          // Throttle updates to avoid rate limits (max 1 per second)
-          const now = Date.now();
-          if (now - lastUpdate > 1000) {
-            lastUpdate = now;
-            try {
-              const preview = streamedText.length > 400
-                ? streamedText.substring(0, 400) + '...'
-                : streamedText;
-
-              await bot.editMessageText(preview, {
-                chat_id: chatId,
-                message_id: statusMsg.message_id
-              });
-            } catch (e) {
-              // Ignore edit errors (message might be too old or identical)
-            }
-          }
-        };
-
-        // Determine MCP profile based on bot configuration
-        // If toolsAlwaysAvailable, enable image tools for organic calling
-        // If useMarkerDetection, disable tools (we'll detect markers instead)
-        const useMarkerDetection = brain.imageGen?.useMarkerDetection === true;
-        const mcpProfile = (useOrganicImageFlow && !useMarkerDetection) ? 'with-image-tools' : 'no-image-tools';
-
-        result = await callClaudeWithRetry(sendToClaudeSession, {
-          message: fullMessage,
-          messageContent: messageContent, // Pass structured content if we have images
-          sessionId: currentUuid, // Use UUID for --resume (null for new sessions)
-          claudeCmd: this.claudeCmd,
-          workspacePath: botInfo.config.workspace || null,
-          mcpProfile: mcpProfile, // NEW: Pass MCP profile to enable/disable image tools
-          chatId,
-          statusMsgId: statusMsg.message_id,
-          botId,
-          telegramUserId: msg.from.id,
-          onStream,
-          onToolResult: (toolName, toolResult) => {
-            // Watch for image generation tool calls (organic flow)
-            if (toolName === 'mcp__image-gen__generate_image') {
-              try {
-                const imageData = typeof toolResult === 'string' ? JSON.parse(toolResult) : toolResult;
-                if (imageData.success && imageData.image_path) {
-                  console.log(`🖼️  [${botId}] Image generated organically: ${imageData.image_path}`);
-                  generatedImages.push(imageData.image_path);
-                }
-              } catch (e) {
-                console.error(`⚠️  Failed to parse image result:`, e.message);
-              }
-            }
-          }
-        });
-
-        // Attach generated images to result
-        result.generatedImages = generatedImages;
-
-        // NEW: Marker-based image generation detection
-        if (useMarkerDetection && result.success && result.text) {
-          const markerRegex = /\[\[IMAGE_PROMPT:\s*(.+?)\]\]/s;
-          const match = result.text.match(markerRegex);
-
-          if (match) {
-            const imagePrompt = match[1].trim();
-            console.log(`🎨 [${botId}] Detected image generation marker`);
-            console.log(`📝 [${botId}] Prompt: ${imagePrompt.substring(0, 100)}...`);
+  /**
+   * Handle bot commands
+   *
+   * Commands come from the brain (lib/bot-commands): built-in actions run
+   * here, prompt commands go to Claude and workflow commands start a workflow.
+   *
+   * @param {string} botId - Bot identifier
+   * @param {Object} msg - Telegram message object
+   * @param {Object} [group] - { id, title, settings } for group chats
+   */
+  async handleCommand(botId, msg, group = null) {
+    const chatId = msg.chat.id;
+    const [name] = msg.text.split(' ');
+    const args = msg.text.substring(name.length).trim();
+    const isGroup = isGroupChat(msg.chat);
 
-            // Remove marker from visible text
-            result.text = result.text.replace(markerRegex, '').trim();
+    const botInfo = this.bots.get(botId);
+    if (!botInfo) return;
 
-            // Load image config
-            let imageConfig;
-            if (brain.imageGen.profile) {
-              try {
-                imageConfig = this.imageProfileLoader.load(brain.imageGen.profile);
-              } catch (err) {
-                console.error(`❌ Failed to load image profile: ${err.message}`);
-                imageConfig = {
-                  model: 'dall-e-2',
-                  size: '256x256',
-                  quality: 'standard',
-                  style: 'vivid'
-                };
-              }
-            } else {
-              imageConfig = {
-                model: brain.imageGen.model || 'dall-e-2',
-                size: brain.imageGen.size || '256x256',
-                quality: brain.imageGen.quality || 'standard',
-                style: brain.imageGen.style || 'vivid'
-              };
-            }
+    const { bot } = botInfo;
+    const command = findCommand(this.getCommands(botId), name);
 
-            // Generate organized output directory
-            const audioOutputDir = path.join(process.cwd(), 'images-output');
-            const organizedDir = path.join(audioOutputDir, `bot-${botId}`, `user-${msg.from.id}`);
-            require('fs').mkdirSync(organizedDir, { recursive: true });
+    if (!command) {
+      // Unknown command - in groups it's probably for another bot
+      if (isGroup) return;
+      await bot.sendMessage(chatId, `❓ Unknown command. Try /help for available commands.`);
+      return;
+    }
 
-            const imageFilename = `bot-${botId}-user-${msg.from.id}-${Date.now()}`;
+    if (isGroup && command.adminOnly && !await this.isGroupAdmin(botId, chatId, msg.from.id)) {
+      await bot.sendMessage(chatId, '🔒 Only group admins can use this command.', { reply_to_message_id: msg.message_id });
+      return;
+    }
 
-            // Call image generation HTTP service directly
-            try {
-              console.log(`🖼️  [${botId}] Calling image generation service...`);
-              const imageResponse = await fetch('http://localhost:3002/generate_image', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  prompt: imagePrompt,
-                  model: imageConfig.model,
-                  size: imageConfig.size,
-                  quality: imageConfig.quality,
-                  style: imageConfig.style,
-                  filename: imageFilename,
-                  output_dir: organizedDir,
-                  include_base64: false
-                })
-              });
-
-              if (!imageResponse.ok) {
-                const errorText = await imageResponse.text();
-                console.error(`❌ Image service error: ${imageResponse.status} - ${errorText}`);
-              } else {
-                const imageResult = await imageResponse.json();
-                if (imageResult.success && imageResult.image_path) {
-                  console.log(`✅ [${botId}] Image generated: ${imageResult.image_path}`);
-                  result.generatedImages = result.generatedImages || [];
-                  result.generatedImages.push(imageResult.image_path);
-                }
-              }
-            } catch (error) {
-              console.error(`❌ [${botId}] Image generation error:`, error.message);
-            }
-          }
-        }
-      }
+    if (command.prompt) {
+      // Sent to Claude as if the user had typed it
+      const text = renderCommandTemplate(command.prompt, args);
+      console.log(`⌨️  [${botId}] /${command.name} → prompt`);
+      await this.engine.handleMessage(this.telegram, this.telegram.normalize(botId, { ...msg, text }, group));
+      return;
+    }
 
-      // Capture and store the UUID from Claude's response
-      let claudeUuid = null;
-      if (result.success && result.metadata?.sessionInfo?.sessionId) {
-        claudeUuid = result.metadata.sessionInfo.sessionId;
-        const workspace = botInfo.config.workspace || null;
-        this.sessionManager.setCurrentUuid(botId, msg.from.id, claudeUuid, workspace);
-        console.log(`💾 [${botId}] Saved UUID ${claudeUuid.substring(0, 8)}... for user ${msg.from.id} (workspace: ${workspace || 'none'})`);
-      }
+    if (command.workflow) {
+      await bot.sendMessage(chatId, await this.runWorkflowCommand(botId, msg, renderCommandTemplate(command.workflow, args)));
+      return;
+    }
 
-      // Increment message count (count both user message + bot response = 2)
-      // Pass claudeUuid to track counts per session
-      this.sessionManager.incrementMessageCount(botId, msg.from.id, claudeUuid);
-      this.sessionManager.incrementMessageCount(botId, msg.from.id, claudeUuid);
+    await this.runCommandAction(botId, msg, command.action, args);
+  }
 
-      // Increment rate limit counter
-      this.rateLimiter.increment(botId, msg.from.id);
+  /**
+   * Run a built-in command action
+   *
+   * @param {string} botId - Bot identifier
+   * @param {Object} msg - Telegram message object
+   * @param {string} action - Action from lib/bot-commands BUILT_IN_ACTIONS
+   * @param {string} args - Command text after the command name
+   */
+  async runCommandAction(botId, msg, action, args) {
+    const chatId = msg.chat.id;
+    const isGroup = isGroupChat(msg.chat);
+    // Group chats share one session, so session commands apply to the whole group
+    const sessionKey = isGroup ? chatId : msg.from.id;
+    const { bot } = this.bots.get(botId);
+
+    switch (action) {
+      case 'help':
+        await bot.sendMessage(chatId, this.getHelpText(botId, isGroup));
+        break;
 
-      // Update last message time (for nudge system)
-      this.sessionManager.updateLastMessageTime(botId, msg.from.id);
+      case 'reset':
+        // INTERNAL: Silent reset - clears UUID but keeps tracking
+        // Moves current UUID to history, next message starts fresh Claude conversation
+        this.sessionManager.resetConversation(botId, sessionKey);
+        // No user notification - happens silently
+        console.log(`🔄 [${botId}] Conversation reset for ${sessionKey} (silent)`);
+        break;
 
-      // Mark last nudge as responded (if there was one)
-      const metadata = this.sessionManager.loadSessionMetadata(botId, msg.from.id);
-      if (metadata?.nudgeHistory?.length > 0) {
-        const lastNudge = metadata.nudgeHistory[metadata.nudgeHistory.length - 1];
-        if (!lastNudge.userResponded) {
-          this.sessionManager.markNudgeResponded(botId, msg.from.id, lastNudge.timestamp);
-        }
-      }
+      case 'restart':
+        // USER-FACING: Reset conversation with confirmation
+        this.sessionManager.resetConversation(botId, sessionKey);
+        await bot.sendMessage(chatId, '🔄 Conversation restarted!');
+        console.log(`🔄 [${botId}] Conversation restarted for ${sessionKey}`);
+        break;
 
-      // Delete thinking message
-      try {
-        await bot.deleteMessage(chatId, statusMsg.message_id);
-      } catch (e) {
-        // Ignore delete errors
+      case 'tts': {
+        const ttsEnabled = this.toggleTts(botId, sessionKey);
+        await bot.sendMessage(chatId, ttsEnabled ? '🎙️ Speech Mode Activated' : '💬 Text Mode Activated');
+        break;
       }
 
-      // Clear request tracking (request completed successfully)
-      await clearRequest(botId, msg.from.id);
-
-      // Send final response
-      console.log(`🐛 [${botId}] Result:`, JSON.stringify({success: result.success, hasText: !!result.text, hasImagePath: !!result.imagePath, hasAudioPath: !!result.audioPath}, null, 2));
-      // Accept result if: success AND (has text OR has image OR has audio)
-      if (result.success && (result.text || result.imagePath || result.audioPath)) {
-        let cleanResponse = result.text || '';
-
-        // Clean up response (remove system prompt echo if present)
-        if (cleanResponse && cleanResponse.includes('User:')) {
-          // Sometimes Claude echoes the prompt, remove it
-          const userIndex = cleanResponse.lastIndexOf('User:');
-          if (userIndex > 0) {
-            cleanResponse = cleanResponse.substring(userIndex + 5).trim();
-          }
-        }
-
-        // Check if audio was generated
-        const hasAudio = result.audioPath && result.audioPath !== null;
-        const sendTextTooAudio = brain.tts?.sendTextToo === true; // Default to false (audio only)
-
-        // Check if images were generated
-        // - 2-turn flow: result.imagePath (single image from sendToClaudeWithImage)
-        // - 1-turn flow: result.generatedImages (array from tool monitoring)
-        const hasImageFrom2Turn = result.imagePath && result.imagePath !== null;
-        const hasImagesFrom1Turn = result.generatedImages && result.generatedImages.length > 0;
-        const hasImages = hasImageFrom2Turn || hasImagesFrom1Turn;
-        const sendTextTooImage = brain.imageGen?.sendTextToo === true; // Default to false (image only)
+      case 'stats':
+        await bot.sendMessage(chatId, this.getStatsText(botId, sessionKey), { parse_mode: 'Markdown' });
+        break;
 
-        // Send audio if available
-        if (hasAudio) {
-          try {
-            await bot.sendVoice(chatId, result.audioPath);
-            console.log(`✅ [${botId}] Voice message sent: ${result.audioPath}`);
-          } catch (audioError) {
-            console.error(`❌ [${botId}] Failed to send audio:`, audioError.message);
-            // Fall back to text if audio fails
-            await bot.sendMessage(chatId, cleanResponse);
-          }
+      case 'link':
+        // Link codes would be visible to the whole group
+        if (isGroup) {
+          await bot.sendMessage(chatId, '🔒 Send /link in a private chat with me.', { reply_to_message_id: msg.message_id });
+          break;
         }
 
-        // Send images if available
-        if (hasImages) {
-          // 2-turn flow: single image
-          if (hasImageFrom2Turn) {
-            try {
-              await bot.sendPhoto(chatId, result.imagePath);
-              console.log(`✅ [${botId}] Image sent (2-turn): ${result.imagePath}`);
-            } catch (imageError) {
-              console.error(`❌ [${botId}] Failed to send image:`, imageError.message);
-            }
-          }
-
-          // 1-turn flow: multiple images (if any)
-          if (hasImagesFrom1Turn) {
-            for (const imagePath of result.generatedImages) {
-              try {
-                await bot.sendPhoto(chatId, imagePath);
-                console.log(`✅ [${botId}] Image sent (1-turn): ${imagePath}`);
-              } catch (imageError) {
-                console.error(`❌ [${botId}] Failed to send image:`, imageError.message);
-              }
-            }
-          }
-        }
+        await bot.sendMessage(chatId, await this.runLinkCommand(
+          { channel: this.telegram.name, userId: msg.from.id },
+          args
+        ));
+        break;
 
-        // Send text version ONLY if:
-        // - No audio/image was generated (text mode) OR
-        // - Audio was generated but sendTextToo is true OR
-        // - Image was generated but sendTextToo is true
-        const shouldSendText = (!hasAudio && !hasImages) ||
-                               (hasAudio && sendTextTooAudio) ||
-                               (hasImages && sendTextTooImage);
-
-        if (shouldSendText) {
-          // Split into chunks if needed (Telegram limit: 4096 chars)
-          const MAX_LENGTH = 4000;
-          if (cleanResponse.length <= MAX_LENGTH) {
-            await bot.sendMessage(chatId, cleanResponse);
-          } else {
-            // Send in chunks
-            for (let i = 0; i < cleanResponse.length; i += MAX_LENGTH) {
-              const chunk = cleanResponse.substring(i, i + MAX_LENGTH);
-              await bot.sendMessage(chatId, chunk);
-            }
-          }
+      case 'memory':
+        // Memories are personal
+        if (isGroup) {
+          await bot.sendMessage(chatId, '🔒 Send /memory in a private chat with me.', { reply_to_message_id: msg.message_id });
+          break;
         }
 
-        // Log response
-        let responseType;
-        if (hasAudio && sendTextTooAudio) {
-          responseType = '(voice + text)';
-        } else if (hasAudio) {
-          responseType = '(voice only)';
-        } else if (hasImages && sendTextTooImage) {
-          const imageCount = hasImagesFrom1Turn ? result.generatedImages.length : 1;
-          responseType = `(${imageCount} image(s) + text)`;
-        } else if (hasImages) {
-          const imageCount = hasImagesFrom1Turn ? result.generatedImages.length : 1;
-          responseType = `(${imageCount} image(s) only)`;
-        } else {
-          responseType = '(text only)';
-        }
-        console.log(`✅ [${botId}] Response sent ${responseType} (${cleanResponse.length} chars)`);
-
-        // Check if we should send a Call-to-Action message
-        if (brain.callToAction?.enabled) {
-          const metadata = this.sessionManager.loadSessionMetadata(botId, msg.from.id);
-          const triggerEvery = brain.callToAction.triggerEvery || 5;
-          const sendOnFirst = brain.callToAction.sendOnFirstMessage === true;
-
-          // Send CTA if:
-          // 1. It's the first message AND sendOnFirstMessage is true, OR
-          // 2. Message count is a multiple of triggerEvery
-          const shouldSendCTA = metadata && (
-            (sendOnFirst && metadata.messageCount === 1) ||
-            (metadata.messageCount % triggerEvery === 0)
-          );
-
-          if (shouldSendCTA) {
-            // Get delay in seconds (default to 0 for immediate send)
-            const delaySeconds = brain.callToAction.delaySeconds || 0;
-            const delayMs = delaySeconds * 1000;
-
-            // Send CTA after delay
-            setTimeout(async () => {
-              try {
-                if (brain.callToAction.image) {
-                  // Send photo with caption
-                  const imagePath = require('path').join(process.cwd(), brain.callToAction.image);
-                  await bot.sendPhoto(chatId, imagePath, {
-                    caption: brain.callToAction.message
-                  });
-                  console.log(`📢 [${botId}] CTA sent (with image) to user ${msg.from.id} (message #${metadata.messageCount}) after ${delaySeconds}s delay`);
-                } else {
-                  // Send text message with link preview
-                  await bot.sendMessage(chatId, brain.callToAction.message, {
-                    disable_web_page_preview: false
-                  });
-                  console.log(`📢 [${botId}] CTA sent to user ${msg.from.id} (message #${metadata.messageCount}) after ${delaySeconds}s delay`);
-                }
-              } catch (ctaError) {
-                console.error(`❌ [${botId}] Failed to send CTA:`, ctaError.message);
-              }
-            }, delayMs);
+        await bot.sendMessage(chatId, await this.runMemoryCommand(this.bots.get(botId).config.brain, msg.from.id, args));
+        break;
 
-            if (delaySeconds > 0) {
-              console.log(`⏰ [${botId}] CTA scheduled for user ${msg.from.id} in ${delaySeconds} seconds`);
-            }
-          }
-        }
-      } else {
-        // Error from Claude
-        // Delete thinking message
-        try {
-          await bot.deleteMessage(chatId, statusMsg.message_id);
-        } catch (e) {
-          // Ignore delete errors
+      case 'team':
+        // Show team menu if no args provided
+        if (!args) {
+          await this.showTeamMenu(botId, chatId);
+        } else {
+          // Handle as normal team command with args
+          await this.handleTeamCommand(botId, msg, args);
         }
+        break;
 
-        // Clear request tracking (request failed)
-        await clearRequest(botId, msg.from.id);
+      case 'group':
+        await bot.sendMessage(chatId, isGroup
+          ? await this.runGroupCommand(botId, chatId, msg.from.id, args)
+          : '❓ /group only works in group chats.');
+        break;
 
-        await bot.sendMessage(chatId, `❌ Sorry, I encountered an error: ${result.error || 'Unknown error'}\n\nPlease try sending your message again.`);
-        console.error(`❌ [${botId}] Claude error:`, result.error);
-      }
-    } catch (error) {
-      console.error(`❌ [${botId}] Error handling message:`, error);
+      default:
+        console.error(`⚠️ [${botId}] Unknown command action: ${action}`);
+        await bot.sendMessage(chatId, '❓ This command is not available for this bot. Try /help');
+    }
+  }
 
-      // Delete thinking message
-      try {
-        await bot.deleteMessage(chatId, statusMsg.message_id);
-      } catch (e) {
-        // Ignore delete errors
-      }
+  /**
+   * Run a workflow command: the filled-in template is the workflow's goal
+   *
+   * Workflows plan with the agents of the server's owner (USER_ID); the plan
+   * is reviewed and approved in the web workflow panel.
+   *
+   * @param {string} botId - Bot identifier
+   * @param {Object} msg - Telegram message object
+   * @param {string} goal - Workflow goal
+   * @returns {Promise<string>} Reply for the chat
+   */
+  async runWorkflowCommand(botId, msg, goal) {
+    const { workflowHandler } = this.engine;
+    if (!workflowHandler) {
+      return '❌ Workflows are not available on this server.';
+    }
 
-      // Clear request tracking (request crashed)
-      await clearRequest(botId, msg.from.id);
+    console.log(`🎭 [${botId}] Starting workflow from Telegram: ${goal.substring(0, 80)}`);
 
-      // Send user-friendly error message based on error type
-      const isTimeout = error.timeout === true;
-      const errorMsg = isTimeout
-        ? `⏱️ Sorry, I'm taking too long to respond. Please try again.`
-        : `❌ Sorry, something went wrong. Please try sending your message again.`;
+    try {
+      const result = await workflowHandler.startWorkflow({
+        userId: process.env.USER_ID || String(msg.from.id),
+        goal
+      });
 
-      // Log technical details to console for debugging
-      if (isTimeout) {
-        console.error(`❌ [${botId}] Request timed out after retries for user ${msg.from.id}`);
-      } else {
-        console.error(`❌ [${botId}] Error details:`, error.message, error.stack);
+      if (result.status === 'needs_discovery' || result.status === 'needs_clarification') {
+        return result.message || result.question ||
+          '❓ I need a bit more information to create a plan. Please answer the questions in the workflow panel.';
       }
 
-      try {
-        await bot.sendMessage(chatId, errorMsg);
-      } catch (e) {
-        // Failed to send error message
-        console.error(`❌ [${botId}] Failed to send error message:`, e.message);
-      }
+      return `📋 Workflow plan created with ${result.plan?.steps?.length || 0} steps. ` +
+        'Review and approve it in the workflow panel.';
+    } catch (error) {
+      console.error(`❌ [${botId}] Workflow error:`, error);
+      return `❌ Error creating workflow plan: ${error.message}`;
     }
   }
 
   /**
-   * Handle bot commands
+   * Help text, listing the commands available in the chat
    *
    * @param {string} botId - Bot identifier
-   * @param {Object} msg - Telegram message object
+   * @param {boolean} isGroup - Group chat (otherwise private)
+   * @returns {string} Help text
    */
-  async handleCommand(botId, msg) {
-    const chatId = msg.chat.id;
-    const command = msg.text.split(' ')[0].toLowerCase();
-
-    const botInfo = this.bots.get(botId);
-    if (!botInfo) return;
-
-    const { bot, brain } = botInfo;
+  getHelpText(botId, isGroup) {
+    const { brain, telegramUser } = this.bots.get(botId);
+    const commands = listCommands(this.getCommands(botId), isGroup);
+    const format = list => list.map(command => `/${command.name} - ${command.description}`).join('\n');
 
-    switch (command) {
-      case '/start':
-      case '/help':
-        let helpText = `👋 Hi! I'm ${brain.name || 'a bot'}.
+    if (!isGroup) {
+      return `👋 Hi! I'm ${brain.name || 'a bot'}.
 
 Just send me a message and I'll respond.
 
 Commands:
-/help - Show this help message
-/tts - Toggle voice/text mode
-/stats - Show conversation stats`;
+${format(commands)}`;
+    }
 
-        // Add /team command for focus bots
-        if (['finnshipley', 'mattyatlas', 'rickd'].includes(botId)) {
-          helpText += `\n/team - Share context with another bot`;
-        }
+    const mention = telegramUser.username ? `@${telegramUser.username}` : 'me';
+    const forEveryone = commands.filter(command => !command.adminOnly);
+    const forAdmins = commands.filter(command => command.adminOnly);
 
-        // Add /restart command for CartoonGen only
-        if (botId === 'cartooned') {
-          helpText += `\n/restart - Start fresh conversation`;
-        }
+    return [
+      `👋 Hi! I'm ${brain.name || 'a bot'}.`,
+      `In this group I answer when you mention ${mention} or reply to one of my messages. Everyone here shares one conversation with me.`,
+      forEveryone.length > 0 && `Commands:\n${format(forEveryone)}`,
+      forAdmins.length > 0 && `Admins:\n${format(forAdmins)}`
+    ].filter(Boolean).join('\n\n');
+  }
 
-        await bot.sendMessage(chatId, helpText);
+  /**
+   * Run /group: show or change a group's settings (admins only)
+   *
+   *   /group                        Show settings
+   *   /group on | off               Answer in this group or not
+   *   /group limit <perMinute> <daily> | default
+   *   /group instructions <text> | clear
+   *
+   * @param {string} botId - Bot identifier
+   * @param {number} chatId - Group chat ID
+   * @param {number} userId - Admin running the command
+   * @param {string} args - Command text after "/group"
+   * @returns {Promise<string>} Reply for the group
+   */
+  async runGroupCommand(botId, chatId, userId, args) {
+    const { brain } = this.bots.get(botId);
+    const [option = '', ...rest] = args.trim().split(/\s+/);
+    const value = args.trim().substring(option.length).trim();
+    let changes;
+
+    switch (option.toLowerCase()) {
+      case '':
         break;
 
-      case '/reset':
-        // INTERNAL: Silent reset - clears UUID but keeps tracking
-        // Moves current UUID to history, next message starts fresh Claude conversation
-        this.sessionManager.resetConversation(botId, msg.from.id);
-        // No user notification - happens silently
-        console.log(`🔄 [${botId}] Conversation reset for user ${msg.from.id} (silent)`);
+      case 'on':
+      case 'off':
+        changes = { enabled: option.toLowerCase() === 'on' };
         break;
 
-      case '/restart':
-        // USER-FACING: Reset conversation with confirmation
-        // Only available for CartoonGen bot
-        if (botId === 'cartooned') {
-          this.sessionManager.resetConversation(botId, msg.from.id);
-          await bot.sendMessage(chatId, '🔄 Conversation restarted!');
-          console.log(`🔄 [${botId}] Conversation restarted for user ${msg.from.id}`);
-        } else {
-          await bot.sendMessage(chatId, '❓ This command is not available for this bot. Try /help');
+      case 'limit': {
+        if (rest[0] === 'default') {
+          changes = { perMinute: null, daily: null };
+          break;
+        }
+        const [perMinute, daily] = rest.map(n => parseInt(n));
+        if (!(perMinute >= 1) || !(daily >= 0)) {
+          return '⚠️ Usage: /group limit <messages per minute> <messages per day>, or /group limit default';
         }
+        changes = { perMinute, daily };
         break;
+      }
 
-      case '/tts':
-        // Toggle TTS on/off for this user
-        const currentTtsPref = this.sessionManager.getTtsPreference(botId, msg.from.id);
-        const brainDefault = brain.tts?.enabled === true;
+      case 'instructions':
+        if (!value) {
+          return '⚠️ Usage: /group instructions <text>, or /group instructions clear';
+        }
+        changes = { instructions: value === 'clear' ? '' : value };
+        break;
 
-        // If no preference set, use opposite of brain default
-        // If preference is set, toggle it
-        const currentState = currentTtsPref !== null ? currentTtsPref : brainDefault;
-        const newState = !currentState;
+      default:
+        return '❓ Unknown option. Use /group on, /group off, /group limit or /group instructions.';
+    }
 
-        this.sessionManager.setTtsPreference(botId, msg.from.id, newState);
+    let settings;
+    try {
+      settings = changes
+        ? await updateGroupSettings(this.telegram.name, chatId, changes, userId)
+        : await getGroupSettings(this.telegram.name, chatId);
+    } catch (err) {
+      console.error(`❌ Failed to update settings for group ${chatId}:`, err.message);
+      return '❌ Failed to save group settings. Please try again.';
+    }
 
-        const confirmationMsg = newState
-          ? '🎙️ Speech Mode Activated'
-          : '💬 Text Mode Activated';
+    // Instructions are part of the session's system prompt - start a new session to apply them
+    if (changes && 'instructions' in changes) {
+      this.sessionManager.resetConversation(botId, chatId);
+    }
 
-        await bot.sendMessage(chatId, confirmationMsg);
-        console.log(`🔊 [${botId}] TTS toggled for user ${msg.from.id}: ${currentState} → ${newState}`);
-        break;
+    const limits = this.rateLimiter.getGroupLimits(brain, settings);
+    return `${changes ? '✅ Group settings updated' : '⚙️ Group settings'}
 
-      case '/stats':
-        // Show session metadata
-        const metadata = this.sessionManager.loadSessionMetadata(botId, msg.from.id);
-        if (metadata) {
-          const statsText = `📊 **Conversation Stats**
+Answering: ${settings.enabled ? 'on' : 'off'}
+Rate limit: ${limits.perMinute}/minute, ${limits.daily}/day${settings.perMinute == null && settings.daily == null ? ' (default)' : ''}
+Instructions: ${settings.instructions || '(none)'}`;
+  }
 
-Messages: ${metadata.messageCount}
-Started: ${metadata.created.toLocaleDateString()}
-Last message: ${metadata.modified.toLocaleString()}
-Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
+  /**
+   * Toggle voice replies for a user (/tts on any channel)
+   *
+   * @param {string} botId - Bot identifier
+   * @param {string|number} userId - User ID
+   * @returns {boolean} Whether TTS is now enabled
+   */
+  toggleTts(botId, userId) {
+    const { brain } = this.bots.get(botId);
+    const currentTtsPref = this.sessionManager.getTtsPreference(botId, userId);
+    const brainDefault = brain.tts?.enabled === true;
 
-          await bot.sendMessage(chatId, statsText, { parse_mode: 'Markdown' });
-        } else {
-          await bot.sendMessage(chatId, '📊 No conversation history yet. Send a message to start!');
-        }
-        break;
+    // If no preference set, use opposite of brain default
+    // If preference is set, toggle it
+    const currentState = currentTtsPref !== null ? currentTtsPref : brainDefault;
+    const newState = !currentState;
 
-      case '/team':
-        // Show team menu if no args provided
-        if (msg.text.trim() === '/team') {
-          await this.showTeamMenu(botId, chatId);
-        } else {
-          // Handle as normal team command with args
-          await this.handleTeamCommand(botId, msg);
-        }
-        break;
+    this.sessionManager.setTtsPreference(botId, userId, newState);
+    console.log(`🔊 [${botId}] TTS toggled for user ${userId}: ${currentState} → ${newState}`);
 
-      default:
-        // Unknown command
-        await bot.sendMessage(chatId, `❓ Unknown command. Try /help for available commands.`);
+    return newState;
+  }
+
+  /**
+   * Conversation stats for a user (/stats on any channel)
+   *
+   * @param {string} botId - Bot identifier
+   * @param {string|number} userId - User ID
+   * @returns {string} Stats text (Markdown)
+   */
+  getStatsText(botId, userId) {
+    const metadata = this.sessionManager.loadSessionMetadata(botId, userId);
+    if (!metadata) {
+      return '📊 No conversation history yet. Send a message to start!';
     }
+
+    const sizeBytes = getTranscriptSize(metadata.currentUuid, metadata.workspacePath);
+
+    // Session metadata stores ISO strings
+    let text = `📊 **Conversation Stats**
+
+Messages: ${metadata.messageCount}
+Size: ${formatBytes(sizeBytes)}
+Started: ${new Date(metadata.createdAt).toLocaleDateString()}
+Last message: ${new Date(metadata.lastMessageTime || metadata.updatedAt).toLocaleString()}`;
+
+    // Compacted sessions carry on from a summary of the earlier ones
+    if (metadata.compactionCount) {
+      text += `\nEarlier conversations summarized: ${metadata.compactionCount} (last ${new Date(metadata.compactedAt).toLocaleDateString()})`;
+    }
+
+    return text;
   }
 
   /**
@@ -1253,9 +1167,11 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
 
     const { bot } = botInfo;
 
-    // Focus bots: finnshipley, mattyatlas, rickd
-    const focusBots = ['finnshipley', 'mattyatlas', 'rickd'];
-    const availableBots = focusBots.filter(b => b !== botId && this.bots.has(b));
+    // The team: Telegram bots that list /team in their menu
+    const availableBots = Array.from(this.bots.keys()).filter(id =>
+      id !== botId && this.bots.get(id).bot &&
+      listCommands(this.getCommands(id), false).some(command => command.action === 'team')
+    );
 
     if (availableBots.length === 0) {
       await bot.sendMessage(chatId, '⚠️ No other bots available for team delegation.');
@@ -1318,7 +1234,8 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
       // Get recent messages
       let recentMessages = [];
       try {
-        recentMessages = await this.getRecentMessages(botId, userId, 15);
+        // From a group, share the group's conversation
+        recentMessages = await this.getRecentMessages(botId, isGroupChat(query.message.chat) ? chatId : userId, 15);
         logger.user(botId, userId, 'info', 'Retrieved context messages', {
           messageCount: recentMessages.length
         });
@@ -1338,7 +1255,7 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
           messageCount: recentMessages.length
         });
 
-        await this.delegateToBot(botId, targetBotId, userId, task, recentMessages);
+        await this.delegateToUser(botId, targetBotId, { channel: this.telegram.name, userId }, task, recentMessages);
 
         const targetBotInfo = this.bots.get(targetBotId);
         const targetName = targetBotInfo?.brain?.name || targetBotId;
@@ -1382,9 +1299,98 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
           }
         );
       }
+    } else if (data.startsWith('btn:') || data.startsWith('btn#')) {
+      await this.handleButtonClick(botId, query);
+    } else if (data.startsWith('perm:')) {
+      await this.handleApprovalClick(botId, query);
+    }
+  }
+
+  /**
+   * Allow or Deny was clicked on a tool approval prompt
+   *
+   * The engine is waiting for the answer (lib/tool-permissions) and updates
+   * the prompt itself; only expired prompts are handled here.
+   *
+   * @param {string} botId - Bot identifier
+   * @param {Object} query - Telegram callback query
+   */
+  async handleApprovalClick(botId, query) {
+    const { bot } = this.bots.get(botId);
+    const [, requestId, decision] = query.data.split(':');
+    const result = answerApproval(requestId, decision, query.from.id);
+
+    if (result === 'forbidden') {
+      // In groups only the person who asked can approve
+      logger.user(botId, query.from.id, 'info', 'Ignored approval from another user', { requestId });
+    } else if (result === 'expired') {
+      await bot.editMessageText('⌛ This request has expired.', {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id
+      }).catch(() => {});
     }
   }
 
+  /**
+   * A reply markup button was clicked: its payload becomes the user's next message
+   *
+   * @param {string} botId - Bot identifier
+   * @param {Object} query - Telegram callback query
+   */
+  async handleButtonClick(botId, query) {
+    const { bot } = this.bots.get(botId);
+    const chatId = query.message.chat.id;
+    const payload = this.telegram.fromCallbackData(query.data);
+
+    // Buttons are single-use - remove them so they can't be clicked twice
+    bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: query.message.message_id })
+      .catch(() => {});
+
+    if (payload === null) {
+      await bot.sendMessage(chatId, '⌛ That button has expired - please type your answer instead.');
+      return;
+    }
+
+    await this.handleMessage(botId, this.buildReplyMessage(query.from, query.message, payload));
+  }
+
+  /**
+   * Someone voted in a poll the bot sent: their choice becomes their next message
+   *
+   * @param {string} botId - Bot identifier
+   * @param {Object} answer - Telegram poll answer
+   */
+  async handlePollAnswer(botId, answer) {
+    const poll = this.telegram.polls.get(answer.poll_id);
+    // Unknown poll (sent before a restart) or a retracted vote
+    if (!poll || poll.botId !== botId || !answer.user || answer.option_ids.length === 0) return;
+
+    const choice = answer.option_ids.map(index => poll.options[index]).join(', ');
+    const pollMessage = { message_id: poll.messageId, chat: poll.chat, from: this.bots.get(botId)?.telegramUser };
+
+    await this.handleMessage(botId, this.buildReplyMessage(answer.user, pollMessage, choice));
+  }
+
+  /**
+   * A Telegram message from a user replying to one of the bot's messages
+   * (so it counts as addressed to the bot in groups)
+   *
+   * @param {Object} from - Telegram user
+   * @param {Object} botMessage - The bot's message they're answering
+   * @param {string} text - What they chose
+   * @returns {Object} Telegram message object
+   */
+  buildReplyMessage(from, botMessage, text) {
+    return {
+      message_id: botMessage.message_id,
+      from,
+      chat: botMessage.chat,
+      date: Math.floor(Date.now() / 1000),
+      text,
+      reply_to_message: botMessage
+    };
+  }
+
   /**
    * Start all bots
    *
@@ -1405,7 +1411,7 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
   /**
    * Stop all bots
    *
-   * Gracefully shut down all Telegram bot instances.
+   * Gracefully shut down all Telegram bot instances and Discord/Slack connections.
    */
   async stopAll() {
     logger.info('Shutting down bots...');
@@ -1415,9 +1421,11 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
       clearInterval(this.healthCheckInterval);
     }
 
-    for (const [id, { bot }] of this.bots) {
+    for (const [id, { bot, discord, slack }] of this.bots) {
       try {
-        await bot.stopPolling();
+        discord?.destroy();
+        slack?.destroy();
+        if (bot) await bot.stopPolling();
         logger.bot(id, 'info', 'Bot stopped');
       } catch (error) {
         logger.bot(id, 'error', 'Error stopping bot', { error: error.message });
@@ -1438,6 +1446,54 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
     return this.bots.get(botId) || null;
   }
 
+  /**
+   * Reload the brain of every bot using a brain slug (after its file changed)
+   *
+   * Bots keep their previous brain if the new one fails to load.
+   *
+   * @param {string} slug - Brain slug
+   */
+  async refreshBrain(slug) {
+    for (const [botId, botInfo] of this.bots) {
+      if (botInfo.config.brain !== slug) continue;
+
+      try {
+        botInfo.brain = await this.brainLoader.load(slug);
+        logger.bot(botId, 'info', `Brain reloaded: ${slug}`);
+
+        // The brain may have changed its commands
+        if (botInfo.bot) this.setupBotCommands(botInfo.bot, botId);
+      } catch (error) {
+        logger.bot(botId, 'error', 'Brain reload failed - keeping previous brain', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Get a bot's brain config with instance config_overrides applied
+   *
+   * @param {Object} botInfo - Bot info from this.bots
+   * @returns {Object} Effective brain config
+   */
+  getEffectiveBrain(botInfo) {
+    if (!botInfo) return {};
+    return { ...botInfo.brain, ...botInfo.config?.brainConfig };
+  }
+
+  /**
+   * Resolve the MCP tool allow-list for a bot
+   *
+   * Instance config_overrides (merged into config.brainConfig) win over the
+   * brain's own allowedTools. Undefined means all tools are available.
+   *
+   * @param {Object} botInfo - Bot info from this.bots
+   * @returns {Array<string>|undefined} Allowed tool names
+   */
+  getAllowedTools(botInfo) {
+    if (!botInfo) return undefined;
+    return botInfo.config?.brainConfig?.allowedTools ?? botInfo.brain?.allowedTools;
+  }
+
   /**
    * List all active bots
    *
@@ -1462,8 +1518,14 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
       try {
         const { bot, status, lastHealthCheck, messageCount, errorCount, config } = botInfo;
 
-        // Skip health checks for webOnly bots (they don't have Telegram polling)
-        if (config.webOnly) {
+        // Skip health checks for webOnly and Discord-only bots (they don't have Telegram polling)
+        if (config.webOnly || !bot) {
+          continue;
+        }
+
+        // Webhook bots are checked with getWebhookInfo (bots still waiting for a URL are skipped)
+        if (this.usesTelegramWebhook()) {
+          if (botInfo.webhookUrl) this.checkWebhook(id, botInfo);
           continue;
         }
 
@@ -1497,8 +1559,49 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
     }
   }
 
+  /**
+   * Check that Telegram still has a bot's webhook and can deliver to it
+   *
+   * @param {string} id - Bot identifier
+   * @param {Object} botInfo - Bot info from this.bots
+   */
+  async checkWebhook(id, botInfo) {
+    try {
+      const info = await botInfo.bot.getWebHookInfo();
+
+      // Webhook replaced or removed (e.g. someone polled with the same token) - set it again
+      if (info.url !== botInfo.webhookUrl) {
+        logger.bot(id, 'warn', 'Bot unhealthy - webhook not set', { expected: botInfo.webhookUrl, actual: info.url });
+        botInfo.status = 'unhealthy';
+        this.recoverBot(id);
+        return;
+      }
+
+      // Telegram keeps the last delivery error - only report new ones
+      if (info.last_error_date && info.last_error_date !== botInfo.lastWebhookError) {
+        botInfo.lastWebhookError = info.last_error_date;
+        logger.bot(id, 'warn', 'Telegram could not deliver to the webhook', {
+          error: info.last_error_message,
+          pendingUpdates: info.pending_update_count
+        });
+      }
+
+      if (botInfo.status !== 'healthy') {
+        logger.bot(id, 'info', 'Bot recovered', { messageCount: botInfo.messageCount, errorCount: botInfo.errorCount });
+        botInfo.status = 'healthy';
+        botInfo.errorCount = 0;
+      }
+    } catch (error) {
+      logger.bot(id, 'error', 'Webhook health check failed', { error: error.message });
+      botInfo.errorCount++;
+    }
+  }
+
   /**
    * Attempt to recover a bot
+   *
+   * Replaces the Telegram bot instance and, in webhook mode, registers the
+   * webhook again.
    */
   async recoverBot(id) {
     logger.bot(id, 'warn', 'Attempting bot recovery...');
@@ -1511,22 +1614,22 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
     try {
       // Stop polling
       await bot.stopPolling();
+      bot.removeAllListeners();
 
       // Wait a bit
       await new Promise(resolve => setTimeout(resolve, 2000));
 
       // Recreate bot instance
-      const newBot = new TelegramBot(config.token, { polling: true });
-
-      // Set up handlers
-      newBot.on('message', (msg) => this.handleMessage(id, msg));
-      newBot.on('polling_error', (error) => {
-        logger.bot(id, 'error', 'Polling error', { error: error.message });
-        this.handleBotError(id, error);
-      });
+      const newBot = this.createTelegramBot(config.token);
+      this.attachTelegramHandlers(id, newBot);
 
       // Update bot info
       botInfo.bot = newBot;
+
+      if (this.usesTelegramWebhook() && this.webhookBaseUrl) {
+        await this.registerWebhook(id);
+      }
+
       botInfo.status = 'healthy';
       botInfo.errorCount = 0;
       botInfo.lastHealthCheck = new Date();
@@ -1565,66 +1668,73 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
    * Example: /team @finnshipley implement the authentication system
    * Example: /team @finnshipley -m 20 review our conversation about auth
    */
-  async handleTeamCommand(sourceBotId, msg) {
-    const userId = msg.from.id;
-    const chatId = msg.chat.id;
-    const text = msg.text || '';
-
+  async handleTeamCommand(sourceBotId, msg, args) {
     const sourceBotInfo = this.bots.get(sourceBotId);
     if (!sourceBotInfo) return;
 
-    const sourceBot = sourceBotInfo.bot;
+    const reply = await this.runTeamCommand(
+      sourceBotId,
+      { channel: this.telegram.name, userId: msg.from.id },
+      args,
+      // From a group, share the group's conversation
+      isGroupChat(msg.chat) ? msg.chat.id : msg.from.id
+    );
+    await sourceBotInfo.bot.sendMessage(msg.chat.id, reply);
+  }
+
+  /**
+   * Run /team from any channel: share recent context with other bots
+   *
+   * The context comes from the user's current session with the source bot.
+   * Each target bot gets it on whichever of its channels the user can be
+   * reached on - the same channel, or one linked with /link.
+   *
+   * @param {string} sourceBotId - Bot the command was sent to
+   * @param {Object} identity - { channel, userId } of the sender
+   * @param {string} args - Command text after "/team"
+   * @param {string|number} [sessionKey] - Session to share (default: the sender's; group chats use the group's)
+   * @returns {Promise<string>} Reply for the sender
+   */
+  async runTeamCommand(sourceBotId, identity, args, sessionKey = identity.userId) {
+    const { userId } = identity;
 
-    // Parse: "/team @finn @priest task description here"
-    const botMentions = text.match(/@(\w+)/g) || [];
+    // Parse: "@finn @priest task description here"
+    const botMentions = args.match(/@(\w+)/g) || [];
     const targetBots = botMentions.map(m => m.slice(1).toLowerCase());
 
     // Extract optional -m flag for message count
-    const msgCountMatch = text.match(/-m\s+(\d+)/);
+    const msgCountMatch = args.match(/-m\s+(\d+)/);
     const msgCount = msgCountMatch ? parseInt(msgCountMatch[1]) : 15; // Default 15 messages
 
-    // Extract task (everything after /team, minus @mentions and -m flag)
-    const task = text
-      .replace('/team', '')
+    // Extract task (minus @mentions and -m flag)
+    const task = args
       .replace(/@\w+/g, '')
       .replace(/-m\s+\d+/, '')
       .trim();
 
     // Validation
     if (targetBots.length === 0) {
-      await sourceBot.sendMessage(chatId,
-        `ℹ️ **/team Command Usage**\n\n` +
+      return `ℹ️ **/team Command Usage**\n\n` +
         `Send context to another bot:\n` +
         `/team @botname task description\n` +
         `/team @botname -m 30 task description (custom message count)\n\n` +
         `**Available bots:**\n${Array.from(this.bots.keys()).map(b => `• @${b}`).join('\n')}\n\n` +
-        `Default: 15 messages shared`
-      );
-      return;
+        `Default: 15 messages shared`;
     }
 
     if (!task) {
-      await sourceBot.sendMessage(chatId,
-        `⚠️ Please provide a task description.\n\n` +
-        `Example: /team @finnshipley review this code`
-      );
-      return;
+      return `⚠️ Please provide a task description.\n\n` +
+        `Example: /team @finnshipley review this code`;
     }
 
     // Get recent context from source bot's session
-    let recentMessages = [];
-    try {
-      recentMessages = await this.getRecentMessages(sourceBotId, userId, msgCount);
-    } catch (err) {
-      console.error(`⚠️ Failed to read session context for ${sourceBotId}:`, err.message);
-      // Continue with empty context
-    }
+    const recentMessages = await this.getRecentContext(sourceBotId, identity, msgCount, sessionKey);
 
     // Send to each target bot
     const results = [];
     for (const targetBotId of targetBots) {
       try {
-        await this.delegateToBot(sourceBotId, targetBotId, userId, task, recentMessages);
+        await this.delegateToUser(sourceBotId, targetBotId, identity, task, recentMessages);
         results.push(`✅ @${targetBotId}`);
       } catch (err) {
         console.error(`❌ Failed to delegate to ${targetBotId}:`, err.message);
@@ -1632,17 +1742,96 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
       }
     }
 
-    // Confirm to user in source bot's chat
-    await sourceBot.sendMessage(chatId,
-      `📨 **Context shared with:**\n${results.join('\n')}\n\n` +
-      `📝 Sent ${recentMessages.length} messages of context\n` +
-      `Check your conversation with each bot to continue.`
-    );
-
     logger.user(sourceBotId, userId, 'info', 'Team delegation', {
+      channel: identity.channel,
       targetBots,
       task: task.substring(0, 50)
     });
+
+    return `📨 **Context shared with:**\n${results.join('\n')}\n\n` +
+      `📝 Sent ${recentMessages.length} messages of context\n` +
+      `Check your conversation with each bot to continue.`;
+  }
+
+  /**
+   * Run /link from any channel
+   *
+   * "/link" replies with a one-time code; "/link <code>" on another channel
+   * links the two accounts (see lib/account-links.js).
+   *
+   * @param {Object} identity - { channel, userId } of the sender
+   * @param {string} args - Command text after "/link"
+   * @returns {Promise<string>} Reply for the sender
+   */
+  async runLinkCommand(identity, args) {
+    const code = args.trim();
+
+    if (!code) {
+      const newCode = createLinkCode(identity);
+      return `🔗 Your link code: ${newCode}\n\n` +
+        `Send /link ${newCode} to a bot on another channel (Telegram, Slack) within 10 minutes to link your accounts.`;
+    }
+
+    let linked;
+    try {
+      linked = await redeemLinkCode(code, identity);
+    } catch (err) {
+      console.error(`❌ Failed to link accounts for ${identity.channel} user ${identity.userId}:`, err.message);
+      return '❌ Failed to link accounts. Please try again.';
+    }
+
+    if (!linked) {
+      return '❌ That link code is invalid or has expired. Send /link to get a new one.';
+    }
+
+    console.log(`🔗 Linked ${identity.channel} user ${identity.userId} (${linked.length} accounts)`);
+    return `✅ Accounts linked: ${[...new Set(linked.map(i => i.channel))].join(', ')}`;
+  }
+
+  /**
+   * Run /memory: list, forget one or clear what the bot remembers about a user
+   *
+   * "/memory" lists memories (numbered, newest first), "/memory forget <n>"
+   * deletes one and "/memory clear" deletes them all (see lib/user-memory.js).
+   *
+   * @param {string} brain - Brain name
+   * @param {string|number} userId - User ID
+   * @param {string} args - Command text after "/memory"
+   * @returns {Promise<string>} Reply for the user
+   */
+  async runMemoryCommand(brain, userId, args) {
+    const [subcommand = '', number] = args.trim().split(/\s+/);
+
+    try {
+      const memories = await listMemories(brain, userId);
+
+      if (!subcommand) {
+        if (memories.length === 0) {
+          return '🧠 I don\'t remember anything about you yet.';
+        }
+        return `🧠 What I remember about you:\n\n${memories.map((memory, i) => `${i + 1}. ${memory.fact}`).join('\n')}\n\n` +
+          'Send /memory forget <number> to delete one, or /memory clear to delete everything.';
+      }
+
+      if (subcommand.toLowerCase() === 'clear') {
+        const count = await forget(brain, userId);
+        return `🗑️ Forgot ${count} ${count === 1 ? 'memory' : 'memories'}.`;
+      }
+
+      if (subcommand.toLowerCase() === 'forget') {
+        const memory = memories[parseInt(number) - 1];
+        if (!memory) {
+          return '❓ No memory with that number. Send /memory to see the list.';
+        }
+        await forget(brain, userId, { id: memory.id });
+        return `🗑️ Forgotten: ${memory.fact}`;
+      }
+    } catch (err) {
+      console.error(`❌ /memory failed for ${brain} user ${userId}:`, err.message);
+      return '❌ Couldn\'t load your memories. Please try again.';
+    }
+
+    return '❓ Usage: /memory, /memory forget <number> or /memory clear';
   }
 
   /**
@@ -1682,7 +1871,7 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
       const BOT_SERVER_PORT = process.env.BOT_SERVER_PORT || 3010;
       const callbackResponse = await fetch(`http://localhost:${BOT_SERVER_PORT}/callback/${requestId}`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...serviceAuthHeaders() },
         body: JSON.stringify({
           response: response === 'YES',
           reasoning: reasoning || 'No reasoning provided'
@@ -1716,6 +1905,74 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
     }
   }
 
+  /**
+   * Delegate to a target bot on whichever channel reaches the user
+   *
+   * Telegram targets continue the user's existing session with the bot;
+   * Slack targets start a new thread in the user's DM with the bot. Users
+   * are found on the sender's channel or any account linked with /link.
+   *
+   * @param {string} sourceBotId - Bot the context comes from
+   * @param {string} targetBotId - Bot to delegate to
+   * @param {Object} identity - { channel, userId } of the user
+   * @param {string} task - Task description
+   * @param {Array<Object>} recentMessages - [{ role, text }] context
+   */
+  async delegateToUser(sourceBotId, targetBotId, identity, task, recentMessages) {
+    const targetBotInfo = this.bots.get(targetBotId);
+    if (!targetBotInfo) {
+      throw new Error(`Bot not found: ${targetBotId}`);
+    }
+
+    const identities = await getLinkedIdentities(identity);
+    const telegramUser = targetBotInfo.bot && identities.find(i => i.channel === this.telegram.name);
+    const slackUser = targetBotInfo.slack && identities.find(i => i.channel === this.slack.name);
+
+    if (telegramUser) {
+      return this.delegateToBot(sourceBotId, targetBotId, telegramUser.userId, task, recentMessages);
+    }
+
+    if (slackUser) {
+      const contextMsg = this.buildDelegationMessage(sourceBotId, task, recentMessages);
+      await this.slack.delegate(targetBotId, slackUser.userId, sourceBotId, contextMsg);
+      console.log(`✅ Delegated from ${sourceBotId} to ${targetBotId} for Slack user ${slackUser.userId}`);
+      return;
+    }
+
+    throw new Error(`No linked account reaches @${targetBotId}. Use /link to connect your accounts.`);
+  }
+
+  /**
+   * Get recent messages from a user's current session with a bot, on any channel
+   *
+   * @param {string} botId - Bot identifier
+   * @param {Object} identity - { channel, userId }
+   * @param {number} [limit=15] - Max messages
+   * @param {string|number} [sessionKey] - SessionManager key (default: the user; group chats use the group)
+   * @returns {Promise<Array<Object>>} [{ role, text }]
+   */
+  async getRecentContext(botId, identity, limit = 15, sessionKey = identity.userId) {
+    try {
+      // Slack threads are stored sessions - the current one is the user's latest thread with the bot
+      if (identity.channel === this.slack.name) {
+        const sessionId = this.sessionManager.getCurrentUuid(botId, sessionKey);
+        if (!sessionId) return [];
+
+        const messages = await messageStore.loadMessages(sessionId);
+        return messages
+          .filter(m => m.message_type === 'text' && (m.role === 'user' || m.role === 'assistant'))
+          .slice(-limit)
+          .map(m => ({ role: m.role, text: m.content }));
+      }
+
+      return await this.getRecentMessages(botId, sessionKey, limit);
+    } catch (err) {
+      console.error(`⚠️ Failed to read session context for ${botId}:`, err.message);
+      // Continue with empty context
+      return [];
+    }
+  }
+
   /**
    * Delegate task to a target bot with context
    */
@@ -1741,6 +1998,7 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
       sessionId: targetSessionId,
       claudeCmd: this.claudeCmd,
       workspacePath: targetBotInfo.config.workspace || null,
+      allowedTools: this.getAllowedTools(targetBotInfo),
       botId: targetBotId,
       telegramUserId: userId,
       chatId: userId, // DM with user
@@ -1789,7 +2047,7 @@ Session size: ${(metadata.sizeBytes / 1024).toFixed(1)} KB`;
           try {
             const callbackResponse = await fetch(`http://localhost:${BOT_SERVER_PORT}/callback/${requestId}`, {
               method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
+              headers: { 'Content-Type': 'application/json', ...serviceAuthHeaders() },
               body: JSON.stringify({
                 response: booleanResponse,
                 reasoning: result.text.substring(0, 500) // First 500 chars as reasoning
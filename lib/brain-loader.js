@@ -1,24 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
 const securityProfiles = require('./security-profiles');
-const supabase = require('./supabase-client');
+const { getStorage } = require('./storage');
+const { validateBrainConfig } = require('./brain-schema');
+const { buildMemoryPrompt } = require('./user-memory');
+const { buildKnowledgePrompt } = require('./knowledge-base');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Editors often write a file in several steps - wait for them to settle
+const RELOAD_DEBOUNCE_MS = 150;
 
 /**
  * BrainLoader
  *
- * Loads agent configurations from Supabase (marketplace_agents table).
- * Supabase is the single source of truth for all agent definitions.
- * Local brain files in /brains are for development reference only.
+ * Loads agent configurations from two sources:
+ *   - brains/<slug>.js files (local, hot-reloaded when they change)
+ *   - the marketplace_agents table (Supabase or local SQLite - see lib/storage)
+ *
+ * When both define a slug, the file's fields win over the database row's
+ * brain_config, so personalities can be iterated on locally without editing
+ * rows or restarting. Files starting with "_" (e.g. _template.js) are ignored.
+ *
+ * Events:
+ *   'brain:reloaded' { slug, error } - a brain file changed and the cache was cleared
  */
-class BrainLoader {
-  constructor() {
+class BrainLoader extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.brainsDir - Brain file directory (default: brains/)
+   * @param {boolean} options.watch - Hot-reload brain files (default: true unless BRAIN_HOT_RELOAD=false)
+   */
+  constructor(options = {}) {
+    super();
     this.cache = new Map(); // Brain slug → brain config
+    this.brainsDir = options.brainsDir || path.join(__dirname, '..', 'brains');
+    this.watcher = null;
+    this.reloadTimers = new Map(); // slug → debounce timer
+
+    const watch = options.watch ?? process.env.BRAIN_HOT_RELOAD !== 'false';
+    if (watch) {
+      this.watch();
+    }
   }
 
   /**
-   * Load an agent brain by slug or UUID from Supabase
+   * Load an agent brain by slug or UUID (brain file merged over database row)
    *
    * @param {string} slugOrId - Agent slug or UUID
    * @returns {Promise<Object>} Brain configuration object
-   * @throws {Error} If agent not found or missing systemPrompt
+   * @throws {Error} If agent not found or the brain is invalid
    */
   async load(slugOrId) {
     // Return cached brain if already loaded
@@ -26,72 +58,226 @@ class BrainLoader {
       return this.cache.get(slugOrId);
     }
 
-    // Load from Supabase - the single source of truth
-    const brain = await this.loadFromSupabase(slugOrId);
+    const fileBrain = UUID_PATTERN.test(slugOrId) ? null : this.loadFromFile(slugOrId);
+    const dbBrain = await this.loadFromDatabase(slugOrId);
 
-    if (!brain) {
-      throw new Error(`Agent '${slugOrId}' not found in database. Add it to marketplace_agents table.`);
+    if (!fileBrain && !dbBrain) {
+      throw new Error(`Agent '${slugOrId}' not found. Add brains/${slugOrId}.js or a marketplace_agents row.`);
     }
 
-    if (!brain.systemPrompt) {
-      throw new Error(`Agent '${slugOrId}' has no systemPrompt in brain_config. Update the agent in Supabase.`);
+    const brain = fileBrain && dbBrain
+      ? { ...dbBrain, ...fileBrain, id: dbBrain.id }
+      : (fileBrain || dbBrain);
+    const source = fileBrain && dbBrain ? 'file + database' : (fileBrain ? 'file' : 'database');
+
+    const { errors, warnings } = validateBrainConfig(brain);
+    if (errors.length > 0) {
+      throw new Error(`Invalid brain '${slugOrId}' (${source}): ${errors.join('; ')}`);
+    }
+    for (const warning of warnings) {
+      console.warn(`⚠️  Brain ${slugOrId}: ${warning}`);
     }
 
     this.cache.set(slugOrId, brain);
-    console.log(`✅ Loaded agent from Supabase: ${brain.name}`);
+    console.log(`✅ Loaded agent from ${source}: ${brain.name}`);
     return brain;
   }
 
   /**
-   * Load brain from Supabase database (marketplace_agents table)
+   * Validate a brain config against the brain schema (see lib/brain-schema.js)
    *
-   * @param {string} slugOrId - Agent slug or UUID
-   * @returns {Promise<Object|null>} Brain configuration or null if not found
+   * @param {Object} brain - Brain config
+   * @returns {Array<string>} Readable errors (empty if valid; unknown fields are not errors)
    */
-  async loadFromSupabase(slugOrId) {
-    if (!supabase) {
-      throw new Error('Supabase client not configured. Check SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.');
+  validateBrain(brain) {
+    return validateBrainConfig(brain).errors;
+  }
+
+  // ========== Brain files ==========
+
+  /**
+   * Path of a brain file
+   *
+   * @param {string} slug - Brain slug
+   * @returns {string} Absolute path (may not exist)
+   */
+  getBrainPath(slug) {
+    return path.join(this.brainsDir, `${slug}.js`);
+  }
+
+  /**
+   * List brain files (slugs), excluding "_" templates
+   *
+   * @returns {Array<string>} Brain slugs
+   */
+  listBrains() {
+    if (!fs.existsSync(this.brainsDir)) {
+      return [];
     }
 
-    // Try both slug and id
-    let query = supabase
-      .from('marketplace_agents')
-      .select('*');
+    return fs.readdirSync(this.brainsDir)
+      .filter(file => file.endsWith('.js') && !file.startsWith('_'))
+      .map(file => path.basename(file, '.js'))
+      .sort();
+  }
+
+  /**
+   * Load a brain from brains/<slug>.js
+   *
+   * @param {string} slug - Brain slug
+   * @returns {Object|null} Brain configuration or null if there is no file
+   * @throws {Error} If the file fails to load
+   */
+  loadFromFile(slug) {
+    if (slug.startsWith('_') || slug !== path.basename(slug)) {
+      return null;
+    }
+
+    const brainPath = this.getBrainPath(slug);
+    if (!fs.existsSync(brainPath)) {
+      return null;
+    }
+
+    let brainModule;
+    try {
+      brainModule = require(brainPath);
+    } catch (error) {
+      throw new Error(`Failed to load brain file brains/${slug}.js: ${error.message}`);
+    }
 
-    // Check if it's a UUID
-    if (slugOrId.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
-      query = query.eq('id', slugOrId);
+    return { ...brainModule, slug };
+  }
+
+  /**
+   * Clear a brain from the cache (and the file from the require cache)
+   * so the next load() reads it again
+   *
+   * @param {string} slug - Brain slug
+   */
+  reload(slug) {
+    delete require.cache[this.getBrainPath(slug)];
+
+    for (const [key, brain] of this.cache) {
+      if (key === slug || brain.slug === slug) {
+        this.cache.delete(key);
+      }
+    }
+
+    let error = null;
+    if (fs.existsSync(this.getBrainPath(slug))) {
+      try {
+        const errors = this.validateBrain(this.loadFromFile(slug));
+        if (errors.length > 0) {
+          error = errors.join('; ');
+        }
+      } catch (err) {
+        error = err.message;
+      }
+    }
+
+    if (error) {
+      console.error(`⚠️  Brain ${slug} changed but is invalid: ${error}`);
     } else {
-      query = query.eq('slug', slugOrId);
+      console.log(`🔄 Reloaded brain: ${slug}`);
+    }
+
+    this.emit('brain:reloaded', { slug, error });
+  }
+
+  /**
+   * Watch the brains directory and reload files when they change
+   */
+  watch() {
+    if (this.watcher || !fs.existsSync(this.brainsDir)) {
+      return;
     }
 
-    const { data, error } = await query.single();
+    try {
+      this.watcher = fs.watch(this.brainsDir, (eventType, filename) => {
+        if (!filename || !filename.endsWith('.js') || filename.startsWith('_')) return;
+
+        const slug = path.basename(filename, '.js');
+        clearTimeout(this.reloadTimers.get(slug));
+        this.reloadTimers.set(slug, setTimeout(() => {
+          this.reloadTimers.delete(slug);
+          this.reload(slug);
+        }, RELOAD_DEBOUNCE_MS));
+      });
+
+      // Don't keep scripts and tests alive just for the watcher
+      this.watcher.unref();
+      this.watcher.on('error', (error) => {
+        console.error('⚠️  Brain file watcher error:', error.message);
+      });
+    } catch (error) {
+      console.error('⚠️  Could not watch brain files:', error.message);
+    }
+  }
+
+  /**
+   * Stop watching brain files
+   */
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    for (const timer of this.reloadTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.reloadTimers.clear();
+  }
+
+  /**
+   * Load brain from the database (marketplace_agents table)
+   *
+   * @param {string} slugOrId - Agent slug or UUID
+   * @returns {Promise<Object|null>} Brain configuration or null if not found
+   */
+  async loadFromDatabase(slugOrId) {
+    let data;
+    try {
+      data = await getStorage().getAgent(slugOrId);
+    } catch (error) {
+      console.error(`Failed to load agent '${slugOrId}':`, error.message);
+      return null;
+    }
 
-    if (error || !data) {
+    if (!data) {
       return null;
     }
 
+    return BrainLoader.fromAgentRow(data);
+  }
+
+  /**
+   * Build a brain config from a marketplace_agents row
+   *
+   * @param {Object} row - marketplace_agents row
+   * @returns {Object} Brain configuration
+   */
+  static fromAgentRow(row) {
     // Marketplace agents store full brain config in brain_config JSONB
-    const brainConfig = data.brain_config || {};
+    const brainConfig = row.brain_config || {};
 
-    const brain = {
+    return {
       ...brainConfig,
-      name: data.name,
-      description: data.short_description,
-      slug: data.slug,
-      id: data.id,
-      tags: data.tags,
-      iconEmoji: data.icon_emoji,
-      capability_profile: data.capability_profile
+      name: row.name,
+      description: row.short_description,
+      slug: row.slug,
+      id: row.id,
+      tags: row.tags,
+      iconEmoji: row.icon_emoji,
+      capability_profile: row.capability_profile
     };
-
-    return brain;
   }
 
   /**
    * Build full system prompt for Claude
    *
-   * Combines brain's systemPrompt with optional contextPrefix.
+   * Combines brain's systemPrompt with optional contextPrefix, what the
+   * bot remembers about the user (lib/user-memory) and instructions to use
+   * the brain's knowledge base (lib/knowledge-base).
    * Wraps everything in security layer (if enabled) to prevent leaks.
    *
    * @param {string} brainName - Name of brain to use
@@ -99,9 +285,12 @@ class BrainLoader {
    * @param {number} user.id - Telegram user ID
    * @param {string} [user.username] - Telegram username
    * @param {string} [user.first_name] - User's first name
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.memories] - User's memories to include
+   * @param {boolean} [options.knowledge] - Whether the session can search a knowledge base
    * @returns {Promise<string>} Complete system prompt to inject into conversation
    */
-  async buildSystemPrompt(brainName, user) {
+  async buildSystemPrompt(brainName, user, { memories = [], knowledge = false } = {}) {
     const brain = await this.load(brainName);
 
     let prompt = '';
@@ -139,6 +328,17 @@ class BrainLoader {
     // Add brain's system prompt
     prompt += brain.systemPrompt;
 
+    // Add long-term memories
+    const memoryPrompt = buildMemoryPrompt(memories);
+    if (memoryPrompt) {
+      prompt += `\n\n${memoryPrompt}`;
+    }
+
+    // Answer from the knowledge base
+    if (knowledge) {
+      prompt += `\n\n${buildKnowledgePrompt()}`;
+    }
+
     return prompt;
   }
 
@@ -175,30 +375,39 @@ class BrainLoader {
   }
 
   /**
-   * Get list of available agents from Supabase
+   * Get list of available agents (database and brain files)
    *
    * @returns {Promise<Array<Object>>} Array of agent objects with slug and name
    */
   async listAgents() {
-    if (!supabase) {
-      return [];
+    let agents = [];
+    try {
+      agents = (await getStorage().listAgents()).map(({ slug, name, icon_emoji }) => ({ slug, name, icon_emoji }));
+    } catch (error) {
+      console.error('Failed to list agents:', error.message);
     }
 
-    const { data, error } = await supabase
-      .from('marketplace_agents')
-      .select('slug, name, icon_emoji')
-      .order('name');
-
-    if (error) {
-      console.error('Failed to list agents:', error.message);
-      return [];
+    // Brain files win over database rows with the same slug (as in load())
+    for (const slug of this.listBrains()) {
+      try {
+        const brain = this.loadFromFile(slug);
+        const existing = agents.find(agent => agent.slug === slug);
+        const entry = {
+          slug,
+          name: brain.name || existing?.name || slug,
+          icon_emoji: brain.iconEmoji || existing?.icon_emoji || null
+        };
+        agents = agents.filter(agent => agent.slug !== slug).concat(entry);
+      } catch (error) {
+        console.error(`Failed to read brain file ${slug}:`, error.message);
+      }
     }
 
-    return data || [];
+    return agents.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
   }
 
   /**
-   * Clear cached agent (forces reload from Supabase on next load)
+   * Clear cached agent (forces reload from file/database on next load)
    *
    * @param {string} slugOrId - Agent slug or UUID to clear from cache
    */
@@ -0,0 +1,349 @@
+/**
+ * Brain config schema
+ *
+ * JSON Schema for brain configs - brain files, marketplace_agents.brain_config
+ * and the brain_config + config_overrides merge a bot instance runs with.
+ *
+ * Problems with known fields (wrong type, out of range, unknown image profile)
+ * are errors. Unknown fields are warnings: usually a typo, but existing rows
+ * may carry extra keys, so they don't stop a brain from loading.
+ *
+ * contextPrefix is a function, which JSON Schema can't describe - the custom
+ * `typeof` keyword checks it.
+ */
+
+const Ajv = require('ajv');
+const securityProfiles = require('./security-profiles');
+const imageProfiles = require('./image-profiles');
+const { BUILT_IN_ACTIONS } = require('./bot-commands');
+const { POLICIES } = require('./tool-permissions');
+
+const RATE_LIMIT_TIER = {
+  type: ['integer', 'object'],
+  minimum: 0,
+  properties: {
+    daily: { type: 'integer', minimum: 0 },
+    perMinute: { type: 'integer', minimum: 1 }
+  },
+  additionalProperties: false
+};
+
+const BRAIN_SCHEMA = {
+  title: 'Brain config',
+  type: 'object',
+  required: ['systemPrompt'],
+  properties: {
+    // Identity
+    name: { type: 'string', minLength: 1 },
+    version: { type: ['string', 'number'] },
+    description: { type: ['string', 'null'] },
+    systemPrompt: { type: 'string', minLength: 1 },
+    contextPrefix: { typeof: 'function' },
+    security: { enum: [false, ...Object.keys(securityProfiles)] },
+    private: { type: 'boolean' },
+
+    // Response hints
+    maxTokens: { type: 'integer', minimum: 1 },
+    temperature: { type: 'number', minimum: 0, maximum: 1 },
+
+    rateLimits: {
+      type: 'object',
+      properties: {
+        free: RATE_LIMIT_TIER,
+        paid: RATE_LIMIT_TIER
+      },
+      additionalProperties: false
+    },
+
+    allowedTools: { type: 'array', items: { type: 'string', minLength: 1 } },
+
+    groups: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        rateLimits: {
+          type: 'object',
+          properties: {
+            daily: { type: 'integer', minimum: 0 },
+            perMinute: { type: 'integer', minimum: 1 }
+          },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    },
+
+    // Slash commands (lib/bot-commands) - each has exactly one of action, prompt or workflow
+    commands: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', pattern: '^[a-z0-9_]{1,32}$' },
+          description: { type: 'string', minLength: 1, maxLength: 256 },
+          action: { enum: Object.keys(BUILT_IN_ACTIONS) },
+          prompt: { type: 'string', minLength: 1 },
+          workflow: { type: 'string', minLength: 1 },
+          hidden: { type: 'boolean' },
+          adminOnly: { type: 'boolean' }
+        },
+        additionalProperties: false,
+        oneOf: [
+          { required: ['action'] },
+          { required: ['prompt'] },
+          { required: ['workflow'] }
+        ]
+      }
+    },
+
+    replyMarkup: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+
+    permissions: {
+      type: 'object',
+      properties: {
+        default: { enum: POLICIES },
+        tools: {
+          type: 'object',
+          additionalProperties: { enum: POLICIES }
+        },
+        timeoutSeconds: { type: 'integer', minimum: 5, maximum: 600 },
+        rememberForSession: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+
+    // Long CLI sessions (lib/session-compaction) - limits default to 200 messages, 2 MB, 30 days
+    compaction: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        maxMessages: { type: 'integer', minimum: 2 },
+        maxBytes: { type: 'integer', minimum: 1000 },
+        maxAgeDays: { type: 'number', exclusiveMinimum: 0 }
+      },
+      additionalProperties: false
+    },
+
+    // Long-term facts about each user (lib/user-memory)
+    memory: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        maxInPrompt: { type: 'integer', minimum: 0, maximum: 100 }
+      },
+      additionalProperties: false
+    },
+
+    // Documents the bot answers from (lib/knowledge-base)
+    knowledge: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        maxResults: { type: 'integer', minimum: 1, maximum: 20 }
+      },
+      additionalProperties: false
+    },
+
+    tts: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        provider: { type: 'string' },
+        voice: { type: 'string' },
+        speed: { type: 'number', minimum: 0.25, maximum: 4 },
+        sendTextToo: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+
+    voiceInput: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        echoTranscript: { type: 'boolean' },
+        language: { type: 'string', pattern: '^[a-z]{2}$' }
+      },
+      additionalProperties: false
+    },
+
+    attachments: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        maxSizeMb: { type: 'number', exclusiveMinimum: 0 },
+        maxFiles: { type: 'integer', minimum: 1 },
+        allowedTypes: { type: 'array', items: { type: 'string', pattern: '^(\\*|[a-z]+)(/[a-z0-9.+*-]+)?$' } },
+        maxTextChars: { type: 'integer', minimum: 1 }
+      },
+      additionalProperties: false
+    },
+
+    imageGen: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        profile: { enum: Object.keys(imageProfiles) },
+        model: { type: 'string' },
+        size: { type: 'string', pattern: '^\\d+x\\d+$' },
+        quality: { type: 'string' },
+        style: { type: 'string' },
+        promptContext: { type: 'string' },
+        promptOnImageUpload: { type: 'boolean' },
+        toolsAlwaysAvailable: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+
+    callToAction: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        message: { type: 'string', minLength: 1 },
+        image: { type: 'string' },
+        delaySeconds: { type: 'number', minimum: 0 },
+        sendOnFirstMessage: { type: 'boolean' },
+        triggerEvery: { type: 'integer', minimum: 1 }
+      },
+      additionalProperties: false,
+      if: { properties: { enabled: { const: true } }, required: ['enabled'] },
+      then: { required: ['message'] }
+    },
+
+    nudges: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        triggers: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['delayHours', 'condition', 'promptTemplate'],
+            properties: {
+              delayHours: { type: 'number', exclusiveMinimum: 0 },
+              condition: { enum: ['no_user_message'] },
+              promptTemplate: { type: 'string', minLength: 1 }
+            },
+            additionalProperties: false
+          }
+        }
+      },
+      additionalProperties: false,
+      if: { properties: { enabled: { const: true } }, required: ['enabled'] },
+      then: { required: ['triggers'] }
+    },
+
+    // Set from marketplace_agents columns (brain-loader) or dynamic agent creation
+    slug: { type: 'string' },
+    id: { type: 'string' },
+    tags: { type: ['array', 'null'], items: { type: 'string' } },
+    iconEmoji: { type: ['string', 'null'] },
+    capability_profile: {},
+    agentType: { type: 'string' },
+    capabilities: { type: 'array', items: { type: 'string' } },
+
+    // my_agents.config_overrides
+    isOrchestrator: { type: 'boolean' },
+    source: { type: 'string' },
+    workflowId: { type: 'string' },
+    stepNum: { type: 'integer' },
+    createdAt: { type: 'string' }
+  },
+  additionalProperties: false
+};
+
+// verbose: errors carry their schema, so oneOf errors can name the alternatives
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, verbose: true });
+ajv.addKeyword({
+  keyword: 'typeof',
+  schemaType: 'string',
+  validate: (type, data) => typeof data === type,
+  error: { message: ({ schema }) => `must be a ${schema}` }
+});
+
+const validate = ajv.compile(BRAIN_SCHEMA);
+
+/**
+ * Turn an ajv instancePath ("/nudges/triggers/0/delayHours") into a field
+ * path ("nudges.triggers[0].delayHours")
+ */
+function formatPath(instancePath) {
+  return instancePath
+    .split('/')
+    .slice(1)
+    .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+    .join('')
+    .replace(/^\./, '');
+}
+
+/**
+ * Turn an ajv error into a readable sentence
+ */
+function formatError(error) {
+  const field = formatPath(error.instancePath);
+
+  switch (error.keyword) {
+    case 'required': {
+      const missing = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+      return `missing required field: ${missing}`;
+    }
+    case 'additionalProperties': {
+      const unknown = field ? `${field}.${error.params.additionalProperty}` : error.params.additionalProperty;
+      return `unknown field: ${unknown}`;
+    }
+    case 'enum':
+      return `${field} must be one of: ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+    case 'oneOf': {
+      // oneOf branches that only require a field: "one of action, prompt or workflow"
+      const fields = error.schema.flatMap(branch => branch.required || []);
+      return fields.length > 0
+        ? `${field} must have exactly one of: ${fields.join(', ')}`
+        : `${field || 'brain'} ${error.message}`;
+    }
+    default:
+      return `${field || 'brain'} ${error.message}`;
+  }
+}
+
+/**
+ * Validate a brain config
+ *
+ * @param {Object} brain - Brain config (file module, brain_config, or merged with config_overrides)
+ * @returns {Object} { valid, errors: [string], warnings: [string] }
+ */
+function validateBrainConfig(brain) {
+  if (!brain || typeof brain !== 'object' || Array.isArray(brain)) {
+    return { valid: false, errors: ['brain must be an object'], warnings: [] };
+  }
+
+  validate(brain);
+
+  const errors = [];
+  const warnings = [];
+  for (const error of validate.errors || []) {
+    // "if" only reports that its "then" failed - the real error is listed too
+    if (error.keyword === 'if') continue;
+    // Failures inside oneOf branches are summed up by the oneOf error
+    if (error.schemaPath.includes('/oneOf/')) continue;
+
+    const message = formatError(error);
+    if (error.keyword === 'additionalProperties') {
+      warnings.push(message);
+    } else if (!errors.includes(message)) {
+      errors.push(message);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+  BRAIN_SCHEMA,
+  validateBrainConfig
+};
@@ -0,0 +1,252 @@
+/**
+ * ChannelAdapter
+ *
+ * Base class for the channels that plug into the ConversationEngine
+ * (lib/conversation-engine.js). A channel turns its own inbound events into
+ * an inbound message with normalize(), hands it to engine.handleMessage(),
+ * and the engine calls back into the adapter for everything the user sees.
+ *
+ * Outbound methods receive the turn ({ message, botId, userId, botInfo, brain,
+ * sessionId, streamedText, state }). `turn.state` belongs to the adapter - use
+ * it for per-turn handles like a status message ID.
+ *
+ * Subclasses override what their channel supports; the defaults do nothing.
+ */
+
+const STATUS_LABELS = {
+  thinking: () => '⏳ Thinking...',
+  retrying: ({ attempt, maxRetries }) => `⏳ Retrying... (${attempt}/${maxRetries})`,
+  drawing: () => '🎨 Drawing...',
+  recording: () => '🎙️ Recording...',
+  compacting: () => '🗜️ Tidying up our conversation...',
+  tool: ({ label }) => label
+};
+
+class ChannelAdapter {
+  /**
+   * @param {string} name - Channel name (used in logs and as the attachment source)
+   * @param {Object} options
+   * @param {boolean} [options.persistsHistory=true] - Messages are stored with messageStore under our
+   *   session UUID. Otherwise SessionManager tracks Claude's session per user and the CLI transcript is the history.
+   * @param {boolean} [options.media=false] - Can send photos and voice (enables TTS and image generation)
+   * @param {boolean} [options.markup=false] - Can show buttons, quick replies and polls (lib/reply-markup).
+   *   Otherwise the engine lists them in the reply text.
+   * @param {boolean} [options.approvals=false] - Can ask the user to approve tool calls
+   *   (lib/tool-permissions). Otherwise tools the brain wants approved are denied.
+   */
+  constructor(name, { persistsHistory = true, media = false, markup = false, approvals = false } = {}) {
+    this.name = name;
+    this.persistsHistory = persistsHistory;
+    this.media = media;
+    this.markup = markup;
+    this.approvals = approvals;
+  }
+
+  /**
+   * Channel-specific work after rate limiting and before Claude is called
+   * (downloads, transcription, confirmations). Return false to end the turn.
+   *
+   * @param {Object} turn - Current turn
+   * @returns {Promise<boolean>}
+   */
+  async prepare(turn) {
+    return true;
+  }
+
+  /**
+   * Show or update the "working on it" indicator
+   *
+   * @param {Object} turn - Current turn
+   * @param {string} status - 'thinking' | 'retrying' | 'drawing' | 'recording' | 'compacting' | 'tool'
+   * @param {Object} [details] - { attempt, maxRetries } for 'retrying', the tool for 'tool'
+   */
+  async setStatus(turn, status, details = {}) {}
+
+  /**
+   * A tool call started or finished. By default the status shows the
+   * latest running tool's label, and goes back to "Thinking..." when none
+   * are left (unless the reply is already streaming).
+   *
+   * @param {Object} turn - Current turn (turn.tools holds the running calls)
+   * @param {Object} tool - { id, name, args, label, phase: 'start' | 'end', durationMs, isError }
+   */
+  async sendToolStatus(turn, tool) {
+    const current = [...turn.tools.values()].pop();
+
+    if (current) {
+      await this.setStatus(turn, 'tool', current);
+    } else if (!turn.streamedText) {
+      await this.setStatus(turn, 'thinking');
+    }
+  }
+
+  /**
+   * Remove the status indicator before the reply is sent
+   *
+   * @param {Object} turn - Current turn
+   */
+  async clearStatus(turn) {}
+
+  /**
+   * Stream a chunk of the response (turn.streamedText holds everything so far)
+   *
+   * @param {Object} turn - Current turn
+   * @param {string} chunk - New text
+   */
+  async sendChunk(turn, chunk) {}
+
+  /**
+   * Send the final text reply
+   *
+   * @param {Object} turn - Current turn
+   * @param {string} text - Reply text
+   * @param {Object} [markup] - Buttons, quick replies and poll from lib/reply-markup (markup channels only)
+   */
+  async sendReply(turn, text, markup = null) {}
+
+  /**
+   * Send an image (media channels only)
+   *
+   * @param {Object} turn - Current turn
+   * @param {string} filePath - Local image path
+   * @param {Object} [options] - { caption }
+   */
+  async sendPhoto(turn, filePath, options = {}) {}
+
+  /**
+   * Send a voice message (media channels only)
+   *
+   * @param {Object} turn - Current turn
+   * @param {string} filePath - Local audio path
+   */
+  async sendVoice(turn, filePath) {}
+
+  /**
+   * Tell the user something went wrong
+   *
+   * @param {Object} turn - Current turn
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {string} [details.kind='failed'] - 'rejected' (not processed: unknown bot, rate limit),
+   *   'attachment' (attachment refused), 'failed' (Claude returned an error), 'crashed' (exception)
+   * @param {boolean} [details.timeout] - The request timed out
+   * @param {Object} [details.rateLimit] - Rate limit result, when rate limited
+   */
+  async sendError(turn, message, details = {}) {}
+
+  /**
+   * Ask the user to approve a tool call (approvals channels only). Their
+   * answer goes to answerApproval() in lib/tool-permissions.
+   *
+   * @param {Object} turn - Current turn
+   * @param {Object} request - { id, toolName, label, args, timeoutSeconds, rememberForSession }
+   */
+  async requestApproval(turn, request) {}
+
+  /**
+   * An approval prompt was answered or timed out
+   *
+   * @param {Object} turn - Current turn
+   * @param {Object} request - See requestApproval()
+   * @param {string} decision - 'allow' | 'allow_session' | 'deny' | 'timeout'
+   */
+  async resolveApproval(turn, request, decision) {}
+
+  /**
+   * Send a structured event (workflow progress etc.) to channels that render them
+   *
+   * @param {Object} turn - Current turn
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  async sendEvent(turn, event, data) {}
+
+  /**
+   * Request tracking fields for restart recovery ({ chatId, statusMsgId })
+   *
+   * @param {Object} turn - Current turn
+   * @returns {Object} Fields passed to the Claude client
+   */
+  getTracking(turn) {
+    return {};
+  }
+
+  /**
+   * Status text for chat channels that show status as a message
+   *
+   * @param {string} status - See setStatus()
+   * @param {Object} [details] - See setStatus()
+   * @returns {string}
+   */
+  formatStatus(status, details = {}) {
+    return STATUS_LABELS[status](details);
+  }
+
+  /**
+   * Approval prompt text for chat channels
+   *
+   * @param {Object} request - See requestApproval()
+   * @returns {string}
+   */
+  formatApprovalRequest({ toolName, label, args, timeoutSeconds }) {
+    const details = Object.entries(args).map(([key, value]) => `• ${key}: ${value}`);
+    return [
+      `🔐 The bot wants to use ${toolName}`,
+      label,
+      ...details,
+      `Allow it? (denied automatically after ${timeoutSeconds}s)`
+    ].join('\n');
+  }
+
+  /**
+   * Approval prompt text once it's answered
+   *
+   * @param {Object} request - See requestApproval()
+   * @param {string} decision - See resolveApproval()
+   * @returns {string}
+   */
+  formatApprovalResult({ toolName }, decision) {
+    switch (decision) {
+      case 'allow':
+        return `✅ Allowed ${toolName}`;
+      case 'allow_session':
+        return `✅ Allowed ${toolName} for this conversation`;
+      case 'timeout':
+        return `⌛ No answer - ${toolName} was not allowed`;
+      default:
+        return `🚫 Denied ${toolName}`;
+    }
+  }
+
+  /**
+   * User-facing error text for chat channels (technical details stay in the logs)
+   *
+   * @param {string} message - Error message
+   * @param {Object} [details] - See sendError()
+   * @returns {string}
+   */
+  formatError(message, { kind = 'failed', timeout = false } = {}) {
+    switch (kind) {
+      case 'rejected':
+        return message;
+      case 'attachment':
+        return `📎 ${message}`;
+      case 'crashed':
+        return timeout
+          ? '⏱️ Sorry, I\'m taking too long to respond. Please try again.'
+          : '❌ Sorry, something went wrong. Please try sending your message again.';
+      default:
+        return `❌ Sorry, I encountered an error: ${message}\n\nPlease try sending your message again.`;
+    }
+  }
+
+  /**
+   * Called once the turn is over, whatever the outcome. turn.result is set if
+   * Claude answered and turn.delivered if the reply was sent.
+   *
+   * @param {Object} turn - Current turn
+   */
+  async finishTurn(turn) {}
+}
+
+module.exports = ChannelAdapter;
@@ -0,0 +1,320 @@
+/**
+ * DiscordAdapter
+ *
+ * Channel adapter for bots with a Discord token (config.discordToken). Each
+ * bot gets its own DiscordClient (lib/discord-client.js); the adapter
+ * decides which messages to answer and renders the engine's output.
+ *
+ * The bot answers direct messages, and in server channels only when it is
+ * mentioned or replied to. Sessions use the same per-user mapping as
+ * Telegram (SessionManager, keyed by bot ID + Discord user ID).
+ *
+ * /help, /tts and /stats are registered as slash commands.
+ */
+
+const ChannelAdapter = require('./channel-adapter');
+const DiscordClient = require('../discord-client');
+const { getAttachmentLimits, resolveContentType, checkAttachment } = require('../attachments');
+const logger = require('../logger');
+
+// Discord's limit is 2000 chars per message
+const MAX_MESSAGE_LENGTH = 2000;
+const STREAM_PREVIEW_LENGTH = 1500;
+// Message edits are rate limited to 5 per 5 seconds per channel
+const STREAM_EDIT_INTERVAL_MS = 1500;
+
+const SLASH_COMMANDS = [
+  { name: 'help', description: 'Show help message' },
+  { name: 'tts', description: 'Toggle voice/text mode' },
+  { name: 'stats', description: 'Show conversation stats' }
+];
+
+class DiscordAdapter extends ChannelAdapter {
+  /**
+   * @param {Object} manager - BotManager that owns the bots
+   */
+  constructor(manager) {
+    super('discord', { persistsHistory: false, media: true });
+    this.manager = manager;
+  }
+
+  /**
+   * Connect a bot to Discord
+   *
+   * @param {string} botId - Bot identifier
+   * @param {string} token - Discord bot token
+   * @param {Object} [options] - DiscordClient options (apiUrl, gatewayUrl)
+   * @returns {Promise<DiscordClient>} Connected client
+   */
+  async connect(botId, token, options = {}) {
+    const client = new DiscordClient(token, options);
+
+    client.on('ready', async (user) => {
+      logger.bot(botId, 'info', `Discord connected as ${user.username}`);
+      try {
+        await client.setCommands(SLASH_COMMANDS);
+      } catch (err) {
+        console.error(`⚠️ Failed to set Discord commands for ${botId}:`, err.message);
+      }
+    });
+
+    client.on('message', (message) => {
+      this.handleGatewayMessage(botId, client, message).catch(error => {
+        console.error(`❌ [${botId}] Error handling Discord message:`, error);
+      });
+    });
+
+    client.on('interaction', (interaction) => {
+      this.handleInteraction(botId, client, interaction).catch(error => {
+        console.error(`❌ [${botId}] Error handling Discord interaction:`, error);
+      });
+    });
+
+    client.on('error', (error) => {
+      logger.bot(botId, 'error', 'Discord connection failed', { error: error.message });
+    });
+
+    await client.connect();
+    return client;
+  }
+
+  /**
+   * Handle a MESSAGE_CREATE: answer DMs, mentions and replies to the bot
+   *
+   * @param {string} botId - Bot identifier
+   * @param {DiscordClient} client - The bot's client
+   * @param {Object} message - Discord message
+   */
+  async handleGatewayMessage(botId, client, message) {
+    if (!client.user || message.author?.bot) return;
+
+    const isDirect = !message.guild_id;
+    const isMentioned = (message.mentions || []).some(user => user.id === client.user.id);
+    const isReplyToBot = message.referenced_message?.author?.id === client.user.id;
+    if (!isDirect && !isMentioned && !isReplyToBot) return;
+
+    const botInfo = this.manager.bots.get(botId);
+    if (!botInfo) return;
+
+    const inbound = this.normalize(botId, message, client);
+    if (!inbound.text && inbound.discordAttachments.length === 0) return;
+
+    // Private bots: Discord user IDs are listed as strings (snowflakes don't fit in a JS number)
+    if (botInfo.brain.private) {
+      const adminUserIds = process.env.ADMIN_USER_IDS?.split(',').map(id => id.trim()) || [];
+      if (!adminUserIds.includes(inbound.userId)) {
+        logger.user(botId, inbound.userId, 'warn', 'Unauthorized access attempt to private bot', {
+          username: message.author.username
+        });
+        await client.sendMessage(message.channel_id, '🔒 This bot is private and requires authorization.');
+        return;
+      }
+    }
+
+    logger.user(botId, inbound.userId, 'info', 'Discord message received', {
+      username: message.author.username,
+      text: inbound.text.substring(0, 100),
+      attachments: inbound.discordAttachments.length,
+      direct: isDirect
+    });
+    botInfo.messageCount++;
+
+    await this.manager.engine.handleMessage(this, inbound);
+  }
+
+  /**
+   * Build an inbound message from a Discord message
+   *
+   * @param {string} botId - Bot identifier
+   * @param {Object} message - Discord message
+   * @param {DiscordClient} client - The bot's client
+   * @returns {Object} Inbound message
+   */
+  normalize(botId, message, client) {
+    const workspace = this.manager.bots.get(botId)?.config.workspace || null;
+    const mention = new RegExp(`<@!?${client.user.id}>`, 'g');
+
+    return {
+      botId,
+      userId: message.author.id,
+      user: {
+        id: message.author.id,
+        username: message.author.username,
+        first_name: message.author.global_name || message.author.username
+      },
+      text: (message.content || '').replace(mention, '').trim(),
+      workspacePath: workspace,
+      sessionWorkspace: workspace,
+      attachments: [],
+      images: [],
+      discordAttachments: message.attachments || [],
+      channelId: message.channel_id,
+      messageId: message.id,
+      client
+    };
+  }
+
+  /**
+   * Download Discord attachments so the engine can store them in R2
+   * (Discord CDN links expire)
+   */
+  async prepare(turn) {
+    const { botId, message, brain } = turn;
+    const limits = getAttachmentLimits(brain);
+
+    for (const file of message.discordAttachments) {
+      const rejection = checkAttachment(limits, {
+        filename: file.filename,
+        contentType: resolveContentType(file.filename, file.content_type),
+        size: file.size || 0
+      });
+      if (rejection) {
+        await this.sendError(turn, rejection, { kind: 'attachment' });
+        return false;
+      }
+
+      try {
+        const response = await fetch(file.url);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        message.attachments.push({
+          filename: file.filename,
+          contentType: file.content_type,
+          data: Buffer.from(await response.arrayBuffer())
+        });
+      } catch (error) {
+        console.error(`❌ [${botId}] Failed to download Discord attachment:`, error.message);
+        await this.sendError(turn, '❌ Sorry, I couldn\'t read that file. Please try again.', { kind: 'rejected' });
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  async setStatus(turn, status, details = {}) {
+    const { client, channelId, messageId } = turn.message;
+    const text = this.formatStatus(status, details);
+
+    if (!turn.state.statusMsgId) {
+      client.sendTyping(channelId).catch(() => {});
+      const statusMsg = await client.sendMessage(channelId, {
+        content: text,
+        message_reference: { message_id: messageId, fail_if_not_exists: false }
+      });
+      turn.state.statusMsgId = statusMsg.id;
+      turn.state.lastEdit = Date.now();
+      return;
+    }
+
+    try {
+      await client.editMessage(channelId, turn.state.statusMsgId, text);
+    } catch (e) {
+      // Ignore edit errors
+    }
+  }
+
+  async clearStatus(turn) {
+    if (!turn.state.statusMsgId) return;
+
+    try {
+      await turn.message.client.deleteMessage(turn.message.channelId, turn.state.statusMsgId);
+    } catch (e) {
+      // Ignore delete errors
+    }
+    turn.state.statusMsgId = null;
+  }
+
+  async sendChunk(turn) {
+    const now = Date.now();
+    if (!turn.state.statusMsgId || now - turn.state.lastEdit <= STREAM_EDIT_INTERVAL_MS) return;
+    turn.state.lastEdit = now;
+
+    const preview = turn.streamedText.length > STREAM_PREVIEW_LENGTH
+      ? turn.streamedText.substring(0, STREAM_PREVIEW_LENGTH) + '...'
+      : turn.streamedText;
+
+    try {
+      await turn.message.client.editMessage(turn.message.channelId, turn.state.statusMsgId, preview);
+    } catch (e) {
+      // Ignore edit errors (rate limited or message deleted)
+    }
+  }
+
+  async sendReply(turn, text) {
+    const { client, channelId, messageId } = turn.message;
+
+    for (let i = 0; i < text.length; i += MAX_MESSAGE_LENGTH) {
+      await client.sendMessage(channelId, {
+        content: text.substring(i, i + MAX_MESSAGE_LENGTH),
+        // Only the first part replies to the user's message
+        ...(i === 0 && { message_reference: { message_id: messageId, fail_if_not_exists: false } })
+      });
+    }
+  }
+
+  async sendPhoto(turn, filePath, options = {}) {
+    await turn.message.client.sendFile(turn.message.channelId, filePath, options.caption ? { content: options.caption } : {});
+  }
+
+  async sendVoice(turn, filePath) {
+    await turn.message.client.sendFile(turn.message.channelId, filePath);
+  }
+
+  async sendError(turn, message, details = {}) {
+    const text = this.formatError(message, details);
+    await turn.message.client.sendMessage(turn.message.channelId, text);
+  }
+
+  // ========== Slash Commands ==========
+
+  /**
+   * Handle a slash command (/help, /tts, /stats)
+   *
+   * @param {string} botId - Bot identifier
+   * @param {DiscordClient} client - The bot's client
+   * @param {Object} interaction - Discord interaction
+   */
+  async handleInteraction(botId, client, interaction) {
+    // APPLICATION_COMMAND
+    if (interaction.type !== 2) return;
+
+    const botInfo = this.manager.bots.get(botId);
+    if (!botInfo) return;
+
+    const user = interaction.member?.user || interaction.user;
+    const command = interaction.data?.name;
+    let reply;
+
+    switch (command) {
+      case 'help':
+        reply = `👋 Hi! I'm ${botInfo.brain.name || 'a bot'}.
+
+Send me a direct message, or mention me in a channel, and I'll respond.
+
+Commands:
+/help - Show this help message
+/tts - Toggle voice/text mode
+/stats - Show conversation stats`;
+        break;
+
+      case 'tts':
+        reply = this.manager.toggleTts(botId, user.id)
+          ? '🎙️ Speech Mode Activated'
+          : '💬 Text Mode Activated';
+        break;
+
+      case 'stats':
+        reply = this.manager.getStatsText(botId, user.id);
+        break;
+
+      default:
+        reply = '❓ Unknown command. Try /help for available commands.';
+    }
+
+    await client.replyToInteraction(interaction, reply, { ephemeral: true });
+  }
+}
+
+module.exports = DiscordAdapter;
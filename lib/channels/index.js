@@ -0,0 +1,28 @@
+/**
+ * Channels
+ *
+ * Adapters that connect a messaging channel to the ConversationEngine
+ * (lib/conversation-engine.js). Adding a channel means writing one adapter:
+ * extend ChannelAdapter, build inbound messages with normalize() and
+ * implement the outbound methods the channel supports.
+ *
+ *   telegram - TelegramAdapter (BotManager's Telegram bots)
+ *   web      - WebAdapter over Socket.IO (web UI)
+ *   ide      - WebAdapter over the raw WebSocket proxy (IDE)
+ *   discord  - DiscordAdapter (bots with a discordToken)
+ *   slack    - SlackAdapter (bots with slackBotToken + slackAppToken)
+ */
+
+const ChannelAdapter = require('./channel-adapter');
+const DiscordAdapter = require('./discord-adapter');
+const SlackAdapter = require('./slack-adapter');
+const TelegramAdapter = require('./telegram-adapter');
+const WebAdapter = require('./web-adapter');
+
+module.exports = {
+  ChannelAdapter,
+  DiscordAdapter,
+  SlackAdapter,
+  TelegramAdapter,
+  WebAdapter
+};
@@ -0,0 +1,358 @@
+/**
+ * SlackAdapter
+ *
+ * Channel adapter for bots with Slack tokens (config.slackBotToken +
+ * config.slackAppToken). Each bot gets its own SlackClient (Socket Mode,
+ * lib/slack-client.js).
+ *
+ * Every Slack thread is a stored session (messageStore): the session UUID is
+ * derived from the workspace, channel and thread, so the same thread always
+ * resumes the same Claude session. In channels the bot answers mentions (in a
+ * thread under the mention) and any later reply in a thread it's part of. In
+ * DMs, top-level messages share one session and each thread gets its own.
+ *
+ * Streaming edits the status message with chat.update; the final reply
+ * replaces it.
+ *
+ * Slash commands: /team (share context with another bot, on any channel the
+ * user has linked) and /link (link accounts across channels).
+ */
+
+const { v5: uuidv5 } = require('uuid');
+const ChannelAdapter = require('./channel-adapter');
+const SlackClient = require('../slack-client');
+const messageStore = require('../message-store');
+const logger = require('../logger');
+
+// Slack truncates messages after 40k chars, but recommends staying under 4000
+const MAX_MESSAGE_LENGTH = 3900;
+// chat.update is a tier 3 method (~50 per minute)
+const STREAM_EDIT_INTERVAL_MS = 1000;
+
+// Namespace for thread session UUIDs (uuidv5 of team/channel/thread)
+const THREAD_SESSION_NAMESPACE = '8a4f2d6c-1b3e-4c5a-9d7f-2e6b8c0a4f1d';
+
+/**
+ * Convert common Markdown from Claude to Slack mrkdwn
+ *
+ * @param {string} text - Markdown text
+ * @returns {string} mrkdwn text
+ */
+function toMrkdwn(text) {
+  return text
+    .replace(/\*\*(.+?)\*\*/g, '*$1*')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<$2|$1>');
+}
+
+class SlackAdapter extends ChannelAdapter {
+  /**
+   * @param {Object} manager - BotManager that owns the bots
+   */
+  constructor(manager) {
+    super('slack', { persistsHistory: true, media: false });
+    this.manager = manager;
+    this.userProfiles = new Map(); // Slack user ID → { username, first_name }
+  }
+
+  /**
+   * Connect a bot to Slack
+   *
+   * @param {string} botId - Bot identifier
+   * @param {Object} tokens - { botToken, appToken }
+   * @param {Object} [options] - SlackClient options (apiUrl)
+   * @returns {Promise<SlackClient>} Connected client
+   */
+  async connect(botId, tokens, options = {}) {
+    const client = new SlackClient(tokens, options);
+
+    client.on('ready', (auth) => {
+      logger.bot(botId, 'info', `Slack connected as ${auth.user} (${auth.team})`);
+    });
+
+    client.on('event', (event, envelope) => {
+      this.handleEvent(botId, client, event, envelope).catch(error => {
+        console.error(`❌ [${botId}] Error handling Slack event:`, error);
+      });
+    });
+
+    client.on('command', (command) => {
+      this.handleCommand(botId, client, command).catch(error => {
+        console.error(`❌ [${botId}] Error handling Slack command:`, error);
+      });
+    });
+
+    client.on('error', (error) => {
+      logger.bot(botId, 'error', 'Slack connection failed', { error: error.message });
+    });
+
+    await client.connect();
+    return client;
+  }
+
+  /**
+   * Session UUID for a Slack thread
+   *
+   * @param {string} teamId - Workspace ID
+   * @param {string} channelId - Channel ID
+   * @param {string|null} threadTs - Thread timestamp (null for a DM's top level)
+   * @returns {string} Session UUID
+   */
+  getSessionId(teamId, channelId, threadTs) {
+    return uuidv5(`${teamId}:${channelId}:${threadTs || 'main'}`, THREAD_SESSION_NAMESPACE);
+  }
+
+  /**
+   * Handle an Events API event: DMs, mentions and replies in the bot's threads
+   *
+   * @param {string} botId - Bot identifier
+   * @param {SlackClient} client - The bot's client
+   * @param {Object} event - Slack event
+   * @param {Object} envelope - Event callback ({ team_id, ... })
+   */
+  async handleEvent(botId, client, event, envelope) {
+    if (event.type !== 'message' && event.type !== 'app_mention') return;
+
+    // Skip bot messages (including our own), edits, joins and other subtypes
+    if (event.bot_id || event.subtype || !event.user || event.user === client.auth.user_id) return;
+
+    const isDirect = event.channel_type === 'im';
+    const teamId = envelope.team_id || client.auth.team_id;
+    let threadTs;
+
+    if (isDirect) {
+      if (event.type !== 'message') return;
+      threadTs = event.thread_ts || null;
+    } else if (event.type === 'app_mention') {
+      threadTs = event.thread_ts || event.ts;
+    } else {
+      // Mentions also arrive as app_mention - plain messages only count in threads the bot is part of
+      if (!event.thread_ts || event.text?.includes(`<@${client.auth.user_id}>`)) return;
+      const sessionId = this.getSessionId(teamId, event.channel, event.thread_ts);
+      if (await messageStore.getMessageCount(sessionId) === 0) return;
+      threadTs = event.thread_ts;
+    }
+
+    const botInfo = this.manager.bots.get(botId);
+    if (!botInfo) return;
+
+    const inbound = await this.normalize(botId, client, {
+      teamId,
+      channelId: event.channel,
+      threadTs,
+      userId: event.user,
+      text: event.text
+    });
+    if (!inbound.text) return;
+
+    // Private bots: Slack user IDs are listed alongside Telegram ones
+    if (botInfo.brain.private) {
+      const adminUserIds = process.env.ADMIN_USER_IDS?.split(',').map(id => id.trim()) || [];
+      if (!adminUserIds.includes(inbound.userId)) {
+        logger.user(botId, inbound.userId, 'warn', 'Unauthorized access attempt to private bot', {
+          username: inbound.user.username
+        });
+        await client.postMessage(event.channel, '🔒 This bot is private and requires authorization.', { threadTs });
+        return;
+      }
+    }
+
+    logger.user(botId, inbound.userId, 'info', 'Slack message received', {
+      username: inbound.user.username,
+      text: inbound.text.substring(0, 100),
+      direct: isDirect,
+      thread: threadTs
+    });
+    botInfo.messageCount++;
+
+    await this.manager.engine.handleMessage(this, inbound);
+  }
+
+  /**
+   * Build an inbound message
+   *
+   * @param {string} botId - Bot identifier
+   * @param {SlackClient} client - The bot's client
+   * @param {Object} source - { teamId, channelId, threadTs, userId, text }
+   * @returns {Promise<Object>} Inbound message
+   */
+  async normalize(botId, client, { teamId, channelId, threadTs, userId, text }) {
+    const workspace = this.manager.bots.get(botId)?.config.workspace || null;
+    const mention = new RegExp(`<@${client.auth.user_id}>`, 'g');
+
+    return {
+      botId,
+      userId,
+      user: { id: userId, ...await this.getUserProfile(client, userId) },
+      text: (text || '').replace(mention, '').trim(),
+      sessionId: this.getSessionId(teamId, channelId, threadTs),
+      workspacePath: workspace,
+      sessionWorkspace: workspace,
+      attachments: [],
+      images: [],
+      channelId,
+      threadTs,
+      client
+    };
+  }
+
+  /**
+   * Look up a user's name for the brain's contextPrefix (cached)
+   */
+  async getUserProfile(client, userId) {
+    if (!this.userProfiles.has(userId)) {
+      try {
+        const user = await client.getUser(userId);
+        this.userProfiles.set(userId, {
+          username: user.name,
+          first_name: user.profile?.first_name || user.real_name || user.name
+        });
+      } catch (error) {
+        // Missing users:read scope or unknown user - fall back to the ID
+        return { username: userId, first_name: userId };
+      }
+    }
+    return this.userProfiles.get(userId);
+  }
+
+  async setStatus(turn, status, details = {}) {
+    const { client, channelId, threadTs } = turn.message;
+    const text = this.formatStatus(status, details);
+
+    if (!turn.state.statusTs) {
+      const { ts } = await client.postMessage(channelId, text, { threadTs });
+      turn.state.statusTs = ts;
+      turn.state.lastEdit = Date.now();
+      return;
+    }
+
+    try {
+      await client.updateMessage(channelId, turn.state.statusTs, text);
+    } catch (e) {
+      // Ignore update errors
+    }
+  }
+
+  // The reply replaces the status message (chat.update), so there's nothing to clear
+  async clearStatus(turn) {}
+
+  async sendChunk(turn) {
+    const now = Date.now();
+    if (!turn.state.statusTs || now - turn.state.lastEdit <= STREAM_EDIT_INTERVAL_MS) return;
+    turn.state.lastEdit = now;
+
+    const preview = turn.streamedText.length > MAX_MESSAGE_LENGTH
+      ? turn.streamedText.substring(0, MAX_MESSAGE_LENGTH) + '...'
+      : turn.streamedText;
+
+    try {
+      await turn.message.client.updateMessage(turn.message.channelId, turn.state.statusTs, toMrkdwn(preview));
+    } catch (e) {
+      // Ignore update errors (rate limited or message deleted)
+    }
+  }
+
+  async sendReply(turn, text) {
+    const { client, channelId, threadTs } = turn.message;
+    const reply = toMrkdwn(text);
+
+    for (let i = 0; i < reply.length; i += MAX_MESSAGE_LENGTH) {
+      const part = reply.substring(i, i + MAX_MESSAGE_LENGTH);
+
+      if (i === 0 && turn.state.statusTs) {
+        await client.updateMessage(channelId, turn.state.statusTs, part);
+        turn.state.statusTs = null;
+      } else {
+        await client.postMessage(channelId, part, { threadTs });
+      }
+    }
+  }
+
+  async sendError(turn, message, details = {}) {
+    const { client, channelId, threadTs } = turn.message;
+    const text = this.formatError(message, details);
+
+    if (turn.state.statusTs) {
+      await client.updateMessage(channelId, turn.state.statusTs, text);
+      turn.state.statusTs = null;
+    } else {
+      await client.postMessage(channelId, text, { threadTs });
+    }
+  }
+
+  /**
+   * Remove the status message if nothing replaced it
+   */
+  async finishTurn(turn) {
+    if (!turn.state.statusTs) return;
+
+    try {
+      await turn.message.client.deleteMessage(turn.message.channelId, turn.state.statusTs);
+    } catch (e) {
+      // Ignore delete errors
+    }
+  }
+
+  // ========== Delegation ==========
+
+  /**
+   * Deliver /team context to a user: starts a new thread in their DM with
+   * the bot, and the bot answers the context there
+   *
+   * @param {string} botId - Target bot
+   * @param {string} userId - Slack user ID
+   * @param {string} sourceBotId - Bot the context comes from
+   * @param {string} contextMessage - From BotManager.buildDelegationMessage()
+   */
+  async delegate(botId, userId, sourceBotId, contextMessage) {
+    const client = this.manager.bots.get(botId)?.slack;
+    if (!client) {
+      throw new Error(`Bot not on Slack: ${botId}`);
+    }
+
+    const channelId = await client.openDirectMessage(userId);
+    const { ts } = await client.postMessage(channelId,
+      `📨 Context received from *${sourceBotId.toUpperCase()}* - continue in this thread`);
+
+    const inbound = await this.normalize(botId, client, {
+      teamId: client.auth.team_id,
+      channelId,
+      threadTs: ts,
+      userId,
+      text: contextMessage
+    });
+    await this.manager.engine.handleMessage(this, inbound);
+  }
+
+  // ========== Slash Commands ==========
+
+  /**
+   * Handle a slash command (/team, /link)
+   *
+   * @param {string} botId - Bot identifier
+   * @param {SlackClient} client - The bot's client
+   * @param {Object} command - Slash command payload
+   */
+  async handleCommand(botId, client, command) {
+    if (!this.manager.bots.has(botId)) return;
+
+    const identity = { channel: this.name, userId: command.user_id };
+    let reply;
+
+    switch (command.command) {
+      case '/team':
+        reply = await this.manager.runTeamCommand(botId, identity, command.text || '');
+        break;
+
+      case '/link':
+        reply = await this.manager.runLinkCommand(identity, command.text || '');
+        break;
+
+      default:
+        reply = `❓ Unknown command: ${command.command}`;
+    }
+
+    await client.respond(command.response_url, toMrkdwn(reply));
+  }
+}
+
+module.exports = SlackAdapter;
@@ -0,0 +1,503 @@
+/**
+ * TelegramAdapter
+ *
+ * Channel adapter for the Telegram bots run by BotManager. Telegram sessions
+ * are CLI sessions (SessionManager keeps Claude's UUID per bot/user), and the
+ * channel supports media: voice notes and documents come in, voice and
+ * photos go out.
+ *
+ * Streaming edits a single status message ("⏳ Thinking...", or the running
+ * tool's label), throttled to one edit per second to stay under Telegram's
+ * rate limits.
+ *
+ * In group chats (BotManager decides which messages are for the bot) the
+ * group shares one session, and the status message and reply quote the
+ * message being answered so members can tell who it's for.
+ *
+ * Reply markup (lib/reply-markup) becomes an inline keyboard (clicks arrive
+ * as callback queries, see BotManager.handleCallbackQuery), a one-time reply
+ * keyboard for quick replies, and a non-anonymous poll whose answers come
+ * back through BotManager.handlePollAnswer.
+ *
+ * Tool approvals (lib/tool-permissions) are a message with Allow/Deny
+ * buttons ("perm:<id>:<decision>", see BotManager.handleApprovalClick).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ChannelAdapter = require('./channel-adapter');
+const { getAttachmentLimits, resolveContentType, checkAttachment } = require('../attachments');
+const { clearRequest } = require('../restart-recovery');
+
+// Telegram's limit is 4096 chars per message
+const MAX_MESSAGE_LENGTH = 4000;
+const STREAM_PREVIEW_LENGTH = 400;
+const STREAM_EDIT_INTERVAL_MS = 1000;
+
+const CONFIRM_WORDS = ['yes', 'yeah', 'yep', 'sure', 'ok', 'okay', 'do it', 'go', 'yea', 'y'];
+
+// callback_data is limited to 64 bytes - longer payloads are kept in memory
+const MAX_CALLBACK_DATA = 64;
+const MAX_STORED_PAYLOADS = 1000;
+const MAX_TRACKED_POLLS = 1000;
+
+class TelegramAdapter extends ChannelAdapter {
+  /**
+   * @param {Object} manager - BotManager that owns the Telegram bots
+   */
+  constructor(manager) {
+    super('telegram', { persistsHistory: false, media: true, markup: true, approvals: true });
+    this.manager = manager;
+    this.buttonPayloads = new Map(); // random id → payload too long for callback_data
+    this.polls = new Map(); // poll ID → { botId, chat, messageId, options }
+  }
+
+  /**
+   * Build an inbound message from a Telegram message
+   *
+   * @param {string} botId - Bot identifier
+   * @param {Object} msg - Telegram message object
+   * @param {Object} [group] - { id, title, settings } for group chats
+   * @returns {Object} Inbound message
+   */
+  normalize(botId, msg, group = null) {
+    const botInfo = this.manager.bots.get(botId);
+    const workspace = botInfo?.config.workspace || null;
+    let text = msg.text?.trim() || msg.caption?.trim() || '';
+
+    // "@bot what's up" → "what's up"
+    if (group && botInfo?.telegramUser?.username) {
+      text = text.replace(new RegExp(`@${botInfo.telegramUser.username}\\b`, 'gi'), '').trim();
+    }
+
+    return {
+      botId,
+      userId: msg.from.id,
+      user: msg.from,
+      text,
+      workspacePath: workspace,
+      sessionWorkspace: workspace,
+      attachments: [],
+      images: [],
+      chatId: msg.chat.id,
+      group,
+      raw: msg
+    };
+  }
+
+  /**
+   * Transcribe voice, fetch documents and photos, and run the photo
+   * confirmation flow (brain.imageGen.promptOnImageUpload)
+   */
+  async prepare(turn) {
+    const { botId, message, brain } = turn;
+    const { chatId, raw: msg } = message;
+    const bot = turn.botInfo.bot;
+
+    // Voice notes, audio files and video notes: transcribe and use as the user's turn
+    const voice = msg.voice || msg.audio || msg.video_note || null;
+    if (voice) {
+      if (brain.voiceInput?.enabled === false) {
+        await bot.sendMessage(chatId, '🔇 Voice messages are not supported by this bot. Please type your message.');
+        return false;
+      }
+
+      const transcript = await this.manager.transcribeVoiceMessage(botId, msg, voice);
+      if (!transcript) {
+        await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t make out that voice message. Please try again or type it.');
+        return false;
+      }
+
+      // Keep any caption (audio files can have one) after the transcript
+      message.text = message.text ? `${transcript}\n\n${message.text}` : transcript;
+
+      if (brain.voiceInput?.echoTranscript === true) {
+        await bot.sendMessage(chatId, `🎤 "${transcript}"`, { reply_to_message_id: msg.message_id });
+      }
+    }
+
+    // Documents (PDF, text, CSV, images sent as files): checked before downloading,
+    // then stored in R2 and passed to Claude by the engine
+    if (msg.document) {
+      const { document } = msg;
+      const filename = document.file_name || `file-${Date.now()}`;
+      const rejection = checkAttachment(getAttachmentLimits(brain), {
+        filename,
+        contentType: resolveContentType(filename, document.mime_type),
+        size: document.file_size || 0
+      });
+      if (rejection) {
+        await this.sendError(turn, rejection, { kind: 'attachment' });
+        return false;
+      }
+
+      try {
+        const buffer = await this.manager.fetchTelegramFile(botId, document.file_id);
+        message.attachments.push({ filename, contentType: document.mime_type, data: buffer });
+      } catch (attachmentError) {
+        console.error(`❌ [${botId}] Failed to download attachment:`, attachmentError.message);
+        await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t read that file. Please try again.');
+        return false;
+      }
+    }
+
+    // Is the user confirming a pending photo cartoonification? Only the sender's
+    // own photo - in groups, other members can't answer for them
+    const pendingPhotoKey = `${chatId}:${msg.from.id}`;
+    const pendingPhoto = this.manager.pendingPhotos.get(pendingPhotoKey);
+    if (pendingPhoto && message.text) {
+      this.manager.pendingPhotos.delete(pendingPhotoKey);
+
+      const textLower = message.text.toLowerCase().trim();
+      const confirmWord = CONFIRM_WORDS.find(word => textLower.startsWith(word));
+
+      if (confirmWord) {
+        console.log(`✅ [${botId}] User confirmed cartoonification: "${message.text}"`);
+
+        // Everything after "yes" / "yeah" / etc are custom instructions
+        let customInstructions = message.text.substring(confirmWord.length).trim();
+        if (customInstructions.toLowerCase().startsWith('but ')) {
+          customInstructions = customInstructions.substring(4).trim();
+        }
+
+        await this.manager.cartoonifyPhoto(botId, msg, pendingPhoto, customInstructions);
+        return false;
+      }
+
+      console.log(`❌ [${botId}] Not a confirmation, clearing pending photo`);
+    }
+
+    // Photos: highest quality size is last
+    if (msg.photo && msg.photo.length > 0) {
+      try {
+        const photo = msg.photo[msg.photo.length - 1];
+        const photoPath = await this.manager.downloadTelegramFile(
+          botId, photo.file_id, 'telegram-images', `${botId}-user-${msg.from.id}-${Date.now()}.jpg`
+        );
+        console.log(`📸 [${botId}] Downloaded photo: ${photoPath}`);
+
+        // Telegram photos are always JPEG
+        const image = { mediaType: 'image/jpeg', data: fs.readFileSync(photoPath).toString('base64') };
+        message.images.push(image);
+
+        // Photo with no caption: ask before transforming it, and wait for the answer
+        if (brain.imageGen?.promptOnImageUpload === true && !message.text) {
+          this.manager.pendingPhotos.set(pendingPhotoKey, {
+            photoBase64: image.data,
+            photoMediaType: image.mediaType,
+            photoPath,
+            timestamp: Date.now()
+          });
+
+          await bot.sendMessage(chatId, 'cartoonify this?');
+          console.log(`📸 [${botId}] Asking user to confirm cartoonification`);
+          return false;
+        }
+      } catch (photoError) {
+        console.error(`❌ [${botId}] Failed to process photo:`, photoError.message);
+        // Continue without photo
+      }
+    }
+
+    return true;
+  }
+
+  async setStatus(turn, status, details = {}) {
+    const bot = turn.botInfo.bot;
+    const text = this.formatStatus(status, details);
+
+    if (!turn.state.statusMsgId) {
+      const statusMsg = await bot.sendMessage(turn.message.chatId, text, this.replyOptions(turn));
+      turn.state.statusMsgId = statusMsg.message_id;
+      turn.state.statusText = text;
+      turn.state.tracked = true;
+      turn.state.lastEdit = Date.now();
+      return;
+    }
+
+    // Several tool calls in a row often share a label
+    if (text === turn.state.statusText) return;
+    turn.state.statusText = text;
+
+    try {
+      await bot.editMessageText(text, { chat_id: turn.message.chatId, message_id: turn.state.statusMsgId });
+    } catch (e) {
+      // Ignore edit errors
+    }
+  }
+
+  async clearStatus(turn) {
+    if (!turn.state.statusMsgId) return;
+
+    try {
+      await turn.botInfo.bot.deleteMessage(turn.message.chatId, turn.state.statusMsgId);
+    } catch (e) {
+      // Ignore delete errors
+    }
+    turn.state.statusMsgId = null;
+  }
+
+  async sendChunk(turn) {
+    const now = Date.now();
+    if (!turn.state.statusMsgId || now - turn.state.lastEdit <= STREAM_EDIT_INTERVAL_MS) return;
+    turn.state.lastEdit = now;
+    turn.state.statusText = null;
+
+    const preview = turn.streamedText.length > STREAM_PREVIEW_LENGTH
+      ? turn.streamedText.substring(0, STREAM_PREVIEW_LENGTH) + '...'
+      : turn.streamedText;
+
+    try {
+      await turn.botInfo.bot.editMessageText(preview, {
+        chat_id: turn.message.chatId,
+        message_id: turn.state.statusMsgId
+      });
+    } catch (e) {
+      // Ignore edit errors (message might be too old or identical)
+    }
+  }
+
+  async sendReply(turn, text, markup = null) {
+    let reply = text;
+
+    // Sometimes Claude echoes the prompt - keep only what follows it
+    const userIndex = reply.lastIndexOf('User:');
+    if (userIndex > 0) {
+      reply = reply.substring(userIndex + 5).trim();
+    }
+
+    for (let i = 0; i < reply.length; i += MAX_MESSAGE_LENGTH) {
+      const isLast = i + MAX_MESSAGE_LENGTH >= reply.length;
+
+      // Only the first part quotes the user's message, and the keyboard goes on the last
+      await turn.botInfo.bot.sendMessage(
+        turn.message.chatId,
+        reply.substring(i, i + MAX_MESSAGE_LENGTH),
+        {
+          ...(i === 0 && this.replyOptions(turn)),
+          ...(isLast && markup && this.keyboardOptions(turn, markup))
+        }
+      );
+    }
+
+    if (markup?.poll) {
+      await this.sendPoll(turn, markup.poll);
+    }
+  }
+
+  // ========== Reply Markup ==========
+
+  /**
+   * Keyboard for a reply: inline buttons, or a reply keyboard for quick
+   * replies (a message can only have one)
+   *
+   * @param {Object} turn - Current turn
+   * @param {Object} markup - From lib/reply-markup
+   * @returns {Object} sendMessage options
+   */
+  keyboardOptions(turn, markup) {
+    if (markup.buttons.length > 0) {
+      return {
+        reply_markup: {
+          inline_keyboard: markup.buttons.map(row => row.map(button => ({
+            text: button.label,
+            callback_data: this.toCallbackData(button.payload)
+          })))
+        }
+      };
+    }
+
+    if (markup.quickReplies.length > 0) {
+      return {
+        reply_markup: {
+          keyboard: markup.quickReplies.map(reply => [{ text: reply }]),
+          one_time_keyboard: true,
+          resize_keyboard: true,
+          // In groups, only show it to the person being answered
+          selective: !!turn.message.group
+        }
+      };
+    }
+
+    return {};
+  }
+
+  /**
+   * callback_data for a button payload ("btn:<payload>", or "btn#<id>" if it's too long)
+   *
+   * Ids are random, so buttons sent before a restart can't pick up another
+   * button's payload: their ids are simply unknown.
+   *
+   * @param {string} payload - Button payload
+   * @returns {string}
+   */
+  toCallbackData(payload) {
+    const data = `btn:${payload}`;
+    if (Buffer.byteLength(data) <= MAX_CALLBACK_DATA) return data;
+
+    const id = crypto.randomBytes(8).toString('base64url');
+    this.buttonPayloads.set(id, payload);
+    if (this.buttonPayloads.size > MAX_STORED_PAYLOADS) {
+      this.buttonPayloads.delete(this.buttonPayloads.keys().next().value);
+    }
+    return `btn#${id}`;
+  }
+
+  /**
+   * Payload for a button's callback_data
+   *
+   * @param {string} data - callback_data from toCallbackData()
+   * @returns {string|null} Payload, or null if it's no longer known (after a restart)
+   */
+  fromCallbackData(data) {
+    if (data.startsWith('btn:')) return data.substring(4);
+    return this.buttonPayloads.get(data.substring(4)) ?? null;
+  }
+
+  /**
+   * Send a poll and remember it, so answers can be routed back to the chat
+   *
+   * @param {Object} turn - Current turn
+   * @param {Object} poll - { question, options }
+   */
+  async sendPoll(turn, poll) {
+    const sent = await turn.botInfo.bot.sendPoll(turn.message.chatId, poll.question, poll.options, {
+      is_anonymous: false
+    });
+
+    this.polls.set(sent.poll.id, {
+      botId: turn.botId,
+      chat: turn.message.raw.chat,
+      messageId: sent.message_id,
+      options: poll.options
+    });
+    if (this.polls.size > MAX_TRACKED_POLLS) {
+      this.polls.delete(this.polls.keys().next().value);
+    }
+  }
+
+  // ========== Tool Approvals ==========
+
+  async requestApproval(turn, request) {
+    const allow = [{ text: '✅ Allow', callback_data: `perm:${request.id}:allow` }];
+    if (request.rememberForSession) {
+      allow.push({ text: '✅ Always allow here', callback_data: `perm:${request.id}:allow_session` });
+    }
+
+    const sent = await turn.botInfo.bot.sendMessage(turn.message.chatId, this.formatApprovalRequest(request), {
+      ...this.replyOptions(turn),
+      reply_markup: { inline_keyboard: [allow, [{ text: '🚫 Deny', callback_data: `perm:${request.id}:deny` }]] }
+    });
+
+    turn.state.approvalMessages = { ...turn.state.approvalMessages, [request.id]: sent.message_id };
+  }
+
+  async resolveApproval(turn, request, decision) {
+    const messageId = turn.state.approvalMessages?.[request.id];
+    if (!messageId) return;
+
+    // Editing the text also removes the buttons
+    await turn.botInfo.bot.editMessageText(this.formatApprovalResult(request, decision), {
+      chat_id: turn.message.chatId,
+      message_id: messageId
+    });
+  }
+
+  /**
+   * Quote the message being answered in group chats
+   *
+   * @param {Object} turn - Current turn
+   * @returns {Object} sendMessage options
+   */
+  replyOptions(turn) {
+    if (!turn.message.group) return {};
+    return { reply_to_message_id: turn.message.raw.message_id, allow_sending_without_reply: true };
+  }
+
+  async sendPhoto(turn, filePath, options = {}) {
+    await turn.botInfo.bot.sendPhoto(turn.message.chatId, filePath, options);
+  }
+
+  async sendVoice(turn, filePath) {
+    await turn.botInfo.bot.sendVoice(turn.message.chatId, filePath);
+  }
+
+  async sendError(turn, message, details = {}) {
+    const text = this.formatError(message, details);
+    await turn.botInfo.bot.sendMessage(turn.message.chatId, text, this.replyOptions(turn));
+  }
+
+  getTracking(turn) {
+    return { chatId: turn.message.chatId, statusMsgId: turn.state.statusMsgId };
+  }
+
+  /**
+   * Clear restart tracking, update nudge state and send the brain's call-to-action
+   */
+  async finishTurn(turn) {
+    const { botId, userId, brain } = turn;
+    const { sessionManager } = this.manager;
+
+    // Requests are only tracked once there's a status message to edit after a restart
+    if (turn.state.tracked) {
+      await clearRequest(botId, userId);
+    }
+
+    // Nudges are one-to-one - groups don't get them
+    if (turn.result && !turn.message.group) {
+      // Nudge system: remember when the user last talked, and that they answered the last nudge
+      sessionManager.updateLastMessageTime(botId, userId);
+
+      const metadata = sessionManager.loadSessionMetadata(botId, userId);
+      const lastNudge = metadata?.nudgeHistory?.[metadata.nudgeHistory.length - 1];
+      if (lastNudge && !lastNudge.userResponded) {
+        sessionManager.markNudgeResponded(botId, userId, lastNudge.timestamp);
+      }
+    }
+
+    if (turn.delivered && brain.callToAction?.enabled) {
+      this.scheduleCallToAction(turn);
+    }
+  }
+
+  /**
+   * Send the brain's call-to-action on the first message (sendOnFirstMessage)
+   * and every triggerEvery messages, after delaySeconds
+   *
+   * @param {Object} turn - Completed turn
+   */
+  scheduleCallToAction(turn) {
+    const { botId, sessionKey, brain } = turn;
+    const cta = brain.callToAction;
+    const metadata = this.manager.sessionManager.loadSessionMetadata(botId, sessionKey);
+    const triggerEvery = cta.triggerEvery || 5;
+
+    const shouldSend = metadata && (
+      (cta.sendOnFirstMessage === true && metadata.messageCount === 1) ||
+      (metadata.messageCount % triggerEvery === 0)
+    );
+    if (!shouldSend) return;
+
+    const delaySeconds = cta.delaySeconds || 0;
+
+    setTimeout(async () => {
+      try {
+        if (cta.image) {
+          await this.sendPhoto(turn, path.join(process.cwd(), cta.image), { caption: cta.message });
+        } else {
+          await turn.botInfo.bot.sendMessage(turn.message.chatId, cta.message, { disable_web_page_preview: false });
+        }
+        console.log(`📢 [${botId}] CTA sent${cta.image ? ' (with image)' : ''} to ${sessionKey} (message #${metadata.messageCount}) after ${delaySeconds}s delay`);
+      } catch (ctaError) {
+        console.error(`❌ [${botId}] Failed to send CTA:`, ctaError.message);
+      }
+    }, delaySeconds * 1000);
+
+    if (delaySeconds > 0) {
+      console.log(`⏰ [${botId}] CTA scheduled for ${sessionKey} in ${delaySeconds} seconds`);
+    }
+  }
+}
+
+module.exports = TelegramAdapter;
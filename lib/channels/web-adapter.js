@@ -0,0 +1,141 @@
+/**
+ * WebAdapter
+ *
+ * Channel adapter for event-based web clients: the web UI over Socket.IO and
+ * the IDE over the raw WebSocket proxy. Both speak the same events
+ * (bot-thinking, bot-tool, bot-chunk, bot-message, error, workflow:*), so one adapter
+ * serves both - only the emit function differs.
+ *
+ * Web sessions are ours: the client sends the session UUID it wants to
+ * continue and messages are stored with messageStore.
+ *
+ * Reply markup (lib/reply-markup) is sent with bot-message as `buttons`
+ * ([[{ label, payload }]]), `quickReplies` and `poll`. The client sends a
+ * clicked button's payload (or the chosen reply/option) as a normal message
+ * in the same session.
+ *
+ * Tool approvals (lib/tool-permissions) are a permission-request event; the
+ * client answers with permission-response { requestId, decision } and gets
+ * permission-resolved once it's settled.
+ */
+
+const ChannelAdapter = require('./channel-adapter');
+
+class WebAdapter extends ChannelAdapter {
+  /**
+   * @param {string} name - 'web' (Socket.IO) or 'ide' (proxy)
+   * @param {Function} emit - (event, data) => void
+   * @param {Object} options
+   * @param {boolean} [options.useWorkspace=false] - Run Claude in the client's workspacePath
+   *   (IDE). Otherwise all instances share process.cwd() and workspacePath is only recorded.
+   * @param {string} [options.username='ui_user'] - Username passed to the brain's contextPrefix
+   */
+  constructor(name, emit, { useWorkspace = false, username = 'ui_user' } = {}) {
+    super(name, { persistsHistory: true, media: false, markup: true, approvals: true });
+    this.emit = emit;
+    this.useWorkspace = useWorkspace;
+    this.username = username;
+  }
+
+  /**
+   * Build an inbound message from a send-message payload
+   *
+   * @param {Object} data - { botId, message, workspacePath, sessionUuid, attachments }
+   * @param {string} userId - Resolved user ID
+   * @returns {Object} Inbound message
+   */
+  normalize(data, userId) {
+    const { botId, message, workspacePath, sessionUuid, attachments } = data;
+    const claudeWorkspace = this.useWorkspace
+      ? (workspacePath || process.env.LABCART_WORKSPACE || process.cwd())
+      : process.cwd();
+
+    return {
+      botId,
+      userId,
+      user: { id: userId, username: this.username },
+      text: message || '',
+      sessionId: sessionUuid,
+      workspacePath: claudeWorkspace,
+      sessionWorkspace: this.useWorkspace ? claudeWorkspace : (workspacePath || process.cwd()),
+      attachments: Array.isArray(attachments) ? attachments : [],
+      images: []
+    };
+  }
+
+  async setStatus(turn, status) {
+    if (status === 'thinking') {
+      this.emit('bot-thinking', { botId: turn.botId });
+    }
+  }
+
+  // Clients get every call, so they can show each tool with its duration
+  async sendToolStatus(turn, tool) {
+    this.emit('bot-tool', {
+      botId: turn.botId,
+      userId: turn.userId,
+      sessionUuid: turn.sessionId,
+      toolId: tool.id,
+      name: tool.name,
+      label: tool.label,
+      args: tool.args,
+      status: tool.phase === 'start' ? 'running' : (tool.isError ? 'failed' : 'done'),
+      ...(tool.phase === 'end' && { durationMs: tool.durationMs }),
+      timestamp: Date.now()
+    });
+  }
+
+  async sendChunk(turn, chunk) {
+    this.emit('bot-chunk', {
+      botId: turn.botId,
+      userId: turn.userId,
+      chunk,
+      timestamp: Date.now()
+    });
+  }
+
+  async sendReply(turn, text, markup = null) {
+    this.emit('bot-message', {
+      botId: turn.botId,
+      userId: turn.userId,
+      message: text,
+      sessionUuid: turn.sessionId, // OUR session ID, not Claude's
+      hasAudio: false,  // REQUIRED by frontend BotMessage interface
+      hasImages: false, // REQUIRED by frontend BotMessage interface
+      ...(markup && {
+        buttons: markup.buttons,
+        quickReplies: markup.quickReplies,
+        poll: markup.poll
+      }),
+      timestamp: Date.now()
+    });
+  }
+
+  async requestApproval(turn, request) {
+    this.emit('permission-request', {
+      requestId: request.id,
+      botId: turn.botId,
+      sessionUuid: turn.sessionId,
+      toolName: request.toolName,
+      label: request.label,
+      args: request.args,
+      timeoutSeconds: request.timeoutSeconds,
+      rememberForSession: request.rememberForSession,
+      timestamp: Date.now()
+    });
+  }
+
+  async resolveApproval(turn, request, decision) {
+    this.emit('permission-resolved', { requestId: request.id, botId: turn.botId, decision });
+  }
+
+  async sendError(turn, message, { rateLimit } = {}) {
+    this.emit('error', rateLimit ? { message, rateLimit } : { message });
+  }
+
+  async sendEvent(turn, event, data) {
+    this.emit(event, data);
+  }
+}
+
+module.exports = WebAdapter;
@@ -3,11 +3,19 @@ const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
 const { trackRequest } = require('./restart-recovery');
+const { createServiceToken } = require('./auth');
+const { sanitizeToolArgs } = require('./tool-status');
 
 /**
  * Generate MCP router config and return the config file path
  *
  * @param {string} profile - MCP profile: 'no-image-tools' or 'with-image-tools'
+ * @param {Object} options - Router context
+ * @param {string} options.userId - User ID for R2 upload scoping
+ * @param {string} options.workflowId - Workflow ID for R2 upload scoping
+ * @param {Array<string>} options.allowedTools - Optional MCP tool allow-list (router hides and refuses everything else)
+ * @param {Object} options.memory - { brain, userId } whose memories the router's memory tools manage (lib/user-memory)
+ * @param {Object} options.knowledge - { brain, maxResults } whose knowledge base search_knowledge searches (lib/knowledge-base)
  * @returns {string} Path to the generated MCP config file
  */
 function generateMcpConfig(profile = 'with-image-tools', options = {}) {
@@ -28,6 +36,45 @@ function generateMcpConfig(profile = 'with-image-tools', options = {}) {
     CURRENT_WORKFLOW_ID: workflowId
   };
 
+  // Upload token scoped to this user's files (the upload route requires auth)
+  const uploadToken = createServiceToken({ userId, scopes: ['files'], expiresIn: 24 * 60 * 60 });
+  if (uploadToken) {
+    baseEnv.R2_UPLOAD_TOKEN = uploadToken;
+  }
+
+  // Per-brain tool allow-list (undefined = all tools, [] = no tools)
+  if (Array.isArray(options.allowedTools)) {
+    baseEnv.ALLOWED_TOOLS = options.allowedTools.join(',');
+  }
+
+  // Memory tools act for one user of one brain, through the bot server's /memories routes
+  if (options.memory) {
+    const botServerPort = process.env.BOT_SERVER_PORT || 3010;
+    baseEnv.MEMORY_API_URL = process.env.MEMORY_API_URL || `http://localhost:${botServerPort}/memories`;
+    baseEnv.MEMORY_BRAIN = options.memory.brain;
+    baseEnv.MEMORY_USER_ID = String(options.memory.userId);
+
+    // Only good for this user's memories of this brain
+    const memoryToken = createServiceToken({ userId: options.memory.userId, scopes: [], expiresIn: 24 * 60 * 60, brain: options.memory.brain });
+    if (memoryToken) {
+      baseEnv.MEMORY_API_TOKEN = memoryToken;
+    }
+  }
+
+  // search_knowledge searches the brain's knowledge base through the bot server's /knowledge routes
+  if (options.knowledge) {
+    const botServerPort = process.env.BOT_SERVER_PORT || 3010;
+    baseEnv.KNOWLEDGE_API_URL = process.env.KNOWLEDGE_API_URL || `http://localhost:${botServerPort}/knowledge`;
+    baseEnv.KNOWLEDGE_BRAIN = options.knowledge.brain;
+    baseEnv.KNOWLEDGE_MAX_RESULTS = String(options.knowledge.maxResults);
+
+    // Only good for reading this brain's knowledge base
+    const knowledgeToken = createServiceToken({ userId: 'bot-server', scopes: [], expiresIn: 24 * 60 * 60, brain: options.knowledge.brain });
+    if (knowledgeToken) {
+      baseEnv.KNOWLEDGE_API_TOKEN = knowledgeToken;
+    }
+  }
+
   let mcpConfig;
 
   if (profile === 'no-image-tools') {
@@ -97,11 +144,114 @@ function killMcpChildren(claudePid) {
   }
 }
 
+/**
+ * Kill a Claude CLI process when the caller aborts the call
+ * (e.g. a workflow step attempt that ran past its timeout)
+ *
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @param {ChildProcess} child - Claude CLI process
+ * @param {Function} onAbort - Settles the pending call
+ * @returns {Function} Removes the abort listener once the process is done
+ */
+function killOnAbort(signal, child, onAbort) {
+  if (!signal) return () => {};
+
+  const abort = () => {
+    console.warn(`🛑 Aborting Claude process ${child.pid}`);
+    try {
+      killMcpChildren(child.pid);
+      child.kill('SIGTERM');
+    } catch (err) {
+      console.error(`⚠️  Error killing aborted process:`, err.message);
+    }
+    onAbort();
+  };
+
+  if (signal.aborted) {
+    abort();
+    return () => {};
+  }
+  signal.addEventListener('abort', abort, { once: true });
+  return () => signal.removeEventListener('abort', abort);
+}
+
+/**
+ * Follow tool calls in the stream-json output
+ *
+ * Claude reports a call as a tool_use block in an assistant message and its
+ * outcome as a tool_result block (matched by tool_use_id) in the next user
+ * message; some MCP results also arrive as a top-level tool_result event.
+ *
+ * @param {Object} callbacks
+ * @param {Function} [callbacks.onToolStart] - ({ id, name, args }) when Claude calls a tool
+ * @param {Function} [callbacks.onToolEnd] - ({ id, name, args, durationMs, isError }) when it returns
+ * @returns {Object} { assistant(content), user(content), toolResult(data), finish() }
+ */
+function createToolTracker({ onToolStart, onToolEnd } = {}) {
+  const running = new Map(); // tool_use id → { id, name, args, startedAt }
+
+  const notify = (callback, tool) => {
+    if (!callback) return;
+    try {
+      const pending = callback(tool);
+      if (pending?.catch) {
+        pending.catch(e => console.error('⚠️  Error in tool callback:', e.message));
+      }
+    } catch (e) {
+      console.error('⚠️  Error in tool callback:', e.message);
+    }
+  };
+
+  const end = (id, isError = false) => {
+    const tool = running.get(id);
+    if (!tool) return;
+    running.delete(id);
+
+    const durationMs = Date.now() - tool.startedAt;
+    console.log(`🔧 Tool ${isError ? 'failed' : 'finished'}: ${tool.name} (${durationMs}ms)`);
+    notify(onToolEnd, { id: tool.id, name: tool.name, args: tool.args, durationMs, isError });
+  };
+
+  return {
+    assistant(content = []) {
+      for (const block of content) {
+        if (block.type !== 'tool_use' || running.has(block.id)) continue;
+
+        const tool = { id: block.id, name: block.name, args: sanitizeToolArgs(block.input), startedAt: Date.now() };
+        running.set(tool.id, tool);
+        console.log(`🔧 Tool started: ${tool.name}`);
+        notify(onToolStart, { id: tool.id, name: tool.name, args: tool.args });
+      }
+    },
+
+    user(content = []) {
+      if (!Array.isArray(content)) return;
+      for (const block of content) {
+        if (block.type === 'tool_result') end(block.tool_use_id, block.is_error === true);
+      }
+    },
+
+    // Top-level tool_result events only carry the tool name
+    toolResult(data) {
+      const tool = [...running.values()].reverse().find(t => t.name === data.tool_name);
+      if (tool) end(tool.id, data.is_error === true);
+    },
+
+    // Anything still running when the turn ends has finished
+    finish() {
+      for (const id of [...running.keys()]) end(id);
+    }
+  };
+}
+
 /**
  * Send a message to Claude using the streaming JSON protocol
  * Supports two modes:
  * 1. Simple mode (no permissions): echo message | claude --print
  * 2. Interactive mode (with permissions): JSON stdin/stdout with control protocol
+ *
+ * options.signal (AbortSignal) kills the Claude process and rejects the call
+ * with { aborted: true } when aborted.
  */
 async function sendToClaudeSession(options) {
   const {
@@ -126,13 +276,13 @@ async function sendToClaudeSession(options) {
  * Simple mode: pipe message to Claude (no permission handling)
  */
 async function sendSimple(options) {
-  const { message, sessionId, claudeCmd, onStream, messageContent, onToolResult, timeout = 120000, workspacePath, mcpProfile = 'no-image-tools', userId, workflowId } = options;
+  const { message, sessionId, claudeCmd, onStream, messageContent, onToolResult, onToolStart, onToolEnd, timeout = 120000, workspacePath, mcpProfile = 'no-image-tools', userId, workflowId, allowedTools, memory, knowledge, signal } = options;
 
   return new Promise((resolve, reject) => {
     let timeoutId = null;
     // Use specified MCP profile (defaults to no-image-tools for regular text conversations)
     // Can be overridden to 'with-image-tools' for bots that need image generation
-    const mcpConfigPath = generateMcpConfig(mcpProfile, { userId, workflowId });
+    const mcpConfigPath = generateMcpConfig(mcpProfile, { userId, workflowId, allowedTools, memory, knowledge });
 
     const args = [
       '--ide',
@@ -214,6 +364,13 @@ async function sendSimple(options) {
     let sessionInfo = null;
     let audioData = null; // Store TTS audio data
     let completed = false;
+    const tools = createToolTracker({ onToolStart, onToolEnd });
+    const stopAbortListener = killOnAbort(signal, child, () => {
+      if (completed) return;
+      completed = true;
+      if (timeoutId) clearTimeout(timeoutId);
+      reject({ success: false, error: 'Aborted', aborted: true });
+    });
 
     // Inactivity timeout - only kill if NO activity for this long
     // This is much smarter than a hard timeout - we reset whenever Claude sends ANY output
@@ -273,11 +430,18 @@ async function sendSimple(options) {
                   onStream(textContent);
                 }
               }
+              tools.assistant(data.message.content);
             }
             break;
 
+          case 'user':
+            resetInactivityTimeout(); // Activity detected - reset timer
+            tools.user(data.message?.content);
+            break;
+
           case 'tool_result':
             resetInactivityTimeout(); // Activity detected - reset timer
+            tools.toolResult(data);
             // Notify callback about tool results
             if (onToolResult && data.tool_name && data.result) {
               try {
@@ -304,6 +468,7 @@ async function sendSimple(options) {
           case 'result':
             completed = true;
             if (timeoutId) clearTimeout(timeoutId);
+            tools.finish();
             console.log(`✅ Completed in ${data.duration_ms}ms`);
             if (data.is_error) {
               reject({ success: false, error: data.result || 'Unknown error' });
@@ -325,12 +490,14 @@ async function sendSimple(options) {
     child.on('error', (error) => {
       completed = true;
       if (timeoutId) clearTimeout(timeoutId);
+      stopAbortListener();
       reject({ success: false, error: `Failed to spawn: ${error.message}` });
     });
 
     child.on('close', (code) => {
       completed = true;
       if (timeoutId) clearTimeout(timeoutId);
+      stopAbortListener();
 
       // Clean up any MCP server child processes
       killMcpChildren(claudePid);
@@ -344,22 +511,36 @@ async function sendSimple(options) {
 
 /**
  * Interactive mode: JSON stdin/stdout with permission protocol
+ *
+ * Like sendSimple, but without --dangerously-skip-permissions: Claude sends
+ * a can_use_tool control_request before each tool call and waits for
+ * onPermissionRequest(toolName, input) to allow or deny it. The inactivity
+ * timeout is paused while a request waits for an answer.
  */
 async function sendWithPermissions(options) {
-  const { message, sessionId, claudeCmd, onStream, onPermissionRequest, workspacePath } = options;
-  
+  const { message, sessionId, claudeCmd, onStream, messageContent, onPermissionRequest, onToolResult, onToolStart, onToolEnd, timeout = 120000, workspacePath, mcpProfile = 'no-image-tools', userId, workflowId, allowedTools, memory, knowledge, signal } = options;
+
   return new Promise((resolve, reject) => {
+    let timeoutId = null;
+    const mcpConfigPath = generateMcpConfig(mcpProfile, { userId, workflowId, allowedTools, memory, knowledge });
+
     const args = [
       '--ide',
-      '--resume', sessionId,
       '--input-format', 'stream-json',  // CRITICAL: Required for permission handling
       '--output-format', 'stream-json',
       '--verbose',
       '--permission-prompt-tool', 'stdio',
       // Disable filesystem tools - agents should only use MCP tools (image gen, TTS, etc.)
-      '--disallowedTools', 'Read,Write,Edit,Bash,Glob,Grep,NotebookEdit,Task'
+      '--disallowedTools', 'Read,Write,Edit,Bash,Glob,Grep,NotebookEdit,Task',
+      '--strict-mcp-config',
+      '--mcp-config', mcpConfigPath
     ];
 
+    // Only add --resume if we have a valid session ID
+    if (sessionId) {
+      args.splice(1, 0, '--resume', sessionId);
+    }
+
     console.log(`🚀 Spawning (interactive): ${claudeCmd} ${args.join(' ')}`);
 
     const spawnOptions = {
@@ -384,13 +565,34 @@ async function sendWithPermissions(options) {
     // Track the Claude process PID for cleanup
     const claudePid = child.pid;
 
+    // Track request for restart recovery (if we have the necessary data)
+    if (options.botId && options.telegramUserId && options.chatId && options.statusMsgId) {
+      trackRequest(options.botId, options.telegramUserId, {
+        chatId: options.chatId,
+        statusMsgId: options.statusMsgId,
+        claudePid,
+        mode: 'text',
+        sessionId
+      }).catch(err => {
+        console.warn('⚠️  Failed to track request:', err.message);
+      });
+    }
+
     let fullResponse = '';
     let sessionInfo = null;
+    let completed = false;
+    const tools = createToolTracker({ onToolStart, onToolEnd });
+    const stopAbortListener = killOnAbort(signal, child, () => {
+      if (completed) return;
+      completed = true;
+      if (timeoutId) clearTimeout(timeoutId);
+      reject({ success: false, error: 'Aborted', aborted: true });
+    });
 
-    // Send messages as JSON in stream-json format
+    // Send messages as JSON in stream-json format (stdin stays open for permission responses)
     const sendJsonMessage = (msg) => {
-      const jsonMsg = { 
-        type: 'user', 
+      const jsonMsg = {
+        type: 'user',
         message: {
           role: 'user',
           content: msg
@@ -400,7 +602,26 @@ async function sendWithPermissions(options) {
     };
 
     // Send initial message
-    sendJsonMessage(message);
+    sendJsonMessage(messageContent || message);
+
+    const resetInactivityTimeout = () => {
+      if (timeoutId) clearTimeout(timeoutId);
+
+      timeoutId = setTimeout(() => {
+        if (!completed) {
+          console.error(`⏱️  Inactivity timeout after ${timeout}ms - no output from Claude process ${claudePid}`);
+          try {
+            child.kill('SIGTERM');
+            killMcpChildren(claudePid);
+          } catch (err) {
+            console.error(`⚠️  Error killing timed-out process:`, err.message);
+          }
+          reject({ success: false, error: `No response after ${timeout / 1000} seconds`, timeout: true });
+        }
+      }, timeout);
+    };
+
+    resetInactivityTimeout();
 
     const rl = readline.createInterface({
       input: child.stdout,
@@ -415,6 +636,7 @@ async function sendWithPermissions(options) {
 
         switch (data.type) {
           case 'system':
+            resetInactivityTimeout(); // Activity detected - reset timer
             sessionInfo = {
               sessionId: data.session_id,
               model: data.model,
@@ -424,32 +646,56 @@ async function sendWithPermissions(options) {
             break;
 
           case 'assistant':
+            resetInactivityTimeout(); // Activity detected - reset timer
             if (data.message?.content) {
               const textContent = data.message.content
                 .filter(c => c.type === 'text')
                 .map(c => c.text)
                 .join('\n');
-              
+
               if (textContent) {
                 fullResponse += textContent;
                 if (onStream) {
                   onStream(textContent);
                 }
               }
+              tools.assistant(data.message.content);
+            }
+            break;
+
+          case 'user':
+            resetInactivityTimeout(); // Activity detected - reset timer
+            tools.user(data.message?.content);
+            break;
+
+          case 'tool_result':
+            resetInactivityTimeout(); // Activity detected - reset timer
+            tools.toolResult(data);
+            if (onToolResult && data.tool_name && data.result) {
+              try {
+                onToolResult(data.tool_name, data.result);
+              } catch (e) {
+                console.error('⚠️  Error in onToolResult callback:', e.message);
+              }
             }
             break;
 
           case 'control_request':
-            // Permission request from Claude
+            // Permission request from Claude - the user may take a while to answer
             if (data.request?.subtype === 'can_use_tool') {
+              if (timeoutId) clearTimeout(timeoutId);
               await handlePermissionRequest(child.stdin, data, onPermissionRequest);
+              if (!completed) resetInactivityTimeout();
             }
             break;
 
           case 'result':
+            completed = true;
+            if (timeoutId) clearTimeout(timeoutId);
+            tools.finish();
             console.log(`✅ Completed in ${data.duration_ms}ms`);
             child.stdin.end(); // Close stdin after completion
-            
+
             if (data.is_error) {
               reject({ success: false, error: data.result || 'Unknown error' });
             } else {
@@ -467,10 +713,17 @@ async function sendWithPermissions(options) {
     });
 
     child.on('error', (error) => {
+      completed = true;
+      if (timeoutId) clearTimeout(timeoutId);
+      stopAbortListener();
       reject({ success: false, error: `Failed to spawn: ${error.message}` });
     });
 
     child.on('close', (code) => {
+      completed = true;
+      if (timeoutId) clearTimeout(timeoutId);
+      stopAbortListener();
+
       // Clean up any MCP server child processes
       killMcpChildren(claudePid);
 
@@ -483,6 +736,9 @@ async function sendWithPermissions(options) {
 
 /**
  * Handle permission request from Claude
+ *
+ * The callback answers with true/false, or { allow, message } to tell
+ * Claude why a tool was denied.
  */
 async function handlePermissionRequest(stdin, requestData, callback) {
   const { request_id, request } = requestData;
@@ -491,9 +747,16 @@ async function handlePermissionRequest(stdin, requestData, callback) {
   console.log(`🔐 Permission requested: ${tool_name}`);
 
   let allow = false;
+  let denyMessage = 'Permission denied by user';
   if (callback) {
     try {
-      allow = await callback(tool_name, input);
+      const answer = await callback(tool_name, input);
+      if (answer && typeof answer === 'object') {
+        allow = answer.allow === true;
+        denyMessage = answer.message || denyMessage;
+      } else {
+        allow = answer === true;
+      }
     } catch (err) {
       console.error(`❌ Permission callback error: ${err.message}`);
     }
@@ -509,7 +772,7 @@ async function handlePermissionRequest(stdin, requestData, callback) {
       }
     : {
         behavior: "deny",
-        message: "Permission denied by user"
+        message: denyMessage
       };
   
   const response = {
@@ -551,7 +814,10 @@ async function sendToClaudeWithTTS(options) {
     onTurn2Start = null,  // Callback when TTS generation starts
     messageContent = null,  // Optional structured content (for images)
     workspacePath = null,  // Optional workspace directory for Claude
-    timeout = 120000  // Inactivity timeout (default 120s)
+    timeout = 120000,  // Inactivity timeout (default 120s)
+    allowedTools,  // Optional MCP tool allow-list from brain config
+    memory = null,  // Optional { brain, userId } for the memory tools
+    knowledge = null  // Optional { brain, maxResults } for search_knowledge
   } = options;
 
   // Step 1: Get text response from Claude (simple mode, no TTS tools needed)
@@ -562,6 +828,9 @@ async function sendToClaudeWithTTS(options) {
     messageContent,
     workspacePath,
     timeout,
+    allowedTools,
+    memory,
+    knowledge,
     botId,
     telegramUserId,
     chatId: options.chatId,
@@ -654,7 +923,7 @@ async function sendToClaudeWithTTS(options) {
  * 2-Turn Image Generation Flow (identical to TTS, but generates images instead of audio)
  */
 async function sendToClaudeWithImage(options) {
-  const { message, messageContent, userText, sessionId, claudeCmd, botId, telegramUserId, imageModel, imageSize, imageQuality, imageStyle, imagePromptContext, onTurn2Start, userId, workflowId } = options;
+  const { message, messageContent, userText, sessionId, claudeCmd, botId, telegramUserId, imageModel, imageSize, imageQuality, imageStyle, imagePromptContext, onTurn2Start, userId, workflowId, allowedTools, memory, knowledge } = options;
 
   return new Promise((resolve, reject) => {
     let turn = 1;
@@ -673,13 +942,13 @@ async function sendToClaudeWithImage(options) {
 
     if (sessionId) {
       // Turn 2 - resuming session, needs image tools available
-      mcpConfigPath = generateMcpConfig('with-image-tools', { userId, workflowId });
+      mcpConfigPath = generateMcpConfig('with-image-tools', { userId, workflowId, allowedTools, memory, knowledge });
       cmd = `${claudeCmd} --ide --resume ${sessionId} --input-format stream-json --output-format stream-json --verbose --dangerously-skip-permissions --disallowedTools "${disallowedTools}" --strict-mcp-config --mcp-config ${mcpConfigPath}`;
       console.log(`🚀 Spawning (Image mode Turn 2 - with image tools): ${claudeCmd} --ide --resume ${sessionId}`);
       turn = 2; // Set turn to 2 for resumed session
     } else {
       // Turn 1 - new session, NO image tools to prevent accidental calls
-      mcpConfigPath = generateMcpConfig('no-image-tools', { userId, workflowId });
+      mcpConfigPath = generateMcpConfig('no-image-tools', { userId, workflowId, allowedTools, memory, knowledge });
       cmd = `${claudeCmd} --input-format stream-json --output-format stream-json --verbose --dangerously-skip-permissions --disallowedTools "${disallowedTools}" --strict-mcp-config --mcp-config ${mcpConfigPath}`;
       console.log(`🚀 Spawning (Image mode Turn 1 - no image tools): ${claudeCmd}`);
     }
@@ -0,0 +1,1072 @@
+/**
+ * ConversationEngine
+ *
+ * The conversation pipeline shared by every channel. Telegram, Discord,
+ * Slack, the web UI (Socket.IO) and the IDE proxy normalise their inbound messages and plug in
+ * through a channel adapter (lib/channels); bot lookup, rate limiting,
+ * sessions, attachments, prompt building, the Claude call, streaming,
+ * media and persistence happen here once.
+ *
+ * Inbound message (built by the adapter's normalize()):
+ *   botId, userId, text
+ *   user             - { id, username, ... } passed to the brain's contextPrefix
+ *   sessionId        - Our session UUID to continue ('new'/empty starts one) - stored sessions only
+ *   workspacePath    - Directory Claude runs in
+ *   sessionWorkspace - Workspace recorded with the session in SessionManager
+ *   attachments      - [{ filename, contentType, url | data, key }] (see lib/attachments)
+ *   images           - [{ mediaType, data }] base64 images sent with the message
+ *   group            - { id, title, settings } for group chats (see below)
+ *
+ * Sessions:
+ *   stored - adapter.persistsHistory: we generate the session UUID, messages
+ *            are saved with messageStore and Claude's session ID is linked for --resume
+ *   cli    - SessionManager keeps Claude's session UUID per bot/user and the
+ *            CLI transcript is the history (Telegram)
+ *
+ * Group chats: the whole group shares one session and one set of rate
+ * limits (keyed by the group ID instead of the user), and each message tells
+ * Claude who is speaking. group.settings come from lib/group-settings.
+ *
+ * Reply markup: brains with replyMarkup.enabled can add buttons, quick
+ * replies and polls to a response (lib/reply-markup). Adapters with
+ * `markup` render them; others get them listed as text.
+ *
+ * Tool calls: while Claude runs a tool, adapter.sendToolStatus() gets the
+ * tool with its label from lib/tool-status ("🔍 Searching the web...").
+ *
+ * Tool permissions: brains with a `permissions` policy (lib/tool-permissions)
+ * get a can_use_tool request per tool call. 'ask' tools are put to the user
+ * by adapters with `approvals`; other channels deny them.
+ *
+ * Compaction: brains with `compaction` enabled (lib/session-compaction) get
+ * long CLI sessions summarized before a turn, and the turn starts a fresh
+ * session seeded with the summary.
+ *
+ * Memory: brains with `memory` enabled (lib/user-memory) get the MCP memory
+ * tools for the user, and new sessions start with what the bot remembers.
+ * Group chats share a session, so they get neither.
+ *
+ * Knowledge: brains with `knowledge` enabled (lib/knowledge-base) get the
+ * search_knowledge tool, and new sessions are told to answer from it.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { sendToClaudeSession, sendToClaudeWithTTS, sendToClaudeWithImage } = require('./claude-client');
+const { prepareAttachments, buildAttachmentBlocks } = require('./attachments');
+const { parseReplyMarkup, hasMarkup, formatMarkupAsText, buildMarkupPrompt } = require('./reply-markup');
+const { getToolLabel, sanitizeToolArgs } = require('./tool-status');
+const {
+  resolvePermissionPolicy,
+  getToolPolicy,
+  requestApproval,
+  getSessionDecision,
+  rememberSessionDecision,
+  moveSessionDecisions
+} = require('./tool-permissions');
+const {
+  resolveCompactionPolicy,
+  getTranscriptSize,
+  getCompactionReason,
+  buildSummaryRequest,
+  buildSummaryPrompt
+} = require('./session-compaction');
+const { resolveMemoryConfig, getPromptMemories } = require('./user-memory');
+const { resolveKnowledgeConfig } = require('./knowledge-base');
+const messageStore = require('./message-store');
+const { getStorage } = require('./storage');
+const logger = require('./logger');
+
+const IMAGE_MARKER = /\[\[IMAGE_PROMPT:\s*(.+?)\]\]/s;
+const IMAGE_SERVICE_URL = 'http://localhost:3002/generate_image';
+
+class ConversationEngine {
+  /**
+   * @param {Object} manager - BotManager (bots, brains, sessions, rate limits)
+   * @param {Object} options
+   * @param {Object} [options.workflowHandler] - Routes orchestrator bots to workflows
+   */
+  constructor(manager, { workflowHandler = null } = {}) {
+    this.manager = manager;
+    this.workflowHandler = workflowHandler;
+  }
+
+  /**
+   * Handle one inbound message from a channel
+   *
+   * @param {Object} adapter - Channel adapter (lib/channels)
+   * @param {Object} message - Inbound message from adapter.normalize()
+   */
+  async handleMessage(adapter, message) {
+    const { botId, userId, group } = message;
+    // Sessions and per-user preferences belong to the group in group chats
+    const turn = { message, botId, userId, sessionKey: group ? group.id : userId, streamedText: '', tools: new Map(), state: {} };
+
+    try {
+      turn.botInfo = await this.resolveBot(botId);
+    } catch (error) {
+      await adapter.sendError(turn, error.message, { kind: 'rejected' });
+      return;
+    }
+    turn.brain = this.manager.getEffectiveBrain(turn.botInfo);
+
+    try {
+      if (await adapter.prepare(turn) === false) return;
+
+      // ========== Rate Limiting ==========
+      // Only messages the adapter accepted count against the quota
+      const { rateLimiter } = this.manager;
+      const rateLimit = group
+        ? rateLimiter.consume(botId, group.id, turn.brain, rateLimiter.getGroupLimits(turn.brain, group.settings))
+        : rateLimiter.consume(botId, userId, turn.brain);
+      if (!rateLimit.allowed) {
+        logger.user(botId, userId, 'warn', 'Rate limit exceeded', rateLimit);
+        await adapter.sendError(turn, rateLimiter.formatMessage(rateLimit), { kind: 'rejected', rateLimit });
+        return;
+      }
+
+      // Orchestrator bots plan workflows instead of chatting (needs stored sessions for history)
+      if (adapter.persistsHistory && this.workflowHandler && this.isOrchestrator(turn.botInfo)) {
+        await this.runWorkflowTurn(adapter, turn);
+      } else {
+        await this.runChatTurn(adapter, turn);
+      }
+    } catch (error) {
+      console.error(`❌ [${botId}] Error handling ${adapter.name} message:`, error);
+
+      try {
+        await adapter.clearStatus(turn);
+        await adapter.sendError(turn, error.message || error.error || 'Unknown error', {
+          kind: 'crashed',
+          timeout: error.timeout === true
+        });
+      } catch (e) {
+        console.error(`❌ [${botId}] Failed to send error message:`, e.message);
+      }
+    } finally {
+      await adapter.finishTurn(turn);
+    }
+  }
+
+  // ========== Bots ==========
+
+  /**
+   * Get a bot, loading a user's agent instance on demand
+   *
+   * botId is the my_agents instance_slug for web and IDE clients. The
+   * instance's brain_config + config_overrides become the bot's brainConfig.
+   *
+   * @param {string} botId - Bot ID or instance slug
+   * @returns {Promise<Object>} Bot info from manager.bots
+   * @throws {Error} With a user-facing message if the bot can't be loaded
+   */
+  async resolveBot(botId) {
+    const loaded = this.manager.bots.get(botId);
+    if (loaded) return loaded;
+
+    console.log(`🔄 Loading bot instance ${botId} on-demand from database`);
+
+    let instance;
+    try {
+      instance = await getStorage().getAgentInstance(botId);
+    } catch (error) {
+      console.error(`❌ Failed to load bot instance ${botId}:`, error.message);
+      throw new Error('Marketplace temporarily unavailable');
+    }
+
+    if (!instance || !instance.agent) {
+      console.error(`❌ Bot instance ${botId} not found`);
+      throw new Error(`Bot instance ${botId} not found`);
+    }
+
+    console.log(`✅ Found bot instance ${botId}, agent: ${instance.agent.slug}`);
+
+    try {
+      await this.manager.addBot({
+        id: botId, // instance_slug is the bot ID
+        brain: instance.agent.slug, // Agent slug for brain loading
+        brainConfig: { ...instance.agent.brain_config, ...instance.config_overrides },
+        webOnly: true
+      });
+    } catch (error) {
+      console.error(`❌ Failed to load bot instance ${botId}:`, error.message, error.stack);
+      throw new Error(`Failed to load bot instance: ${error.message}`);
+    }
+
+    const botInfo = this.manager.bots.get(botId);
+    if (!botInfo) {
+      console.error(`❌ Bot instance ${botId} not found in manager after loading`);
+      throw new Error(`Bot instance ${botId} not found`);
+    }
+
+    console.log(`✅ Bot instance ${botId} loaded successfully`);
+    return botInfo;
+  }
+
+  /**
+   * Check if a bot is an orchestrator (routes messages to the workflow system)
+   *
+   * @param {Object} botInfo - Bot info
+   * @returns {boolean}
+   */
+  isOrchestrator(botInfo) {
+    return botInfo.config?.brain === 'orchestrator' ||
+      botInfo.config?.brainConfig?.isOrchestrator === true;
+  }
+
+  // ========== Sessions ==========
+
+  /**
+   * Resolve the session for a turn
+   *
+   * Sets turn.sessionId (ours for stored sessions, Claude's for CLI sessions),
+   * turn.cliSessionId (for --resume) and turn.isNewSession. CLI sessions past
+   * the brain's compaction limits are compacted first, and a new session
+   * that follows a compacted one gets turn.earlierSummary.
+   *
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} turn - Current turn
+   */
+  async resolveSession(adapter, turn) {
+    const { botId, userId, message } = turn;
+
+    if (!adapter.persistsHistory) {
+      const { sessionManager } = this.manager;
+      turn.cliSessionId = sessionManager.getCurrentUuid(botId, turn.sessionKey);
+      if (turn.cliSessionId) {
+        await this.compactIfNeeded(adapter, turn);
+      }
+      turn.sessionId = turn.cliSessionId;
+      turn.isNewSession = !turn.cliSessionId;
+      if (turn.isNewSession) {
+        turn.earlierSummary = sessionManager.getPendingSummary(botId, turn.sessionKey);
+      }
+    } else if (!message.sessionId || message.sessionId === 'new') {
+      turn.sessionId = messageStore.generateSessionId();
+      turn.cliSessionId = null;
+      turn.isNewSession = true;
+    } else {
+      turn.sessionId = message.sessionId;
+      turn.cliSessionId = await messageStore.getCliSessionId(turn.sessionId);
+      // Channels with their own session IDs (Slack threads) start without a Claude session
+      turn.isNewSession = !turn.cliSessionId;
+    }
+
+    if (turn.isNewSession) {
+      console.log(`🆕 [${botId}] New ${adapter.name} session${turn.sessionId ? ` ${turn.sessionId.substring(0, 8)}...` : ''} for user ${userId}`);
+    } else {
+      console.log(`📝 [${botId}] Resuming ${adapter.name} session ${turn.sessionId.substring(0, 8)}... for user ${userId}`);
+      if (turn.cliSessionId && turn.cliSessionId !== turn.sessionId) {
+        console.log(`🔗 [${botId}] Found CLI session ${turn.cliSessionId.substring(0, 8)}... for --resume`);
+      }
+    }
+  }
+
+  /**
+   * Compact the current CLI session if it's past the brain's limits
+   *
+   * Claude resumes the session to summarize it, so the summary keeps the
+   * bot's voice. On success turn.cliSessionId is cleared and the turn starts
+   * a new session; if summarizing fails the old session carries on.
+   *
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} turn - Current turn
+   */
+  async compactIfNeeded(adapter, turn) {
+    const { botId, userId, sessionKey, message, botInfo } = turn;
+    const policy = resolveCompactionPolicy(turn.brain);
+    if (!policy) return;
+
+    const { sessionManager } = this.manager;
+    const metadata = sessionManager.loadSessionMetadata(botId, sessionKey);
+    const sizeBytes = getTranscriptSize(turn.cliSessionId, metadata?.workspacePath);
+    const reason = getCompactionReason(policy, metadata, sizeBytes);
+    if (!reason) return;
+
+    console.log(`🗜️  [${botId}] Compacting session ${turn.cliSessionId.substring(0, 8)}... (${reason} limit) for ${message.group ? 'group' : 'user'} ${sessionKey}`);
+    await adapter.setStatus(turn, 'compacting');
+
+    let summary;
+    try {
+      const result = await sendToClaudeSession({
+        message: buildSummaryRequest(),
+        sessionId: turn.cliSessionId,
+        claudeCmd: this.manager.claudeCmd,
+        workspacePath: message.workspacePath,
+        allowedTools: this.manager.getAllowedTools(botInfo),
+        botId,
+        telegramUserId: userId
+      });
+      summary = result.text?.trim();
+    } catch (error) {
+      console.warn(`⚠️  [${botId}] Compaction failed, keeping session:`, error.error || error.message);
+      return;
+    }
+
+    if (!summary) {
+      console.warn(`⚠️  [${botId}] Compaction returned no summary, keeping session`);
+      return;
+    }
+
+    sessionManager.compactSession(botId, sessionKey, { summary, reason, sizeBytes });
+    logger.user(botId, sessionKey, 'info', 'Session compacted', { reason, sizeBytes, oldUuid: turn.cliSessionId });
+    turn.cliSessionId = null;
+  }
+
+  /**
+   * Record Claude's session ID once a response arrives
+   *
+   * Stored sessions link it to our session for the next --resume; CLI
+   * sessions become the user's current session.
+   *
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} turn - Current turn
+   * @param {string} newCliSessionId - Session ID from Claude's response
+   */
+  async recordCliSession(adapter, turn, newCliSessionId) {
+    if (!newCliSessionId) return;
+
+    const { botId, sessionKey } = turn;
+    const { sessionManager } = this.manager;
+
+    if (adapter.persistsHistory) {
+      // Link whenever we don't already have one - not just for new sessions
+      if (!turn.cliSessionId) {
+        await messageStore.linkCliSession(turn.sessionId, newCliSessionId);
+        turn.cliSessionId = newCliSessionId;
+      }
+    } else {
+      const previousScope = this.permissionScope(turn);
+      turn.sessionId = newCliSessionId;
+      turn.cliSessionId = newCliSessionId;
+      moveSessionDecisions(previousScope, this.permissionScope(turn));
+    }
+
+    // Count both the user message and the bot response
+    sessionManager.setCurrentUuid(botId, sessionKey, turn.sessionId, turn.message.sessionWorkspace);
+    sessionManager.incrementMessageCount(botId, sessionKey, turn.sessionId);
+    sessionManager.incrementMessageCount(botId, sessionKey, turn.sessionId);
+    console.log(`💾 [${botId}] Saved session ${turn.sessionId.substring(0, 8)}... for ${turn.message.group ? 'group' : 'user'} ${sessionKey} (workspace: ${turn.message.sessionWorkspace || 'none'})`);
+  }
+
+  // ========== Chat ==========
+
+  /**
+   * Run a normal chat turn: prompt → Claude → reply
+   *
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} turn - Current turn
+   */
+  async runChatTurn(adapter, turn) {
+    const { botId, userId, message, botInfo, brain } = turn;
+
+    await this.resolveSession(adapter, turn);
+
+    // ========== Attachments ==========
+    // Limits come from the brain, with instance config_overrides taking priority
+    let files = [];
+    if (message.attachments?.length > 0) {
+      let prepared;
+      try {
+        prepared = await prepareAttachments(message.attachments, { brain, userId });
+      } catch (error) {
+        console.error(`❌ [${botId}] Failed to process attachments:`, error.message);
+        await adapter.sendError(turn, 'Sorry, I couldn\'t read that file. Please try again.', { kind: 'attachment' });
+        return;
+      }
+      if (prepared.error) {
+        await adapter.sendError(turn, prepared.error, { kind: 'attachment' });
+        return;
+      }
+      files = prepared.files;
+      console.log(`📎 [${botId}] Received ${files.length} attachment(s): ${files.map(f => f.filename).join(', ')}`);
+    }
+
+    // ========== Save User Message Immediately ==========
+    // Persisted even if Claude fails
+    if (adapter.persistsHistory) {
+      await messageStore.saveUserMessage(turn.sessionId, userId, botId, message.text, turn.cliSessionId);
+      await this.saveAttachments(adapter, turn, files, turn.sessionId);
+      console.log(`💾 [${botId}] Saved user message to DB BEFORE calling Claude`);
+    }
+
+    await adapter.setStatus(turn, 'thinking');
+
+    const { fullMessage, messageContent } = await this.buildPrompt(turn, files);
+
+    const result = await this.callClaude(adapter, turn, { message: fullMessage, messageContent });
+    turn.result = result;
+
+    await this.recordCliSession(adapter, turn, result.metadata?.sessionInfo?.sessionId);
+
+    // CLI sessions are keyed by Claude's UUID, so attachments are recorded once it's known
+    if (!adapter.persistsHistory && turn.cliSessionId) {
+      await this.saveAttachments(adapter, turn, files, turn.cliSessionId);
+    }
+
+    await this.deliver(adapter, turn, result);
+  }
+
+  /**
+   * Record attachments in chat_messages
+   *
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} turn - Current turn
+   * @param {Array<Object>} files - Prepared attachments
+   * @param {string} sessionId - Session the messages belong to
+   */
+  async saveAttachments(adapter, turn, files, sessionId) {
+    for (const file of files) {
+      await messageStore.saveAssetMessage(sessionId, String(turn.userId), turn.botId, file.assetType, file.url, turn.cliSessionId, {
+        filename: file.filename,
+        contentType: file.contentType,
+        sizeBytes: file.size,
+        key: file.key,
+        source: adapter.name
+      }, 'user');
+    }
+  }
+
+  /**
+   * Build the message sent to Claude
+   *
+   * New sessions get the system prompt (with the summary of a compacted
+   * session they continue); every message gets the brain's
+   * security reminder to prevent role drift. User text is wrapped in
+   * delimiters so it can be extracted when reading logs. In group chats the
+   * speaker goes before the delimiters, where members can't forge it. Images
+   * and attachments turn the message into structured content.
+   *
+   * @param {Object} turn - Current turn
+   * @param {Array<Object>} files - Prepared attachments
+   * @returns {Promise<Object>} { fullMessage, messageContent }
+   */
+  async buildPrompt(turn, files) {
+    const { botId, botInfo, message } = turn;
+    const { brainLoader } = this.manager;
+    const images = message.images || [];
+
+    const securityReminder = await brainLoader.getSecurityReminder(botInfo.config.brain);
+    let prefix = securityReminder ? `${securityReminder}\n\n` : '';
+
+    if (turn.isNewSession) {
+      const memories = await this.getSessionMemories(turn);
+      let systemPrompt = await brainLoader.buildSystemPrompt(botInfo.config.brain, message.user, {
+        memories,
+        knowledge: Boolean(resolveKnowledgeConfig(turn.brain))
+      });
+      if (message.group) {
+        systemPrompt += `\n\n${this.buildGroupPrompt(message.group)}`;
+      }
+      if (turn.brain.replyMarkup?.enabled) {
+        systemPrompt += `\n\n${buildMarkupPrompt()}`;
+      }
+      if (turn.earlierSummary) {
+        systemPrompt += `\n\n${buildSummaryPrompt(turn.earlierSummary)}`;
+      }
+      console.log(`🧠 [${botId}] System prompt preview: ${systemPrompt.substring(0, 300)}...`);
+      prefix = securityReminder
+        ? `${systemPrompt}\n\n---\n\n${securityReminder}\n\n`
+        : `${systemPrompt}\n\n`;
+    }
+
+    const defaultText = images.length > 0 ? '(user sent an image)' : (files.length > 0 ? '(user sent a file)' : '');
+    const speaker = message.group ? `[${this.formatSpeaker(message.user)}]\n` : '';
+    const fullMessage = `${prefix}${speaker}<<<USER_TEXT_START>>>${message.text || defaultText}<<<USER_TEXT_END>>>`;
+
+    if (images.length === 0 && files.length === 0) {
+      return { fullMessage, messageContent: null };
+    }
+
+    const messageContent = [
+      { type: 'text', text: fullMessage },
+      ...images.map(image => ({
+        type: 'image',
+        source: { type: 'base64', media_type: image.mediaType, data: image.data }
+      })),
+      ...buildAttachmentBlocks(files, turn.brain)
+    ];
+
+    return { fullMessage, messageContent };
+  }
+
+  /**
+   * Whose memories a turn can use: { brain, userId }, or null
+   *
+   * @param {Object} turn - Current turn
+   * @returns {Object|null}
+   */
+  getMemoryOwner(turn) {
+    if (!resolveMemoryConfig(turn.brain) || turn.message.group) return null;
+    return { brain: turn.botInfo.config.brain, userId: String(turn.userId) };
+  }
+
+  /**
+   * Knowledge base a turn can search: { brain, maxResults }, or null
+   *
+   * @param {Object} turn - Current turn
+   * @returns {Object|null}
+   */
+  getKnowledgeBase(turn) {
+    const config = resolveKnowledgeConfig(turn.brain);
+    if (!config) return null;
+    return { brain: turn.botInfo.config.brain, maxResults: config.maxResults };
+  }
+
+  /**
+   * Memories for a new session's system prompt, most relevant to its first message first
+   *
+   * @param {Object} turn - Current turn
+   * @returns {Promise<Array<Object>>}
+   */
+  async getSessionMemories(turn) {
+    const owner = this.getMemoryOwner(turn);
+    if (!owner) return [];
+
+    const { maxInPrompt } = resolveMemoryConfig(turn.brain);
+    const memories = await getPromptMemories(owner.brain, owner.userId, turn.message.text || '', maxInPrompt);
+    if (memories.length > 0) {
+      console.log(`🧠 [${turn.botId}] Adding ${memories.length} memories to the system prompt`);
+    }
+    return memories;
+  }
+
+  /**
+   * System prompt addition for a group chat session
+   *
+   * @param {Object} group - { title, settings }
+   * @returns {string} Prompt text
+   */
+  buildGroupPrompt(group) {
+    let prompt = `You are in the group chat "${group.title}". Several people talk to you here. ` +
+      'Each message starts with [Name (@username)] to show who is speaking - address people by name ' +
+      'when it helps, and keep track of who asked what.';
+
+    if (group.settings?.instructions) {
+      prompt += `\n\nInstructions from the group's admins:\n${group.settings.instructions}`;
+    }
+
+    return prompt;
+  }
+
+  /**
+   * Name a group chat speaker for the prompt
+   *
+   * @param {Object} user - { first_name, last_name, username, id }
+   * @returns {string} e.g. "Alice Smith (@alice)"
+   */
+  formatSpeaker(user = {}) {
+    const name = [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username || `User ${user.id}`;
+    return user.username ? `${name} (@${user.username})` : name;
+  }
+
+  /**
+   * Call Claude in the mode the brain and channel call for
+   *
+   * Media channels get TTS (brain default or the user's /tts preference) and
+   * image generation; everything else streams text.
+   *
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} turn - Current turn
+   * @param {Object} prompt - { message, messageContent }
+   * @returns {Promise<Object>} Claude result
+   */
+  async callClaude(adapter, turn, prompt) {
+    const { botId, userId, message, botInfo, brain } = turn;
+
+    const options = {
+      ...prompt,
+      sessionId: turn.cliSessionId, // null for new sessions
+      claudeCmd: this.manager.claudeCmd,
+      workspacePath: message.workspacePath,
+      allowedTools: this.manager.getAllowedTools(botInfo),
+      memory: this.getMemoryOwner(turn),
+      knowledge: this.getKnowledgeBase(turn),
+      botId,
+      telegramUserId: userId,
+      ...adapter.getTracking(turn)
+    };
+
+    if (adapter.media) {
+      const imageGenEnabled = brain.imageGen?.enabled === true;
+      const useOrganicImageFlow = brain.imageGen?.toolsAlwaysAvailable === true;
+
+      // Legacy 2-turn image flow: bots without toolsAlwaysAvailable get keyword detection
+      const lowerText = (message.text || '').toLowerCase();
+      const isImageRequest = imageGenEnabled && !useOrganicImageFlow &&
+        ['image', 'picture', 'photo', 'draw', 'generate', 'create a'].some(keyword => lowerText.includes(keyword));
+
+      if (isImageRequest) {
+        const imageConfig = this.getImageConfig(brain);
+        return this.callWithRetry(adapter, turn, sendToClaudeWithImage, {
+          ...options,
+          userText: message.text, // Raw user text for the image prompt
+          imageModel: imageConfig.model,
+          imageSize: imageConfig.size,
+          imageQuality: imageConfig.quality,
+          imageStyle: imageConfig.style,
+          imagePromptContext: imageConfig.promptContext,
+          onTurn2Start: () => adapter.setStatus(turn, 'drawing')
+        });
+      }
+
+      // User preference wins over the brain default
+      const ttsPreference = this.manager.sessionManager.getTtsPreference(botId, turn.sessionKey);
+      const ttsEnabled = ttsPreference !== null ? ttsPreference : brain.tts?.enabled === true;
+
+      if (ttsEnabled) {
+        return this.callWithRetry(adapter, turn, sendToClaudeWithTTS, {
+          ...options,
+          ttsVoice: brain.tts?.voice || 'nova',
+          ttsSpeed: brain.tts?.speed || 1.0,
+          ttsProvider: brain.tts?.provider || null,
+          onTurn2Start: () => adapter.setStatus(turn, 'recording')
+        });
+      }
+    }
+
+    // Text mode: stream the response. Organic image flow lets Claude call the
+    // image tools itself; marker detection asks for [[IMAGE_PROMPT: ...]] instead.
+    const useOrganicImageFlow = adapter.media && brain.imageGen?.toolsAlwaysAvailable === true;
+    const useMarkerDetection = adapter.media && brain.imageGen?.useMarkerDetection === true;
+    const generatedImages = [];
+
+    const permissionPolicy = resolvePermissionPolicy(brain);
+
+    const result = await this.callWithRetry(adapter, turn, sendToClaudeSession, {
+      ...options,
+      mcpProfile: (useOrganicImageFlow && !useMarkerDetection) ? 'with-image-tools' : 'no-image-tools',
+      // Switches the client to interactive mode, where Claude asks before each tool call
+      ...(permissionPolicy && {
+        onPermissionRequest: (toolName, input) => this.checkToolPermission(adapter, turn, permissionPolicy, toolName, input)
+      }),
+      onStream: (chunk) => {
+        turn.streamedText += chunk;
+        return adapter.sendChunk(turn, chunk);
+      },
+      onToolStart: (tool) => this.startTool(adapter, turn, tool),
+      onToolEnd: (tool) => this.endTool(adapter, turn, tool),
+      onToolResult: (toolName, toolResult) => {
+        if (toolName !== 'mcp__image-gen__generate_image') return;
+        try {
+          const imageData = typeof toolResult === 'string' ? JSON.parse(toolResult) : toolResult;
+          if (imageData.success && imageData.image_path) {
+            console.log(`🖼️  [${botId}] Image generated organically: ${imageData.image_path}`);
+            generatedImages.push(imageData.image_path);
+          }
+        } catch (e) {
+          console.error(`⚠️  Failed to parse image result:`, e.message);
+        }
+      }
+    });
+
+    result.generatedImages = generatedImages;
+
+    if (useMarkerDetection && result.success && result.text) {
+      const match = result.text.match(IMAGE_MARKER);
+      if (match) {
+        const imagePrompt = match[1].trim();
+        console.log(`🎨 [${botId}] Detected image generation marker`);
+        console.log(`📝 [${botId}] Prompt: ${imagePrompt.substring(0, 100)}...`);
+
+        // Remove marker from visible text
+        result.text = result.text.replace(IMAGE_MARKER, '').trim();
+
+        try {
+          const imagePath = await this.generateImage(turn, imagePrompt, this.getImageConfig(brain));
+          if (imagePath) result.generatedImages.push(imagePath);
+        } catch (error) {
+          console.error(`❌ [${botId}] Image generation error:`, error.message);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Claude started a tool call
+   *
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} turn - Current turn (turn.tools holds the running calls)
+   * @param {Object} tool - { id, name, args } from the Claude client
+   */
+  async startTool(adapter, turn, tool) {
+    const running = { ...tool, label: getToolLabel(tool.name, tool.args), phase: 'start' };
+    turn.tools.set(tool.id, running);
+    await adapter.sendToolStatus(turn, running);
+  }
+
+  /**
+   * A tool call returned
+   *
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} turn - Current turn
+   * @param {Object} tool - { id, name, args, durationMs, isError } from the Claude client
+   */
+  async endTool(adapter, turn, tool) {
+    turn.tools.delete(tool.id);
+    await adapter.sendToolStatus(turn, { ...tool, label: getToolLabel(tool.name, tool.args), phase: 'end' });
+  }
+
+  /**
+   * Answer Claude's request to use a tool, asking the user if the brain's policy says so
+   *
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} turn - Current turn
+   * @param {Object} policy - From resolvePermissionPolicy()
+   * @param {string} toolName - Tool Claude wants to call
+   * @param {Object} input - Tool arguments
+   * @returns {Promise<boolean|Object>} true, or { allow: false, message } for Claude
+   */
+  async checkToolPermission(adapter, turn, policy, toolName, input) {
+    const { botId } = turn;
+    const rule = getToolPolicy(policy, toolName);
+
+    if (rule === 'allow') return true;
+    if (rule === 'deny') {
+      console.log(`🚫 [${botId}] ${toolName} is denied by the brain's permissions`);
+      return { allow: false, message: `The ${toolName} tool is not allowed for this bot.` };
+    }
+
+    const scope = this.permissionScope(turn);
+    if (getSessionDecision(scope, toolName) === 'allow') {
+      return true;
+    }
+
+    if (!adapter.approvals) {
+      console.log(`🚫 [${botId}] ${toolName} needs approval, which ${adapter.name} can't ask for`);
+      return { allow: false, message: `The ${toolName} tool needs the user's approval, which can't be asked for on this channel.` };
+    }
+
+    const args = sanitizeToolArgs(input);
+    const { id, decision } = requestApproval({ botId, userId: turn.userId, toolName }, policy.timeoutMs);
+    const request = {
+      id,
+      toolName,
+      label: getToolLabel(toolName, args),
+      args,
+      timeoutSeconds: policy.timeoutMs / 1000,
+      rememberForSession: policy.rememberForSession
+    };
+
+    console.log(`🔐 [${botId}] Asking ${turn.userId} to approve ${toolName}`);
+    try {
+      await adapter.requestApproval(turn, request);
+    } catch (error) {
+      console.error(`❌ [${botId}] Failed to ask for approval:`, error.message);
+    }
+
+    const answer = await decision;
+    console.log(`🔐 [${botId}] ${toolName}: ${answer}`);
+
+    try {
+      await adapter.resolveApproval(turn, request, answer);
+    } catch (error) {
+      console.error(`⚠️  [${botId}] Failed to update approval prompt:`, error.message);
+    }
+
+    if (answer === 'allow_session') {
+      rememberSessionDecision(scope, toolName, 'allow');
+    }
+    if (answer === 'allow' || answer === 'allow_session') {
+      return true;
+    }
+    return {
+      allow: false,
+      message: answer === 'timeout'
+        ? 'The user did not answer the permission request in time.'
+        : 'The user denied permission to use this tool.'
+    };
+  }
+
+  /**
+   * Key for decisions remembered for a session (new CLI sessions get
+   * their ID only once Claude answers - see recordCliSession)
+   *
+   * @param {Object} turn - Current turn
+   * @returns {string}
+   */
+  permissionScope(turn) {
+    return `${turn.botId}:${turn.sessionId || `new:${turn.sessionKey}`}`;
+  }
+
+  /**
+   * Call Claude, retrying once if it times out
+   *
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} turn - Current turn
+   * @param {Function} claudeFunction - Claude client function
+   * @param {Object} options - Options for claudeFunction
+   * @param {number} [maxRetries=1] - Retries after a timeout
+   * @returns {Promise<Object>} Claude result
+   */
+  async callWithRetry(adapter, turn, claudeFunction, options, maxRetries = 1) {
+    for (let attempt = 0; ; attempt++) {
+      if (attempt > 0) {
+        console.log(`🔄 [${turn.botId}] Retry attempt ${attempt}/${maxRetries} for user ${turn.userId}`);
+        turn.streamedText = '';
+        turn.tools.clear();
+        await adapter.setStatus(turn, 'retrying', { attempt, maxRetries });
+      }
+
+      try {
+        return await claudeFunction(options);
+      } catch (error) {
+        if (error.timeout !== true || attempt >= maxRetries) {
+          throw error;
+        }
+        console.warn(`⏱️  [${turn.botId}] Timeout on attempt ${attempt + 1}, retrying...`);
+      }
+    }
+  }
+
+  /**
+   * Resolve a brain's image generation settings (profile, or inline config)
+   *
+   * @param {Object} brain - Effective brain
+   * @returns {Object} { model, size, quality, style, promptContext }
+   */
+  getImageConfig(brain) {
+    const imageGen = brain.imageGen || {};
+
+    if (imageGen.profile) {
+      try {
+        const profile = this.manager.imageProfileLoader.load(imageGen.profile);
+        console.log(`🎨 Using image profile: ${imageGen.profile}`);
+        return profile;
+      } catch (err) {
+        console.error(`❌ Failed to load image profile: ${err.message}`);
+      }
+    }
+
+    return {
+      model: imageGen.model || 'dall-e-2',
+      size: imageGen.size || '256x256',
+      quality: imageGen.quality || 'standard',
+      style: imageGen.style || 'vivid',
+      promptContext: imageGen.promptContext || ''
+    };
+  }
+
+  /**
+   * Generate an image with the image service
+   *
+   * @param {Object} turn - Current turn
+   * @param {string} prompt - Image description
+   * @param {Object} imageConfig - From getImageConfig()
+   * @returns {Promise<string|null>} Local image path, or null if generation failed
+   */
+  async generateImage(turn, prompt, imageConfig) {
+    const { botId, userId } = turn;
+    const outputDir = path.join(process.cwd(), 'images-output', `bot-${botId}`, `user-${userId}`);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    console.log(`🖼️  [${botId}] Calling image generation service...`);
+    const response = await fetch(IMAGE_SERVICE_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        prompt,
+        model: imageConfig.model,
+        size: imageConfig.size,
+        quality: imageConfig.quality,
+        style: imageConfig.style,
+        filename: `bot-${botId}-user-${userId}-${Date.now()}`,
+        output_dir: outputDir,
+        include_base64: false
+      })
+    });
+
+    if (!response.ok) {
+      console.error(`❌ Image service error: ${response.status} - ${await response.text()}`);
+      return null;
+    }
+
+    const imageResult = await response.json();
+    if (!imageResult.success || !imageResult.image_path) {
+      return null;
+    }
+
+    console.log(`✅ [${botId}] Image generated: ${imageResult.image_path}`);
+    return imageResult.image_path;
+  }
+
+  /**
+   * Send Claude's response: voice, images and/or text, then save it
+   *
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} turn - Current turn
+   * @param {Object} result - Claude result
+   */
+  async deliver(adapter, turn, result) {
+    const { botId, userId, brain } = turn;
+
+    await adapter.clearStatus(turn);
+
+    const images = [result.imagePath, ...(result.generatedImages || [])].filter(Boolean);
+    if (!result.success || !(result.text || result.audioPath || images.length > 0)) {
+      console.error(`❌ [${botId}] Claude error:`, result.error);
+      await adapter.sendError(turn, result.error || 'Bot returned no response', { kind: 'failed' });
+      return;
+    }
+
+    // Buttons, quick replies and polls (markers are stripped from the text)
+    const { text, markup } = brain.replyMarkup?.enabled
+      ? parseReplyMarkup(result.text || '')
+      : { text: result.text || '', markup: null };
+    const hasAudio = !!result.audioPath;
+    const hasImages = images.length > 0;
+
+    if (hasAudio) {
+      try {
+        await adapter.sendVoice(turn, result.audioPath);
+        console.log(`✅ [${botId}] Voice message sent: ${result.audioPath}`);
+      } catch (audioError) {
+        console.error(`❌ [${botId}] Failed to send audio:`, audioError.message);
+        // Fall back to text if audio fails
+        await this.sendReply(adapter, turn, text, markup);
+      }
+    }
+
+    for (const imagePath of images) {
+      try {
+        await adapter.sendPhoto(turn, imagePath);
+        console.log(`✅ [${botId}] Image sent: ${imagePath}`);
+      } catch (imageError) {
+        console.error(`❌ [${botId}] Failed to send image:`, imageError.message);
+      }
+    }
+
+    // Voice and images replace the text unless the brain asks for both (or there are buttons to show)
+    const sendTextTooAudio = brain.tts?.sendTextToo === true;
+    const sendTextTooImage = brain.imageGen?.sendTextToo === true;
+    const shouldSendText = (!hasAudio && !hasImages) ||
+      (hasAudio && sendTextTooAudio) ||
+      (hasImages && sendTextTooImage) ||
+      hasMarkup(markup);
+
+    if (shouldSendText && (text || hasMarkup(markup))) {
+      await this.sendReply(adapter, turn, text, markup);
+    }
+
+    if (adapter.persistsHistory && text) {
+      await messageStore.saveAssistantMessage(turn.sessionId, userId, botId, text, turn.cliSessionId);
+      console.log(`💾 [${botId}] Saved assistant message to DB`);
+    }
+
+    turn.delivered = true;
+
+    const parts = [
+      hasAudio && 'voice',
+      hasImages && `${images.length} image(s)`,
+      shouldSendText && 'text',
+      hasMarkup(markup) && 'markup'
+    ].filter(Boolean);
+    console.log(`✅ [${botId}] Response sent to ${adapter.name} (${parts.join(' + ')}, ${text.length} chars)`);
+  }
+
+  /**
+   * Send a text reply with its markup, or with the markup as text if the
+   * channel can't show it
+   *
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} turn - Current turn
+   * @param {string} text - Reply text
+   * @param {Object|null} markup - From parseReplyMarkup()
+   */
+  async sendReply(adapter, turn, text, markup) {
+    if (!hasMarkup(markup)) {
+      await adapter.sendReply(turn, text);
+    } else if (adapter.markup) {
+      await adapter.sendReply(turn, text || '👇', markup);
+    } else {
+      await adapter.sendReply(turn, formatMarkupAsText(text, markup));
+    }
+  }
+
+  // ========== Workflows ==========
+
+  /**
+   * Run an orchestrator turn: the message becomes a workflow goal
+   *
+   * Uses the same session tracking as chat so history persists.
+   *
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} turn - Current turn
+   */
+  async runWorkflowTurn(adapter, turn) {
+    const { botId, userId, message } = turn;
+    console.log(`🎭 [${botId}] Orchestrator detected - routing to workflow system`);
+
+    await this.resolveSession(adapter, turn);
+
+    await messageStore.saveUserMessage(turn.sessionId, userId, botId, message.text, turn.cliSessionId);
+    console.log(`💾 [${botId}] Saved orchestrator user message to DB BEFORE workflow`);
+
+    const reply = async (messageType, metadata, text) => {
+      await messageStore.saveWorkflowMessage(turn.sessionId, userId, botId, messageType, metadata, text, turn.cliSessionId);
+      console.log(`💾 [${botId}] Saved workflow ${messageType} message to DB`);
+      await adapter.sendReply(turn, text);
+    };
+
+    try {
+      const result = await this.workflowHandler.startWorkflow({
+        userId,
+        goal: message.text,
+        sessionId: turn.cliSessionId, // CLI session for --resume (if exists)
+        onProgress: (type, progressData) => {
+          adapter.sendEvent(turn, 'workflow:progress', { type, ...progressData });
+        }
+      });
+      turn.result = result;
+
+      await this.recordCliSession(adapter, turn, result.sessionId);
+
+      if (result.status === 'needs_discovery') {
+        // Orchestrator needs more info before creating plan
+        await adapter.sendEvent(turn, 'workflow:discovery', {
+          workflowId: result.workflowId,
+          status: 'needs_discovery',
+          questions: result.questions,
+          message: result.message
+        });
+        console.log(`❓ [${botId}] Workflow needs discovery: ${result.workflowId}`);
+
+        await reply('discovery',
+          { workflowId: result.workflowId, questions: result.questions },
+          result.message || '❓ I need a bit more information to create a plan. Please answer the questions in the workflow panel.');
+      } else if (result.status === 'needs_clarification') {
+        // Orchestrator needs single clarification
+        await adapter.sendEvent(turn, 'workflow:clarify', {
+          workflowId: result.workflowId,
+          status: 'needs_clarification',
+          question: result.question,
+          message: result.message
+        });
+        console.log(`❓ [${botId}] Workflow needs clarification: ${result.workflowId}`);
+
+        await reply('discovery',
+          { workflowId: result.workflowId, question: result.question },
+          result.message || result.question);
+      } else {
+        await adapter.sendEvent(turn, 'workflow:planned', result);
+        console.log(`✅ [${botId}] Workflow plan created: ${result.workflowId}`);
+
+        await reply('plan',
+          { workflowId: result.workflowId, plan: result.plan },
+          `📋 **Workflow Plan Created**\n\nI've analyzed your goal and created a plan with ${result.plan?.steps?.length || 0} steps. Check the workflow panel to review and approve it.`);
+      }
+
+      turn.delivered = true;
+    } catch (error) {
+      console.error(`❌ [${botId}] Workflow error:`, error);
+      await adapter.sendEvent(turn, 'workflow:error', { error: error.message });
+
+      await reply('error', { error: error.message }, `❌ Error creating workflow plan: ${error.message}`)
+        .catch(e => console.error('Failed to save error message:', e));
+    }
+  }
+}
+
+module.exports = ConversationEngine;
@@ -0,0 +1,391 @@
+/**
+ * DiscordClient
+ *
+ * Minimal Discord bot client: a Gateway connection for events and the REST
+ * API for everything the bot sends. Only what the Discord channel adapter
+ * needs - messages, edits, file uploads, typing, slash commands and
+ * interaction responses.
+ *
+ * API and Gateway URLs can be pointed at a local mock (DISCORD_API_URL,
+ * DISCORD_GATEWAY_URL, or the apiUrl/gatewayUrl options).
+ *
+ * Events:
+ *   'ready'       (user)        - Identified; user is the bot's own user
+ *   'message'     (message)     - MESSAGE_CREATE
+ *   'interaction' (interaction) - INTERACTION_CREATE
+ *   'error'       (error)       - Unrecoverable gateway error (bad token, disallowed intents)
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+
+const DEFAULT_API_URL = 'https://discord.com/api/v10';
+const GATEWAY_VERSION = 10;
+
+// Gateway opcodes
+const OP = {
+  DISPATCH: 0,
+  HEARTBEAT: 1,
+  IDENTIFY: 2,
+  RESUME: 6,
+  RECONNECT: 7,
+  INVALID_SESSION: 9,
+  HELLO: 10,
+  HEARTBEAT_ACK: 11
+};
+
+// GUILDS | GUILD_MESSAGES | DIRECT_MESSAGES | MESSAGE_CONTENT
+const DEFAULT_INTENTS = (1 << 0) | (1 << 9) | (1 << 12) | (1 << 15);
+
+// Close codes that won't get better by reconnecting (bad token, invalid/disallowed intents, ...)
+const FATAL_CLOSE_CODES = [4004, 4010, 4011, 4012, 4013, 4014];
+
+const RECONNECT_DELAYS = [1000, 5000, 10000, 30000];
+
+class DiscordClient extends EventEmitter {
+  /**
+   * @param {string} token - Bot token
+   * @param {Object} options
+   * @param {string} [options.apiUrl] - REST API base URL
+   * @param {string} [options.gatewayUrl] - Gateway URL (default: GET /gateway/bot)
+   * @param {number} [options.intents] - Gateway intents
+   */
+  constructor(token, options = {}) {
+    super();
+    this.token = token;
+    this.apiUrl = (options.apiUrl || process.env.DISCORD_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+    this.gatewayUrl = options.gatewayUrl || process.env.DISCORD_GATEWAY_URL || null;
+    this.intents = options.intents ?? DEFAULT_INTENTS;
+
+    this.user = null;
+    this.applicationId = null;
+    this.ws = null;
+    this.sequence = null;
+    this.sessionId = null;
+    this.resumeUrl = null;
+    this.heartbeatTimer = null;
+    this.heartbeatAcked = true;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.destroyed = false;
+  }
+
+  // ========== Gateway ==========
+
+  /**
+   * Connect to the Gateway
+   */
+  async connect() {
+    this.destroyed = false;
+    if (!this.gatewayUrl) {
+      const { url } = await this.request('GET', '/gateway/bot');
+      this.gatewayUrl = url;
+    }
+    this.openSocket(this.gatewayUrl);
+  }
+
+  /**
+   * Whether the Gateway connection is open and identified
+   *
+   * @returns {boolean}
+   */
+  isConnected() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN && !!this.sessionId;
+  }
+
+  /**
+   * Close the connection for good
+   */
+  destroy() {
+    this.destroyed = true;
+    this.stopHeartbeat();
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {});
+      this.ws.close(1000);
+      this.ws = null;
+    }
+  }
+
+  openSocket(baseUrl) {
+    const url = `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}v=${GATEWAY_VERSION}&encoding=json`;
+    const ws = new WebSocket(url);
+    this.ws = ws;
+
+    ws.on('message', (raw) => {
+      let payload;
+      try {
+        payload = JSON.parse(raw.toString());
+      } catch (err) {
+        console.error('⚠️  Discord: unparseable gateway payload:', err.message);
+        return;
+      }
+      this.handlePayload(payload);
+    });
+
+    ws.on('close', (code) => {
+      if (this.ws !== ws) return;
+      this.stopHeartbeat();
+      this.ws = null;
+
+      if (this.destroyed) return;
+
+      if (FATAL_CLOSE_CODES.includes(code)) {
+        this.emit('error', new Error(`Discord gateway closed with code ${code}`));
+        return;
+      }
+      this.scheduleReconnect();
+    });
+
+    ws.on('error', (error) => {
+      console.error('❌ Discord gateway error:', error.message);
+    });
+  }
+
+  handlePayload({ op, d, s, t }) {
+    if (s !== null && s !== undefined) {
+      this.sequence = s;
+    }
+
+    switch (op) {
+      case OP.HELLO:
+        this.startHeartbeat(d.heartbeat_interval);
+        if (this.sessionId) {
+          this.send(OP.RESUME, { token: this.token, session_id: this.sessionId, seq: this.sequence });
+        } else {
+          this.send(OP.IDENTIFY, {
+            token: this.token,
+            intents: this.intents,
+            properties: { os: process.platform, browser: 'labcart-bot', device: 'labcart-bot' }
+          });
+        }
+        break;
+
+      case OP.HEARTBEAT:
+        this.sendHeartbeat();
+        break;
+
+      case OP.HEARTBEAT_ACK:
+        this.heartbeatAcked = true;
+        break;
+
+      case OP.RECONNECT:
+        this.ws?.close(4000);
+        break;
+
+      case OP.INVALID_SESSION:
+        // d = resumable
+        if (!d) {
+          this.sessionId = null;
+          this.sequence = null;
+        }
+        this.ws?.close(4000);
+        break;
+
+      case OP.DISPATCH:
+        this.handleDispatch(t, d);
+        break;
+    }
+  }
+
+  handleDispatch(type, data) {
+    switch (type) {
+      case 'READY':
+        this.user = data.user;
+        this.applicationId = data.application?.id || data.user.id;
+        this.sessionId = data.session_id;
+        this.resumeUrl = data.resume_gateway_url || null;
+        this.reconnectAttempts = 0;
+        this.emit('ready', this.user);
+        break;
+
+      case 'RESUMED':
+        this.reconnectAttempts = 0;
+        break;
+
+      case 'MESSAGE_CREATE':
+        this.emit('message', data);
+        break;
+
+      case 'INTERACTION_CREATE':
+        this.emit('interaction', data);
+        break;
+    }
+  }
+
+  send(op, d) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ op, d }));
+    }
+  }
+
+  startHeartbeat(intervalMs) {
+    this.stopHeartbeat();
+    this.heartbeatAcked = true;
+    this.heartbeatTimer = setInterval(() => {
+      // No ACK since the last heartbeat: the connection is dead - reconnect and resume
+      if (!this.heartbeatAcked) {
+        console.warn('⚠️  Discord: heartbeat not acknowledged, reconnecting');
+        this.ws?.terminate();
+        return;
+      }
+      this.sendHeartbeat();
+    }, intervalMs);
+  }
+
+  sendHeartbeat() {
+    this.heartbeatAcked = false;
+    this.send(OP.HEARTBEAT, this.sequence);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  scheduleReconnect() {
+    const delay = RECONNECT_DELAYS[Math.min(this.reconnectAttempts, RECONNECT_DELAYS.length - 1)];
+    this.reconnectAttempts++;
+    console.log(`🔄 Discord: reconnecting in ${delay / 1000}s (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.openSocket(this.sessionId && this.resumeUrl ? this.resumeUrl : this.gatewayUrl);
+    }, delay);
+  }
+
+  // ========== REST ==========
+
+  /**
+   * Call the REST API
+   *
+   * Waits and retries once when rate limited (429).
+   *
+   * @param {string} method - HTTP method
+   * @param {string} route - Path, e.g. /channels/123/messages
+   * @param {Object|FormData} [body] - JSON body or multipart form
+   * @returns {Promise<Object|null>} Parsed response (null for 204)
+   */
+  async request(method, route, body, retried = false) {
+    const headers = { Authorization: `Bot ${this.token}` };
+    const isForm = body instanceof FormData;
+    if (body !== undefined && !isForm) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(`${this.apiUrl}${route}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : (isForm ? body : JSON.stringify(body))
+    });
+
+    if (response.status === 429 && !retried) {
+      const { retry_after: retryAfter = 1 } = await response.json().catch(() => ({}));
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+      return this.request(method, route, body, true);
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`Discord ${method} ${route} failed: HTTP ${response.status} ${text}`.trim());
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  /**
+   * Send a message
+   *
+   * @param {string} channelId - Channel ID
+   * @param {string|Object} message - Content, or a message payload
+   * @returns {Promise<Object>} Created message
+   */
+  sendMessage(channelId, message) {
+    const payload = typeof message === 'string' ? { content: message } : message;
+    return this.request('POST', `/channels/${channelId}/messages`, {
+      allowed_mentions: { parse: [] },
+      ...payload
+    });
+  }
+
+  /**
+   * Edit a message
+   *
+   * @param {string} channelId - Channel ID
+   * @param {string} messageId - Message ID
+   * @param {string} content - New content
+   * @returns {Promise<Object>} Edited message
+   */
+  editMessage(channelId, messageId, content) {
+    return this.request('PATCH', `/channels/${channelId}/messages/${messageId}`, { content });
+  }
+
+  /**
+   * Delete a message
+   *
+   * @param {string} channelId - Channel ID
+   * @param {string} messageId - Message ID
+   */
+  deleteMessage(channelId, messageId) {
+    return this.request('DELETE', `/channels/${channelId}/messages/${messageId}`);
+  }
+
+  /**
+   * Upload a local file as a message attachment
+   *
+   * @param {string} channelId - Channel ID
+   * @param {string} filePath - Local file path
+   * @param {Object} [payload] - Message payload (content etc.)
+   * @returns {Promise<Object>} Created message
+   */
+  sendFile(channelId, filePath, payload = {}) {
+    const filename = path.basename(filePath);
+    const form = new FormData();
+    form.append('payload_json', JSON.stringify({
+      allowed_mentions: { parse: [] },
+      ...payload,
+      attachments: [{ id: 0, filename }]
+    }));
+    form.append('files[0]', new Blob([fs.readFileSync(filePath)]), filename);
+
+    return this.request('POST', `/channels/${channelId}/messages`, form);
+  }
+
+  /**
+   * Show the typing indicator (lasts ~10 seconds)
+   *
+   * @param {string} channelId - Channel ID
+   */
+  sendTyping(channelId) {
+    return this.request('POST', `/channels/${channelId}/typing`);
+  }
+
+  /**
+   * Replace the application's global slash commands
+   *
+   * @param {Array<Object>} commands - [{ name, description }]
+   */
+  setCommands(commands) {
+    return this.request('PUT', `/applications/${this.applicationId}/commands`, commands);
+  }
+
+  /**
+   * Reply to an interaction with a message
+   *
+   * @param {Object} interaction - Interaction from the 'interaction' event
+   * @param {string} content - Reply text
+   * @param {Object} [options] - { ephemeral }
+   */
+  replyToInteraction(interaction, content, { ephemeral = false } = {}) {
+    return this.request('POST', `/interactions/${interaction.id}/${interaction.token}/callback`, {
+      type: 4, // CHANNEL_MESSAGE_WITH_SOURCE
+      data: { content, flags: ephemeral ? 64 : 0 }
+    });
+  }
+}
+
+module.exports = DiscordClient;
@@ -0,0 +1,79 @@
+/**
+ * Group Settings
+ *
+ * Per-group settings that a group's admins change with /group: whether the
+ * bot answers at all, the group's rate limits and standing instructions for
+ * the bot (house rules, moderation guidelines).
+ *
+ * Settings are stored with lib/storage (group_settings) and cached in
+ * memory; groups without a row use the defaults.
+ */
+
+const { getStorage } = require('./storage');
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  daily: null,       // null = brain's groups.rateLimits (or the group defaults)
+  perMinute: null,
+  instructions: ''
+};
+
+const cache = new Map(); // `${channel}:${chatId}` → settings
+
+/**
+ * Get a group's settings
+ *
+ * Falls back to the defaults if settings can't be loaded, so the bot keeps
+ * working in groups when storage is down.
+ *
+ * @param {string} channel - Channel name ('telegram', ...)
+ * @param {string|number} chatId - Group chat ID
+ * @returns {Promise<Object>} { enabled, daily, perMinute, instructions }
+ */
+async function getGroupSettings(channel, chatId) {
+  const key = `${channel}:${chatId}`;
+  if (cache.has(key)) return cache.get(key);
+
+  try {
+    const row = await getStorage().getGroupSettings(channel, chatId);
+    const settings = { ...DEFAULT_SETTINGS, ...row?.settings };
+    cache.set(key, settings);
+    return settings;
+  } catch (err) {
+    console.error(`⚠️  Failed to load settings for ${channel} group ${chatId}:`, err.message);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Change some of a group's settings
+ *
+ * @param {string} channel - Channel name
+ * @param {string|number} chatId - Group chat ID
+ * @param {Object} changes - Settings to change
+ * @param {string|number} updatedBy - Admin who changed them
+ * @returns {Promise<Object>} Updated settings
+ */
+async function updateGroupSettings(channel, chatId, changes, updatedBy) {
+  const key = `${channel}:${chatId}`;
+  await getGroupSettings(channel, chatId);
+
+  // Merged and cached without awaiting in between, so concurrent changes don't undo each other
+  const settings = { ...DEFAULT_SETTINGS, ...cache.get(key), ...changes };
+  cache.set(key, settings);
+
+  await getStorage().saveGroupSettings({
+    channel,
+    chat_id: chatId,
+    settings,
+    updated_by: updatedBy
+  });
+
+  console.log(`⚙️  ${channel} group ${chatId} settings updated by ${updatedBy}: ${Object.keys(changes).join(', ')}`);
+  return settings;
+}
+
+module.exports = {
+  getGroupSettings,
+  updateGroupSettings
+};
@@ -0,0 +1,550 @@
+/**
+ * Knowledge Base
+ *
+ * Documents attached to a brain - markdown, PDF text, FAQ CSVs - that Claude
+ * searches with the MCP router's search_knowledge tool instead of relying on
+ * what fits in systemPrompt. Brains opt in:
+ *
+ *   knowledge: {
+ *     enabled: true,
+ *     maxResults: 5        // hits per search_knowledge call
+ *   }
+ *
+ * Documents are ingested and re-indexed through the bot server's /knowledge
+ * routes. Each one is split into chunks (markdown sections, PDF pages, FAQ
+ * rows) and indexed with SQLite FTS5; searches rank chunks with BM25 and
+ * every hit carries a citation back to its document, section, page or row.
+ *
+ * The index is a local better-sqlite3 database at KNOWLEDGE_DB_PATH
+ * (default: data/knowledge.db), whichever storage backend the server uses.
+ * Documents keep their text, so the index can be rebuilt from them.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+const DEFAULT_MAX_RESULTS = 5;
+const MAX_CHUNK_LENGTH = 1500;
+const MAX_QUERY_TERMS = 20;
+const SNIPPET_TOKENS = 24;
+
+const DOCUMENT_TYPES = ['markdown', 'pdf', 'faq'];
+
+// File extensions each document type is recognized by
+const TYPE_EXTENSIONS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'pdf',
+  '.pdf': 'pdf',
+  '.csv': 'faq'
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS knowledge_documents (
+    id TEXT PRIMARY KEY,
+    brain TEXT NOT NULL,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    content TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    chunk_count INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (brain, name)
+  );
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS knowledge_chunks USING fts5(
+    title UNINDEXED,
+    section,
+    content,
+    brain UNINDEXED,
+    document_id UNINDEXED,
+    position UNINDEXED,
+    page UNINDEXED,
+    row UNINDEXED,
+    tokenize = 'porter unicode61'
+  );
+`;
+
+// BM25 column weights: section headings count double, the rest are unindexed.
+// Titles aren't searched - every chunk of a document would match them.
+const BM25_WEIGHTS = '0, 2.0, 1.0, 0, 0, 0, 0, 0';
+
+let db = null;
+
+/**
+ * Open the knowledge database (once)
+ *
+ * @returns {Database}
+ */
+function getDb() {
+  if (!db) {
+    const dbPath = process.env.KNOWLEDGE_DB_PATH || path.join(process.cwd(), 'data', 'knowledge.db');
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+    console.log(`📚 Knowledge base: ${dbPath}`);
+  }
+  return db;
+}
+
+/**
+ * Resolve a brain's knowledge base settings
+ *
+ * @param {Object} brain - Effective brain
+ * @returns {Object|null} { maxResults }, or null when the knowledge base is off
+ */
+function resolveKnowledgeConfig(brain = {}) {
+  const config = brain.knowledge;
+  if (!config || config.enabled !== true) return null;
+
+  return {
+    maxResults: config.maxResults || DEFAULT_MAX_RESULTS
+  };
+}
+
+/**
+ * Document type for a file name ("refunds.md" → "markdown")
+ *
+ * @param {string} name - Document name
+ * @returns {string|null} 'markdown' | 'pdf' | 'faq'
+ */
+function detectDocumentType(name) {
+  return TYPE_EXTENSIONS[path.extname(name).toLowerCase()] || null;
+}
+
+// ========== Chunking ==========
+
+/**
+ * Split text into pieces of at most MAX_CHUNK_LENGTH, on paragraph
+ * boundaries where possible (then sentences, then hard cuts)
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitText(text) {
+  const pieces = [];
+  let current = '';
+
+  const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  for (const paragraph of paragraphs) {
+    const parts = paragraph.length <= MAX_CHUNK_LENGTH
+      ? [paragraph]
+      : paragraph.match(new RegExp(`[^]{1,${MAX_CHUNK_LENGTH}}(?:[.!?](?=\\s)|$)|[^]{1,${MAX_CHUNK_LENGTH}}`, 'g')).map(p => p.trim());
+
+    for (const part of parts) {
+      if (current && current.length + part.length + 2 > MAX_CHUNK_LENGTH) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${part}` : part;
+    }
+  }
+
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Chunk markdown by heading: each section (under its heading path, e.g.
+ * "Billing > Refunds") is one or more chunks
+ *
+ * @param {string} text - Markdown
+ * @returns {Object} { title, chunks: [{ section, content }] }
+ */
+function chunkMarkdown(text) {
+  const chunks = [];
+  const headings = [];
+  let title = null;
+  let lines = [];
+  let inCodeBlock = false;
+
+  const flush = () => {
+    const section = headings.filter(Boolean).join(' > ');
+    for (const content of splitText(lines.join('\n'))) {
+      chunks.push({ section, content });
+    }
+    lines = [];
+  };
+
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+    }
+
+    const heading = !inCodeBlock && /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      headings.length = level - 1;
+      headings[level - 1] = heading[2];
+      if (level === 1 && !title) title = heading[2];
+      continue;
+    }
+
+    lines.push(line);
+  }
+  flush();
+
+  return { title, chunks };
+}
+
+/**
+ * Chunk text extracted from a PDF by page (pdftotext separates pages with form feeds)
+ *
+ * @param {string} text - Extracted text
+ * @returns {Object} { title: null, chunks: [{ page, content }] }
+ */
+function chunkPdfText(text) {
+  const chunks = [];
+
+  text.split('\f').forEach((pageText, index) => {
+    for (const content of splitText(pageText)) {
+      chunks.push({ section: '', page: index + 1, content });
+    }
+  });
+
+  return { title: null, chunks };
+}
+
+/**
+ * Parse CSV (RFC 4180: quoted fields, "" escapes, newlines inside quotes)
+ *
+ * @param {string} text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Chunk an FAQ CSV: one chunk per question. The header row names the
+ * "question" and "answer" columns (otherwise the first two are used).
+ *
+ * @param {string} text - CSV
+ * @returns {Object} { title: null, chunks: [{ section, row, content }] }
+ */
+function chunkFaq(text) {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = header.map(name => name.trim().toLowerCase());
+  const questionColumn = columns.findIndex(name => name === 'question' || name === 'q');
+  const answerColumn = columns.findIndex(name => name === 'answer' || name === 'a');
+  const q = questionColumn === -1 ? 0 : questionColumn;
+  const a = answerColumn === -1 ? 1 : answerColumn;
+
+  const chunks = [];
+  rows.forEach((fields, index) => {
+    const question = (fields[q] || '').trim();
+    const answer = (fields[a] || '').trim();
+    if (!question || !answer) return;
+
+    // Row numbers as a spreadsheet shows them (the header is row 1)
+    chunks.push({ section: question, row: index + 2, content: `Q: ${question}\nA: ${answer}` });
+  });
+
+  return { title: null, chunks };
+}
+
+/**
+ * Split a document into chunks for its type
+ *
+ * @param {string} type - 'markdown' | 'pdf' | 'faq'
+ * @param {string} content - Document text
+ * @returns {Object} { title, chunks: [{ section, content, page?, row? }] }
+ */
+function chunkDocument(type, content) {
+  if (type === 'markdown') return chunkMarkdown(content);
+  if (type === 'pdf') return chunkPdfText(content);
+  return chunkFaq(content);
+}
+
+// ========== Documents ==========
+
+/**
+ * Replace a document's chunks in the index
+ *
+ * @param {Object} document - knowledge_documents row
+ * @returns {number} Chunks indexed
+ */
+function indexDocument(document) {
+  const database = getDb();
+  const { title, chunks } = chunkDocument(document.type, document.content);
+  const insert = database.prepare(`
+    INSERT INTO knowledge_chunks (title, section, content, brain, document_id, position, page, row)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  database.prepare('DELETE FROM knowledge_chunks WHERE document_id = ?').run(document.id);
+  chunks.forEach((chunk, position) => {
+    insert.run(document.title || title, chunk.section || '', chunk.content, document.brain, document.id,
+      position, chunk.page ?? null, chunk.row ?? null);
+  });
+
+  return chunks.length;
+}
+
+/**
+ * Add or replace a brain's document and index it
+ *
+ * Documents are keyed by name; ingesting the same name again replaces the
+ * document (unchanged content is left as is).
+ *
+ * @param {string} brain - Brain name
+ * @param {Object} document
+ * @param {string} document.name - File name, e.g. "refunds.md" (also the citation)
+ * @param {string} document.content - Markdown, text extracted from a PDF, or FAQ CSV
+ * @param {string} [document.type] - 'markdown' | 'pdf' | 'faq' (default: from the name's extension)
+ * @param {string} [document.title] - Title (default: the markdown H1, or the name)
+ * @returns {Object} { document, created, changed }
+ * @throws {Error} If the name, type or content is invalid
+ */
+function ingestDocument(brain, { name, content, type, title } = {}) {
+  const documentName = typeof name === 'string' ? name.trim() : '';
+  if (!documentName) {
+    throw new Error('Document name is required');
+  }
+
+  const documentType = type || detectDocumentType(documentName);
+  if (!DOCUMENT_TYPES.includes(documentType)) {
+    throw new Error(`Unknown document type for "${documentName}" - use a .md, .txt (PDF text) or .csv (FAQ) name, or set type to ${DOCUMENT_TYPES.join(', ')}`);
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('Document content is required');
+  }
+  if (content.startsWith('%PDF-')) {
+    throw new Error('Send the text of the PDF (e.g. from pdftotext), not the PDF file');
+  }
+
+  const database = getDb();
+  const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+  const existing = database.prepare('SELECT * FROM knowledge_documents WHERE brain = ? AND name = ?').get(brain, documentName);
+  const documentTitle = title || chunkDocument(documentType, content).title || documentName;
+
+  if (existing && existing.content_hash === contentHash && existing.type === documentType && existing.title === documentTitle) {
+    return { document: existing, created: false, changed: false };
+  }
+
+  const now = new Date().toISOString();
+  const document = {
+    id: existing?.id || crypto.randomUUID(),
+    brain,
+    name: documentName,
+    type: documentType,
+    title: documentTitle,
+    content,
+    content_hash: contentHash,
+    chunk_count: 0,
+    created_at: existing?.created_at || now,
+    updated_at: now
+  };
+
+  database.transaction(() => {
+    document.chunk_count = indexDocument(document);
+    database.prepare(`
+      INSERT INTO knowledge_documents (id, brain, name, type, title, content, content_hash, chunk_count, created_at, updated_at)
+      VALUES (@id, @brain, @name, @type, @title, @content, @content_hash, @chunk_count, @created_at, @updated_at)
+      ON CONFLICT (brain, name) DO UPDATE SET
+        type = excluded.type, title = excluded.title, content = excluded.content, content_hash = excluded.content_hash,
+        chunk_count = excluded.chunk_count, updated_at = excluded.updated_at
+    `).run(document);
+  })();
+
+  console.log(`📚 [${brain}] Indexed ${documentName} (${document.chunk_count} chunks)`);
+  return { document, created: !existing, changed: true };
+}
+
+/**
+ * List a brain's documents (without their text)
+ *
+ * @param {string} brain - Brain name
+ * @returns {Array<Object>} knowledge_documents rows, by name
+ */
+function listDocuments(brain) {
+  return getDb().prepare(`
+    SELECT id, brain, name, type, title, content_hash, chunk_count, created_at, updated_at
+    FROM knowledge_documents WHERE brain = ? ORDER BY name
+  `).all(brain);
+}
+
+/**
+ * Remove a document and its chunks
+ *
+ * @param {string} brain - Brain name
+ * @param {string} name - Document name
+ * @returns {boolean} Whether the document existed
+ */
+function deleteDocument(brain, name) {
+  const database = getDb();
+  const document = database.prepare('SELECT id FROM knowledge_documents WHERE brain = ? AND name = ?').get(brain, name);
+  if (!document) return false;
+
+  database.transaction(() => {
+    database.prepare('DELETE FROM knowledge_chunks WHERE document_id = ?').run(document.id);
+    database.prepare('DELETE FROM knowledge_documents WHERE id = ?').run(document.id);
+  })();
+
+  console.log(`📚 [${brain}] Removed ${name}`);
+  return true;
+}
+
+/**
+ * Rebuild a brain's index from its stored documents
+ *
+ * @param {string} brain - Brain name
+ * @returns {Object} { documents, chunks }
+ */
+function reindex(brain) {
+  const database = getDb();
+  const documents = database.prepare('SELECT * FROM knowledge_documents WHERE brain = ?').all(brain);
+  let chunks = 0;
+
+  database.transaction(() => {
+    database.prepare('DELETE FROM knowledge_chunks WHERE brain = ?').run(brain);
+    const updateCount = database.prepare('UPDATE knowledge_documents SET chunk_count = ? WHERE id = ?');
+    for (const document of documents) {
+      const count = indexDocument(document);
+      updateCount.run(count, document.id);
+      chunks += count;
+    }
+  })();
+
+  console.log(`📚 [${brain}] Re-indexed ${documents.length} documents (${chunks} chunks)`);
+  return { documents: documents.length, chunks };
+}
+
+// ========== Search ==========
+
+/**
+ * FTS5 query matching any of the text's words ("refund policy?" → "refund" OR "policy")
+ *
+ * Words are quoted so FTS5 syntax in the text (AND, NEAR, column:) is searched literally.
+ *
+ * @param {string} text
+ * @returns {string|null} null if the text has no words
+ */
+function toMatchQuery(text = '') {
+  const words = [...new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])].slice(0, MAX_QUERY_TERMS);
+  return words.length > 0 ? words.map(word => `"${word}"`).join(' OR ') : null;
+}
+
+/**
+ * Human-readable citation for a hit ("Refund policy (refunds.md) § Timelines")
+ *
+ * @param {Object} hit - { name, title, section, page, row }
+ * @returns {string}
+ */
+function formatCitation({ name, title, section, page, row }) {
+  let citation = title && title !== name ? `${title} (${name})` : name;
+  if (page) citation += `, p. ${page}`;
+  if (row) citation += `, row ${row}`;
+  if (section) citation += ` § ${section}`;
+  return citation;
+}
+
+/**
+ * Search a brain's knowledge base
+ *
+ * @param {string} brain - Brain name
+ * @param {string} query - What to look for
+ * @param {number} [limit] - Maximum hits
+ * @returns {Array<Object>} Hits, best first: { document, title, section, page, row, text, snippet, score, citation }
+ */
+function searchKnowledge(brain, query, limit = DEFAULT_MAX_RESULTS) {
+  const match = toMatchQuery(query);
+  if (!match) return [];
+
+  const rows = getDb().prepare(`
+    SELECT d.name, d.type, c.title, c.section, c.content, c.page, c.row, c.document_id,
+      snippet(knowledge_chunks, 2, '**', '**', '…', ${SNIPPET_TOKENS}) AS snippet,
+      bm25(knowledge_chunks, ${BM25_WEIGHTS}) AS rank
+    FROM knowledge_chunks c
+    JOIN knowledge_documents d ON d.id = c.document_id
+    WHERE knowledge_chunks MATCH ? AND c.brain = ?
+    ORDER BY rank
+    LIMIT ?
+  `).all(match, brain, limit);
+
+  return rows.map(row => ({
+    documentId: row.document_id,
+    document: row.name,
+    type: row.type,
+    title: row.title,
+    section: row.section || null,
+    page: row.page,
+    row: row.row,
+    text: row.content,
+    snippet: row.snippet,
+    // BM25 ranks are negative (lower is better); scores read better the other way round
+    score: Math.round(-row.rank * 1000) / 1000,
+    citation: formatCitation(row)
+  }));
+}
+
+/**
+ * System prompt section telling Claude to answer from the knowledge base
+ *
+ * @returns {string}
+ */
+function buildKnowledgePrompt() {
+  return 'You have a knowledge base of reference documents. Before answering questions it may cover, ' +
+    'search it with search_knowledge and answer from what you find, citing sources as given in each ' +
+    'result\'s citation. If it has nothing relevant, say you don\'t know rather than guessing.';
+}
+
+module.exports = {
+  resolveKnowledgeConfig,
+  detectDocumentType,
+  chunkDocument,
+  parseCsv,
+  ingestDocument,
+  listDocuments,
+  deleteDocument,
+  reindex,
+  searchKnowledge,
+  formatCitation,
+  buildKnowledgePrompt
+};
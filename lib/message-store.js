@@ -1,7 +1,7 @@
 /**
  * MessageStore
  *
- * Handles saving and loading chat messages from Supabase.
+ * Handles saving and loading chat messages (Supabase or local SQLite - see lib/storage).
  * This is the platform's source of truth for message history.
  * Claude CLI sessions are used only for --resume, not for message retrieval.
  *
@@ -10,7 +10,7 @@
  * - cli_session_id: Claude's session ID (set when first response arrives, used for --resume)
  */
 
-const supabase = require('./supabase-client');
+const { getStorage } = require('./storage');
 const { v4: uuidv4 } = require('uuid');
 
 class MessageStore {
@@ -42,27 +42,16 @@ class MessageStore {
     }
 
     try {
-      const { data, error } = await supabase
-        .from('chat_messages')
-        .insert({
-          session_id: sessionId,
-          cli_session_id: cliSessionId,
-          user_id: userId,
-          instance_slug: instanceSlug,
-          role,
-          content,
-          message_type: messageType,
-          metadata
-        })
-        .select()
-        .single();
-
-      if (error) {
-        console.error('❌ MessageStore.saveMessage error:', error.message);
-        return null;
-      }
-
-      return data;
+      return await getStorage().insertMessage({
+        session_id: sessionId,
+        cli_session_id: cliSessionId,
+        user_id: userId,
+        instance_slug: instanceSlug,
+        role,
+        content,
+        message_type: messageType,
+        metadata
+      });
     } catch (err) {
       console.error('❌ MessageStore.saveMessage exception:', err.message);
       return null;
@@ -80,17 +69,7 @@ class MessageStore {
     if (!sessionId || !cliSessionId) return false;
 
     try {
-      const { error } = await supabase
-        .from('chat_messages')
-        .update({ cli_session_id: cliSessionId })
-        .eq('session_id', sessionId)
-        .is('cli_session_id', null);
-
-      if (error) {
-        console.error('❌ MessageStore.linkCliSession error:', error.message);
-        return false;
-      }
-
+      await getStorage().linkCliSession(sessionId, cliSessionId);
       console.log(`🔗 Linked CLI session ${cliSessionId.substring(0, 8)}... to session ${sessionId.substring(0, 8)}...`);
       return true;
     } catch (err) {
@@ -109,16 +88,7 @@ class MessageStore {
     if (!sessionId) return null;
 
     try {
-      const { data, error } = await supabase
-        .from('chat_messages')
-        .select('cli_session_id')
-        .eq('session_id', sessionId)
-        .not('cli_session_id', 'is', null)
-        .limit(1)
-        .single();
-
-      if (error || !data) return null;
-      return data.cli_session_id;
+      return await getStorage().getCliSessionId(sessionId);
     } catch (err) {
       return null;
     }
@@ -189,13 +159,14 @@ class MessageStore {
 
   /**
    * Save an asset message (image, audio, etc.)
+   * Generated assets are saved as 'assistant'; user attachments pass role 'user'.
    */
-  async saveAssetMessage(sessionId, userId, instanceSlug, assetType, assetUrl, cliSessionId = null, metadata = {}) {
+  async saveAssetMessage(sessionId, userId, instanceSlug, assetType, assetUrl, cliSessionId = null, metadata = {}, role = 'assistant') {
     return this.saveMessage({
       sessionId,
       userId,
       instanceSlug,
-      role: 'assistant',
+      role,
       content: assetUrl,
       cliSessionId,
       messageType: 'asset',
@@ -219,19 +190,13 @@ class MessageStore {
   async getSessionsForUser(userId, instanceSlug, limit = 20) {
     try {
       // Get distinct sessions with their first message as preview
-      const { data, error } = await supabase
-        .from('chat_messages')
-        .select('session_id, cli_session_id, created_at, content')
-        .eq('user_id', userId)
-        .eq('instance_slug', instanceSlug)
-        .eq('role', 'user')
-        .order('created_at', { ascending: false })
-        .limit(limit * 10); // Get more to dedupe
-
-      if (error) {
-        console.error('❌ MessageStore.getSessionsForUser error:', error.message);
-        return [];
-      }
+      const data = await getStorage().listMessages({
+        userId,
+        instanceSlug,
+        role: 'user',
+        ascending: false,
+        limit: limit * 10 // Get more to dedupe
+      });
 
       // Dedupe by session_id, keep first (most recent)
       const seen = new Set();
@@ -269,19 +234,7 @@ class MessageStore {
     }
 
     try {
-      const { data, error } = await supabase
-        .from('chat_messages')
-        .select('*')
-        .eq('session_id', sessionId)
-        .order('created_at', { ascending: true })
-        .limit(limit);
-
-      if (error) {
-        console.error('❌ MessageStore.loadMessages error:', error.message);
-        return [];
-      }
-
-      return data || [];
+      return await getStorage().listMessages({ sessionId, limit });
     } catch (err) {
       console.error('❌ MessageStore.loadMessages exception:', err.message);
       return [];
@@ -299,26 +252,7 @@ class MessageStore {
    */
   async loadMessagesForInstance(userId, instanceSlug, sessionId = null, limit = 1000) {
     try {
-      let query = supabase
-        .from('chat_messages')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('instance_slug', instanceSlug)
-        .order('created_at', { ascending: true })
-        .limit(limit);
-
-      if (sessionId) {
-        query = query.eq('session_id', sessionId);
-      }
-
-      const { data, error } = await query;
-
-      if (error) {
-        console.error('❌ MessageStore.loadMessagesForInstance error:', error.message);
-        return [];
-      }
-
-      return data || [];
+      return await getStorage().listMessages({ userId, instanceSlug, sessionId, limit });
     } catch (err) {
       console.error('❌ MessageStore.loadMessagesForInstance exception:', err.message);
       return [];
@@ -332,17 +266,7 @@ class MessageStore {
     if (!sessionId) return 0;
 
     try {
-      const { count, error } = await supabase
-        .from('chat_messages')
-        .select('*', { count: 'exact', head: true })
-        .eq('session_id', sessionId);
-
-      if (error) {
-        console.error('❌ MessageStore.getMessageCount error:', error.message);
-        return 0;
-      }
-
-      return count || 0;
+      return await getStorage().countMessages(sessionId);
     } catch (err) {
       console.error('❌ MessageStore.getMessageCount exception:', err.message);
       return 0;
@@ -356,16 +280,7 @@ class MessageStore {
     if (!sessionId) return false;
 
     try {
-      const { error } = await supabase
-        .from('chat_messages')
-        .delete()
-        .eq('session_id', sessionId);
-
-      if (error) {
-        console.error('❌ MessageStore.deleteSessionMessages error:', error.message);
-        return false;
-      }
-
+      await getStorage().deleteMessages(sessionId);
       return true;
     } catch (err) {
       console.error('❌ MessageStore.deleteSessionMessages exception:', err.message);
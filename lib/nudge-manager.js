@@ -40,6 +40,10 @@ class NudgeManager {
         continue; // This bot doesn't have nudges enabled
       }
 
+      if (!botInfo.bot) {
+        continue; // Nudges are sent over Telegram (web-only and Discord-only bots have none)
+      }
+
       // Get all users with sessions for this bot
       const users = this.sessionManager.getAllUsersForBot(botId);
 
@@ -14,7 +14,33 @@ const VALID_COMMAND_TYPES = ['plan', 'delegate', 'complete', 'clarify', 'continu
 /**
  * Valid step types within a plan
  */
-const VALID_STEP_TYPES = ['create', 'delegate', 'action'];
+const VALID_STEP_TYPES = ['create', 'delegate', 'action', 'branch', 'loop'];
+
+/**
+ * Comparison operators for branch/loop conditions
+ * A condition is { value: "{{step_N.field}}", <operator>: <operand> }
+ * or a combinator: { all: [...] }, { any: [...] }, { not: {...} }
+ */
+const CONDITION_OPERATORS = ['equals', 'not_equals', 'contains', 'matches', 'gt', 'gte', 'lt', 'lte', 'exists', 'in'];
+
+/**
+ * Upper bound for a loop's max_iterations (keeps plans deterministic and cheap)
+ */
+const MAX_LOOP_ITERATIONS = 10;
+
+/**
+ * What to do when a plan step fails (plan.on_failure)
+ * - fail_fast: stop starting new steps and fail the workflow
+ * - continue: skip steps that depend on the failed one, run the rest
+ */
+const FAILURE_POLICIES = ['fail_fast', 'continue'];
+
+/**
+ * Per-step retry limits (retries, backoff, timeout_ms, fallback_agent)
+ */
+const MAX_STEP_RETRIES = 5;
+const BACKOFF_STRATEGIES = ['none', 'fixed', 'exponential'];
+const MIN_STEP_TIMEOUT_MS = 1000;
 
 /**
  * Required fields for each command type
@@ -126,6 +152,16 @@ function validateCommand(command) {
       return { valid: false, error: 'Plan "steps" must be an array' };
     }
 
+    if (command.max_parallel !== undefined && (!Number.isInteger(command.max_parallel) || command.max_parallel < 1)) {
+      return { valid: false, error: 'Plan "max_parallel" must be a positive integer' };
+    }
+
+    if (command.on_failure !== undefined && !FAILURE_POLICIES.includes(command.on_failure)) {
+      return { valid: false, error: `Plan "on_failure" must be one of: ${FAILURE_POLICIES.join(', ')}` };
+    }
+
+    const stepNumbers = command.steps.map(step => step.step);
+
     for (let i = 0; i < command.steps.length; i++) {
       const step = command.steps[i];
 
@@ -133,7 +169,7 @@ function validateCommand(command) {
       if (!step.step_type) {
         return {
           valid: false,
-          error: `Step ${i + 1} missing required field "step_type" (must be "create", "delegate", or "action")`
+          error: `Step ${i + 1} missing required field "step_type" (must be one of: ${VALID_STEP_TYPES.join(', ')})`
         };
       }
 
@@ -167,6 +203,11 @@ function validateCommand(command) {
             error: `Step ${i + 1} "params" must be an object`
           };
         }
+      } else if (step.step_type === 'branch' || step.step_type === 'loop') {
+        const controlError = validateControlStep(step, i, stepNumbers);
+        if (controlError) {
+          return { valid: false, error: controlError };
+        }
       } else {
         // For create and delegate steps, require "agent" and "task" fields
         if (!step.agent) {
@@ -210,6 +251,15 @@ function validateCommand(command) {
     }
   }
 
+  if (command.type === 'plan') {
+    for (let i = 0; i < command.steps.length; i++) {
+      const retryError = validateRetryPolicy(command.steps[i], i);
+      if (retryError) {
+        return { valid: false, error: retryError };
+      }
+    }
+  }
+
   if (command.type === 'delegate') {
     if (typeof command.step !== 'number') {
       return { valid: false, error: 'Delegate "step" must be a number' };
@@ -223,6 +273,166 @@ function validateCommand(command) {
   return { valid: true };
 }
 
+/**
+ * Validate a work step's retry policy fields (all optional)
+ *
+ * @param {Object} step - Plan step
+ * @param {number} index - Index in the plan (for messages)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateRetryPolicy(step, index) {
+  const label = `Step ${index + 1}`;
+  const hasPolicy = ['retries', 'backoff', 'timeout_ms', 'fallback_agent'].some(field => step[field] !== undefined);
+
+  if (!hasPolicy) {
+    return null;
+  }
+
+  if (step.step_type === 'branch' || step.step_type === 'loop') {
+    return `${label} is a "${step.step_type}" step and can't have retries, backoff, timeout_ms or fallback_agent`;
+  }
+
+  if (step.retries !== undefined && (!Number.isInteger(step.retries) || step.retries < 0 || step.retries > MAX_STEP_RETRIES)) {
+    return `${label} "retries" must be an integer from 0 to ${MAX_STEP_RETRIES}`;
+  }
+
+  if (step.backoff !== undefined) {
+    const validNumber = typeof step.backoff === 'number' && step.backoff >= 0;
+    if (!validNumber && !BACKOFF_STRATEGIES.includes(step.backoff)) {
+      return `${label} "backoff" must be a delay in ms or one of: ${BACKOFF_STRATEGIES.join(', ')}`;
+    }
+  }
+
+  if (step.timeout_ms !== undefined && (!Number.isInteger(step.timeout_ms) || step.timeout_ms < MIN_STEP_TIMEOUT_MS)) {
+    return `${label} "timeout_ms" must be an integer of at least ${MIN_STEP_TIMEOUT_MS}`;
+  }
+
+  if (step.fallback_agent !== undefined) {
+    if (step.step_type !== 'delegate') {
+      return `${label} "fallback_agent" is only supported on "delegate" steps`;
+    }
+    if (typeof step.fallback_agent !== 'string' || !step.fallback_agent) {
+      return `${label} "fallback_agent" must be an agent slug`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a branch/loop condition
+ *
+ * @param {Object} condition - Condition object
+ * @returns {string|null} Error message or null if valid
+ */
+function validateCondition(condition) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return 'must be an object';
+  }
+
+  if (condition.all || condition.any) {
+    const list = condition.all || condition.any;
+    if (!Array.isArray(list) || list.length === 0) {
+      return '"all"/"any" must be a non-empty array of conditions';
+    }
+    for (const sub of list) {
+      const error = validateCondition(sub);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  if (condition.not) {
+    return validateCondition(condition.not);
+  }
+
+  if (typeof condition.value !== 'string') {
+    return 'missing "value" (e.g. "{{step_3.winner}}")';
+  }
+
+  const operators = CONDITION_OPERATORS.filter(op => condition[op] !== undefined);
+  if (operators.length !== 1) {
+    return `must have exactly one operator (${CONDITION_OPERATORS.join(', ')})`;
+  }
+
+  if (operators[0] === 'matches') {
+    try {
+      new RegExp(condition.matches, condition.flags);
+    } catch (error) {
+      return `invalid regex in "matches": ${error.message}`;
+    }
+  }
+
+  if (operators[0] === 'in' && !Array.isArray(condition.in)) {
+    return '"in" must be an array';
+  }
+
+  return null;
+}
+
+/**
+ * Validate a "branch" or "loop" step
+ *
+ * branch: { step, step_type: "branch", condition, then, else? }
+ *   then/else are later step numbers or "end". Without else, a false
+ *   condition continues with the next step. Branches only jump forward.
+ *
+ * loop: { step, step_type: "loop", back_to, until, max_iterations, feedback_step? }
+ *   Re-runs steps back_to..step-1 until the condition holds, at most
+ *   max_iterations times in total.
+ *
+ * @param {Object} step - Plan step
+ * @param {number} index - Index in the plan (for messages)
+ * @param {Array<number>} stepNumbers - All step numbers in the plan
+ * @returns {string|null} Error message or null if valid
+ */
+function validateControlStep(step, index, stepNumbers) {
+  const label = `Step ${index + 1}`;
+
+  if (step.step_type === 'branch') {
+    const conditionError = validateCondition(step.condition);
+    if (conditionError) {
+      return `${label} "condition" ${conditionError}`;
+    }
+
+    if (step.then === undefined) {
+      return `${label} is a "branch" step but missing "then"`;
+    }
+
+    for (const field of ['then', 'else']) {
+      const target = step[field];
+      if (target === undefined || target === 'end') continue;
+      if (!stepNumbers.includes(target)) {
+        return `${label} "${field}" points to step ${target}, which is not in the plan`;
+      }
+      if (stepNumbers.indexOf(target) <= index) {
+        return `${label} "${field}" must point to a later step (use a "loop" step to repeat steps)`;
+      }
+    }
+
+    return null;
+  }
+
+  const conditionError = validateCondition(step.until);
+  if (conditionError) {
+    return `${label} "until" ${conditionError}`;
+  }
+
+  if (!stepNumbers.includes(step.back_to) || stepNumbers.indexOf(step.back_to) >= index) {
+    return `${label} "back_to" must be an earlier step number`;
+  }
+
+  if (!Number.isInteger(step.max_iterations) || step.max_iterations < 1 || step.max_iterations > MAX_LOOP_ITERATIONS) {
+    return `${label} "max_iterations" must be an integer from 1 to ${MAX_LOOP_ITERATIONS}`;
+  }
+
+  if (step.feedback_step !== undefined && !stepNumbers.includes(step.feedback_step)) {
+    return `${label} "feedback_step" points to step ${step.feedback_step}, which is not in the plan`;
+  }
+
+  return null;
+}
+
 /**
  * Format agent list for injection into orchestrator prompt
  *
@@ -282,6 +492,22 @@ function formatWorkflowResult(result) {
   return text;
 }
 
+/**
+ * Describe a branch/loop condition in plain text
+ *
+ * @param {Object} condition - Condition object
+ * @returns {string} e.g. '{{step_3.score}} gte 8'
+ */
+function describeCondition(condition) {
+  if (!condition) return '(no condition)';
+  if (condition.all) return condition.all.map(describeCondition).join(' AND ');
+  if (condition.any) return condition.any.map(describeCondition).join(' OR ');
+  if (condition.not) return `NOT (${describeCondition(condition.not)})`;
+
+  const operator = CONDITION_OPERATORS.find(op => condition[op] !== undefined);
+  return `${condition.value} ${operator} ${JSON.stringify(condition[operator])}`;
+}
+
 /**
  * Format plan for display to user
  *
@@ -301,6 +527,17 @@ function formatPlanForDisplay(plan) {
       ? ` (depends on: ${step.depends_on.join(', ')})`
       : '';
 
+    if (step.step_type === 'branch') {
+      const otherwise = step.else !== undefined ? `, else → step ${step.else}` : '';
+      text += `${step.step}. **branch**: if ${describeCondition(step.condition)} → step ${step.then}${otherwise}\n`;
+      continue;
+    }
+
+    if (step.step_type === 'loop') {
+      text += `${step.step}. **loop**: repeat from step ${step.back_to} until ${describeCondition(step.until)} (max ${step.max_iterations} tries)\n`;
+      continue;
+    }
+
     text += `${step.step}. **${step.agent}**: ${step.task}${deps}\n`;
   }
 
@@ -335,5 +572,10 @@ module.exports = {
   extractMessage,
   VALID_COMMAND_TYPES,
   VALID_STEP_TYPES,
+  CONDITION_OPERATORS,
+  MAX_LOOP_ITERATIONS,
+  FAILURE_POLICIES,
+  MAX_STEP_RETRIES,
+  BACKOFF_STRATEGIES,
   REQUIRED_FIELDS
 };
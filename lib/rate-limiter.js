@@ -1,106 +1,341 @@
 /**
- * Basic rate limiting without database
+ * Persistent, tiered rate limiting
  *
- * Tracks message counts in memory per user/bot/day
+ * Counts are stored in SQLite (better-sqlite3) so they survive restarts.
+ * Each user gets two fixed windows per bot:
+ *   - minute: burst limit (e.g. 5 messages per minute)
+ *   - day:    daily quota (e.g. 50 messages per day, UTC)
+ *
+ * Limits come from the brain's rateLimits config, per tier:
+ *   rateLimits: { free: 50, paid: 1000 }                       // daily only (legacy)
+ *   rateLimits: { free: { daily: 50, perMinute: 5 }, paid: { daily: 1000, perMinute: 30 } }
+ *
+ * Users are 'free' unless an admin sets their tier (setTier) or they are
+ * listed in PAID_USER_IDS.
+ *
+ * Group chats share one set of windows per group (counted under the group's
+ * chat ID), with limits from the brain's groups.rateLimits and the group's
+ * own settings:
+ *   groups: { rateLimits: { daily: 200, perMinute: 20 } }
  */
 
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
 const logger = require('./logger');
 
+const DEFAULT_LIMITS = {
+  free: { daily: 50, perMinute: 10 },
+  paid: { daily: 1000, perMinute: 30 }
+};
+
+const DEFAULT_GROUP_LIMITS = { daily: 200, perMinute: 20 };
+
 class RateLimiter {
-  constructor() {
-    // Map: "botId:userId:date" -> count
-    this.counts = new Map();
+  constructor(options = {}) {
+    const dbPath = options.dbPath || process.env.RATE_LIMIT_DB_PATH || path.join(process.cwd(), 'data', 'rate-limits.db');
+
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS rate_limit_usage (
+        bot_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        window TEXT NOT NULL,        -- 'minute' | 'day'
+        window_start TEXT NOT NULL,  -- e.g. '2026-01-31T14:05' | '2026-01-31'
+        count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (bot_id, user_id, window, window_start)
+      );
+      CREATE TABLE IF NOT EXISTS rate_limit_tiers (
+        user_id TEXT PRIMARY KEY,
+        tier TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `);
+
+    this.statements = {
+      getCount: this.db.prepare('SELECT count FROM rate_limit_usage WHERE bot_id = ? AND user_id = ? AND window = ? AND window_start = ?'),
+      increment: this.db.prepare(`
+        INSERT INTO rate_limit_usage (bot_id, user_id, window, window_start, count) VALUES (?, ?, ?, ?, 1)
+        ON CONFLICT (bot_id, user_id, window, window_start) DO UPDATE SET count = count + 1
+      `),
+      getTier: this.db.prepare('SELECT tier FROM rate_limit_tiers WHERE user_id = ?'),
+      setTier: this.db.prepare(`
+        INSERT INTO rate_limit_tiers (user_id, tier, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (user_id) DO UPDATE SET tier = excluded.tier, updated_at = excluded.updated_at
+      `),
+      deleteTier: this.db.prepare('DELETE FROM rate_limit_tiers WHERE user_id = ?'),
+      cleanup: this.db.prepare("DELETE FROM rate_limit_usage WHERE (window = 'minute' AND window_start < ?) OR (window = 'day' AND window_start < ?)")
+    };
+
+    this.paidUserIds = new Set(
+      (process.env.PAID_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+    );
 
-    // Clear old entries daily
-    setInterval(() => this.cleanup(), 24 * 60 * 60 * 1000);
+    // Clear old entries hourly
+    this.cleanupInterval = setInterval(() => this.cleanup(), 60 * 60 * 1000);
+    this.cleanupInterval.unref();
   }
 
   /**
-   * Get rate limit key for today
+   * Get the current window keys (UTC)
+   *
+   * @returns {Object} { minute: 'YYYY-MM-DDTHH:MM', day: 'YYYY-MM-DD' }
    */
-  getKey(botId, userId) {
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-    return `${botId}:${userId}:${today}`;
+  getWindows(now = new Date()) {
+    const iso = now.toISOString();
+    return {
+      minute: iso.substring(0, 16),
+      day: iso.substring(0, 10)
+    };
   }
 
   /**
-   * Check if user is within rate limit
+   * Get a user's tier ('free' or 'paid')
+   *
+   * @param {string|number} userId - User ID (Telegram ID or web user ID)
+   * @returns {string} Tier name
+   */
+  getTier(userId) {
+    const row = this.statements.getTier.get(String(userId));
+    if (row) return row.tier;
+    return this.paidUserIds.has(String(userId)) ? 'paid' : 'free';
+  }
+
+  /**
+   * Set a user's tier (admin). Pass null to clear back to the default.
+   *
+   * @param {string|number} userId - User ID
+   * @param {string|null} tier - 'free', 'paid' or null
+   */
+  setTier(userId, tier) {
+    if (tier === null) {
+      this.statements.deleteTier.run(String(userId));
+    } else {
+      this.statements.setTier.run(String(userId), tier, new Date().toISOString());
+    }
+    logger.info('Rate limit tier updated', { userId: String(userId), tier });
+  }
+
+  /**
+   * Resolve limits for a tier from brain config
    *
-   * @param {string} botId - Bot identifier
-   * @param {number} userId - Telegram user ID
    * @param {Object} brain - Bot brain config
-   * @returns {Object} { allowed: boolean, remaining: number, limit: number }
+   * @param {string} tier - Tier name
+   * @returns {Object} { daily, perMinute }
    */
-  checkLimit(botId, userId, brain) {
-    const key = this.getKey(botId, userId);
-    const count = this.counts.get(key) || 0;
+  getLimits(brain, tier) {
+    const defaults = DEFAULT_LIMITS[tier] || DEFAULT_LIMITS.free;
+    const configured = brain?.rateLimits?.[tier];
 
-    // Get limit from brain config (default: 50 per day)
-    const limit = brain.rateLimits?.free || 50;
+    // Legacy format: a plain number is the daily quota
+    if (typeof configured === 'number') {
+      return { daily: configured, perMinute: defaults.perMinute };
+    }
 
-    const allowed = count < limit;
-    const remaining = Math.max(0, limit - count);
+    return { ...defaults, ...(configured || {}) };
+  }
 
-    return {
-      allowed,
-      remaining,
-      limit,
-      current: count
+  /**
+   * Resolve limits for a group chat
+   *
+   * @param {Object} brain - Bot brain config
+   * @param {Object} [settings] - Group settings ({ daily, perMinute }, null = not set)
+   * @returns {Object} { daily, perMinute }
+   */
+  getGroupLimits(brain, settings = {}) {
+    const limits = { ...DEFAULT_GROUP_LIMITS, ...(brain?.groups?.rateLimits || {}) };
+    if (settings.daily != null) limits.daily = settings.daily;
+    if (settings.perMinute != null) limits.perMinute = settings.perMinute;
+    return limits;
+  }
+
+  /**
+   * Check if user is within rate limit (does not count the message)
+   *
+   * @param {string} botId - Bot identifier
+   * @param {string|number} userId - User ID (or group chat ID)
+   * @param {Object} brain - Bot brain config
+   * @param {Object} [limits] - { daily, perMinute } to use instead of the user's tier (group chats)
+   * @returns {Object} { allowed, remaining, limit, current, tier, reason, retryAfterSeconds }
+   */
+  checkLimit(botId, userId, brain, limits = null) {
+    const tier = limits ? 'group' : this.getTier(userId);
+    limits = limits || this.getLimits(brain, tier);
+    const usage = this.getUsage(botId, userId);
+
+    const result = {
+      allowed: true,
+      remaining: Math.max(0, limits.daily - usage.day),
+      limit: limits.daily,
+      current: usage.day,
+      perMinute: limits.perMinute,
+      currentMinute: usage.minute,
+      tier,
+      reason: null,
+      retryAfterSeconds: 0
     };
+
+    if (usage.day >= limits.daily) {
+      const midnight = new Date();
+      midnight.setUTCHours(24, 0, 0, 0);
+      result.allowed = false;
+      result.reason = 'daily';
+      result.retryAfterSeconds = Math.ceil((midnight - Date.now()) / 1000);
+    } else if (usage.minute >= limits.perMinute) {
+      result.allowed = false;
+      result.reason = 'burst';
+      result.retryAfterSeconds = 60 - new Date().getUTCSeconds();
+    }
+
+    return result;
   }
 
   /**
-   * Increment message count for user
+   * Check the limit and count the message if allowed
    *
    * @param {string} botId - Bot identifier
-   * @param {number} userId - Telegram user ID
+   * @param {string|number} userId - User ID
+   * @param {Object} brain - Bot brain config
+   * @param {Object} [limits] - { daily, perMinute } to use instead of the user's tier (group chats)
+   * @returns {Object} Same as checkLimit(), with counts after this message
+   */
+  consume(botId, userId, brain, limits = null) {
+    const result = this.checkLimit(botId, userId, brain, limits);
+    if (!result.allowed) return result;
+
+    this.increment(botId, userId);
+    result.current += 1;
+    result.currentMinute += 1;
+    result.remaining = Math.max(0, result.remaining - 1);
+    return result;
+  }
+
+  /**
+   * Increment message count for user (both windows)
+   *
+   * @param {string} botId - Bot identifier
+   * @param {string|number} userId - User ID
    */
   increment(botId, userId) {
-    const key = this.getKey(botId, userId);
-    const count = (this.counts.get(key) || 0) + 1;
-    this.counts.set(key, count);
-
-    logger.user(botId, userId, 'debug', 'Rate limit incremented', {
-      count,
-      key
-    });
+    const windows = this.getWindows();
+
+    this.db.transaction(() => {
+      this.statements.increment.run(botId, String(userId), 'minute', windows.minute);
+      this.statements.increment.run(botId, String(userId), 'day', windows.day);
+    })();
+
+    logger.user(botId, userId, 'debug', 'Rate limit incremented', windows);
   }
 
   /**
-   * Clean up old entries (from previous days)
+   * Get current usage for a user
+   *
+   * @returns {Object} { minute: number, day: number }
    */
-  cleanup() {
-    const today = new Date().toISOString().split('T')[0];
-    let cleaned = 0;
-
-    for (const key of this.counts.keys()) {
-      const date = key.split(':')[2]; // Extract date from key
-      if (date !== today) {
-        this.counts.delete(key);
-        cleaned++;
-      }
-    }
+  getUsage(botId, userId) {
+    const windows = this.getWindows();
+    const minuteRow = this.statements.getCount.get(botId, String(userId), 'minute', windows.minute);
+    const dayRow = this.statements.getCount.get(botId, String(userId), 'day', windows.day);
 
-    if (cleaned > 0) {
-      logger.info('Rate limiter cleanup', { entriesRemoved: cleaned });
-    }
+    return {
+      minute: minuteRow?.count || 0,
+      day: dayRow?.count || 0
+    };
   }
 
   /**
-   * Get current count for user
+   * Get current daily count for user
    */
   getCount(botId, userId) {
-    const key = this.getKey(botId, userId);
-    return this.counts.get(key) || 0;
+    return this.getUsage(botId, userId).day;
+  }
+
+  /**
+   * List today's usage (admin inspection)
+   *
+   * @param {Object} filters - { botId, userId } (both optional)
+   * @returns {Array<Object>} [{ botId, userId, tier, day, minute }]
+   */
+  listUsage(filters = {}) {
+    const windows = this.getWindows();
+    const conditions = ["window = 'day'", 'window_start = ?'];
+    const params = [windows.day];
+
+    if (filters.botId) {
+      conditions.push('bot_id = ?');
+      params.push(filters.botId);
+    }
+    if (filters.userId) {
+      conditions.push('user_id = ?');
+      params.push(String(filters.userId));
+    }
+
+    const rows = this.db.prepare(
+      `SELECT bot_id, user_id, count FROM rate_limit_usage WHERE ${conditions.join(' AND ')} ORDER BY count DESC`
+    ).all(...params);
+
+    return rows.map(row => ({
+      botId: row.bot_id,
+      userId: row.user_id,
+      tier: this.getTier(row.user_id),
+      day: row.count,
+      minute: this.getUsage(row.bot_id, row.user_id).minute
+    }));
+  }
+
+  /**
+   * Clean up old entries (minute windows older than an hour, days older than a week)
+   */
+  cleanup() {
+    const hourAgo = this.getWindows(new Date(Date.now() - 60 * 60 * 1000)).minute;
+    const weekAgo = this.getWindows(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)).day;
+    const { changes } = this.statements.cleanup.run(hourAgo, weekAgo);
+
+    if (changes > 0) {
+      logger.info('Rate limiter cleanup', { entriesRemoved: changes });
+    }
   }
 
   /**
    * Reset count for user (admin override)
+   *
+   * @param {string} botId - Bot identifier (omit to reset across all bots)
+   * @param {string|number} userId - User ID
+   * @returns {number} Rows removed
    */
   reset(botId, userId) {
-    const key = this.getKey(botId, userId);
-    this.counts.delete(key);
-    logger.user(botId, userId, 'info', 'Rate limit reset');
+    const { changes } = botId
+      ? this.db.prepare('DELETE FROM rate_limit_usage WHERE bot_id = ? AND user_id = ?').run(botId, String(userId))
+      : this.db.prepare('DELETE FROM rate_limit_usage WHERE user_id = ?').run(String(userId));
+
+    logger.user(botId || '*', userId, 'info', 'Rate limit reset', { rowsRemoved: changes });
+    return changes;
+  }
+
+  /**
+   * Build a user-facing message for a rejected request
+   *
+   * @param {Object} result - From checkLimit()/consume()
+   * @returns {string} Message
+   */
+  formatMessage(result) {
+    if (result.tier === 'group') {
+      return result.reason === 'burst'
+        ? `⏸️ Slow down! This group can send me ${result.perMinute} messages per minute. Try again in ${result.retryAfterSeconds}s.`
+        : `⏸️ This group has reached its daily limit of ${result.limit} messages. Resets at midnight UTC.`;
+    }
+
+    if (result.reason === 'burst') {
+      return `⏸️ Slow down! You can send ${result.perMinute} messages per minute. Try again in ${result.retryAfterSeconds}s.`;
+    }
+
+    return `⏸️ You've reached your daily limit of ${result.limit} messages.\n\n` +
+      `Resets at midnight UTC. Current: ${result.current}/${result.limit}`;
   }
 }
 
@@ -0,0 +1,130 @@
+/**
+ * Reply Markup
+ *
+ * Lets a brain's responses offer buttons, quick replies and polls. Brains
+ * with replyMarkup.enabled are told (in the system prompt) to add marker
+ * lines to their response, which are stripped from the visible text:
+ *
+ *   [[BUTTONS: Yes | No | Tell me more => more_info]]    one row of inline buttons
+ *   [[QUICK_REPLIES: Small | Medium | Large]]            suggested replies
+ *   [[POLL: Which day works? | Monday | Tuesday]]        question, then options
+ *
+ * A button is "Label" or "Label => payload" (payload defaults to the label).
+ * Several BUTTONS lines make several rows. When a user clicks a button, its
+ * payload comes back to the same session as their next message; quick
+ * replies and poll answers come back as the chosen text.
+ *
+ * Channels render markup where they can (Telegram inline and reply
+ * keyboards and polls, web UI buttons) and fall back to
+ * formatMarkupAsText() elsewhere.
+ */
+
+const MARKER = /\[\[(BUTTONS|QUICK_REPLIES|POLL):\s*(.+?)\]\]/g;
+
+// Telegram's limits: 100 buttons per keyboard, 10 poll options
+const MAX_BUTTONS = 100;
+const MAX_POLL_OPTIONS = 10;
+
+/**
+ * Split a marker's "A | B | C" list
+ */
+function splitOptions(list) {
+  return list.split('|').map(option => option.trim()).filter(Boolean);
+}
+
+/**
+ * Pull markup markers out of a response
+ *
+ * @param {string} text - Response text
+ * @returns {Object} { text, markup } - markup is null if there were no markers,
+ *   otherwise { buttons: [[{ label, payload }]], quickReplies: [string], poll: { question, options } | null }
+ */
+function parseReplyMarkup(text) {
+  const markup = { buttons: [], quickReplies: [], poll: null };
+  let found = false;
+  let buttonCount = 0;
+
+  const stripped = text.replace(MARKER, (marker, kind, list) => {
+    const options = splitOptions(list);
+    found = true;
+
+    if (kind === 'BUTTONS') {
+      const row = options.slice(0, MAX_BUTTONS - buttonCount).map(option => {
+        const [label, payload] = option.split('=>').map(part => part.trim());
+        return { label, payload: payload || label };
+      });
+      buttonCount += row.length;
+      if (row.length > 0) markup.buttons.push(row);
+    } else if (kind === 'QUICK_REPLIES') {
+      markup.quickReplies.push(...options);
+    } else if (options.length >= 3) {
+      // A poll needs a question and at least two options
+      markup.poll = { question: options[0], options: options.slice(1, MAX_POLL_OPTIONS + 1) };
+    }
+
+    return '';
+  });
+
+  if (!found) {
+    return { text, markup: null };
+  }
+
+  return { text: stripped.replace(/\n{3,}/g, '\n\n').trim(), markup };
+}
+
+/**
+ * Whether markup has anything to show
+ *
+ * @param {Object|null} markup - From parseReplyMarkup()
+ * @returns {boolean}
+ */
+function hasMarkup(markup) {
+  return !!markup && (markup.buttons.length > 0 || markup.quickReplies.length > 0 || !!markup.poll);
+}
+
+/**
+ * Render markup as plain text, for channels without buttons
+ *
+ * @param {string} text - Reply text
+ * @param {Object|null} markup - From parseReplyMarkup()
+ * @returns {string} Text with the options listed underneath
+ */
+function formatMarkupAsText(text, markup) {
+  if (!hasMarkup(markup)) return text;
+
+  const choices = [...markup.buttons.flat().map(button => button.label), ...markup.quickReplies];
+  const lines = [text];
+
+  if (choices.length > 0) {
+    lines.push(choices.map(choice => `• ${choice}`).join('\n'));
+  }
+  if (markup.poll) {
+    lines.push(`📊 ${markup.poll.question}\n${markup.poll.options.map(option => `• ${option}`).join('\n')}`);
+  }
+
+  return lines.filter(Boolean).join('\n\n');
+}
+
+/**
+ * System prompt section explaining the markers
+ *
+ * @returns {string} Prompt text
+ */
+function buildMarkupPrompt() {
+  return [
+    'You can offer the user choices by adding marker lines at the end of your response:',
+    '[[BUTTONS: Yes | No | Tell me more => more_info]] - a row of buttons (use several lines for several rows). ' +
+      '"Label => payload" sends the payload back instead of the label.',
+    '[[QUICK_REPLIES: Small | Medium | Large]] - suggested replies the user can tap.',
+    '[[POLL: Question? | Option 1 | Option 2]] - a poll.',
+    'Markers are hidden from the user, so always write the question itself as normal text too. ' +
+      'When the user picks an option, you get its payload or label as their next message.'
+  ].join('\n');
+}
+
+module.exports = {
+  parseReplyMarkup,
+  hasMarkup,
+  formatMarkupAsText,
+  buildMarkupPrompt
+};
@@ -0,0 +1,148 @@
+/**
+ * Session Compaction
+ *
+ * CLI sessions (Telegram, where Claude's transcript is the history) keep
+ * growing until they hit Claude's context limit. Brains can opt in to
+ * compacting them:
+ *
+ *   compaction: {
+ *     enabled: true,
+ *     maxMessages: 200,       // user + bot messages in the current session
+ *     maxBytes: 2000000,      // size of Claude's transcript
+ *     maxAgeDays: 30          // since the session started
+ *   }
+ *
+ * Before a turn, a session past any limit is summarized by resuming it with
+ * a summary request - so the summary is written in the bot's own voice and
+ * keeps what matters to its persona - and the turn starts a fresh session
+ * whose system prompt carries that summary. SessionManager.compactSession()
+ * keeps the old session in uuidHistory with its summary and links the two.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_MAX_MESSAGES = 200;
+const DEFAULT_MAX_BYTES = 2000000;
+const DEFAULT_MAX_AGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve a brain's compaction policy
+ *
+ * @param {Object} brain - Effective brain
+ * @returns {Object|null} { maxMessages, maxBytes, maxAgeMs }, or null when compaction is off
+ */
+function resolveCompactionPolicy(brain = {}) {
+  const config = brain.compaction;
+  if (!config || config.enabled !== true) return null;
+
+  return {
+    maxMessages: config.maxMessages || DEFAULT_MAX_MESSAGES,
+    maxBytes: config.maxBytes || DEFAULT_MAX_BYTES,
+    maxAgeMs: (config.maxAgeDays || DEFAULT_MAX_AGE_DAYS) * DAY_MS
+  };
+}
+
+/**
+ * Path of Claude's transcript for a session
+ *
+ * Claude keeps transcripts under ~/.claude/projects/<working directory with
+ * '/' replaced by '-'>/<uuid>.jsonl.
+ *
+ * @param {string} uuid - Claude session UUID
+ * @param {string} [workspacePath] - Working directory Claude ran in (defaults to ours)
+ * @returns {string}
+ */
+function getTranscriptPath(uuid, workspacePath = null) {
+  const dirName = (workspacePath || process.cwd()).replace(/\//g, '-');
+  return path.join(os.homedir(), '.claude/projects', dirName, `${uuid}.jsonl`);
+}
+
+/**
+ * Size of Claude's transcript for a session
+ *
+ * @param {string} uuid - Claude session UUID
+ * @param {string} [workspacePath] - Working directory Claude ran in
+ * @returns {number} Bytes (0 if there's no transcript)
+ */
+function getTranscriptSize(uuid, workspacePath = null) {
+  if (!uuid) return 0;
+
+  try {
+    return fs.statSync(getTranscriptPath(uuid, workspacePath)).size;
+  } catch (err) {
+    return 0;
+  }
+}
+
+/**
+ * Which limit, if any, the current session has passed
+ *
+ * @param {Object} policy - From resolveCompactionPolicy()
+ * @param {Object} metadata - Session metadata (SessionManager)
+ * @param {number} sizeBytes - Transcript size
+ * @returns {string|null} 'messages' | 'size' | 'age'
+ */
+function getCompactionReason(policy, metadata, sizeBytes) {
+  if (!metadata?.currentUuid) return null;
+
+  const messageCount = metadata.uuidCounts?.[metadata.currentUuid] || metadata.messageCount || 0;
+  if (messageCount >= policy.maxMessages) return 'messages';
+  if (sizeBytes >= policy.maxBytes) return 'size';
+
+  const startedAt = new Date(metadata.createdAt).getTime();
+  if (startedAt && Date.now() - startedAt >= policy.maxAgeMs) return 'age';
+
+  return null;
+}
+
+/**
+ * The message that asks Claude to summarize the session it's resuming
+ *
+ * @returns {string}
+ */
+function buildSummaryRequest() {
+  return [
+    'We are about to continue this conversation in a fresh session, and you will only have your notes to go on.',
+    'Write those notes now, in your own voice, as you would want to read them:',
+    '- what we have talked about, and anything left open or promised',
+    '- what you know about the person you are talking to that matters in your role: names, preferences, plans, how they like you to talk to them',
+    'Be concise (under 300 words), use no tools, and reply with the notes only.'
+  ].join('\n');
+}
+
+/**
+ * System prompt section that seeds a compacted session's successor
+ *
+ * @param {string} summary - Notes from the previous session
+ * @returns {string}
+ */
+function buildSummaryPrompt(summary) {
+  return 'This conversation continues an earlier one. These are your own notes from it - ' +
+    'carry on naturally, without mentioning that the conversation was summarized:\n\n' +
+    `<earlier_conversation>\n${summary}\n</earlier_conversation>`;
+}
+
+/**
+ * Human-readable size ("1.2 MB")
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+module.exports = {
+  resolveCompactionPolicy,
+  getTranscriptPath,
+  getTranscriptSize,
+  getCompactionReason,
+  buildSummaryRequest,
+  buildSummaryPrompt,
+  formatBytes
+};
@@ -134,18 +134,24 @@ class SessionManager {
         workspacePath: workspacePath || null
       };
     } else {
-      // Rotating UUID - save old one to history
-      if (metadata.currentUuid && metadata.currentUuid !== uuid) {
-        metadata.uuidHistory = metadata.uuidHistory || [];
-        metadata.uuidHistory.push({
-          uuid: metadata.currentUuid,
-          createdAt: metadata.createdAt, // Preserve creation timestamp
-          endedAt: new Date().toISOString()
-        });
+      if (metadata.currentUuid !== uuid) {
+        // Rotating UUID - save old one to history
+        if (metadata.currentUuid) {
+          this.archiveCurrentUuid(metadata, { endedAt: new Date().toISOString() });
+        }
+
+        // First session after a compaction - link it to the one it continues
+        if (metadata.pendingSummary) {
+          metadata.continuesFrom = metadata.pendingSummary.fromUuid;
+          const previous = (metadata.uuidHistory || []).find(entry => entry.uuid === metadata.continuesFrom);
+          if (previous) previous.continuedIn = uuid;
+          delete metadata.pendingSummary;
+        }
+
+        metadata.currentUuid = uuid;
+        // Reset createdAt for the new UUID
+        metadata.createdAt = new Date().toISOString();
       }
-      metadata.currentUuid = uuid;
-      // Reset createdAt for the new UUID
-      metadata.createdAt = new Date().toISOString();
       // Update workspace if provided
       if (workspacePath) {
         metadata.workspacePath = workspacePath;
@@ -202,10 +208,7 @@ class SessionManager {
 
     // Move current UUID to history (if exists)
     if (metadata.currentUuid) {
-      metadata.uuidHistory = metadata.uuidHistory || [];
-      metadata.uuidHistory.push({
-        uuid: metadata.currentUuid,
-        createdAt: metadata.createdAt, // Preserve creation timestamp
+      this.archiveCurrentUuid(metadata, {
         resetAt: new Date().toISOString(),
         messageCount: metadata.messageCount
       });
@@ -213,6 +216,8 @@ class SessionManager {
 
     // Clear current UUID - next message will start fresh
     metadata.currentUuid = null;
+    // A fresh start doesn't carry over a compaction summary
+    delete metadata.pendingSummary;
     metadata.messageCount = 0; // Reset message count for new session
     metadata.updatedAt = new Date().toISOString();
 
@@ -387,10 +392,7 @@ class SessionManager {
 
     // Move current UUID to history
     if (metadata.currentUuid) {
-      metadata.uuidHistory = metadata.uuidHistory || [];
-      metadata.uuidHistory.push({
-        uuid: metadata.currentUuid,
-        createdAt: metadata.createdAt, // Preserve creation timestamp
+      this.archiveCurrentUuid(metadata, {
         rotatedAt: new Date().toISOString(),
         messageCount: metadata.messageCount,
         reason: 'auto-rotation'
@@ -411,6 +413,77 @@ class SessionManager {
     this.saveSessionMetadata(botId, telegramUserId, metadata);
   }
 
+  /**
+   * Compact session - archive current UUID with a summary of it
+   *
+   * The next message starts a fresh Claude session seeded with the summary
+   * (see getPendingSummary). Once that session has a UUID, setCurrentUuid
+   * links the two with continuesFrom / continuedIn.
+   *
+   * @param {string} botId - Bot identifier
+   * @param {number} telegramUserId - Telegram user ID
+   * @param {Object} compaction
+   * @param {string} compaction.summary - Summary of the session
+   * @param {string} compaction.reason - Limit that triggered it ('messages' | 'size' | 'age')
+   * @param {number} [compaction.sizeBytes] - Transcript size
+   * @returns {boolean} True if compacted, false if there's no current session
+   */
+  compactSession(botId, telegramUserId, { summary, reason, sizeBytes = 0 }) {
+    const metadata = this.loadSessionMetadata(botId, telegramUserId);
+    if (!metadata?.currentUuid) return false;
+
+    const fromUuid = metadata.currentUuid;
+    const now = new Date().toISOString();
+
+    this.archiveCurrentUuid(metadata, {
+      compactedAt: now,
+      messageCount: metadata.uuidCounts?.[fromUuid] || metadata.messageCount,
+      sizeBytes,
+      reason: 'compaction',
+      trigger: reason,
+      summary
+    });
+
+    metadata.currentUuid = null;
+    metadata.messageCount = 0;
+    metadata.pendingSummary = { fromUuid, summary };
+    metadata.compactionCount = (metadata.compactionCount || 0) + 1;
+    metadata.compactedAt = now;
+    metadata.updatedAt = now;
+
+    this.saveSessionMetadata(botId, telegramUserId, metadata);
+    return true;
+  }
+
+  /**
+   * Summary waiting to seed the next session after a compaction
+   *
+   * @param {string} botId - Bot identifier
+   * @param {number} telegramUserId - Telegram user ID
+   * @returns {string|null} Summary, or null if the last session wasn't compacted
+   */
+  getPendingSummary(botId, telegramUserId) {
+    const metadata = this.loadSessionMetadata(botId, telegramUserId);
+    return metadata?.pendingSummary?.summary || null;
+  }
+
+  /**
+   * Move the current UUID to uuidHistory (callers clear or replace it)
+   *
+   * @param {Object} metadata - Session metadata (modified in place)
+   * @param {Object} details - Extra fields for the history entry (timestamps, reason)
+   */
+  archiveCurrentUuid(metadata, details) {
+    metadata.uuidHistory = metadata.uuidHistory || [];
+    metadata.uuidHistory.push({
+      uuid: metadata.currentUuid,
+      createdAt: metadata.createdAt, // Preserve creation timestamp
+      ...(metadata.continuesFrom && { continuesFrom: metadata.continuesFrom }),
+      ...details
+    });
+    delete metadata.continuesFrom;
+  }
+
 }
 
 module.exports = SessionManager;
@@ -0,0 +1,274 @@
+/**
+ * SlackClient
+ *
+ * Minimal Slack app client: Socket Mode for events and slash commands, and
+ * the Web API for everything the bot sends. Only what the Slack channel
+ * adapter needs - messages, updates, deletes, DMs and slash command replies.
+ *
+ * Socket Mode needs an app-level token (xapp-..., connections:write) to open
+ * the connection; Web API calls use the bot token (xoxb-...).
+ *
+ * The API URL can be pointed at a local mock (SLACK_API_URL or the apiUrl option).
+ *
+ * Events:
+ *   'ready'   (auth)              - Connected; auth is auth.test ({ user_id, team_id, bot_id })
+ *   'event'   (event, envelope)   - Events API event (message, app_mention, ...)
+ *   'command' (command)           - Slash command payload ({ command, text, user_id, channel_id, response_url })
+ *   'error'   (error)             - Reconnecting failed for good (token revoked, app uninstalled)
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const DEFAULT_API_URL = 'https://slack.com/api';
+
+const RECONNECT_DELAYS = [1000, 5000, 10000, 30000];
+
+// Web API errors that won't get better by reconnecting
+const FATAL_ERRORS = ['invalid_auth', 'not_authed', 'account_inactive', 'token_revoked', 'not_allowed_token_type'];
+
+class SlackClient extends EventEmitter {
+  /**
+   * @param {Object} tokens
+   * @param {string} tokens.botToken - Bot token (xoxb-...)
+   * @param {string} tokens.appToken - App-level token for Socket Mode (xapp-...)
+   * @param {Object} [options]
+   * @param {string} [options.apiUrl] - Web API base URL
+   */
+  constructor({ botToken, appToken }, options = {}) {
+    super();
+    this.botToken = botToken;
+    this.appToken = appToken;
+    this.apiUrl = (options.apiUrl || process.env.SLACK_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+
+    this.auth = null;
+    this.ws = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.destroyed = false;
+  }
+
+  // ========== Socket Mode ==========
+
+  /**
+   * Identify the bot and open the Socket Mode connection
+   */
+  async connect() {
+    this.destroyed = false;
+    this.auth = await this.call('auth.test');
+    await this.openSocket();
+  }
+
+  /**
+   * Whether the Socket Mode connection is open
+   *
+   * @returns {boolean}
+   */
+  isConnected() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Close the connection for good
+   */
+  destroy() {
+    this.destroyed = true;
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {});
+      this.ws.close(1000);
+      this.ws = null;
+    }
+  }
+
+  async openSocket() {
+    // Socket Mode URLs are single-use - every (re)connect asks for a new one
+    const { url } = await this.call('apps.connections.open', {}, this.appToken);
+    const ws = new WebSocket(url);
+    this.ws = ws;
+
+    ws.on('message', (raw) => {
+      let envelope;
+      try {
+        envelope = JSON.parse(raw.toString());
+      } catch (err) {
+        console.error('⚠️  Slack: unparseable socket payload:', err.message);
+        return;
+      }
+      this.handleEnvelope(envelope);
+    });
+
+    ws.on('close', () => {
+      if (this.ws !== ws) return;
+      this.ws = null;
+      if (!this.destroyed) this.scheduleReconnect();
+    });
+
+    ws.on('error', (error) => {
+      console.error('❌ Slack socket error:', error.message);
+    });
+  }
+
+  handleEnvelope(envelope) {
+    // Everything with an envelope_id must be acknowledged within 3 seconds
+    if (envelope.envelope_id) {
+      this.ws?.send(JSON.stringify({ envelope_id: envelope.envelope_id }));
+    }
+
+    switch (envelope.type) {
+      case 'hello':
+        this.reconnectAttempts = 0;
+        this.emit('ready', this.auth);
+        break;
+
+      case 'disconnect':
+        // Slack rotates connections periodically - reconnect right away
+        this.ws?.close(1000);
+        break;
+
+      case 'events_api':
+        this.emit('event', envelope.payload.event, envelope.payload);
+        break;
+
+      case 'slash_commands':
+        this.emit('command', envelope.payload);
+        break;
+    }
+  }
+
+  scheduleReconnect() {
+    const delay = RECONNECT_DELAYS[Math.min(this.reconnectAttempts, RECONNECT_DELAYS.length - 1)];
+    this.reconnectAttempts++;
+    console.log(`🔄 Slack: reconnecting in ${delay / 1000}s (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.openSocket().catch(error => {
+        if (FATAL_ERRORS.includes(error.code)) {
+          this.emit('error', error);
+          return;
+        }
+        console.error('❌ Slack: reconnect failed:', error.message);
+        if (!this.destroyed) this.scheduleReconnect();
+      });
+    }, delay);
+  }
+
+  // ========== Web API ==========
+
+  /**
+   * Call a Web API method
+   *
+   * Waits and retries once when rate limited (429).
+   *
+   * @param {string} method - API method, e.g. chat.postMessage
+   * @param {Object} [body] - Arguments
+   * @param {string} [token] - Token to use (default: bot token)
+   * @returns {Promise<Object>} Response (ok: true)
+   * @throws {Error} With Slack's error code when ok is false
+   */
+  async call(method, body = {}, token = this.botToken, retried = false) {
+    const response = await fetch(`${this.apiUrl}/${method}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json; charset=utf-8'
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (response.status === 429 && !retried) {
+      const retryAfter = parseInt(response.headers.get('retry-after') || '1');
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+      return this.call(method, body, token, true);
+    }
+
+    const data = await response.json().catch(() => ({ ok: false, error: `HTTP ${response.status}` }));
+    if (!data.ok) {
+      const error = new Error(`Slack ${method} failed: ${data.error}`);
+      error.code = data.error;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Post a message
+   *
+   * @param {string} channel - Channel ID
+   * @param {string} text - Message text (mrkdwn)
+   * @param {Object} [options] - { threadTs }
+   * @returns {Promise<Object>} { ts, channel, message }
+   */
+  postMessage(channel, text, { threadTs } = {}) {
+    return this.call('chat.postMessage', {
+      channel,
+      text,
+      ...(threadTs && { thread_ts: threadTs })
+    });
+  }
+
+  /**
+   * Replace a message's text
+   *
+   * @param {string} channel - Channel ID
+   * @param {string} ts - Message timestamp
+   * @param {string} text - New text
+   */
+  updateMessage(channel, ts, text) {
+    return this.call('chat.update', { channel, ts, text });
+  }
+
+  /**
+   * Delete a message
+   *
+   * @param {string} channel - Channel ID
+   * @param {string} ts - Message timestamp
+   */
+  deleteMessage(channel, ts) {
+    return this.call('chat.delete', { channel, ts });
+  }
+
+  /**
+   * Open (or get) the DM channel with a user
+   *
+   * @param {string} userId - Slack user ID
+   * @returns {Promise<string>} DM channel ID
+   */
+  async openDirectMessage(userId) {
+    const { channel } = await this.call('conversations.open', { users: userId });
+    return channel.id;
+  }
+
+  /**
+   * Get a user's profile
+   *
+   * @param {string} userId - Slack user ID
+   * @returns {Promise<Object>} Slack user object
+   */
+  async getUser(userId) {
+    const { user } = await this.call('users.info', { user: userId });
+    return user;
+  }
+
+  /**
+   * Reply to a slash command through its response_url
+   *
+   * @param {string} responseUrl - response_url from the command payload
+   * @param {string} text - Reply text
+   * @param {Object} [options] - { ephemeral = true }
+   */
+  async respond(responseUrl, text, { ephemeral = true } = {}) {
+    const response = await fetch(responseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ response_type: ephemeral ? 'ephemeral' : 'in_channel', text })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Slack command response failed: HTTP ${response.status}`);
+    }
+  }
+}
+
+module.exports = SlackClient;
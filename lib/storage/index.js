@@ -0,0 +1,86 @@
+/**
+ * Storage
+ *
+ * Persistence for chat messages, agents and workflows behind one interface,
+ * so the bot server can run against Supabase or a local SQLite file.
+ *
+ * Backend selection (STORAGE_BACKEND):
+ *   supabase - Supabase (default when SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set)
+ *   sqlite   - local better-sqlite3 database at STORAGE_DB_PATH (default: data/labcart.db)
+ *
+ * Both adapters implement the same async methods and return rows shaped like
+ * the Supabase tables (snake_case columns, JSON columns as objects). Methods
+ * throw on backend errors and return null/[] when nothing matches.
+ *
+ * Messages:   insertMessage, linkCliSession, getCliSessionId, listMessages,
+ *             countMessages, deleteMessages
+ * Agents:     getAgent, listAgents, createAgent, deleteAgent,
+ *             getAgentInstance, listAgentInstances, createAgentInstance
+ * Workflows:  saveWorkflow, getWorkflow, listWorkflows, updateWorkflow,
+ *             saveWorkflowStep, listWorkflowSteps
+ * Accounts:   linkAccount, getAccountLink, listAccountLinks
+ * Groups:     getGroupSettings, saveGroupSettings
+ * Memories:   insertMemory, listMemories, deleteMemories
+ */
+
+const STORAGE_BACKENDS = ['supabase', 'sqlite'];
+
+let instance = null;
+
+/**
+ * Resolve the configured backend name
+ *
+ * @returns {string} 'supabase' | 'sqlite'
+ */
+function getBackendName() {
+  const configured = process.env.STORAGE_BACKEND;
+  if (configured) {
+    if (!STORAGE_BACKENDS.includes(configured)) {
+      throw new Error(`Unknown STORAGE_BACKEND "${configured}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+    }
+    return configured;
+  }
+
+  const hasSupabase = (process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL) &&
+    process.env.SUPABASE_SERVICE_ROLE_KEY;
+  return hasSupabase ? 'supabase' : 'sqlite';
+}
+
+/**
+ * Create a storage adapter
+ *
+ * @param {string} backend - 'supabase' | 'sqlite'
+ * @param {Object} options - Adapter options (sqlite: { dbPath })
+ * @returns {Object} Storage adapter
+ */
+function createStorage(backend, options = {}) {
+  if (backend === 'sqlite') {
+    const SqliteStorage = require('./sqlite-storage');
+    return new SqliteStorage(options);
+  }
+
+  // Required lazily - the Supabase client throws without credentials
+  const SupabaseStorage = require('./supabase-storage');
+  return new SupabaseStorage(options);
+}
+
+/**
+ * Get the shared storage adapter (created on first use)
+ *
+ * @returns {Object} Storage adapter
+ */
+function getStorage() {
+  if (!instance) {
+    const backend = getBackendName();
+    instance = createStorage(backend);
+    console.log(`🗄️  Storage backend: ${backend}`);
+  }
+  return instance;
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  getBackendName,
+  createStorage,
+  getStorage
+};
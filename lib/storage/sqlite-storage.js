@@ -0,0 +1,623 @@
+/**
+ * SqliteStorage
+ *
+ * Local storage adapter (better-sqlite3) for self-hosted/offline servers and
+ * tests - no cloud database needed. Mirrors the Supabase tables used by the
+ * bot server; JSON columns are stored as TEXT and parsed on read.
+ * See ./index.js for the interface.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS chat_messages (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    cli_session_id TEXT,
+    user_id TEXT NOT NULL,
+    instance_slug TEXT NOT NULL,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    message_type TEXT NOT NULL DEFAULT 'text',
+    metadata TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_chat_messages_session ON chat_messages (session_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_chat_messages_user ON chat_messages (user_id, instance_slug, created_at);
+
+  CREATE TABLE IF NOT EXISTS marketplace_agents (
+    id TEXT PRIMARY KEY,
+    slug TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    short_description TEXT,
+    agent_type TEXT,
+    capabilities TEXT,
+    input_schema TEXT,
+    output_schema TEXT,
+    tags TEXT,
+    icon_emoji TEXT,
+    capability_profile TEXT,
+    brain_config TEXT,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS my_agents (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    agent_id TEXT NOT NULL REFERENCES marketplace_agents (id),
+    instance_name TEXT,
+    instance_slug TEXT NOT NULL UNIQUE,
+    custom_name TEXT,
+    custom_description TEXT,
+    agent_type TEXT,
+    capabilities TEXT,
+    input_schema TEXT,
+    output_schema TEXT,
+    config_overrides TEXT,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_my_agents_user ON my_agents (user_id);
+
+  CREATE TABLE IF NOT EXISTS workflows (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    goal TEXT,
+    status TEXT,
+    plan TEXT,
+    current_step INTEGER,
+    orchestrator_session_id TEXT,
+    discovery_answers TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    completed_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_workflows_status ON workflows (status);
+
+  CREATE TABLE IF NOT EXISTS workflow_steps (
+    workflow_id TEXT NOT NULL,
+    step_num INTEGER NOT NULL,
+    agent_slug TEXT,
+    task TEXT,
+    status TEXT,
+    input TEXT,
+    output TEXT,
+    agent_session_id TEXT,
+    attempt INTEGER NOT NULL DEFAULT 1,
+    started_at TEXT,
+    completed_at TEXT,
+    error TEXT,
+    PRIMARY KEY (workflow_id, step_num, attempt)
+  );
+
+  CREATE TABLE IF NOT EXISTS account_links (
+    channel TEXT NOT NULL,
+    channel_user_id TEXT NOT NULL,
+    account_id TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (channel, channel_user_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_account_links_account ON account_links (account_id);
+
+  CREATE TABLE IF NOT EXISTS group_settings (
+    channel TEXT NOT NULL,
+    chat_id TEXT NOT NULL,
+    settings TEXT NOT NULL DEFAULT '{}',
+    updated_by TEXT,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (channel, chat_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS user_memories (
+    id TEXT PRIMARY KEY,
+    brain TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    fact TEXT NOT NULL,
+    source TEXT NOT NULL DEFAULT 'tool',
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_user_memories_owner ON user_memories (brain, user_id);
+`;
+
+// Columns stored as JSON text, per table
+const JSON_COLUMNS = {
+  chat_messages: ['metadata'],
+  marketplace_agents: ['capabilities', 'input_schema', 'output_schema', 'tags', 'capability_profile', 'brain_config'],
+  my_agents: ['capabilities', 'input_schema', 'output_schema', 'config_overrides'],
+  workflows: ['plan', 'discovery_answers'],
+  workflow_steps: ['input', 'output'],
+  account_links: [],
+  group_settings: ['settings'],
+  user_memories: []
+};
+
+// Columns stored as 0/1, per table
+const BOOLEAN_COLUMNS = {
+  marketplace_agents: ['is_active'],
+  my_agents: ['is_active']
+};
+
+class SqliteStorage {
+  constructor(options = {}) {
+    const dbPath = options.dbPath || process.env.STORAGE_DB_PATH || path.join(process.cwd(), 'data', 'labcart.db');
+
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this.migrate();
+
+    // Column name -> declared type, per table (unknown fields from callers are dropped)
+    this.columns = {};
+    for (const table of Object.keys(JSON_COLUMNS)) {
+      this.columns[table] = Object.fromEntries(
+        this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => [column.name, column.type])
+      );
+    }
+  }
+
+  /**
+   * Bring tables created by older versions up to date
+   */
+  migrate() {
+    // workflow_steps kept one row per step; each attempt now has its own row
+    const stepKey = this.db.prepare('PRAGMA table_info(workflow_steps)').all()
+      .filter(column => column.pk > 0)
+      .map(column => column.name);
+    if (!stepKey.includes('attempt')) {
+      this.db.transaction(() => {
+        this.db.exec('ALTER TABLE workflow_steps RENAME TO workflow_steps_old');
+        this.db.exec(SCHEMA);
+        this.db.exec('INSERT INTO workflow_steps SELECT * FROM workflow_steps_old');
+        this.db.exec('DROP TABLE workflow_steps_old');
+      })();
+    }
+  }
+
+  // ========== Row conversion ==========
+
+  /**
+   * Convert a row object to SQLite values (JSON/boolean columns encoded)
+   */
+  toRow(table, values) {
+    const row = {};
+    for (const [column, value] of Object.entries(values)) {
+      if (!this.columns[table][column] || value === undefined) continue;
+
+      if (value === null) {
+        row[column] = null;
+      } else if (JSON_COLUMNS[table].includes(column)) {
+        row[column] = JSON.stringify(value);
+      } else if (BOOLEAN_COLUMNS[table]?.includes(column)) {
+        row[column] = value ? 1 : 0;
+      } else if (this.columns[table][column] === 'TEXT') {
+        // Numeric IDs (e.g. Telegram user IDs) would otherwise be stored as '42.0'
+        row[column] = String(value);
+      } else {
+        row[column] = value;
+      }
+    }
+    return row;
+  }
+
+  /**
+   * Convert a SQLite row back to the Supabase row shape
+   */
+  fromRow(table, row) {
+    if (!row) return null;
+
+    const result = { ...row };
+    for (const column of JSON_COLUMNS[table]) {
+      if (typeof result[column] === 'string') {
+        result[column] = JSON.parse(result[column]);
+      }
+    }
+    for (const column of BOOLEAN_COLUMNS[table] || []) {
+      if (result[column] !== undefined) {
+        result[column] = result[column] === 1;
+      }
+    }
+    return result;
+  }
+
+  insert(table, values) {
+    const row = this.toRow(table, values);
+    const columns = Object.keys(row);
+    this.db.prepare(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(column => `@${column}`).join(', ')})`
+    ).run(row);
+  }
+
+  upsert(table, values, conflictColumns) {
+    const row = this.toRow(table, values);
+    const columns = Object.keys(row);
+    const updates = columns
+      .filter(column => !conflictColumns.includes(column) && column !== 'created_at')
+      .map(column => `${column} = excluded.${column}`);
+
+    this.db.prepare(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(column => `@${column}`).join(', ')})
+       ON CONFLICT (${conflictColumns.join(', ')}) DO ${updates.length > 0 ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}`
+    ).run(row);
+  }
+
+  // ========== Messages ==========
+
+  /**
+   * Insert a chat message
+   *
+   * @param {Object} message - chat_messages row (without id/created_at)
+   * @returns {Promise<Object>} Saved row
+   */
+  async insertMessage(message) {
+    const id = crypto.randomUUID();
+    this.insert('chat_messages', {
+      message_type: 'text',
+      metadata: {},
+      ...message,
+      id,
+      created_at: new Date().toISOString()
+    });
+    return this.fromRow('chat_messages', this.db.prepare('SELECT * FROM chat_messages WHERE id = ?').get(id));
+  }
+
+  /**
+   * Set cli_session_id on a session's messages that don't have one yet
+   *
+   * @param {string} sessionId - Our session UUID
+   * @param {string} cliSessionId - Claude's session ID
+   */
+  async linkCliSession(sessionId, cliSessionId) {
+    this.db.prepare('UPDATE chat_messages SET cli_session_id = ? WHERE session_id = ? AND cli_session_id IS NULL')
+      .run(cliSessionId, sessionId);
+  }
+
+  /**
+   * Get the CLI session ID linked to a session
+   *
+   * @param {string} sessionId - Our session UUID
+   * @returns {Promise<string|null>}
+   */
+  async getCliSessionId(sessionId) {
+    const row = this.db.prepare('SELECT cli_session_id FROM chat_messages WHERE session_id = ? AND cli_session_id IS NOT NULL LIMIT 1')
+      .get(sessionId);
+    return row?.cli_session_id || null;
+  }
+
+  /**
+   * List messages, ordered by created_at
+   *
+   * @param {Object} filters - { sessionId, userId, instanceSlug, role, limit, ascending }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listMessages({ sessionId, userId, instanceSlug, role, limit = 1000, ascending = true } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (sessionId) { conditions.push('session_id = ?'); params.push(sessionId); }
+    if (userId) { conditions.push('user_id = ?'); params.push(String(userId)); }
+    if (instanceSlug) { conditions.push('instance_slug = ?'); params.push(instanceSlug); }
+    if (role) { conditions.push('role = ?'); params.push(role); }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const order = ascending ? 'ASC' : 'DESC';
+    const rows = this.db.prepare(
+      `SELECT * FROM chat_messages ${where} ORDER BY created_at ${order}, rowid ${order} LIMIT ?`
+    ).all(...params, limit);
+
+    return rows.map(row => this.fromRow('chat_messages', row));
+  }
+
+  /**
+   * Count messages in a session
+   *
+   * @param {string} sessionId - Our session UUID
+   * @returns {Promise<number>}
+   */
+  async countMessages(sessionId) {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM chat_messages WHERE session_id = ?').get(sessionId).count;
+  }
+
+  /**
+   * Delete all messages in a session
+   *
+   * @param {string} sessionId - Our session UUID
+   */
+  async deleteMessages(sessionId) {
+    this.db.prepare('DELETE FROM chat_messages WHERE session_id = ?').run(sessionId);
+  }
+
+  // ========== Agents ==========
+
+  /**
+   * Get a marketplace agent by slug or UUID
+   *
+   * @param {string} slugOrId - Agent slug or UUID
+   * @returns {Promise<Object|null>} marketplace_agents row
+   */
+  async getAgent(slugOrId) {
+    const column = UUID_PATTERN.test(slugOrId) ? 'id' : 'slug';
+    return this.fromRow('marketplace_agents',
+      this.db.prepare(`SELECT * FROM marketplace_agents WHERE ${column} = ?`).get(slugOrId));
+  }
+
+  /**
+   * List marketplace agents, ordered by name
+   *
+   * @param {Object} filters - { activeOnly }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listAgents({ activeOnly = false } = {}) {
+    const where = activeOnly ? 'WHERE is_active = 1' : '';
+    return this.db.prepare(`SELECT * FROM marketplace_agents ${where} ORDER BY name`).all()
+      .map(row => this.fromRow('marketplace_agents', row));
+  }
+
+  /**
+   * Create a marketplace agent
+   *
+   * @param {Object} agent - marketplace_agents row (without id)
+   * @returns {Promise<Object>} Created row
+   */
+  async createAgent(agent) {
+    const id = agent.id || crypto.randomUUID();
+    this.insert('marketplace_agents', { ...agent, id, created_at: new Date().toISOString() });
+    return this.getAgent(id);
+  }
+
+  /**
+   * Delete a marketplace agent by slug (tests/cleanup)
+   *
+   * @param {string} slug - Agent slug
+   */
+  async deleteAgent(slug) {
+    this.db.prepare('DELETE FROM marketplace_agents WHERE slug = ?').run(slug);
+  }
+
+  /**
+   * Attach the marketplace agent to a my_agents row (as `agent`)
+   */
+  withAgent(row) {
+    const instance = this.fromRow('my_agents', row);
+    if (!instance) return null;
+
+    instance.agent = this.fromRow('marketplace_agents',
+      this.db.prepare('SELECT * FROM marketplace_agents WHERE id = ?').get(instance.agent_id));
+    return instance;
+  }
+
+  /**
+   * Get a user's agent instance with its marketplace agent
+   *
+   * @param {string} instanceSlug - my_agents.instance_slug
+   * @returns {Promise<Object|null>} my_agents row with `agent`
+   */
+  async getAgentInstance(instanceSlug) {
+    return this.withAgent(this.db.prepare('SELECT * FROM my_agents WHERE instance_slug = ?').get(instanceSlug));
+  }
+
+  /**
+   * List active agent instances with their marketplace agents
+   *
+   * @param {string} userId - User ID (omit to list every user's instances)
+   * @returns {Promise<Array<Object>>} my_agents rows with `agent`
+   */
+  async listAgentInstances(userId) {
+    const rows = userId
+      ? this.db.prepare('SELECT * FROM my_agents WHERE user_id = ? AND is_active = 1 ORDER BY created_at').all(String(userId))
+      : this.db.prepare('SELECT * FROM my_agents WHERE is_active = 1 ORDER BY created_at').all();
+
+    return rows.map(row => this.withAgent(row));
+  }
+
+  /**
+   * Create a user's agent instance
+   *
+   * @param {Object} instance - my_agents row (without id)
+   * @returns {Promise<Object>} Created row
+   */
+  async createAgentInstance(instance) {
+    const id = instance.id || crypto.randomUUID();
+    this.insert('my_agents', { ...instance, id, created_at: new Date().toISOString() });
+    return this.fromRow('my_agents', this.db.prepare('SELECT * FROM my_agents WHERE id = ?').get(id));
+  }
+
+  // ========== Workflows ==========
+
+  /**
+   * Insert or update a workflow (by id)
+   *
+   * @param {Object} workflow - workflows row
+   */
+  async saveWorkflow(workflow) {
+    const now = new Date().toISOString();
+    this.upsert('workflows', { ...workflow, created_at: now, updated_at: now }, ['id']);
+  }
+
+  /**
+   * Get a workflow by id
+   *
+   * @param {string} workflowId - Workflow ID
+   * @returns {Promise<Object|null>} workflows row
+   */
+  async getWorkflow(workflowId) {
+    return this.fromRow('workflows', this.db.prepare('SELECT * FROM workflows WHERE id = ?').get(workflowId));
+  }
+
+  /**
+   * List workflows
+   *
+   * @param {Object} filters - { status, userId }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listWorkflows({ status, userId } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) { conditions.push('status = ?'); params.push(status); }
+    if (userId) { conditions.push('user_id = ?'); params.push(String(userId)); }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT * FROM workflows ${where} ORDER BY created_at`).all(...params)
+      .map(row => this.fromRow('workflows', row));
+  }
+
+  /**
+   * Update fields on a workflow
+   *
+   * @param {string} workflowId - Workflow ID
+   * @param {Object} fields - Columns to update
+   */
+  async updateWorkflow(workflowId, fields) {
+    const row = this.toRow('workflows', { updated_at: new Date().toISOString(), ...fields });
+    delete row.id;
+
+    const assignments = Object.keys(row).map(column => `${column} = @${column}`);
+    this.db.prepare(`UPDATE workflows SET ${assignments.join(', ')} WHERE id = @workflowId`)
+      .run({ ...row, workflowId });
+  }
+
+  /**
+   * Insert or update a workflow step attempt (by workflow_id + step_num + attempt)
+   *
+   * @param {Object} step - workflow_steps row
+   */
+  async saveWorkflowStep(step) {
+    this.upsert('workflow_steps', { attempt: 1, ...step }, ['workflow_id', 'step_num', 'attempt']);
+  }
+
+  /**
+   * List a workflow's step attempts, ordered by step_num then attempt
+   *
+   * @param {string} workflowId - Workflow ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async listWorkflowSteps(workflowId) {
+    return this.db.prepare('SELECT * FROM workflow_steps WHERE workflow_id = ? ORDER BY step_num, attempt').all(workflowId)
+      .map(row => this.fromRow('workflow_steps', row));
+  }
+
+  // ========== Account Links ==========
+
+  /**
+   * Link a channel user to an account (replaces any previous link)
+   *
+   * @param {Object} link - account_links row ({ channel, channel_user_id, account_id })
+   */
+  async linkAccount(link) {
+    this.upsert('account_links', { ...link, created_at: new Date().toISOString() }, ['channel', 'channel_user_id']);
+  }
+
+  /**
+   * Get the account link for a channel user
+   *
+   * @param {string} channel - Channel name ('telegram', 'slack', ...)
+   * @param {string|number} channelUserId - User ID on that channel
+   * @returns {Promise<Object|null>} account_links row
+   */
+  async getAccountLink(channel, channelUserId) {
+    return this.fromRow('account_links', this.db.prepare(
+      'SELECT * FROM account_links WHERE channel = ? AND channel_user_id = ?'
+    ).get(channel, String(channelUserId)));
+  }
+
+  /**
+   * List every channel user linked to an account
+   *
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Array<Object>>} account_links rows
+   */
+  async listAccountLinks(accountId) {
+    return this.db.prepare('SELECT * FROM account_links WHERE account_id = ? ORDER BY created_at').all(accountId)
+      .map(row => this.fromRow('account_links', row));
+  }
+
+  // ========== Group Settings ==========
+
+  /**
+   * Get a group chat's settings
+   *
+   * @param {string} channel - Channel name ('telegram', ...)
+   * @param {string|number} chatId - Group chat ID
+   * @returns {Promise<Object|null>} group_settings row
+   */
+  async getGroupSettings(channel, chatId) {
+    return this.fromRow('group_settings', this.db.prepare(
+      'SELECT * FROM group_settings WHERE channel = ? AND chat_id = ?'
+    ).get(channel, String(chatId)));
+  }
+
+  /**
+   * Save a group chat's settings (replaces the previous ones)
+   *
+   * @param {Object} row - group_settings row ({ channel, chat_id, settings, updated_by })
+   */
+  async saveGroupSettings(row) {
+    this.upsert('group_settings', { ...row, updated_at: new Date().toISOString() }, ['channel', 'chat_id']);
+  }
+
+  // ========== User Memories ==========
+
+  /**
+   * Save a memory
+   *
+   * @param {Object} memory - user_memories row ({ brain, user_id, fact, source })
+   * @returns {Promise<Object>} Saved row
+   */
+  async insertMemory(memory) {
+    const id = crypto.randomUUID();
+    this.insert('user_memories', { ...memory, id, created_at: new Date().toISOString() });
+    return this.fromRow('user_memories', this.db.prepare('SELECT * FROM user_memories WHERE id = ?').get(id));
+  }
+
+  /**
+   * List a user's memories for a brain, newest first
+   *
+   * @param {string} brain - Brain name
+   * @param {string|number} userId - User ID
+   * @returns {Promise<Array<Object>>} user_memories rows
+   */
+  async listMemories(brain, userId) {
+    return this.db.prepare(
+      'SELECT * FROM user_memories WHERE brain = ? AND user_id = ? ORDER BY created_at DESC, rowid DESC'
+    ).all(brain, String(userId)).map(row => this.fromRow('user_memories', row));
+  }
+
+  /**
+   * Delete a user's memories for a brain
+   *
+   * @param {string} brain - Brain name
+   * @param {string|number} userId - User ID
+   * @param {Array<string>} [ids] - Memories to delete (default: all of them)
+   * @returns {Promise<number>} Number deleted
+   */
+  async deleteMemories(brain, userId, ids = null) {
+    if (ids) {
+      if (ids.length === 0) return 0;
+      return this.db.prepare(
+        `DELETE FROM user_memories WHERE brain = ? AND user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`
+      ).run(brain, String(userId), ...ids).changes;
+    }
+    return this.db.prepare('DELETE FROM user_memories WHERE brain = ? AND user_id = ?').run(brain, String(userId)).changes;
+  }
+
+  /**
+   * Close the database (tests)
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStorage;
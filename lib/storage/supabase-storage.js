@@ -0,0 +1,465 @@
+/**
+ * SupabaseStorage
+ *
+ * Storage adapter for the hosted Supabase database (see ./index.js for the interface).
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Unwrap a Supabase response, throwing on error
+ */
+function unwrap({ data, error }, context) {
+  if (error) {
+    throw new Error(`${context}: ${error.message}`);
+  }
+  return data;
+}
+
+class SupabaseStorage {
+  constructor(options = {}) {
+    this.supabase = options.client || require('../supabase-client');
+  }
+
+  // ========== Messages ==========
+
+  /**
+   * Insert a chat message
+   *
+   * @param {Object} message - chat_messages row (without id/created_at)
+   * @returns {Promise<Object>} Saved row
+   */
+  async insertMessage(message) {
+    return unwrap(
+      await this.supabase.from('chat_messages').insert(message).select().single(),
+      'Failed to insert message'
+    );
+  }
+
+  /**
+   * Set cli_session_id on a session's messages that don't have one yet
+   *
+   * @param {string} sessionId - Our session UUID
+   * @param {string} cliSessionId - Claude's session ID
+   */
+  async linkCliSession(sessionId, cliSessionId) {
+    unwrap(
+      await this.supabase
+        .from('chat_messages')
+        .update({ cli_session_id: cliSessionId })
+        .eq('session_id', sessionId)
+        .is('cli_session_id', null),
+      'Failed to link CLI session'
+    );
+  }
+
+  /**
+   * Get the CLI session ID linked to a session
+   *
+   * @param {string} sessionId - Our session UUID
+   * @returns {Promise<string|null>}
+   */
+  async getCliSessionId(sessionId) {
+    const data = unwrap(
+      await this.supabase
+        .from('chat_messages')
+        .select('cli_session_id')
+        .eq('session_id', sessionId)
+        .not('cli_session_id', 'is', null)
+        .limit(1)
+        .maybeSingle(),
+      'Failed to get CLI session'
+    );
+    return data?.cli_session_id || null;
+  }
+
+  /**
+   * List messages, ordered by created_at
+   *
+   * @param {Object} filters - { sessionId, userId, instanceSlug, role, limit, ascending }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listMessages({ sessionId, userId, instanceSlug, role, limit = 1000, ascending = true } = {}) {
+    let query = this.supabase.from('chat_messages').select('*');
+
+    if (sessionId) query = query.eq('session_id', sessionId);
+    if (userId) query = query.eq('user_id', userId);
+    if (instanceSlug) query = query.eq('instance_slug', instanceSlug);
+    if (role) query = query.eq('role', role);
+
+    return unwrap(
+      await query.order('created_at', { ascending }).limit(limit),
+      'Failed to list messages'
+    ) || [];
+  }
+
+  /**
+   * Count messages in a session
+   *
+   * @param {string} sessionId - Our session UUID
+   * @returns {Promise<number>}
+   */
+  async countMessages(sessionId) {
+    const { count, error } = await this.supabase
+      .from('chat_messages')
+      .select('*', { count: 'exact', head: true })
+      .eq('session_id', sessionId);
+
+    if (error) {
+      throw new Error(`Failed to count messages: ${error.message}`);
+    }
+    return count || 0;
+  }
+
+  /**
+   * Delete all messages in a session
+   *
+   * @param {string} sessionId - Our session UUID
+   */
+  async deleteMessages(sessionId) {
+    unwrap(
+      await this.supabase.from('chat_messages').delete().eq('session_id', sessionId),
+      'Failed to delete messages'
+    );
+  }
+
+  // ========== Agents ==========
+
+  /**
+   * Get a marketplace agent by slug or UUID
+   *
+   * @param {string} slugOrId - Agent slug or UUID
+   * @returns {Promise<Object|null>} marketplace_agents row
+   */
+  async getAgent(slugOrId) {
+    const column = UUID_PATTERN.test(slugOrId) ? 'id' : 'slug';
+    return unwrap(
+      await this.supabase.from('marketplace_agents').select('*').eq(column, slugOrId).maybeSingle(),
+      'Failed to get agent'
+    );
+  }
+
+  /**
+   * List marketplace agents, ordered by name
+   *
+   * @param {Object} filters - { activeOnly }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listAgents({ activeOnly = false } = {}) {
+    let query = this.supabase.from('marketplace_agents').select('*');
+    if (activeOnly) query = query.eq('is_active', true);
+
+    return unwrap(await query.order('name'), 'Failed to list agents') || [];
+  }
+
+  /**
+   * Create a marketplace agent
+   *
+   * @param {Object} agent - marketplace_agents row (without id)
+   * @returns {Promise<Object>} Created row
+   */
+  async createAgent(agent) {
+    return unwrap(
+      await this.supabase.from('marketplace_agents').insert(agent).select().single(),
+      'Failed to create marketplace agent'
+    );
+  }
+
+  /**
+   * Delete a marketplace agent by slug (tests/cleanup)
+   *
+   * @param {string} slug - Agent slug
+   */
+  async deleteAgent(slug) {
+    unwrap(
+      await this.supabase.from('marketplace_agents').delete().eq('slug', slug),
+      'Failed to delete agent'
+    );
+  }
+
+  /**
+   * Get a user's agent instance with its marketplace agent
+   *
+   * @param {string} instanceSlug - my_agents.instance_slug
+   * @returns {Promise<Object|null>} my_agents row with `agent`
+   */
+  async getAgentInstance(instanceSlug) {
+    return unwrap(
+      await this.supabase
+        .from('my_agents')
+        .select('*, agent:marketplace_agents(*)')
+        .eq('instance_slug', instanceSlug)
+        .maybeSingle(),
+      'Failed to get agent instance'
+    );
+  }
+
+  /**
+   * List active agent instances with their marketplace agents
+   *
+   * @param {string} userId - User ID (omit to list every user's instances)
+   * @returns {Promise<Array<Object>>} my_agents rows with `agent`
+   */
+  async listAgentInstances(userId) {
+    let query = this.supabase
+      .from('my_agents')
+      .select('*, agent:marketplace_agents(*)')
+      .eq('is_active', true);
+    if (userId) query = query.eq('user_id', userId);
+
+    return unwrap(await query, 'Failed to list agent instances') || [];
+  }
+
+  /**
+   * Create a user's agent instance
+   *
+   * @param {Object} instance - my_agents row (without id)
+   * @returns {Promise<Object>} Created row
+   */
+  async createAgentInstance(instance) {
+    return unwrap(
+      await this.supabase.from('my_agents').insert(instance).select().single(),
+      'Failed to create agent instance'
+    );
+  }
+
+  // ========== Workflows ==========
+
+  /**
+   * Insert or update a workflow (by id)
+   *
+   * @param {Object} workflow - workflows row
+   */
+  async saveWorkflow(workflow) {
+    unwrap(
+      await this.supabase.from('workflows').upsert(workflow, { onConflict: 'id' }),
+      'Failed to save workflow'
+    );
+  }
+
+  /**
+   * Get a workflow by id
+   *
+   * @param {string} workflowId - Workflow ID
+   * @returns {Promise<Object|null>} workflows row
+   */
+  async getWorkflow(workflowId) {
+    return unwrap(
+      await this.supabase.from('workflows').select('*').eq('id', workflowId).maybeSingle(),
+      'Failed to get workflow'
+    );
+  }
+
+  /**
+   * List workflows
+   *
+   * @param {Object} filters - { status, userId }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listWorkflows({ status, userId } = {}) {
+    let query = this.supabase.from('workflows').select('*');
+    if (status) query = query.eq('status', status);
+    if (userId) query = query.eq('user_id', userId);
+
+    return unwrap(await query, 'Failed to list workflows') || [];
+  }
+
+  /**
+   * Update fields on a workflow
+   *
+   * @param {string} workflowId - Workflow ID
+   * @param {Object} fields - Columns to update
+   */
+  async updateWorkflow(workflowId, fields) {
+    unwrap(
+      await this.supabase.from('workflows').update(fields).eq('id', workflowId),
+      'Failed to update workflow'
+    );
+  }
+
+  /**
+   * Insert or update a workflow step attempt (by workflow_id + step_num + attempt)
+   *
+   * @param {Object} step - workflow_steps row
+   */
+  async saveWorkflowStep(step) {
+    unwrap(
+      await this.supabase.from('workflow_steps').upsert({ attempt: 1, ...step }, { onConflict: 'workflow_id,step_num,attempt' }),
+      'Failed to save workflow step'
+    );
+  }
+
+  /**
+   * List a workflow's step attempts, ordered by step_num then attempt
+   *
+   * @param {string} workflowId - Workflow ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async listWorkflowSteps(workflowId) {
+    return unwrap(
+      await this.supabase
+        .from('workflow_steps')
+        .select('*')
+        .eq('workflow_id', workflowId)
+        .order('step_num', { ascending: true })
+        .order('attempt', { ascending: true }),
+      'Failed to list workflow steps'
+    ) || [];
+  }
+
+  // ========== Account Links ==========
+
+  /**
+   * Link a channel user to an account (replaces any previous link)
+   *
+   * @param {Object} link - account_links row ({ channel, channel_user_id, account_id })
+   */
+  async linkAccount(link) {
+    unwrap(
+      await this.supabase
+        .from('account_links')
+        .upsert({ ...link, channel_user_id: String(link.channel_user_id) }, { onConflict: 'channel,channel_user_id' }),
+      'Failed to link account'
+    );
+  }
+
+  /**
+   * Get the account link for a channel user
+   *
+   * @param {string} channel - Channel name ('telegram', 'slack', ...)
+   * @param {string|number} channelUserId - User ID on that channel
+   * @returns {Promise<Object|null>} account_links row
+   */
+  async getAccountLink(channel, channelUserId) {
+    return unwrap(
+      await this.supabase
+        .from('account_links')
+        .select('*')
+        .eq('channel', channel)
+        .eq('channel_user_id', String(channelUserId))
+        .maybeSingle(),
+      'Failed to get account link'
+    );
+  }
+
+  /**
+   * List every channel user linked to an account
+   *
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Array<Object>>} account_links rows
+   */
+  async listAccountLinks(accountId) {
+    return unwrap(
+      await this.supabase
+        .from('account_links')
+        .select('*')
+        .eq('account_id', accountId)
+        .order('created_at', { ascending: true }),
+      'Failed to list account links'
+    ) || [];
+  }
+
+  // ========== Group Settings ==========
+
+  /**
+   * Get a group chat's settings
+   *
+   * @param {string} channel - Channel name ('telegram', ...)
+   * @param {string|number} chatId - Group chat ID
+   * @returns {Promise<Object|null>} group_settings row
+   */
+  async getGroupSettings(channel, chatId) {
+    return unwrap(
+      await this.supabase
+        .from('group_settings')
+        .select('*')
+        .eq('channel', channel)
+        .eq('chat_id', String(chatId))
+        .maybeSingle(),
+      'Failed to get group settings'
+    );
+  }
+
+  /**
+   * Save a group chat's settings (replaces the previous ones)
+   *
+   * @param {Object} row - group_settings row ({ channel, chat_id, settings, updated_by })
+   */
+  async saveGroupSettings(row) {
+    unwrap(
+      await this.supabase
+        .from('group_settings')
+        .upsert({
+          ...row,
+          chat_id: String(row.chat_id),
+          updated_by: row.updated_by != null ? String(row.updated_by) : null,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'channel,chat_id' }),
+      'Failed to save group settings'
+    );
+  }
+
+  // ========== User Memories ==========
+
+  /**
+   * Save a memory
+   *
+   * @param {Object} memory - user_memories row ({ brain, user_id, fact, source })
+   * @returns {Promise<Object>} Saved row
+   */
+  async insertMemory(memory) {
+    return unwrap(
+      await this.supabase
+        .from('user_memories')
+        .insert({ ...memory, user_id: String(memory.user_id) })
+        .select()
+        .single(),
+      'Failed to save memory'
+    );
+  }
+
+  /**
+   * List a user's memories for a brain, newest first
+   *
+   * @param {string} brain - Brain name
+   * @param {string|number} userId - User ID
+   * @returns {Promise<Array<Object>>} user_memories rows
+   */
+  async listMemories(brain, userId) {
+    return unwrap(
+      await this.supabase
+        .from('user_memories')
+        .select('*')
+        .eq('brain', brain)
+        .eq('user_id', String(userId))
+        .order('created_at', { ascending: false }),
+      'Failed to list memories'
+    ) || [];
+  }
+
+  /**
+   * Delete a user's memories for a brain
+   *
+   * @param {string} brain - Brain name
+   * @param {string|number} userId - User ID
+   * @param {Array<string>} [ids] - Memories to delete (default: all of them)
+   * @returns {Promise<number>} Number deleted
+   */
+  async deleteMemories(brain, userId, ids = null) {
+    if (ids && ids.length === 0) return 0;
+
+    let query = this.supabase
+      .from('user_memories')
+      .delete()
+      .eq('brain', brain)
+      .eq('user_id', String(userId));
+    if (ids) {
+      query = query.in('id', ids);
+    }
+
+    const deleted = unwrap(await query.select('id'), 'Failed to delete memories');
+    return deleted?.length || 0;
+  }
+}
+
+module.exports = SupabaseStorage;
@@ -0,0 +1,167 @@
+/**
+ * Tool Permissions
+ *
+ * Per-brain policy for the tools Claude may call, and the pending
+ * Approve/Deny prompts for tools that need the user's say-so:
+ *
+ *   permissions: {
+ *     default: 'allow',                    // tools not listed below
+ *     tools: {
+ *       tapjot_delete_snippet: 'ask',      // bare MCP tool name or full name
+ *       'generate_*': 'ask',               // trailing * matches a prefix
+ *       WebFetch: 'deny'
+ *     },
+ *     timeoutSeconds: 60,                  // unanswered prompts are denied
+ *     rememberForSession: true             // offer "Allow for this session"
+ *   }
+ *
+ * Brains with a policy run Claude with --permission-prompt-tool stdio
+ * (lib/claude-client sendWithPermissions), and every can_use_tool request
+ * comes through the engine: 'allow' and 'deny' are answered straight away,
+ * 'ask' posts a prompt through the channel adapter and waits here for
+ * answerApproval(). Approvals and session decisions live in memory.
+ */
+
+const crypto = require('crypto');
+const { baseToolName } = require('./tool-status');
+
+const POLICIES = ['allow', 'deny', 'ask'];
+const DEFAULT_TIMEOUT_SECONDS = 60;
+
+const pendingApprovals = new Map(); // request ID → { botId, userId, toolName, resolve, timer }
+const sessionDecisions = new Map(); // session scope → Map(tool name → 'allow' | 'deny')
+
+/**
+ * Resolve a brain's permission policy
+ *
+ * @param {Object} brain - Effective brain
+ * @returns {Object|null} { default, tools, timeoutMs, rememberForSession }, or null when every tool
+ *   is allowed (no policy, or one that only allows) and Claude can skip permission prompts
+ */
+function resolvePermissionPolicy(brain = {}) {
+  const config = brain.permissions;
+  if (!config) return null;
+
+  const policy = {
+    default: POLICIES.includes(config.default) ? config.default : 'allow',
+    tools: config.tools || {},
+    timeoutMs: (config.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * 1000,
+    rememberForSession: config.rememberForSession !== false
+  };
+
+  const onlyAllows = policy.default === 'allow' && Object.values(policy.tools).every(rule => rule === 'allow');
+  return onlyAllows ? null : policy;
+}
+
+/**
+ * The policy for one tool: exact names first, then the longest matching prefix pattern
+ *
+ * @param {Object} policy - From resolvePermissionPolicy()
+ * @param {string} toolName - Tool name as Claude called it
+ * @returns {string} 'allow' | 'deny' | 'ask'
+ */
+function getToolPolicy(policy, toolName) {
+  const names = [toolName, baseToolName(toolName)];
+
+  for (const name of names) {
+    if (policy.tools[name]) return policy.tools[name];
+  }
+
+  const pattern = Object.keys(policy.tools)
+    .filter(key => key.endsWith('*') && names.some(name => name.startsWith(key.slice(0, -1))))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return pattern ? policy.tools[pattern] : policy.default;
+}
+
+/**
+ * Wait for the user to answer an approval prompt
+ *
+ * @param {Object} request
+ * @param {string} request.botId - Bot identifier
+ * @param {string} request.userId - User who may answer
+ * @param {string} request.toolName - Tool being approved
+ * @param {number} timeoutMs - Deny after this long
+ * @returns {Object} { id, decision } - decision resolves to 'allow' | 'allow_session' | 'deny' | 'timeout'
+ */
+function requestApproval({ botId, userId, toolName }, timeoutMs) {
+  const id = crypto.randomBytes(6).toString('hex');
+
+  const decision = new Promise(resolve => {
+    const timer = setTimeout(() => {
+      pendingApprovals.delete(id);
+      resolve('timeout');
+    }, timeoutMs);
+
+    pendingApprovals.set(id, { botId, userId: String(userId), toolName, resolve, timer });
+  });
+
+  return { id, decision };
+}
+
+/**
+ * Answer an approval prompt
+ *
+ * @param {string} id - Request ID from requestApproval()
+ * @param {string} decision - 'allow' | 'allow_session' | 'deny'
+ * @param {string|number} userId - Who answered
+ * @returns {string} 'answered', 'expired' (unknown or timed out) or 'forbidden' (someone else's prompt)
+ */
+function answerApproval(id, decision, userId) {
+  const pending = pendingApprovals.get(id);
+  if (!pending) return 'expired';
+  if (pending.userId !== String(userId)) return 'forbidden';
+
+  pendingApprovals.delete(id);
+  clearTimeout(pending.timer);
+  pending.resolve(['allow', 'allow_session'].includes(decision) ? decision : 'deny');
+  return 'answered';
+}
+
+/**
+ * A decision remembered for this session
+ *
+ * @param {string} scope - Session scope
+ * @param {string} toolName - Tool name
+ * @returns {string|null} 'allow' | 'deny'
+ */
+function getSessionDecision(scope, toolName) {
+  return sessionDecisions.get(scope)?.get(toolName) || null;
+}
+
+/**
+ * Remember a decision for the rest of the session
+ *
+ * @param {string} scope - Session scope
+ * @param {string} toolName - Tool name
+ * @param {string} decision - 'allow' | 'deny'
+ */
+function rememberSessionDecision(scope, toolName, decision) {
+  if (!sessionDecisions.has(scope)) sessionDecisions.set(scope, new Map());
+  sessionDecisions.get(scope).set(toolName, decision);
+}
+
+/**
+ * Carry decisions over when a new session gets its ID
+ *
+ * @param {string} fromScope - Scope used before the ID was known
+ * @param {string} toScope - Scope with the session ID
+ */
+function moveSessionDecisions(fromScope, toScope) {
+  const decisions = sessionDecisions.get(fromScope);
+  if (!decisions) return;
+
+  sessionDecisions.delete(fromScope);
+  sessionDecisions.set(toScope, decisions);
+}
+
+module.exports = {
+  POLICIES,
+  resolvePermissionPolicy,
+  getToolPolicy,
+  requestApproval,
+  answerApproval,
+  getSessionDecision,
+  rememberSessionDecision,
+  moveSessionDecisions
+};
@@ -0,0 +1,145 @@
+/**
+ * Tool Status
+ *
+ * User-facing labels for the tools Claude calls mid-turn, so channels can
+ * show "🔍 Searching the web..." instead of a generic "Thinking...".
+ *
+ * Tool names arrive as Claude sees them: built-ins ("WebSearch") or MCP
+ * tools ("mcp__router__get_live_scores", "mcp__tts__text_to_speech").
+ * TOOL_LABELS is keyed by the bare tool name (the MCP server prefix is
+ * stripped); a label is a function of the tool's (sanitized) arguments.
+ * TOOL_PREFIX_LABELS covers whole MCP servers ("mcp__playwright__*").
+ */
+
+const SPORT_NAMES = {
+  ncaaf: 'college football',
+  ncaab: 'college basketball',
+  epl: 'Premier League',
+  laliga: 'La Liga',
+  bundesliga: 'Bundesliga',
+  seriea: 'Serie A',
+  ligue1: 'Ligue 1',
+  soccer: 'soccer'
+};
+
+// Arguments with these names never leave the process
+const SECRET_ARG = /token|secret|password|api_?key|auth|cookie/i;
+const MAX_ARG_LENGTH = 100;
+const MAX_ARG_KEYS = 10;
+
+/**
+ * "NBA scores", or just "scores" without a sport
+ */
+function forSport(sport, what) {
+  if (!sport) return what;
+  return `${SPORT_NAMES[sport] || sport.toUpperCase()} ${what}`;
+}
+
+const TOOL_LABELS = {
+  // Claude built-ins
+  WebSearch: () => '🔍 Searching the web...',
+  WebFetch: () => '🌐 Reading a web page...',
+  Read: () => '📁 Reading files...',
+  Write: () => '📁 Writing files...',
+  Edit: () => '📁 Editing files...',
+  Glob: () => '📁 Looking through files...',
+  Grep: () => '📁 Searching files...',
+  Bash: () => '⚙️ Running command...',
+  Task: () => '🧑‍💻 Delegating to a helper...',
+
+  // Media services
+  text_to_speech: () => '🎙️ Recording...',
+  generate_image: () => '🎨 Drawing...',
+  edit_image: () => '🎨 Editing the image...',
+  generate_video: () => '🎬 Making a video...',
+  get_video_status: () => '🎬 Checking on the video...',
+  wait_for_video: () => '🎬 Waiting for the video...',
+  download_url_to_r2: () => '📥 Downloading...',
+  transcribe: () => '🎧 Transcribing...',
+
+  // User memory
+  remember_fact: () => '🧠 Making a note...',
+  recall: () => '🧠 Remembering...',
+  forget: () => '🧠 Forgetting...',
+
+  // Knowledge base
+  search_knowledge: () => '📚 Checking the docs...',
+
+  // Live data
+  get_live_scores: ({ sport }) => `🏟️ Fetching ${forSport(sport, 'scores')}...`,
+  get_standings: ({ sport }) => `📊 Fetching ${forSport(sport, 'standings')}...`,
+  get_injuries: ({ sport }) => `🩹 Checking ${forSport(sport, 'injury reports')}...`,
+  get_sports_news: ({ sport }) => `📰 Reading ${forSport(sport, 'news')}...`,
+  get_stock_quote: ({ symbol }) => symbol ? `📈 Looking up ${symbol.toUpperCase()}...` : '📈 Looking up stock prices...',
+  get_news_headlines: () => '📰 Reading the news...',
+  get_prediction_markets: () => '🔮 Checking prediction markets...',
+  get_weather: () => '🌤️ Checking the weather...'
+};
+
+const TOOL_PREFIX_LABELS = [
+  { prefix: 'mcp__playwright__', label: () => '🤖 Automating browser...' },
+  { prefix: 'tapjot_', label: () => '📝 Working on your snippets...' }
+];
+
+/**
+ * Strip the MCP server prefix ("mcp__router__get_live_scores" → "get_live_scores")
+ *
+ * @param {string} name - Tool name
+ * @returns {string}
+ */
+function baseToolName(name) {
+  const match = /^mcp__.+?__(.+)$/.exec(name);
+  return match ? match[1] : name;
+}
+
+/**
+ * Status label for a tool call
+ *
+ * @param {string} name - Tool name as Claude called it
+ * @param {Object} [args] - Tool arguments (from sanitizeToolArgs)
+ * @returns {string}
+ */
+function getToolLabel(name, args = {}) {
+  const base = baseToolName(name);
+  const label = TOOL_LABELS[base] ||
+    TOOL_PREFIX_LABELS.find(entry => name.startsWith(entry.prefix) || base.startsWith(entry.prefix))?.label;
+
+  if (label) {
+    return label(args || {});
+  }
+
+  // "get_flight_status" → "Using get flight status..."
+  return `🔧 Using ${base.replace(/_/g, ' ')}...`;
+}
+
+/**
+ * Make tool arguments safe to log and send to clients: secrets are
+ * redacted, long strings (prompts, base64) truncated, nesting flattened
+ *
+ * @param {*} input - tool_use input
+ * @returns {Object}
+ */
+function sanitizeToolArgs(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return {};
+
+  const args = {};
+  for (const [key, value] of Object.entries(input).slice(0, MAX_ARG_KEYS)) {
+    if (SECRET_ARG.test(key)) {
+      args[key] = '[redacted]';
+    } else if (typeof value === 'string') {
+      args[key] = value.length > MAX_ARG_LENGTH ? `${value.substring(0, MAX_ARG_LENGTH)}...` : value;
+    } else if (typeof value === 'number' || typeof value === 'boolean' || value === null) {
+      args[key] = value;
+    } else {
+      args[key] = Array.isArray(value) ? `[${value.length} items]` : '[object]';
+    }
+  }
+  return args;
+}
+
+module.exports = {
+  TOOL_LABELS,
+  baseToolName,
+  getToolLabel,
+  sanitizeToolArgs
+};
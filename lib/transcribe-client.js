@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transcribe HTTP service (services/transcribe, Whisper)
+const TRANSCRIBE_SERVICE_URL = process.env.TRANSCRIBE_SERVICE_URL || 'http://localhost:3005';
+
+/**
+ * Transcribe a local audio/video file via the transcribe service
+ *
+ * The file is uploaded as multipart form data so the service doesn't need
+ * access to this machine's filesystem.
+ *
+ * @param {string} filePath - Path to the audio/video file
+ * @param {Object} options - Transcription options
+ * @param {string} options.mimeType - MIME type of the file (default: audio/ogg)
+ * @param {string} options.language - Optional ISO-639-1 language hint (e.g. 'en')
+ * @param {string} options.prompt - Optional prompt to guide spelling/style
+ * @returns {Promise<Object>} { text, language, durationSeconds }
+ */
+async function transcribeFile(filePath, options = {}) {
+  const { mimeType = 'audio/ogg', language, prompt } = options;
+
+  const form = new FormData();
+  form.append('file', new Blob([fs.readFileSync(filePath)], { type: mimeType }), path.basename(filePath));
+  if (language) form.append('language', language);
+  if (prompt) form.append('prompt', prompt);
+
+  const response = await fetch(`${TRANSCRIBE_SERVICE_URL}/transcribe`, {
+    method: 'POST',
+    body: form
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Transcribe service error: ${response.status} - ${errorText}`);
+  }
+
+  const result = await response.json();
+
+  return {
+    text: (result.text || '').trim(),
+    language: result.language || null,
+    durationSeconds: result.duration_seconds || null
+  };
+}
+
+module.exports = { transcribeFile };
@@ -0,0 +1,214 @@
+/**
+ * User Memory
+ *
+ * Long-term facts a bot keeps about each user - their name, preferences,
+ * ongoing projects - so they survive new chats, session rotation and
+ * compaction. Memories belong to a (brain, user) pair and are stored with
+ * lib/storage (user_memories). Brains opt in:
+ *
+ *   memory: {
+ *     enabled: true,
+ *     maxInPrompt: 20      // memories added to a new session's system prompt
+ *   }
+ *
+ * Claude keeps them with the MCP router's remember_fact, recall and forget
+ * tools, which call the bot server's /memories routes; users see and delete
+ * theirs with /memory or the same routes. New sessions get the memories most
+ * relevant to the first message (then the newest) in their system prompt.
+ */
+
+const { getStorage } = require('./storage');
+
+const DEFAULT_MAX_IN_PROMPT = 20;
+const MAX_FACT_LENGTH = 500;
+const MAX_MEMORIES = 200; // per brain and user
+
+// Words too common to say whether a memory is relevant
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'this', 'that', 'have', 'has',
+  'was', 'what', 'when', 'who', 'how', 'why', 'can', 'will', 'from', 'they', 'them', 'about', 'like'
+]);
+
+/**
+ * Resolve a brain's memory settings
+ *
+ * @param {Object} brain - Effective brain
+ * @returns {Object|null} { maxInPrompt }, or null when memory is off
+ */
+function resolveMemoryConfig(brain = {}) {
+  const config = brain.memory;
+  if (!config || config.enabled !== true) return null;
+
+  return {
+    maxInPrompt: config.maxInPrompt ?? DEFAULT_MAX_IN_PROMPT
+  };
+}
+
+/**
+ * Lowercase words worth matching on
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function keywords(text = '') {
+  return [...new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])]
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Order memories by how many of the text's keywords they contain, newest first among equals
+ *
+ * @param {Array<Object>} memories - user_memories rows, newest first
+ * @param {string} text - Query or message
+ * @returns {Array<Object>} [{ memory, score }]
+ */
+function rankMemories(memories, text) {
+  const words = keywords(text);
+
+  return memories
+    .map((memory, index) => {
+      const fact = memory.fact.toLowerCase();
+      return { memory, score: words.filter(word => fact.includes(word)).length, index };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ memory, score }) => ({ memory, score }));
+}
+
+/**
+ * List a user's memories, newest first
+ *
+ * @param {string} brain - Brain name
+ * @param {string|number} userId - User ID
+ * @returns {Promise<Array<Object>>} user_memories rows
+ */
+async function listMemories(brain, userId) {
+  return getStorage().listMemories(brain, userId);
+}
+
+/**
+ * Remember a fact about a user
+ *
+ * @param {string} brain - Brain name
+ * @param {string|number} userId - User ID
+ * @param {string} fact - The fact, in a sentence
+ * @param {string} [source] - 'tool' (Claude) or 'user'
+ * @returns {Promise<Object>} { memory, created } - created is false if the fact was already known
+ * @throws {Error} With a message for Claude if the fact is empty, too long or memory is full
+ */
+async function rememberFact(brain, userId, fact, source = 'tool') {
+  const text = typeof fact === 'string' ? fact.trim().replace(/\s+/g, ' ') : '';
+  if (!text) {
+    throw new Error('fact is required');
+  }
+  if (text.length > MAX_FACT_LENGTH) {
+    throw new Error(`fact is too long (max ${MAX_FACT_LENGTH} characters) - save one short fact at a time`);
+  }
+
+  const memories = await listMemories(brain, userId);
+  const existing = memories.find(memory => memory.fact.toLowerCase() === text.toLowerCase());
+  if (existing) {
+    return { memory: existing, created: false };
+  }
+  if (memories.length >= MAX_MEMORIES) {
+    throw new Error(`Memory is full (${MAX_MEMORIES} facts) - forget outdated facts first`);
+  }
+
+  const memory = await getStorage().insertMemory({ brain, user_id: String(userId), fact: text, source });
+  console.log(`🧠 [${brain}] Remembered a fact about user ${userId}`);
+  return { memory, created: true };
+}
+
+/**
+ * Find a user's memories about something
+ *
+ * @param {string} brain - Brain name
+ * @param {string|number} userId - User ID
+ * @param {string} [query] - What to look for (default: the newest memories)
+ * @param {number} [limit] - Maximum memories
+ * @returns {Promise<Array<Object>>} Matching user_memories rows, best first
+ */
+async function recall(brain, userId, query = '', limit = 10) {
+  const memories = await listMemories(brain, userId);
+  if (keywords(query).length === 0) {
+    return memories.slice(0, limit);
+  }
+
+  return rankMemories(memories, query)
+    .filter(({ score }) => score > 0)
+    .slice(0, limit)
+    .map(({ memory }) => memory);
+}
+
+/**
+ * Forget memories by ID, by what they mention, or all of them
+ *
+ * @param {string} brain - Brain name
+ * @param {string|number} userId - User ID
+ * @param {Object} [which] - { id } or { query } (default: everything)
+ * @returns {Promise<number>} Number of memories forgotten
+ */
+async function forget(brain, userId, { id, query } = {}) {
+  const storage = getStorage();
+  let count;
+
+  if (id) {
+    count = await storage.deleteMemories(brain, userId, [id]);
+  } else if (query) {
+    const matches = await recall(brain, userId, query, MAX_MEMORIES);
+    count = await storage.deleteMemories(brain, userId, matches.map(memory => memory.id));
+  } else {
+    count = await storage.deleteMemories(brain, userId);
+  }
+
+  if (count > 0) {
+    console.log(`🧠 [${brain}] Forgot ${count} fact(s) about user ${userId}`);
+  }
+  return count;
+}
+
+/**
+ * Memories to put in a new session's system prompt
+ *
+ * Never throws - a session starts without memories if they can't be loaded.
+ *
+ * @param {string} brain - Brain name
+ * @param {string|number} userId - User ID
+ * @param {string} text - The message that starts the session
+ * @param {number} limit - Maximum memories
+ * @returns {Promise<Array<Object>>} user_memories rows, most relevant first
+ */
+async function getPromptMemories(brain, userId, text, limit) {
+  if (limit <= 0) return [];
+
+  try {
+    const memories = await listMemories(brain, userId);
+    return rankMemories(memories, text).slice(0, limit).map(({ memory }) => memory);
+  } catch (err) {
+    console.error(`⚠️  Failed to load memories for ${brain} user ${userId}:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * System prompt section listing what the bot remembers
+ *
+ * @param {Array<Object>} memories - user_memories rows
+ * @returns {string} Prompt text ('' without memories)
+ */
+function buildMemoryPrompt(memories = []) {
+  if (memories.length === 0) return '';
+
+  return 'What you remember about this user from earlier conversations ' +
+    '(keep it up to date with remember_fact and forget):\n' +
+    memories.map(memory => `- ${memory.fact}`).join('\n');
+}
+
+module.exports = {
+  resolveMemoryConfig,
+  listMemories,
+  rememberFact,
+  recall,
+  forget,
+  getPromptMemories,
+  buildMemoryPrompt
+};
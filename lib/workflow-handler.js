@@ -1,9 +1,20 @@
 const { sendToClaudeSession } = require('./claude-client');
 const BrainLoader = require('./brain-loader');
 const SessionManager = require('./session-manager');
-const { parseOrchestratorOutput, formatAgentList } = require('./orchestrator-parser');
-const supabase = require('./supabase-client');
+const { parseOrchestratorOutput, formatAgentList, CONDITION_OPERATORS, FAILURE_POLICIES } = require('./orchestrator-parser');
+const { getStorage } = require('./storage');
 const EventEmitter = require('events');
+const { createServiceToken, serviceAuthHeaders } = require('./auth');
+
+// Plan steps that only decide where execution goes next
+const CONTROL_STEP_TYPES = ['branch', 'loop'];
+
+// Default number of independent plan steps run at once (plans can set max_parallel)
+const DEFAULT_MAX_PARALLEL = parseInt(process.env.WORKFLOW_MAX_PARALLEL || '3', 10);
+
+// Backoff between step retries (see getRetryDelay)
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 60000;
 
 /**
  * WorkflowHandler
@@ -38,27 +49,19 @@ class WorkflowHandler extends EventEmitter {
    * Save workflow to database
    */
   async persistWorkflow(workflow) {
-    if (!supabase) return;
-
     try {
-      const { error } = await supabase
-        .from('workflows')
-        .upsert({
-          id: workflow.id,
-          user_id: workflow.userId,
-          goal: workflow.goal,
-          status: workflow.status,
-          plan: workflow.plan,
-          current_step: workflow.currentStep,
-          orchestrator_session_id: workflow.orchestratorSessionId,
-          discovery_answers: workflow.discoveryAnswers,
-          error: workflow.error,
-          completed_at: workflow.completedAt
-        }, { onConflict: 'id' });
-
-      if (error) {
-        console.error('Failed to persist workflow:', error.message);
-      }
+      await getStorage().saveWorkflow({
+        id: workflow.id,
+        user_id: workflow.userId,
+        goal: workflow.goal,
+        status: workflow.status,
+        plan: workflow.plan,
+        current_step: workflow.currentStep,
+        orchestrator_session_id: workflow.orchestratorSessionId,
+        discovery_answers: workflow.discoveryAnswers,
+        error: workflow.error,
+        completed_at: workflow.completedAt
+      });
     } catch (err) {
       console.error('Error persisting workflow:', err.message);
     }
@@ -66,30 +69,27 @@ class WorkflowHandler extends EventEmitter {
 
   /**
    * Save workflow step to database
+   *
+   * Each attempt is its own workflow_steps row (workflow_id, step_num,
+   * attempt). attempt defaults to the step's current attempt (set by
+   * beginStepAttempt), so the executors don't need to pass it.
    */
   async persistStep(workflow, stepData) {
-    if (!supabase) return;
-
     try {
-      const { error } = await supabase
-        .from('workflow_steps')
-        .upsert({
-          workflow_id: workflow.id,
-          step_num: stepData.stepNum,
-          agent_slug: stepData.agentSlug || stepData.action || 'action',  // Default for action steps
-          task: stepData.task,
-          status: stepData.status,
-          input: stepData.input,
-          output: stepData.output,
-          agent_session_id: stepData.sessionId,
-          started_at: stepData.startedAt,
-          completed_at: stepData.completedAt,
-          error: stepData.error
-        }, { onConflict: 'workflow_id,step_num' });
-
-      if (error) {
-        console.error('Failed to persist step:', error.message);
-      }
+      await getStorage().saveWorkflowStep({
+        workflow_id: workflow.id,
+        step_num: stepData.stepNum,
+        agent_slug: stepData.agentSlug || stepData.action || 'action',  // Default for action steps
+        task: stepData.task,
+        status: stepData.status,
+        input: stepData.input,
+        output: stepData.output,
+        agent_session_id: stepData.sessionId,
+        attempt: stepData.attempt || workflow.stepAttempts?.get(stepData.stepNum) || 1,
+        started_at: stepData.startedAt,
+        completed_at: stepData.completedAt,
+        error: stepData.error
+      });
     } catch (err) {
       console.error('Error persisting step:', err.message);
     }
@@ -101,23 +101,11 @@ class WorkflowHandler extends EventEmitter {
    * 'planned' status = waiting for user approval (not interrupted)
    */
   async loadInterruptedWorkflows() {
-    if (!supabase) return [];
-
     try {
       // Only 'executing' workflows were truly interrupted
       // 'planned' workflows are just waiting for approval - leave them alone
       // 'discovery' workflows are waiting for user input - leave them alone
-      const { data, error } = await supabase
-        .from('workflows')
-        .select('*')
-        .eq('status', 'executing');
-
-      if (error) {
-        console.error('Failed to load interrupted workflows:', error.message);
-        return [];
-      }
-
-      return data || [];
+      return await getStorage().listWorkflows({ status: 'executing' });
     } catch (err) {
       console.error('Error loading interrupted workflows:', err.message);
       return [];
@@ -128,21 +116,8 @@ class WorkflowHandler extends EventEmitter {
    * Load steps for a workflow
    */
   async loadWorkflowSteps(workflowId) {
-    if (!supabase) return [];
-
     try {
-      const { data, error } = await supabase
-        .from('workflow_steps')
-        .select('*')
-        .eq('workflow_id', workflowId)
-        .order('step_num', { ascending: true });
-
-      if (error) {
-        console.error('Failed to load workflow steps:', error.message);
-        return [];
-      }
-
-      return data || [];
+      return await getStorage().listWorkflowSteps(workflowId);
     } catch (err) {
       console.error('Error loading workflow steps:', err.message);
       return [];
@@ -176,14 +151,11 @@ class WorkflowHandler extends EventEmitter {
       // 1. Loading orchestrator session from Claude session file
       // 2. Reconstructing workflow state
       // 3. Resuming execution loop
-      await supabase
-        .from('workflows')
-        .update({
-          status: 'failed',
-          error: 'Workflow interrupted by server restart. Manual restart required.',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', wf.id);
+      await getStorage().updateWorkflow(wf.id, {
+        status: 'failed',
+        error: 'Workflow interrupted by server restart. Manual restart required.',
+        updated_at: new Date().toISOString()
+      });
 
       this.emit('workflow:recovered', {
         workflowId: wf.id,
@@ -391,16 +363,10 @@ class WorkflowHandler extends EventEmitter {
    * @returns {Promise<Object|null>} Workflow state or null if not found
    */
   async loadWorkflowFromDatabase(workflowId) {
-    if (!supabase) return null;
-
     try {
-      const { data, error } = await supabase
-        .from('workflows')
-        .select('*')
-        .eq('id', workflowId)
-        .single();
+      const data = await getStorage().getWorkflow(workflowId);
 
-      if (error || !data) {
+      if (!data) {
         return null;
       }
 
@@ -437,10 +403,12 @@ class WorkflowHandler extends EventEmitter {
    * @param {Function} onProgress - Progress callback
    * @param {Object} options - Execution options
    * @param {Array} options.stepConfigs - Optional user-specified configs for action steps
+   * @param {number} options.maxParallel - Max steps running at once (overrides plan.max_parallel)
+   * @param {string} options.onFailure - 'fail_fast' or 'continue' (overrides plan.on_failure)
    * @returns {Promise<Object>} Workflow result
    */
   async executeWorkflow(workflowId, onProgress, options = {}) {
-    const { stepConfigs } = options;
+    const { stepConfigs, maxParallel, onFailure } = options;
     let workflow = this.activeWorkflows.get(workflowId);
 
     // If not in memory, try to load from database
@@ -460,7 +428,12 @@ class WorkflowHandler extends EventEmitter {
       throw new Error('Workflow has no plan to execute');
     }
 
+    if (onFailure !== undefined && !FAILURE_POLICIES.includes(onFailure)) {
+      throw new Error(`Invalid onFailure "${onFailure}". Must be: ${FAILURE_POLICIES.join(', ')}`);
+    }
+
     workflow.status = 'executing';
+    workflow.executionOptions = { maxParallel, onFailure };
 
     // Store user-specified step configs for action steps
     if (stepConfigs && Array.isArray(stepConfigs)) {
@@ -493,6 +466,12 @@ class WorkflowHandler extends EventEmitter {
    * NODE reads the plan and executes each step:
    * - step_type="create": Create agent from agent_config
    * - step_type="delegate": Delegate task to agent
+   * - step_type="action": Run a deterministic action
+   * - step_type="branch": Jump forward based on a condition on earlier outputs
+   * - step_type="loop": Re-run earlier steps until a condition holds (bounded)
+   *
+   * Work steps between branch/loop steps are scheduled as a DAG from their
+   * depends_on, running up to max_parallel at once.
    *
    * @param {Object} workflow - Workflow state
    * @param {Function} onProgress - Progress callback
@@ -506,113 +485,108 @@ class WorkflowHandler extends EventEmitter {
       throw new Error('Plan has no steps to execute');
     }
 
+    // Concurrency and failure policy: executeWorkflow() options > plan > defaults
+    const maxParallel = Math.max(1, workflow.executionOptions?.maxParallel || plan.max_parallel || DEFAULT_MAX_PARALLEL);
+    const onFailure = workflow.executionOptions?.onFailure || plan.on_failure || 'fail_fast';
+
     if (onProgress) {
       onProgress('execution_start', {
         goal: plan.goal,
         totalSteps: steps.length,
-        message: `Executing ${steps.length} step(s)...`
+        maxParallel,
+        onFailure,
+        message: `Executing ${steps.length} step(s) (up to ${maxParallel} at once)...`
       });
     }
 
-    // Track results from each step for context passing
-    const stepResults = new Map();
+    // Shared execution state, also read by runStepBatch()/runPlanStep()
+    const state = {
+      stepResults: new Map(),   // step -> result (for context passing)
+      skippedSteps: new Set(),  // Steps jumped over by a branch
+      failedSteps: new Map(),   // step -> error (on_failure: "continue")
+      running: new Set(),       // Steps executing right now
+      loopFeedback: new Map()   // step -> feedback context for loop re-runs
+    };
+
+    // Work steps between branch/loop steps run as a DAG (see runStepBatch).
+    // Branch/loop steps wait for everything before them, then decide where to go:
+    // branches jump forward, loops jump back (bounded by max_iterations)
+    const stepIndex = new Map(steps.map((step, index) => [step.step, index]));
+    const loopIterations = new Map();  // loop step -> body runs so far
+    let index = 0;
 
-    // Execute steps in order (respecting depends_on)
-    for (const step of steps) {
+    while (index < steps.length) {
+      const step = steps[index];
       const stepNum = step.step;
       const stepType = step.step_type || 'delegate'; // Default to delegate for backwards compat
-      const agent = step.agent;
-      const task = step.task;
-      const action = step.action;
-
-      workflow.currentStep = stepNum;
-
-      // Check dependencies
-      if (step.depends_on && step.depends_on.length > 0) {
-        const missingDeps = step.depends_on.filter(dep => !stepResults.has(dep));
-        if (missingDeps.length > 0) {
-          throw new Error(`Step ${stepNum} depends on steps [${missingDeps.join(', ')}] which haven't completed`);
-        }
-      }
 
-      if (onProgress) {
-        let progressMessage;
-        if (stepType === 'action') {
-          progressMessage = `Executing action: ${action}...`;
-        } else if (stepType === 'create') {
-          progressMessage = `Creating agent "${agent}"...`;
-        } else {
-          progressMessage = `Delegating to ${agent}...`;
+      if (!CONTROL_STEP_TYPES.includes(stepType)) {
+        let end = index;
+        while (end < steps.length && !CONTROL_STEP_TYPES.includes(steps[end].step_type)) {
+          end++;
         }
 
-        onProgress('step_start', {
-          step: stepNum,
-          stepType,
-          agent: agent || action,
-          task: task || action,
-          message: progressMessage
-        });
+        await this.runStepBatch(workflow, steps.slice(index, end), state, { maxParallel, onFailure }, onProgress);
+        index = end;
+        continue;
       }
 
-      try {
-        let result;
-
-        if (stepType === 'create') {
-          // NODE creates agent directly from agent_config
-          result = await this.executeCreateStep(workflow, step, onProgress);
-        } else if (stepType === 'action') {
-          // NODE executes deterministic action directly (no LLM needed)
-          // Actions like download_url_to_r2, generate_image, text_to_speech
-          result = await this.executeActionStep(workflow, step, stepResults, onProgress);
-        } else if (stepType === 'delegate') {
-          // NODE delegates to agent
-          // Build context from dependent steps
-          let context = '';
-          if (step.depends_on && step.depends_on.length > 0) {
-            for (const depStep of step.depends_on) {
-              const depResult = stepResults.get(depStep);
-              if (depResult && depResult.output) {
-                context += `\n--- Result from Step ${depStep} ---\n${depResult.output}\n`;
-              }
-            }
-          }
+      workflow.currentStep = stepNum;
+      this.checkStepDependencies(step, state, new Set());
+      this.beginStepAttempt(workflow, stepNum);
 
-          // Pass stepResults so delegate can access action step outputs (e.g., images)
-          result = await this.executeDelegateStep(workflow, step, context, stepResults, onProgress);
-        } else {
-          throw new Error(`Unknown step_type "${stepType}" at step ${stepNum}`);
-        }
+      const nextStep = stepType === 'branch'
+        ? await this.executeBranchStep(workflow, step, state.stepResults, onProgress)
+        : await this.executeLoopStep(workflow, step, state.stepResults, loopIterations, onProgress);
 
-        stepResults.set(stepNum, result);
+      if (nextStep === 'end') {
+        break;
+      }
 
-        if (onProgress) {
-          onProgress('step_complete', {
-            step: stepNum,
-            stepType,
-            agent,
-            success: result.success,
-            outputPreview: result.output?.substring(0, 200) + '...'
-          });
-        }
+      if (nextStep === null) {
+        index++;
+        continue;
+      }
 
-      } catch (error) {
-        // Persist step failure
-        await this.persistStep(workflow, {
-          stepNum,
-          agentSlug: agent,
-          task,
-          status: 'failed',
-          error: error.message,
-          completedAt: new Date().toISOString()
-        });
+      const nextIndex = stepIndex.get(nextStep);
 
-        throw new Error(`Step ${stepNum} (${agent}) failed: ${error.message}`);
+      if (nextIndex > index) {
+        // Forward jump - steps in between are skipped
+        for (let i = index + 1; i < nextIndex; i++) {
+          state.skippedSteps.add(steps[i].step);
+        }
+      } else {
+        // Loop back - the body runs again from a clean slate
+        const feedback = step.feedback_step !== undefined ? state.stepResults.get(step.feedback_step) : null;
+
+        for (let i = nextIndex; i < index; i++) {
+          const bodyStep = steps[i].step;
+          state.skippedSteps.delete(bodyStep);
+          state.failedSteps.delete(bodyStep);
+          state.stepResults.delete(bodyStep);
+          if (steps[i].step_type === 'loop') {
+            loopIterations.delete(bodyStep);
+          }
+          if (feedback && bodyStep !== step.feedback_step) {
+            state.loopFeedback.set(bodyStep,
+              `\n--- Feedback on previous attempt (Step ${step.feedback_step}) ---\n${feedback.output}\n`);
+          }
+        }
       }
+
+      index = nextIndex;
     }
 
+    const { stepResults, failedSteps } = state;
+
     // All steps complete - mark workflow done
     workflow.status = 'completed';
     workflow.completedAt = new Date().toISOString();
+    workflow.runningSteps = [];
+    if (failedSteps.size > 0) {
+      workflow.error = `${failedSteps.size} step(s) failed: ` +
+        [...failedSteps.entries()].map(([stepNum, error]) => `step ${stepNum} (${error})`).join('; ');
+    }
     await this.persistWorkflow(workflow);
 
     // Build summary from results
@@ -621,7 +595,9 @@ class WorkflowHandler extends EventEmitter {
       outputs[`step_${stepNum}`] = result.output;
     });
 
-    const lastResult = stepResults.get(steps[steps.length - 1].step);
+    // Last step in plan order that produced a result
+    const lastStep = [...steps].reverse().find(step => stepResults.has(step.step));
+    const lastResult = lastStep ? stepResults.get(lastStep.step) : null;
 
     this.emit('workflow:complete', {
       workflowId: workflow.id,
@@ -630,17 +606,425 @@ class WorkflowHandler extends EventEmitter {
 
     return {
       workflowId: workflow.id,
-      status: 'completed',
-      summary: `Completed ${steps.length} step(s) for: ${plan.goal}`,
+      status: failedSteps.size > 0 ? 'completed_with_errors' : 'completed',
+      summary: `Completed ${stepResults.size} step(s) for: ${plan.goal}` +
+        (failedSteps.size > 0 ? ` (${failedSteps.size} failed)` : ''),
       outputs,
+      failedSteps: Object.fromEntries(failedSteps),
       message: lastResult?.output || 'Workflow completed successfully.'
     };
   }
 
+  /**
+   * Throw if a step depends on steps that haven't run
+   *
+   * @param {Object} step - Plan step
+   * @param {Object} state - Execution state
+   * @param {Set<number>} pendingSteps - Steps that will still run in this batch
+   */
+  checkStepDependencies(step, state, pendingSteps) {
+    const missingDeps = (step.depends_on || []).filter(dep =>
+      !state.stepResults.has(dep) &&
+      !state.skippedSteps.has(dep) &&   // Skipped by a branch counts as satisfied
+      !state.failedSteps.has(dep) &&    // Dependents of failed steps are skipped by runStepBatch
+      !pendingSteps.has(dep)
+    );
+
+    if (missingDeps.length > 0) {
+      throw new Error(`Step ${step.step} depends on steps [${missingDeps.join(', ')}] which haven't completed`);
+    }
+  }
+
+  /**
+   * Run a batch of work steps (create/delegate/action) as a DAG
+   *
+   * A step starts as soon as all of its depends_on have finished, with at
+   * most maxParallel steps running at once. Ready steps start in plan order.
+   *
+   * Failure handling:
+   * - fail_fast (default): start nothing new, let running steps finish, then throw
+   * - continue: record the failure, skip steps that depend on it (directly or
+   *   transitively) and keep running independent steps
+   *
+   * @param {Object} workflow - Workflow state
+   * @param {Array<Object>} batch - Steps to run
+   * @param {Object} state - Execution state (see executePlanDeterministically)
+   * @param {Object} options - { maxParallel, onFailure }
+   * @param {Function} onProgress - Progress callback
+   */
+  async runStepBatch(workflow, batch, state, { maxParallel, onFailure }, onProgress) {
+    const pending = [...batch];
+    const inFlight = new Map(); // step -> promise of { step, result?, error? }
+    let firstError = null;
+
+    // Every dependency must be satisfied already or come from this batch
+    const batchSteps = new Set(batch.map(step => step.step));
+    for (const step of batch) {
+      this.checkStepDependencies(step, state, batchSteps);
+    }
+
+    while (pending.length > 0 || inFlight.size > 0) {
+      // Start every ready step (in plan order) while there is capacity
+      for (let i = 0; !firstError && i < pending.length && inFlight.size < maxParallel;) {
+        const step = pending[i];
+        const deps = step.depends_on || [];
+
+        const failedDep = deps.find(dep => state.failedSteps.has(dep));
+        if (failedDep !== undefined) {
+          pending.splice(i, 1);
+          state.failedSteps.set(step.step, `skipped - depends on failed step ${failedDep}`);
+          console.log(`⏭️  Step ${step.step} skipped - depends on failed step ${failedDep}`);
+          if (onProgress) {
+            onProgress('step_skipped', {
+              step: step.step,
+              reason: `Depends on failed step ${failedDep}`
+            });
+          }
+          continue;
+        }
+
+        if (deps.some(dep => !state.stepResults.has(dep) && !state.skippedSteps.has(dep))) {
+          i++;
+          continue;
+        }
+
+        pending.splice(i, 1);
+        inFlight.set(step.step, this.runPlanStep(workflow, step, state, onProgress).then(
+          result => ({ step, result }),
+          error => ({ step, error })
+        ));
+      }
+
+      if (inFlight.size === 0) {
+        if (!firstError && pending.length > 0) {
+          throw new Error(`Steps [${pending.map(step => step.step).join(', ')}] have circular dependencies`);
+        }
+        break;
+      }
+
+      const settled = await Promise.race(inFlight.values());
+      inFlight.delete(settled.step.step);
+
+      if (!settled.error) {
+        state.stepResults.set(settled.step.step, settled.result);
+      } else if (onFailure === 'continue') {
+        console.warn(`⚠️  ${settled.error.message} - continuing with independent steps`);
+        state.failedSteps.set(settled.step.step, settled.error.message);
+      } else if (!firstError) {
+        firstError = settled.error;
+        if (inFlight.size > 0) {
+          console.warn(`⚠️  ${settled.error.message} - waiting for ${inFlight.size} running step(s) before failing`);
+        }
+      }
+    }
+
+    if (firstError) {
+      throw firstError;
+    }
+  }
+
+  /**
+   * Run a work step (create/delegate/action) with its retry policy
+   *
+   * Plan steps may declare:
+   *   retries        - extra attempts after the first (default 0)
+   *   backoff        - delay between attempts (see getRetryDelay, default "exponential")
+   *   timeout_ms     - per-attempt timeout
+   *   fallback_agent - delegate steps: agent to try once the retries are used up
+   *
+   * Every failed attempt is persisted with its attempt number and reported
+   * as a step_retry progress event.
+   *
+   * @param {Object} workflow - Workflow state
+   * @param {Object} step - Plan step
+   * @param {Object} state - Execution state (see executePlanDeterministically)
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<Object>} Step result
+   */
+  async runPlanStep(workflow, step, state, onProgress) {
+    const stepNum = step.step;
+    const stepType = step.step_type || 'delegate'; // Default to delegate for backwards compat
+    const policy = this.getStepRetryPolicy(step);
+
+    // Primary agent gets 1 + retries attempts; the fallback agent gets one more
+    const candidates = [{ step, attempts: policy.maxAttempts }];
+    if (step.fallback_agent) {
+      candidates.push({ step: { ...step, agent: step.fallback_agent }, attempts: 1, fallback: true });
+    }
+    const totalAttempts = candidates.reduce((sum, candidate) => sum + candidate.attempts, 0);
+
+    state.running.add(stepNum);
+    workflow.currentStep = stepNum;
+    workflow.runningSteps = [...state.running];
+
+    let attempt = 0;
+    let lastError = null;
+
+    for (const candidate of candidates) {
+      const { agent, task, action } = candidate.step;
+
+      if (candidate.fallback) {
+        console.log(`🔀 Step ${stepNum}: falling back to agent "${agent}"`);
+        if (onProgress) {
+          onProgress('step_fallback', {
+            step: stepNum,
+            agent,
+            attempt: attempt + 1,
+            maxAttempts: totalAttempts,
+            message: `Falling back to ${agent}...`
+          });
+        }
+      }
+
+      for (let candidateAttempt = 1; candidateAttempt <= candidate.attempts; candidateAttempt++) {
+        attempt++;
+        this.beginStepAttempt(workflow, stepNum);
+
+        if (onProgress) {
+          let progressMessage;
+          if (stepType === 'action') {
+            progressMessage = `Executing action: ${action}...`;
+          } else if (stepType === 'create') {
+            progressMessage = `Creating agent "${agent}"...`;
+          } else {
+            progressMessage = `Delegating to ${agent}...`;
+          }
+
+          onProgress('step_start', {
+            step: stepNum,
+            stepType,
+            agent: agent || action,
+            task: task || action,
+            attempt,
+            maxAttempts: totalAttempts,
+            running: [...state.running],
+            message: attempt > 1 ? `${progressMessage} (attempt ${attempt}/${totalAttempts})` : progressMessage
+          });
+        }
+
+        try {
+          const result = await this.runWithTimeout(
+            signal => this.executeStepOnce(workflow, candidate.step, state, onProgress, signal),
+            policy.timeoutMs,
+            `Step ${stepNum}`
+          );
+
+          state.running.delete(stepNum);
+          workflow.runningSteps = [...state.running];
+
+          if (onProgress) {
+            onProgress('step_complete', {
+              step: stepNum,
+              stepType,
+              agent,
+              attempt,
+              success: result.success,
+              running: [...state.running],
+              outputPreview: result.output?.substring(0, 200) + '...'
+            });
+          }
+
+          return result;
+
+        } catch (error) {
+          lastError = error;
+
+          // Persist the failed attempt
+          await this.persistStep(workflow, {
+            stepNum,
+            agentSlug: agent,
+            task,
+            status: 'failed',
+            error: error.message,
+            completedAt: new Date().toISOString()
+          });
+
+          if (attempt >= totalAttempts) {
+            break;
+          }
+
+          // Back off before retrying the same agent; fall back immediately
+          const delayMs = candidateAttempt < candidate.attempts ? this.getRetryDelay(policy, candidateAttempt) : 0;
+          console.warn(`🔁 Step ${stepNum} attempt ${attempt}/${totalAttempts} failed: ${error.message}${delayMs ? ` - retrying in ${delayMs}ms` : ''}`);
+
+          if (onProgress) {
+            onProgress('step_retry', {
+              step: stepNum,
+              agent: agent || action,
+              attempt,
+              maxAttempts: totalAttempts,
+              error: error.message,
+              delayMs,
+              message: `Attempt ${attempt}/${totalAttempts} failed: ${error.message}`
+            });
+          }
+
+          if (delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+          }
+        }
+      }
+    }
+
+    state.running.delete(stepNum);
+    workflow.runningSteps = [...state.running];
+
+    const failedAgent = step.agent || step.action;
+
+    if (onProgress) {
+      onProgress('step_failed', {
+        step: stepNum,
+        stepType,
+        agent: failedAgent,
+        attempts: attempt,
+        error: lastError.message,
+        running: [...state.running]
+      });
+    }
+
+    const attemptsNote = attempt > 1 ? ` after ${attempt} attempts` : '';
+    throw new Error(`Step ${stepNum} (${failedAgent}) failed${attemptsNote}: ${lastError.message}`);
+  }
+
+  /**
+   * Number a new attempt of a step (its workflow_steps row)
+   *
+   * The count runs across the whole workflow rather than per runPlanStep
+   * call, so a step re-run by a loop gets new rows instead of overwriting
+   * the previous iteration's.
+   *
+   * @param {Object} workflow - Workflow being executed
+   * @param {number} stepNum - Step number
+   * @returns {number} Attempt number for persistStep
+   */
+  beginStepAttempt(workflow, stepNum) {
+    if (!workflow.stepAttempts) {
+      workflow.stepAttempts = new Map();
+    }
+    const attempt = (workflow.stepAttempts.get(stepNum) || 0) + 1;
+    workflow.stepAttempts.set(stepNum, attempt);
+    return attempt;
+  }
+
+  /**
+   * Execute one attempt of a work step by step_type
+   *
+   * @param {Object} workflow - Workflow state
+   * @param {Object} step - Plan step (agent may be the fallback agent)
+   * @param {Object} state - Execution state (see executePlanDeterministically)
+   * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} [signal] - Aborted when the attempt times out
+   * @returns {Promise<Object>} Step result
+   */
+  async executeStepOnce(workflow, step, state, onProgress, signal) {
+    const stepNum = step.step;
+    const stepType = step.step_type || 'delegate';
+
+    if (stepType === 'create') {
+      // NODE creates agent directly from agent_config
+      return this.executeCreateStep(workflow, step, onProgress, signal);
+    }
+
+    if (stepType === 'action') {
+      // NODE executes deterministic action directly (no LLM needed)
+      // Actions like download_url_to_r2, generate_image, text_to_speech
+      return this.executeActionStep(workflow, step, state.stepResults, onProgress, signal);
+    }
+
+    if (stepType === 'delegate') {
+      // NODE delegates to agent
+      // Build context from dependent steps
+      let context = '';
+      if (step.depends_on && step.depends_on.length > 0) {
+        for (const depStep of step.depends_on) {
+          const depResult = state.stepResults.get(depStep);
+          if (depResult && depResult.output) {
+            context += `\n--- Result from Step ${depStep} ---\n${depResult.output}\n`;
+          }
+        }
+      }
+
+      // On loop re-runs, pass along the feedback that triggered the retry
+      if (state.loopFeedback.has(stepNum)) {
+        context += state.loopFeedback.get(stepNum);
+      }
+
+      // Pass stepResults so delegate can access action step outputs (e.g., images)
+      return this.executeDelegateStep(workflow, step, context, state.stepResults, onProgress, signal);
+    }
+
+    throw new Error(`Unknown step_type "${stepType}" at step ${stepNum}`);
+  }
+
+  /**
+   * Resolve a step's retry/timeout policy from plan fields
+   *
+   * @param {Object} step - Plan step with optional retries, backoff, timeout_ms
+   * @returns {Object} { maxAttempts, backoff, timeoutMs }
+   */
+  getStepRetryPolicy(step) {
+    return {
+      maxAttempts: 1 + (step.retries || 0),
+      backoff: step.backoff ?? 'exponential',
+      timeoutMs: step.timeout_ms || null
+    };
+  }
+
+  /**
+   * Delay before the next attempt
+   *
+   * backoff: number (fixed ms), "fixed" (2s), "exponential" (2s, 4s, 8s... max 60s) or "none"
+   *
+   * @param {Object} policy - From getStepRetryPolicy()
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(policy, attempt) {
+    const { backoff } = policy;
+
+    if (typeof backoff === 'number') return backoff;
+    if (backoff === 'none') return 0;
+    if (backoff === 'fixed') return RETRY_BASE_DELAY_MS;
+
+    return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  }
+
+  /**
+   * Reject if a step attempt runs longer than timeoutMs
+   *
+   * The attempt is also aborted: its Claude CLI process is killed and the
+   * executors check the signal before each side effect, so a late attempt
+   * can't persist, track sessions or report progress over the next one.
+   *
+   * @param {Function} runAttempt - (signal) => Promise, the step attempt
+   * @param {number|null} timeoutMs - Timeout (null = none)
+   * @param {string} label - For the error message
+   * @returns {Promise}
+   */
+  runWithTimeout(runAttempt, timeoutMs, label) {
+    const controller = new AbortController();
+    const attempt = runAttempt(controller.signal);
+
+    if (!timeoutMs) {
+      return attempt;
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+        reject(error);
+        controller.abort(error);
+      }, timeoutMs);
+    });
+
+    return Promise.race([attempt, timeout]).finally(() => clearTimeout(timer));
+  }
+
   /**
    * Execute a "create" step - create agent from agent_config
    */
-  async executeCreateStep(workflow, step, onProgress) {
+  async executeCreateStep(workflow, step, onProgress, signal) {
     const { step: stepNum, agent, agent_config, task } = step;
 
     if (!agent_config) {
@@ -700,6 +1084,7 @@ The RESULT block is MANDATORY - do not skip it.`;
       agentType: agent_config.agent_type || 'utility',
       capabilities: agent_config.capabilities || ['text']
     });
+    signal?.throwIfAborted();
 
     // Track in workflow
     if (!workflow.createdAgents) {
@@ -756,8 +1141,9 @@ The RESULT block is MANDATORY - do not skip it.`;
    * @param {Object} step - Step configuration with action and params
    * @param {Map} stepResults - Results from previous steps (for param substitution)
    * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} [signal] - Aborted when the attempt times out
    */
-  async executeActionStep(workflow, step, stepResults, onProgress) {
+  async executeActionStep(workflow, step, stepResults, onProgress, signal) {
     const { step: stepNum, action, params, task } = step;
     const stepStartedAt = new Date().toISOString();
 
@@ -798,6 +1184,7 @@ The RESULT block is MANDATORY - do not skip it.`;
       switch (action) {
         case 'download_url_to_r2':
           result = await this.executeDownloadAction(workflow, processedParams);
+          signal?.throwIfAborted();
           break;
 
         case 'generate_image':
@@ -852,6 +1239,11 @@ The RESULT block is MANDATORY - do not skip it.`;
       };
 
     } catch (error) {
+      // A timed-out attempt was already recorded as failed by runPlanStep
+      if (signal?.aborted) {
+        throw error;
+      }
+
       // Persist step as failed
       await this.persistStep(workflow, {
         stepNum,
@@ -868,6 +1260,219 @@ The RESULT block is MANDATORY - do not skip it.`;
     }
   }
 
+  /**
+   * Execute a "branch" step - pick the next step from a condition
+   *
+   * @param {Object} workflow - Workflow state
+   * @param {Object} step - { step, condition, then, else? }
+   * @param {Map} stepResults - Results from previous steps
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<number|string|null>} Next step number, 'end', or null to continue
+   */
+  async executeBranchStep(workflow, step, stepResults, onProgress) {
+    const { step: stepNum, condition } = step;
+    const matched = this.evaluateCondition(condition, stepResults);
+    const nextStep = matched ? step.then : (step.else !== undefined ? step.else : null);
+    const decision = nextStep === null ? 'continue' : (nextStep === 'end' ? 'end workflow' : `step ${nextStep}`);
+
+    console.log(`🔀 [Branch] Step ${stepNum}: condition ${matched ? 'true' : 'false'} → ${decision}`);
+
+    await this.persistStep(workflow, {
+      stepNum,
+      agentSlug: 'control:branch',
+      task: step.task || 'branch',
+      status: 'completed',
+      input: { condition },
+      output: JSON.stringify({ matched, next: nextStep }),
+      startedAt: new Date().toISOString(),
+      completedAt: new Date().toISOString()
+    });
+
+    if (onProgress) {
+      onProgress('branch', {
+        step: stepNum,
+        matched,
+        next: nextStep,
+        message: `Condition ${matched ? 'met' : 'not met'} - ${decision}`
+      });
+    }
+
+    return nextStep;
+  }
+
+  /**
+   * Execute a "loop" step - jump back to back_to until the condition holds
+   *
+   * The body (back_to..step-1) has already run once when the loop step is
+   * first reached. It re-runs until `until` is true or it has run
+   * max_iterations times, then execution continues with the next step.
+   *
+   * @param {Object} workflow - Workflow state
+   * @param {Object} step - { step, back_to, until, max_iterations }
+   * @param {Map} stepResults - Results from previous steps
+   * @param {Map} loopIterations - loop step -> body runs so far
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<number|null>} back_to to re-run the body, or null to continue
+   */
+  async executeLoopStep(workflow, step, stepResults, loopIterations, onProgress) {
+    const { step: stepNum, until, back_to: backTo, max_iterations: maxIterations } = step;
+    const iteration = (loopIterations.get(stepNum) || 0) + 1;
+    loopIterations.set(stepNum, iteration);
+
+    const done = this.evaluateCondition(until, stepResults);
+    const exhausted = !done && iteration >= maxIterations;
+    const nextStep = done || exhausted ? null : backTo;
+
+    if (done) {
+      console.log(`🔁 [Loop] Step ${stepNum}: condition met after ${iteration} iteration(s)`);
+    } else if (exhausted) {
+      console.log(`🔁 [Loop] Step ${stepNum}: max ${maxIterations} iteration(s) reached - continuing`);
+    } else {
+      console.log(`🔁 [Loop] Step ${stepNum}: condition not met (iteration ${iteration}/${maxIterations}) → back to step ${backTo}`);
+    }
+
+    await this.persistStep(workflow, {
+      stepNum,
+      agentSlug: 'control:loop',
+      task: step.task || 'loop',
+      status: 'completed',
+      input: { until, back_to: backTo, max_iterations: maxIterations },
+      output: JSON.stringify({ iteration, done, exhausted }),
+      startedAt: new Date().toISOString(),
+      completedAt: new Date().toISOString()
+    });
+
+    if (onProgress) {
+      onProgress('loop_iteration', {
+        step: stepNum,
+        iteration,
+        maxIterations,
+        done,
+        exhausted,
+        message: done
+          ? `Loop condition met after ${iteration} iteration(s)`
+          : (exhausted
+            ? `Loop stopped after ${maxIterations} iteration(s) without meeting its condition`
+            : `Condition not met - retrying from step ${backTo} (${iteration + 1}/${maxIterations})`)
+      });
+    }
+
+    return nextStep;
+  }
+
+  /**
+   * Evaluate a branch/loop condition against previous step results
+   *
+   * Conditions (see orchestrator-parser.js):
+   *   { value: "{{step_3.winner}}", equals: "step_1" }
+   *   { value: "{{step_3.score}}", gte: 8 }
+   *   { value: "{{step_2}}", matches: "approved", flags: "i" }
+   *   { all: [...] } / { any: [...] } / { not: {...} }
+   *
+   * @param {Object} condition - Condition object
+   * @param {Map} stepResults - Results from previous steps
+   * @returns {boolean}
+   */
+  evaluateCondition(condition, stepResults) {
+    if (condition.all) {
+      return condition.all.every(sub => this.evaluateCondition(sub, stepResults));
+    }
+    if (condition.any) {
+      return condition.any.some(sub => this.evaluateCondition(sub, stepResults));
+    }
+    if (condition.not) {
+      return !this.evaluateCondition(condition.not, stepResults);
+    }
+
+    // A lone {{step_N.path}} keeps its raw type (numbers, arrays); anything
+    // else is treated as a string template
+    const singleRef = condition.value.match(/^\{\{(step_\d+(?:[.[][\w\]]*)*)\}\}$/);
+    const actual = singleRef
+      ? this.resolveStepValue(singleRef[1], stepResults)
+      : this.substituteStepReferences({ value: condition.value }, stepResults).value;
+
+    const operator = CONDITION_OPERATORS.find(op => condition[op] !== undefined);
+    const operand = condition[operator];
+
+    const isEqual = (a, b) => {
+      if (typeof b === 'number') return Number(a) === b;
+      if (b !== null && typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+      return String(a) === String(b);
+    };
+
+    // "8/10" or "Score: 8.5" → first number in the text
+    const toNumber = (value) => {
+      if (typeof value === 'number') return value;
+      const match = String(value ?? '').match(/-?\d+(?:\.\d+)?/);
+      return match ? parseFloat(match[0]) : NaN;
+    };
+
+    switch (operator) {
+      case 'equals':
+        return isEqual(actual, operand);
+      case 'not_equals':
+        return !isEqual(actual, operand);
+      case 'contains':
+        return Array.isArray(actual)
+          ? actual.some(item => isEqual(item, operand))
+          : String(actual ?? '').includes(String(operand));
+      case 'matches':
+        return new RegExp(operand, condition.flags).test(String(actual ?? ''));
+      case 'gt':
+        return toNumber(actual) > operand;
+      case 'gte':
+        return toNumber(actual) >= operand;
+      case 'lt':
+        return toNumber(actual) < operand;
+      case 'lte':
+        return toNumber(actual) <= operand;
+      case 'exists': {
+        const present = actual !== undefined && actual !== null && actual !== '';
+        return operand ? present : !present;
+      }
+      case 'in':
+        return operand.some(item => isEqual(actual, item));
+      default:
+        throw new Error(`Unknown condition operator in ${JSON.stringify(condition)}`);
+    }
+  }
+
+  /**
+   * Resolve a step reference path to its raw value
+   *
+   * Paths look like step_3, step_3.winner, step_3.scores.clarity or
+   * step_3.ranking[0]. Fields are looked up in the judge RESULT block, then
+   * action data, then the output parsed as JSON. A bare step_N is its output.
+   *
+   * @param {string} refPath - Reference path without braces
+   * @param {Map} stepResults - Results from previous steps
+   * @returns {*} Value, or undefined if the step or field doesn't exist
+   */
+  resolveStepValue(refPath, stepResults) {
+    const [stepKey, ...fields] = refPath.replace(/\[(\d+)\]/g, '.$1').split('.');
+    const stepResult = stepResults.get(parseInt(stepKey.replace('step_', '')));
+
+    if (!stepResult) {
+      return undefined;
+    }
+
+    if (fields.length === 0) {
+      return stepResult.output;
+    }
+
+    let parsedOutput = null;
+    try {
+      parsedOutput = JSON.parse(stepResult.output);
+    } catch {
+      // Not JSON
+    }
+
+    const sources = [stepResult.judgeResult, stepResult.data, parsedOutput];
+    const source = sources.find(candidate => candidate && typeof candidate === 'object' && candidate[fields[0]] !== undefined);
+
+    return fields.reduce((value, field) => (value == null ? undefined : value[field]), source);
+  }
+
   /**
    * Detect if an agent is a judge/evaluator type based on name, description, and prompt
    * Used to auto-append structured RESULT output requirement
@@ -918,8 +1523,8 @@ The RESULT block is MANDATORY - do not skip it.`;
       const jsonStr = resultMatch[1];
       const parsed = JSON.parse(jsonStr);
 
-      // Validate it has expected judge fields
-      if (parsed.winner || parsed.ranking || parsed.winner_asset_url) {
+      // Validate it has expected judge fields (score is used by loop conditions)
+      if (parsed.winner || parsed.ranking || parsed.winner_asset_url || parsed.score !== undefined) {
         console.log(`🎯 Parsed judge result: winner=${parsed.winner}, has_url=${!!parsed.winner_asset_url}`);
         return parsed;
       }
@@ -1064,7 +1669,7 @@ The RESULT block is MANDATORY - do not skip it.`;
 
     const uploadResponse = await fetch(uploadUrl.toString(), {
       method: 'POST',
-      headers: { 'Content-Type': contentType },
+      headers: { 'Content-Type': contentType, ...serviceAuthHeaders({ userId: workflow.userId, scopes: ['files'] }) },
       body: buffer
     });
 
@@ -1123,6 +1728,7 @@ The RESULT block is MANDATORY - do not skip it.`;
         style,
         r2_config: {
           upload_url: R2_UPLOAD_URL,
+          upload_token: createServiceToken({ userId: workflow.userId, scopes: ['files'] }),
           user_id: workflow.userId,
           workflow_id: workflow.id
         }
@@ -1172,6 +1778,7 @@ The RESULT block is MANDATORY - do not skip it.`;
         speed,
         r2_config: {
           upload_url: R2_UPLOAD_URL,
+          upload_token: createServiceToken({ userId: workflow.userId, scopes: ['files'] }),
           user_id: workflow.userId,
           workflow_id: workflow.id
         }
@@ -1356,8 +1963,9 @@ The RESULT block is MANDATORY - do not skip it.`;
    * @param {string} context - Text context from dependent steps
    * @param {Map} stepResults - Results from all completed steps (for image access)
    * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} [signal] - Aborted when the attempt times out (kills the worker)
    */
-  async executeDelegateStep(workflow, step, context, stepResults, onProgress) {
+  async executeDelegateStep(workflow, step, context, stepResults, onProgress, signal) {
     const { step: stepNum, agent, task, depends_on } = step;
     const stepStartedAt = new Date().toISOString();
 
@@ -1403,8 +2011,9 @@ The RESULT block with winner_asset_url is MANDATORY - do not skip it. Copy the w
     }
 
     // Check if agent exists
+    let agentBrain;
     try {
-      await this.brainLoader.load(agent);
+      agentBrain = await this.brainLoader.load(agent);
     } catch (e) {
       throw new Error(`Agent '${agent}' not found. It may need to be created in an earlier step.`);
     }
@@ -1470,9 +2079,12 @@ The RESULT block with winner_asset_url is MANDATORY - do not skip it. Copy the w
       messageContent: messageContent,  // Will use structured content if images present
       claudeCmd: 'claude',
       mcpProfile: 'with-image-tools',
+      allowedTools: agentBrain.allowedTools,
       userId: workflow.userId,
       workflowId: workflow.id,
+      signal,
     });
+    signal?.throwIfAborted();
 
     if (!workerResult.success) {
       throw new Error(`Worker agent '${agent}' failed: ${workerResult.error}`);
@@ -1538,6 +2150,7 @@ The RESULT block with winner_asset_url is MANDATORY - do not skip it. Copy the w
       startedAt: stepStartedAt,
       completedAt: new Date().toISOString()
     });
+    signal?.throwIfAborted();
 
     if (onProgress) {
       onProgress('worker_complete', {
@@ -2206,18 +2819,11 @@ The RESULT block with winner_asset_url is MANDATORY - do not skip it. Copy the w
       outputSchema = null
     } = options;
 
-    if (!supabase) {
-      // Fallback: create local brain file
-      return this.createLocalAgent(options);
-    }
+    const storage = getStorage();
 
     // First, create a marketplace_agents entry (or find existing)
     // This serves as the "template" for the dynamic agent
-    const { data: existingAgent } = await supabase
-      .from('marketplace_agents')
-      .select('id')
-      .eq('slug', marketplaceSlug)
-      .single();
+    const existingAgent = await storage.getAgent(marketplaceSlug);
 
     let marketplaceAgentId;
 
@@ -2226,36 +2832,28 @@ The RESULT block with winner_asset_url is MANDATORY - do not skip it. Copy the w
     } else {
       // Create new marketplace agent as template
       // NOTE: system_prompt column doesn't exist - all config goes in brain_config JSONB
-      const { data: newMarketplace, error: marketplaceError } = await supabase
-        .from('marketplace_agents')
-        .insert({
-          slug: marketplaceSlug,
+      const newMarketplace = await storage.createAgent({
+        slug: marketplaceSlug,
+        name: name,
+        short_description: description,
+        agent_type: agentType,
+        capabilities: capabilities,
+        input_schema: inputSchema,
+        output_schema: outputSchema,
+        is_active: true,
+        // Mark as dynamic/workflow-created
+        tags: ['dynamic', 'workflow-created'],
+        // CRITICAL: brain_config is what brain-loader.js uses to load the agent
+        // This is the ONLY place to store systemPrompt
+        brain_config: {
+          systemPrompt: systemPrompt,
           name: name,
-          short_description: description,
-          agent_type: agentType,
+          description: description,
+          agentType: agentType,
           capabilities: capabilities,
-          input_schema: inputSchema,
-          output_schema: outputSchema,
-          is_active: true,
-          // Mark as dynamic/workflow-created
-          tags: ['dynamic', 'workflow-created'],
-          // CRITICAL: brain_config is what brain-loader.js uses to load the agent
-          // This is the ONLY place to store systemPrompt
-          brain_config: {
-            systemPrompt: systemPrompt,
-            name: name,
-            description: description,
-            agentType: agentType,
-            capabilities: capabilities,
-            security: agentType === 'utility' ? false : 'default'
-          }
-        })
-        .select()
-        .single();
-
-      if (marketplaceError) {
-        throw new Error(`Failed to create marketplace agent: ${marketplaceError.message}`);
-      }
+          security: agentType === 'utility' ? false : 'default'
+        }
+      });
 
       marketplaceAgentId = newMarketplace.id;
     }
@@ -2263,31 +2861,23 @@ The RESULT block with winner_asset_url is MANDATORY - do not skip it. Copy the w
     // Now create the user's instance (my_agents)
     // Following same pattern as create-instance/route.ts: {slug}-{timestamp}
     // Store workflow tracking in config_overrides
-    const { data: instance, error: instanceError } = await supabase
-      .from('my_agents')
-      .insert({
-        user_id: userId,
-        agent_id: marketplaceAgentId,
-        instance_name: name,
-        instance_slug: instanceSlug,  // Same pattern as manual: {slug}-{timestamp}
-        agent_type: agentType,
-        capabilities: capabilities,
-        input_schema: inputSchema,
-        output_schema: outputSchema,
-        // Track workflow source for later filtering/management
-        config_overrides: {
-          source: 'workflow',
-          workflowId: workflowId,
-          stepNum: stepNum,
-          createdAt: new Date().toISOString()
-        }
-      })
-      .select()
-      .single();
-
-    if (instanceError) {
-      throw new Error(`Failed to create agent instance: ${instanceError.message}`);
-    }
+    const instance = await storage.createAgentInstance({
+      user_id: userId,
+      agent_id: marketplaceAgentId,
+      instance_name: name,
+      instance_slug: instanceSlug,  // Same pattern as manual: {slug}-{timestamp}
+      agent_type: agentType,
+      capabilities: capabilities,
+      input_schema: inputSchema,
+      output_schema: outputSchema,
+      // Track workflow source for later filtering/management
+      config_overrides: {
+        source: 'workflow',
+        workflowId: workflowId,
+        stepNum: stepNum,
+        createdAt: new Date().toISOString()
+      }
+    });
 
     return {
       id: instance.id,
@@ -2305,50 +2895,6 @@ The RESULT block with winner_asset_url is MANDATORY - do not skip it. Copy the w
     };
   }
 
-  /**
-   * Create a local brain file (fallback when Supabase unavailable)
-   *
-   * @param {Object} options - Agent options
-   * @returns {Object} Created agent info
-   */
-  createLocalAgent(options) {
-    const { slug, name, description, systemPrompt, agentType, capabilities } = options;
-    const fs = require('fs');
-    const path = require('path');
-
-    const brainContent = `/**
- * ${name}
- * Dynamically created agent
- * Type: ${agentType}
- */
-
-module.exports = {
-  name: '${name}',
-  description: '${description}',
-  agentType: '${agentType}',
-  capabilities: ${JSON.stringify(capabilities)},
-  systemPrompt: \`${systemPrompt.replace(/`/g, '\\`')}\`
-};
-`;
-
-    const brainPath = path.join(__dirname, '..', 'brains', `${slug}.js`);
-    fs.writeFileSync(brainPath, brainContent);
-
-    // Clear require cache so new brain is available
-    delete require.cache[brainPath];
-
-    return {
-      id: slug,
-      slug: slug,
-      name: name,
-      description: description,
-      systemPrompt: systemPrompt,
-      agentType: agentType,
-      capabilities: capabilities,
-      local: true
-    };
-  }
-
   /**
    * Parse orchestrator response with retry-on-error
    *
@@ -2459,95 +3005,75 @@ Please output the COMPLETE valid JSON response again. Remember:
   /**
    * Get available agents for a user
    *
-   * Returns the user's customized agents (my_agents) from Supabase.
-   * Falls back to marketplace agents if user has none.
+   * Returns the user's customized agents (my_agents) from the database.
+   * Falls back to marketplace agents if user has none. Local brain files
+   * (brains/*.js) are always included unless the database already lists them.
    *
    * @param {string} userId - User ID
    * @returns {Promise<Array>} List of available agents
    */
   async getAvailableAgents(userId) {
-    if (!supabase) {
-      // Fallback to local brain files
-      const brainNames = this.brainLoader.listBrains();
-      return brainNames
-        .filter(name => name !== 'orchestrator') // Exclude orchestrator itself
-        .map(name => ({
-          slug: name,
-          name: name,
-          description: `Local brain: ${name}`
-        }));
-    }
+    let agents = [];
 
     try {
+      const storage = getStorage();
+
       // First try to get user's customized agents
-      const { data: userAgents, error: userError } = await supabase
-        .from('my_agents')
-        .select(`
-          id,
-          custom_name,
-          custom_description,
-          marketplace_agents (
-            id,
-            slug,
-            name,
-            short_description,
-            tags
-          )
-        `)
-        .eq('user_id', userId)
-        .eq('is_active', true);
-
-      if (!userError && userAgents && userAgents.length > 0) {
-        return userAgents.map(ua => ({
-          slug: ua.marketplace_agents.slug,
-          name: ua.custom_name || ua.marketplace_agents.name,
-          description: ua.custom_description || ua.marketplace_agents.short_description,
+      const userAgents = (await storage.listAgentInstances(userId)).filter(ua => ua.agent);
+
+      if (userAgents.length > 0) {
+        agents = userAgents.map(ua => ({
+          slug: ua.agent.slug,
+          name: ua.custom_name || ua.agent.name,
+          description: ua.custom_description || ua.agent.short_description,
           instanceId: ua.id,
-          tags: ua.marketplace_agents.tags
+          tags: ua.agent.tags
+        }));
+      } else {
+        // Fallback to all marketplace agents
+        agents = (await storage.listAgents({ activeOnly: true })).map(a => ({
+          slug: a.slug,
+          name: a.name,
+          description: a.short_description,
+          tags: a.tags
         }));
       }
-
-      // Fallback to all marketplace agents
-      const { data: agents, error } = await supabase
-        .from('marketplace_agents')
-        .select('slug, name, short_description, tags')
-        .eq('is_active', true);
-
-      if (error) {
-        throw error;
-      }
-
-      return (agents || []).map(a => ({
-        slug: a.slug,
-        name: a.name,
-        description: a.short_description,
-        tags: a.tags
-      }));
-
     } catch (error) {
-      console.error('Error fetching agents from Supabase:', error.message);
-      // Fallback to local brain files on error
+      console.error('Error fetching agents from database:', error.message);
       console.log('Falling back to local brain files...');
-      const brainNames = this.brainLoader.listBrains();
-      return brainNames
-        .filter(name => name !== 'orchestrator' && !name.startsWith('_'))
-        .map(name => {
-          try {
-            const brain = this.brainLoader.loadFromFile(name);
-            return {
-              slug: name,
-              name: brain.name || name,
-              description: brain.description || `Local agent: ${name}`
-            };
-          } catch (e) {
-            return {
-              slug: name,
-              name: name,
-              description: `Local brain: ${name}`
-            };
-          }
-        });
     }
+
+    const known = new Set(agents.map(agent => agent.slug));
+    return [...agents, ...this.getLocalAgents().filter(agent => !known.has(agent.slug))];
+  }
+
+  /**
+   * List agents defined by local brain files (excluding the orchestrator itself)
+   *
+   * @returns {Array<Object>} [{ slug, name, description, local: true }]
+   */
+  getLocalAgents() {
+    return this.brainLoader.listBrains()
+      .filter(name => name !== 'orchestrator')
+      .map(name => {
+        try {
+          const brain = this.brainLoader.loadFromFile(name);
+          return {
+            slug: name,
+            name: brain.name || name,
+            description: brain.description || `Local agent: ${name}`,
+            tags: brain.tags,
+            local: true
+          };
+        } catch (e) {
+          return {
+            slug: name,
+            name: name,
+            description: `Local brain: ${name}`,
+            local: true
+          };
+        }
+      });
   }
 
   /**
@@ -2703,6 +3229,7 @@ Params can reference previous step outputs using \`{{step_N.field}}\` syntax, e.
       status: workflow.status,
       plan: workflow.plan,
       currentStep: workflow.currentStep,
+      runningSteps: workflow.runningSteps || [],
       error: workflow.error,
       startedAt: workflow.startedAt,
       completedAt: workflow.completedAt
@@ -22,11 +22,36 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // R2 configuration from environment (passed from claude-client.js)
 const R2_UPLOAD_URL = process.env.R2_UPLOAD_URL || 'http://localhost:8080/assets/upload';
 const CURRENT_USER_ID = process.env.CURRENT_USER_ID || 'anonymous';
 const CURRENT_WORKFLOW_ID = process.env.CURRENT_WORKFLOW_ID || 'general';
+// Bearer token for the bot server's upload route (unset when auth is disabled)
+const R2_UPLOAD_TOKEN = process.env.R2_UPLOAD_TOKEN || null;
+const R2_AUTH_HEADERS = R2_UPLOAD_TOKEN ? { Authorization: `Bearer ${R2_UPLOAD_TOKEN}` } : {};
+
+// Per-brain tool allow-list (passed from claude-client.js)
+// Unset = all tools. Comma-separated names; a trailing * matches a prefix (e.g. tapjot_*).
+// Set but empty = no tools at all.
+const ALLOWED_TOOLS = process.env.ALLOWED_TOOLS !== undefined
+  ? process.env.ALLOWED_TOOLS.split(',').map(t => t.trim()).filter(Boolean)
+  : null;
+
+/**
+ * Check a tool name against the allow-list
+ */
+function isToolAllowed(name) {
+  if (!ALLOWED_TOOLS) return true;
+  return ALLOWED_TOOLS.some(pattern =>
+    pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern
+  );
+}
 
 // Built-in tool: download_url_to_r2
 // This is handled directly by the router (no HTTP service needed)
@@ -51,95 +76,259 @@ const BUILTIN_TOOLS = {
   }
 };
 
-// HTTP Service endpoints
-// Build services list based on DISABLE_IMAGE_TOOLS env var
-const IMAGE_TOOLS = {
-  'generate_image': {
-    url: 'http://localhost:3002/generate_image',
-    schemaUrl: 'http://localhost:3002/schema'
+// Service registry
+// Services are listed in services.json (override the path with MCP_SERVICES_CONFIG).
+// Each service publishes MCP-style tool schemas at GET <url>/schema and every tool
+// is routed to POST <url>/<tool name>, so new endpoints show up without editing
+// the router.
+//
+// Host overrides:
+//   MCP_SERVICES_HOST          - replace the hostname of every service (e.g. 10.0.0.5)
+//   MCP_SERVICE_<NAME>_URL     - full base URL for one service (e.g. MCP_SERVICE_LIVE_DATA_URL)
+const SERVICES_CONFIG_PATH = process.env.MCP_SERVICES_CONFIG || path.join(__dirname, 'services.json');
+const SCHEMA_RETRY_MS = 30000;  // How often to retry services that were down
+
+/**
+ * Load services.json and apply host overrides from the environment
+ */
+function loadServiceRegistry() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(SERVICES_CONFIG_PATH, 'utf-8'));
+  } catch (error) {
+    console.error(`❌ Failed to load service registry ${SERVICES_CONFIG_PATH}:`, error.message);
+    return [];
+  }
+
+  const services = [];
+  for (const [name, service] of Object.entries(config.services || {})) {
+    if (service.enabled === false) continue;
+
+    // Image services are skipped for the no-image-tools profile
+    if (service.image_tools && process.env.DISABLE_IMAGE_TOOLS === 'true') continue;
+
+    const envKey = `MCP_SERVICE_${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_URL`;
+    let url = process.env[envKey] || service.url;
+
+    if (!process.env[envKey] && process.env.MCP_SERVICES_HOST) {
+      const parsed = new URL(url);
+      parsed.hostname = process.env.MCP_SERVICES_HOST;
+      url = parsed.toString();
+    }
+
+    services.push({
+      name,
+      url: url.replace(/\/+$/, ''),
+      schema: service.schema !== false,
+      r2Tools: service.r2_tools || []
+    });
+  }
+
+  return services;
+}
+
+const SERVICES = loadServiceRegistry();
+
+// Video Generation Service (async jobs)
+// video-gen's /schema describes REST endpoints rather than MCP tools, and its
+// jobs take minutes to render, so the router defines these tools itself and
+// handles submit/poll/upload directly. Its URL still comes from the registry
+// (registered with "schema": false).
+const VIDEO_SERVICE = SERVICES.find(s => s.name === 'video-gen');
+const VIDEO_GEN_URL = VIDEO_SERVICE?.url;
+const VIDEO_POLL_INTERVAL_MS = 5000;
+const VIDEO_WAIT_DEFAULT_SECONDS = 90;  // Stay under the CLI's 120s inactivity timeout
+const VIDEO_WAIT_MAX_SECONDS = 110;
+
+const VIDEO_TOOL_SCHEMAS = {
+  'generate_video': {
+    name: 'generate_video',
+    description: 'Submit a video generation job (Sora, Runway, Veo, Pika or Kling). Returns a job_id immediately - videos take one to several minutes to render. Call wait_for_video with the job_id to get the finished clip as a permanent R2 URL.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        prompt: {
+          type: 'string',
+          description: 'Text description of the video'
+        },
+        provider: {
+          type: 'string',
+          enum: ['sora', 'sora-pro', 'runway', 'veo', 'pika', 'kling'],
+          description: 'Video provider. Defaults to the service default (sora).'
+        },
+        image_url: {
+          type: 'string',
+          description: 'Optional image URL for image-to-video'
+        },
+        duration: {
+          type: 'number',
+          description: 'Video duration in seconds (provider limits apply)'
+        },
+        resolution: {
+          type: 'string',
+          enum: ['720p', '1080p'],
+          description: 'Output resolution (default: 1080p)'
+        },
+        aspect_ratio: {
+          type: 'string',
+          enum: ['16:9', '9:16', '1:1'],
+          description: 'Aspect ratio (default: 16:9)'
+        },
+        with_audio: {
+          type: 'boolean',
+          description: 'Generate audio track where supported (default: true)'
+        }
+      },
+      required: ['prompt']
+    }
   },
-  'edit_image': {
-    url: 'http://localhost:3002/edit_image',
-    schemaUrl: 'http://localhost:3002/schema'
+  'get_video_status': {
+    name: 'get_video_status',
+    description: 'Check the status of a video generation job without waiting. Status is one of queued, in_progress, completed or failed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: {
+          type: 'string',
+          description: 'Job ID returned by generate_video'
+        }
+      },
+      required: ['job_id']
+    }
   },
-  'list_image_models': {
-    url: 'http://localhost:3002/list_image_models',
-    schemaUrl: 'http://localhost:3002/schema'
+  'wait_for_video': {
+    name: 'wait_for_video',
+    description: `Wait for a video generation job to finish. When completed, the clip is saved to R2 storage and a permanent r2_url is returned. If the job is still rendering after timeout_seconds (default ${VIDEO_WAIT_DEFAULT_SECONDS}, max ${VIDEO_WAIT_MAX_SECONDS}), returns the current status - call wait_for_video again to keep waiting.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: {
+          type: 'string',
+          description: 'Job ID returned by generate_video'
+        },
+        timeout_seconds: {
+          type: 'number',
+          description: `How long to wait before returning (default ${VIDEO_WAIT_DEFAULT_SECONDS}, max ${VIDEO_WAIT_MAX_SECONDS})`
+        },
+        filename: {
+          type: 'string',
+          description: 'Optional filename for the saved clip (default: <job_id>.mp4)'
+        }
+      },
+      required: ['job_id']
+    }
   }
 };
 
-const BASE_SERVICES = {
-  // TTS Service
-  'text_to_speech': {
-    url: 'http://localhost:3001/text_to_speech',
-    schemaUrl: 'http://localhost:3001/schema'
-  },
-  'list_tts_voices': {
-    url: 'http://localhost:3001/list_tts_voices',
-    schemaUrl: 'http://localhost:3001/schema'
-  },
+const VIDEO_TOOLS = VIDEO_SERVICE ? VIDEO_TOOL_SCHEMAS : {};
 
-  // Chat Context Service
-  'list_sessions': {
-    url: 'http://localhost:3003/list_sessions',
-    schemaUrl: 'http://localhost:3003/schema'
-  },
-  'search_sessions': {
-    url: 'http://localhost:3003/search_sessions',
-    schemaUrl: 'http://localhost:3003/schema'
-  },
-  'get_session': {
-    url: 'http://localhost:3003/get_session',
-    schemaUrl: 'http://localhost:3003/schema'
-  },
-  'nickname_current_session': {
-    url: 'http://localhost:3003/nickname_current_session',
-    schemaUrl: 'http://localhost:3003/schema'
-  },
-  'add_tag': {
-    url: 'http://localhost:3003/add_tag',
-    schemaUrl: 'http://localhost:3003/schema'
-  },
-  'remove_tag': {
-    url: 'http://localhost:3003/remove_tag',
-    schemaUrl: 'http://localhost:3003/schema'
-  },
-  'list_tags': {
-    url: 'http://localhost:3003/list_tags',
-    schemaUrl: 'http://localhost:3003/schema'
-  },
-  'list_projects': {
-    url: 'http://localhost:3003/list_projects',
-    schemaUrl: 'http://localhost:3003/schema'
-  },
-  'sync_sessions': {
-    url: 'http://localhost:3003/sync_sessions',
-    schemaUrl: 'http://localhost:3003/schema'
-  },
+// Memory tools (long-term facts about the user, kept by the bot server)
+// claude-client.js passes the brain and user they act for - only for brains
+// with memory enabled, so other agents never see these tools.
+const MEMORY_API_URL = process.env.MEMORY_API_URL || null;
+const MEMORY_BRAIN = process.env.MEMORY_BRAIN || null;
+const MEMORY_USER_ID = process.env.MEMORY_USER_ID || null;
+const MEMORY_AUTH_HEADERS = process.env.MEMORY_API_TOKEN ? { Authorization: `Bearer ${process.env.MEMORY_API_TOKEN}` } : {};
 
-  // Live Data Service (sports scores, stock quotes, news headlines)
-  'get_live_scores': {
-    url: 'http://localhost:3004/get_live_scores',
-    schemaUrl: 'http://localhost:3004/schema'
+const MEMORY_TOOL_SCHEMAS = {
+  'remember_fact': {
+    name: 'remember_fact',
+    description: 'Remember a fact about the user for future conversations: their name, preferences, important dates, ongoing projects. Save one short fact per call, written so it makes sense on its own later (e.g. "Prefers metric units"). Don\'t save secrets, passwords or anything the user asks you not to keep.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fact: {
+          type: 'string',
+          description: 'The fact, in one sentence (max 500 characters)'
+        }
+      },
+      required: ['fact']
+    }
   },
-  'get_stock_quote': {
-    url: 'http://localhost:3004/get_stock_quote',
-    schemaUrl: 'http://localhost:3004/schema'
+  'recall': {
+    name: 'recall',
+    description: 'Look up what you remember about the user. Returns matching memories with their IDs, or the most recent ones without a query.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'What to look for (e.g. "birthday", "project")'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum memories to return (default 10)'
+        }
+      }
+    }
   },
-  'get_news_headlines': {
-    url: 'http://localhost:3004/get_news_headlines',
-    schemaUrl: 'http://localhost:3004/schema'
+  'forget': {
+    name: 'forget',
+    description: 'Forget memories about the user that are wrong, outdated, or that they asked you to forget. Pass a memory_id from recall, a query to forget every matching memory, or all: true to forget everything.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        memory_id: {
+          type: 'string',
+          description: 'ID of one memory (from recall)'
+        },
+        query: {
+          type: 'string',
+          description: 'Forget every memory matching this'
+        },
+        all: {
+          type: 'boolean',
+          description: 'Forget everything about the user'
+        }
+      }
+    }
+  }
+};
+
+const MEMORY_TOOLS = MEMORY_API_URL && MEMORY_BRAIN && MEMORY_USER_ID ? MEMORY_TOOL_SCHEMAS : {};
+
+// Knowledge base tool (documents attached to the brain, indexed by the bot server)
+// Only for brains with a knowledge base enabled - claude-client.js passes which one.
+const KNOWLEDGE_API_URL = process.env.KNOWLEDGE_API_URL || null;
+const KNOWLEDGE_BRAIN = process.env.KNOWLEDGE_BRAIN || null;
+const KNOWLEDGE_MAX_RESULTS = parseInt(process.env.KNOWLEDGE_MAX_RESULTS) || 5;
+const KNOWLEDGE_AUTH_HEADERS = process.env.KNOWLEDGE_API_TOKEN ? { Authorization: `Bearer ${process.env.KNOWLEDGE_API_TOKEN}` } : {};
+
+const KNOWLEDGE_TOOL_SCHEMAS = {
+  'search_knowledge': {
+    name: 'search_knowledge',
+    description: 'Search your knowledge base (documentation, manuals, FAQs) for passages that answer a question. Use it before answering anything the documents may cover, answer from the passages returned, and cite each one you use by its citation. Search with the key terms of the question (e.g. "refund card payment").',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'What to look for'
+        },
+        limit: {
+          type: 'number',
+          description: `Maximum passages to return (default ${KNOWLEDGE_MAX_RESULTS})`
+        }
+      },
+      required: ['query']
+    }
   }
 };
 
-// Conditionally include image tools based on environment variable
-const HTTP_SERVICES = process.env.DISABLE_IMAGE_TOOLS === 'true'
-  ? BASE_SERVICES
-  : { ...BASE_SERVICES, ...IMAGE_TOOLS };
+const KNOWLEDGE_TOOLS = KNOWLEDGE_API_URL && KNOWLEDGE_BRAIN ? KNOWLEDGE_TOOL_SCHEMAS : {};
 
 const toolsMode = process.env.DISABLE_IMAGE_TOOLS === 'true' ? 'NO IMAGE TOOLS' : 'ALL TOOLS';
 console.log(`🔀 MCP Router starting (${toolsMode})...`);
-console.log(`   Routing to ${Object.keys(HTTP_SERVICES).length} HTTP services`);
+console.log(`   ${SERVICES.length} service(s) in registry: ${SERVICES.map(s => s.name).join(', ')}`);
+if (Object.keys(MEMORY_TOOLS).length > 0) {
+  console.log(`   Memory tools for ${MEMORY_BRAIN} user ${MEMORY_USER_ID}`);
+}
+if (Object.keys(KNOWLEDGE_TOOLS).length > 0) {
+  console.log(`   Knowledge base: ${KNOWLEDGE_BRAIN}`);
+}
+if (ALLOWED_TOOLS) {
+  console.log(`   Tool allow-list: ${ALLOWED_TOOLS.length > 0 ? ALLOWED_TOOLS.join(', ') : '(none)'}`);
+}
 
 // Create MCP server
 const server = new Server(
@@ -154,9 +343,10 @@ const server = new Server(
   }
 );
 
-// Cache for tool schemas (fetched from HTTP services on startup)
-let cachedTools = [];
-let schemasFetched = false;
+// Tool routes discovered from service schemas: tool name -> { url, service, injectR2, schema }
+const toolRoutes = new Map();
+const loadedServices = new Set();
+const failedAttempts = new Map();  // service name -> timestamp of last failed schema fetch
 
 /**
  * Handle download_url_to_r2 built-in tool
@@ -209,7 +399,8 @@ async function handleDownloadUrlToR2(args) {
     const uploadResponse = await fetch(uploadUrl.toString(), {
       method: 'POST',
       headers: {
-        'Content-Type': contentType
+        'Content-Type': contentType,
+        ...R2_AUTH_HEADERS
       },
       body: buffer
     });
@@ -240,48 +431,260 @@ async function handleDownloadUrlToR2(args) {
 }
 
 /**
- * Fetch tool schemas from all HTTP services
+ * Fetch the current status of a video job from the video-gen service
  */
-async function fetchToolSchemas() {
-  if (schemasFetched) return cachedTools;
+async function fetchVideoStatus(jobId) {
+  const response = await fetch(`${VIDEO_GEN_URL}/status/${encodeURIComponent(jobId)}`);
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`HTTP ${response.status}: ${errorText}`);
+  }
+  return response.json();
+}
+
+/**
+ * Handle video tools (submit, status, wait + R2 upload)
+ */
+async function handleVideoTool(name, args) {
+  if (name === 'generate_video') {
+    console.log(`🎬 Submitting video job: "${(args.prompt || '').substring(0, 50)}..."`);
+
+    const response = await fetch(`${VIDEO_GEN_URL}/generate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(args),
+    });
 
-  console.log('📋 Fetching tool schemas from HTTP services...');
-  const tools = [];
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`HTTP ${response.status}: ${errorText}`);
+    }
+
+    const result = await response.json();
+    console.log(`   ✓ Video job created: ${result.job_id}`);
 
-  // Add built-in tools first
-  for (const tool of Object.values(BUILTIN_TOOLS)) {
-    tools.push(tool);
-    console.log(`   ✓ Registered built-in tool: ${tool.name}`);
+    return {
+      success: true,
+      job_id: result.job_id,
+      provider: result.provider,
+      status: result.status,
+      message: 'Video generation started. Call wait_for_video with this job_id to get the finished clip.'
+    };
+  }
+
+  if (name === 'get_video_status') {
+    return fetchVideoStatus(args.job_id);
   }
 
-  const uniqueSchemaUrls = [...new Set(
-    Object.values(HTTP_SERVICES).map(s => s.schemaUrl)
-  )];
+  // wait_for_video
+  const { job_id, filename } = args;
+  const timeoutSeconds = Math.min(
+    Math.max(Number(args.timeout_seconds) || VIDEO_WAIT_DEFAULT_SECONDS, 1),
+    VIDEO_WAIT_MAX_SECONDS
+  );
+  const deadline = Date.now() + timeoutSeconds * 1000;
 
-  for (const schemaUrl of uniqueSchemaUrls) {
-    try {
-      const response = await fetch(schemaUrl);
-      if (!response.ok) {
-        console.error(`⚠️  Failed to fetch schema from ${schemaUrl}: ${response.status}`);
+  console.log(`⏳ Waiting up to ${timeoutSeconds}s for video job ${job_id}`);
+
+  let status = await fetchVideoStatus(job_id);
+  while ((status.status === 'queued' || status.status === 'in_progress') && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, VIDEO_POLL_INTERVAL_MS));
+    status = await fetchVideoStatus(job_id);
+  }
+
+  if (status.status === 'failed') {
+    throw new Error(`Video job ${job_id} failed: ${status.error || 'unknown error'}`);
+  }
+
+  if (status.status !== 'completed') {
+    return {
+      success: false,
+      job_id,
+      status: status.status,
+      progress: status.progress,
+      message: `Video is still rendering after ${timeoutSeconds}s. Call wait_for_video again to keep waiting.`
+    };
+  }
+
+  if (!status.video_url) {
+    throw new Error(`Video job ${job_id} completed but the provider returned no video_url`);
+  }
+
+  // Save the finished clip to R2 (provider URLs expire)
+  const upload = await handleDownloadUrlToR2({
+    url: status.video_url,
+    filename: filename || `${job_id}.mp4`
+  });
+
+  return {
+    success: true,
+    job_id,
+    status: 'completed',
+    r2_url: upload.r2_url,
+    r2_key: upload.r2_key,
+    provider: status.provider,
+    duration_seconds: status.duration_seconds,
+    resolution: status.resolution,
+    size_bytes: upload.size_bytes
+  };
+}
+
+/**
+ * Handle memory tools (calls the bot server's /memories routes)
+ */
+async function handleMemoryTool(name, args) {
+  const memoriesUrl = `${MEMORY_API_URL}/${encodeURIComponent(MEMORY_BRAIN)}/${encodeURIComponent(MEMORY_USER_ID)}`;
+  let url = new URL(memoriesUrl);
+  let method = 'GET';
+  let body;
+
+  if (name === 'remember_fact') {
+    method = 'POST';
+    body = JSON.stringify({ fact: args.fact });
+  } else if (name === 'recall') {
+    if (args.query) url.searchParams.set('q', args.query);
+    if (args.limit) url.searchParams.set('limit', String(args.limit));
+  } else {
+    // forget: one memory, the ones matching a query, or everything (only when asked explicitly)
+    method = 'DELETE';
+    if (args.memory_id) {
+      url = new URL(`${memoriesUrl}/${encodeURIComponent(args.memory_id)}`);
+    } else if (args.query) {
+      url.searchParams.set('q', args.query);
+    } else if (args.all !== true) {
+      throw new Error('Pass memory_id, query, or all: true');
+    }
+  }
+
+  console.log(`🧠 ${name} for ${MEMORY_BRAIN} user ${MEMORY_USER_ID}`);
+
+  const response = await fetch(url.toString(), {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...MEMORY_AUTH_HEADERS
+    },
+    body
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+  return result;
+}
+
+/**
+ * Handle search_knowledge (calls the bot server's /knowledge search route)
+ */
+async function handleKnowledgeTool(name, args) {
+  if (!args.query) {
+    throw new Error('query is required');
+  }
+
+  const url = new URL(`${KNOWLEDGE_API_URL}/${encodeURIComponent(KNOWLEDGE_BRAIN)}/search`);
+  url.searchParams.set('q', args.query);
+  url.searchParams.set('limit', String(args.limit || KNOWLEDGE_MAX_RESULTS));
+
+  console.log(`📚 search_knowledge in ${KNOWLEDGE_BRAIN}: "${args.query}"`);
+
+  const response = await fetch(url.toString(), { headers: KNOWLEDGE_AUTH_HEADERS });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+
+  // Claude needs the passage and where it came from - not the snippet or scores
+  return {
+    results: result.results.map(hit => ({ citation: hit.citation, text: hit.text })),
+    ...(result.results.length === 0 && { note: 'Nothing in the knowledge base matches - say you don\'t know rather than guessing.' })
+  };
+}
+
+/**
+ * Fetch a service's /schema and register a route for each tool it publishes
+ */
+async function registerServiceTools(service) {
+  const schemaUrl = `${service.url}/schema`;
+
+  try {
+    const response = await fetch(schemaUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const schemas = await response.json();
+    if (!Array.isArray(schemas)) {
+      throw new Error('schema is not an array of MCP tools');
+    }
+
+    for (const tool of schemas) {
+      if (!tool?.name) continue;
+
+      if (toolRoutes.has(tool.name) && toolRoutes.get(tool.name).service !== service.name) {
+        console.error(`⚠️  Tool "${tool.name}" from ${service.name} shadows ${toolRoutes.get(tool.name).service}, skipping`);
         continue;
       }
-      const schemas = await response.json();
-      tools.push(...schemas);
-      console.log(`   ✓ Loaded ${schemas.length} tool(s) from ${schemaUrl}`);
-    } catch (error) {
-      console.error(`⚠️  Error fetching schema from ${schemaUrl}:`, error.message);
+
+      toolRoutes.set(tool.name, {
+        url: `${service.url}/${tool.name}`,
+        service: service.name,
+        injectR2: service.r2Tools.includes(tool.name),
+        schema: {
+          name: tool.name,
+          description: tool.description,
+          inputSchema: tool.inputSchema
+        }
+      });
     }
+
+    loadedServices.add(service.name);
+    failedAttempts.delete(service.name);
+    console.log(`   ✓ Loaded ${schemas.length} tool(s) from ${service.name} (${schemaUrl})`);
+  } catch (error) {
+    failedAttempts.set(service.name, Date.now());
+    console.error(`⚠️  Error fetching schema from ${schemaUrl}:`, error.message);
+  }
+}
+
+/**
+ * Fetch tool schemas from all registered HTTP services
+ *
+ * Services that loaded are cached for the life of the router. Services that
+ * were down are retried at most every SCHEMA_RETRY_MS.
+ */
+async function fetchToolSchemas() {
+  const pending = SERVICES.filter(service =>
+    service.schema &&
+    !loadedServices.has(service.name) &&
+    Date.now() - (failedAttempts.get(service.name) || 0) >= SCHEMA_RETRY_MS
+  );
+
+  if (pending.length > 0) {
+    console.log(`📋 Fetching tool schemas from ${pending.length} service(s)...`);
+    await Promise.all(pending.map(registerServiceTools));
+  }
+
+  const tools = [
+    ...Object.values(BUILTIN_TOOLS),
+    ...Object.values(VIDEO_TOOLS),
+    ...Object.values(MEMORY_TOOLS),
+    ...Object.values(KNOWLEDGE_TOOLS),
+    ...[...toolRoutes.values()].map(route => route.schema)
+  ];
+
+  if (pending.length > 0) {
+    console.log(`✅ Registered ${tools.length} total tools (${Object.keys(BUILTIN_TOOLS).length} built-in, ${Object.keys(VIDEO_TOOLS).length} video, ${Object.keys(MEMORY_TOOLS).length} memory, ${Object.keys(KNOWLEDGE_TOOLS).length} knowledge)`);
   }
 
-  cachedTools = tools;
-  schemasFetched = true;
-  console.log(`✅ Registered ${tools.length} total tools (${Object.keys(BUILTIN_TOOLS).length} built-in)`);
   return tools;
 }
 
 // Register tool listing handler
 server.setRequestHandler(ListToolsRequestSchema, async () => {
-  const tools = await fetchToolSchemas();
+  const tools = (await fetchToolSchemas()).filter(tool => isToolAllowed(tool.name));
   return { tools };
 });
 
@@ -291,6 +694,21 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
   console.log(`🔀 Routing tool call: ${name}`);
 
+  // Refuse anything outside the brain's allow-list
+  if (!isToolAllowed(name)) {
+    const error = `Tool "${name}" is not allowed for this agent`;
+    console.error(`🚫 ${error}`);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ error, tool: name }, null, 2),
+        },
+      ],
+      isError: true,
+    };
+  }
+
   // Check for built-in tools first
   if (BUILTIN_TOOLS[name]) {
     try {
@@ -321,11 +739,95 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
   }
 
-  // Find the HTTP service for this tool
-  const service = HTTP_SERVICES[name];
+  // Video tools (async jobs handled by the router)
+  if (VIDEO_TOOLS[name]) {
+    try {
+      const result = await handleVideoTool(name, args || {});
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      console.error(`❌ Video tool ${name} failed:`, error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({ error: error.message, tool: name, service: VIDEO_GEN_URL }, null, 2),
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  // Memory tools (bot server)
+  if (MEMORY_TOOLS[name]) {
+    try {
+      const result = await handleMemoryTool(name, args || {});
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      console.error(`❌ Memory tool ${name} failed:`, error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({ error: error.message, tool: name }, null, 2),
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  // Knowledge base (bot server)
+  if (KNOWLEDGE_TOOLS[name]) {
+    try {
+      const result = await handleKnowledgeTool(name, args || {});
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      console.error(`❌ Knowledge tool ${name} failed:`, error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({ error: error.message, tool: name }, null, 2),
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  // Find the HTTP service for this tool (discovering services first if needed)
+  if (!toolRoutes.has(name)) {
+    await fetchToolSchemas();
+  }
+  const service = toolRoutes.get(name);
 
   if (!service) {
-    const allTools = [...Object.keys(BUILTIN_TOOLS), ...Object.keys(HTTP_SERVICES)];
+    const allTools = [...Object.keys(BUILTIN_TOOLS), ...Object.keys(VIDEO_TOOLS), ...Object.keys(MEMORY_TOOLS), ...Object.keys(KNOWLEDGE_TOOLS), ...toolRoutes.keys()].filter(isToolAllowed);
     const error = `Tool "${name}" not found in router configuration. Available tools: ${allTools.join(', ')}`;
     console.error(`❌ ${error}`);
     return {
@@ -346,10 +848,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     // Build request body with R2 config for media generation tools
     const requestBody = { ...args };
 
-    // For TTS and image tools, pass R2 config so services upload directly
-    if (name === 'text_to_speech' || name === 'generate_image' || name === 'edit_image') {
+    // For media tools (r2_tools in services.json), pass R2 config so services upload directly
+    if (service.injectR2) {
       requestBody.r2_config = {
         upload_url: R2_UPLOAD_URL,
+        upload_token: R2_UPLOAD_TOKEN,
         user_id: CURRENT_USER_ID,
         workflow_id: CURRENT_WORKFLOW_ID
       };
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * API Token Script
+ *
+ * Signs a token for the bot server's HTTP and Socket.IO API using AUTH_SECRET
+ * from .env. The web app mints tokens the same way (see lib/auth.js).
+ *
+ * Usage:
+ *   node scripts/create-token.js <userId> [scopes] [expiresIn]
+ *
+ *   scopes     comma-separated: files,terminal,workflows,knowledge,admin (default: none - chat only)
+ *   expiresIn  lifetime in hours (default: 24, 0 = never expires)
+ *
+ * Example:
+ *   node scripts/create-token.js 123456789 files,terminal,workflows 168
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { SCOPES, signToken } = require('../lib/auth');
+
+const [userId, scopeArg = '', hoursArg = '24'] = process.argv.slice(2);
+
+if (!userId) {
+  console.error('Usage: node scripts/create-token.js <userId> [scopes] [expiresIn hours]');
+  console.error(`   Scopes: ${SCOPES.join(', ')}`);
+  process.exit(1);
+}
+
+if (!process.env.AUTH_SECRET) {
+  console.error('❌ AUTH_SECRET not found in .env');
+  process.exit(1);
+}
+
+const scopes = scopeArg.split(',').map(scope => scope.trim()).filter(Boolean);
+const hours = Number(hoursArg);
+
+if (Number.isNaN(hours) || hours < 0) {
+  console.error(`❌ Invalid expiresIn: ${hoursArg}`);
+  process.exit(1);
+}
+
+try {
+  const token = signToken({ userId, scopes, expiresIn: Math.round(hours * 60 * 60) });
+  console.log(token);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
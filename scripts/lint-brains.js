@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Brain Lint Script
+ *
+ * Validates every brain against the brain schema (lib/brain-schema.js):
+ *   - brains/*.js files (merged over the database row with the same slug, as BrainLoader does)
+ *   - marketplace_agents.brain_config rows
+ *   - my_agents instances (brain_config + config_overrides, as server.js merges them)
+ *
+ * Usage:
+ *   node scripts/lint-brains.js [--no-db] [--strict]
+ *
+ *   --no-db   only lint brain files
+ *   --strict  treat warnings (unknown fields) as errors
+ *
+ * Exits with 1 if any brain has errors.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const BrainLoader = require('../lib/brain-loader');
+const { validateBrainConfig } = require('../lib/brain-schema');
+
+const args = process.argv.slice(2);
+const skipDatabase = args.includes('--no-db');
+const strict = args.includes('--strict');
+
+let errorCount = 0;
+let warningCount = 0;
+
+/**
+ * Validate one brain and print the result
+ */
+function report(label, brain) {
+  const { errors, warnings } = validateBrainConfig(brain);
+  const failed = errors.length > 0 || (strict && warnings.length > 0);
+
+  errorCount += errors.length;
+  warningCount += warnings.length;
+
+  const icon = failed ? '❌' : (warnings.length > 0 ? '⚠️ ' : '✅');
+  console.log(`${icon} ${label}`);
+  for (const error of errors) {
+    console.log(`   error:   ${error}`);
+  }
+  for (const warning of warnings) {
+    console.log(`   warning: ${warning}`);
+  }
+
+  return !failed;
+}
+
+async function main() {
+  const loader = new BrainLoader({ watch: false });
+  let storage = null;
+  let agentRows = [];
+  let passed = true;
+
+  if (!skipDatabase) {
+    try {
+      storage = require('../lib/storage').getStorage();
+      agentRows = await storage.listAgents();
+    } catch (error) {
+      console.error(`❌ Could not read agents from the database: ${error.message}`);
+      console.error('   Use --no-db to lint brain files only');
+      process.exit(1);
+    }
+  }
+
+  const rowsBySlug = new Map(agentRows.map(row => [row.slug, row]));
+
+  console.log('\n--- Brain files ---\n');
+  for (const slug of loader.listBrains()) {
+    let brain;
+    try {
+      brain = loader.loadFromFile(slug);
+    } catch (error) {
+      console.log(`❌ brains/${slug}.js`);
+      console.log(`   error:   ${error.message}`);
+      errorCount++;
+      passed = false;
+      continue;
+    }
+
+    const row = rowsBySlug.get(slug);
+    const merged = row ? { ...BrainLoader.fromAgentRow(row), ...brain } : brain;
+    passed = report(`brains/${slug}.js${row ? ' (+ database row)' : ''}`, merged) && passed;
+  }
+
+  if (storage) {
+    console.log('\n--- marketplace_agents ---\n');
+    for (const row of agentRows) {
+      passed = report(`marketplace_agents/${row.slug}`, BrainLoader.fromAgentRow(row)) && passed;
+    }
+
+    console.log('\n--- my_agents ---\n');
+    const instances = await storage.listAgentInstances();
+    for (const instance of instances) {
+      if (!instance.agent) {
+        console.log(`❌ my_agents/${instance.instance_slug}`);
+        console.log(`   error:   marketplace agent ${instance.agent_id} not found`);
+        errorCount++;
+        passed = false;
+        continue;
+      }
+
+      // Same merge as server.js, applied over the loaded brain like BotManager.getEffectiveBrain()
+      const brain = { ...BrainLoader.fromAgentRow(instance.agent), ...instance.agent.brain_config, ...instance.config_overrides };
+      passed = report(`my_agents/${instance.instance_slug}`, brain) && passed;
+    }
+  }
+
+  console.log(`\n${errorCount} error(s), ${warningCount} warning(s)`);
+  process.exit(passed ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ Lint failed:', error.message);
+  process.exit(1);
+});
@@ -19,6 +19,13 @@ const { recoverFromRestart } = require('./lib/restart-recovery');
 const WorkflowHandler = require('./lib/workflow-handler');
 const messageStore = require('./lib/message-store');
 const TunnelManager = require('./lib/tunnel-manager');
+const { WebAdapter } = require('./lib/channels');
+const { answerApproval } = require('./lib/tool-permissions');
+const { getMaxMessageBytes } = require('./lib/attachments');
+const { getStorage } = require('./lib/storage');
+const userMemory = require('./lib/user-memory');
+const knowledgeBase = require('./lib/knowledge-base');
+const { authenticate, requireScope, authenticateSocket, hasScope, resolveUserId, isAuthDisabled } = require('./lib/auth');
 const fs = require('fs');
 const path = require('path');
 
@@ -55,21 +62,22 @@ console.log(`
 ╚═══════════════════════════════════════╝
 `);
 
-// Create bot manager
+// Create workflow handler for multi-agent orchestration
+const workflowHandler = new WorkflowHandler();
+
+// Create bot manager (orchestrator bots route chat messages to the workflow handler)
 const manager = new BotManager({
-  claudeCmd: process.env.CLAUDE_CMD || 'claude'
+  claudeCmd: process.env.CLAUDE_CMD || 'claude',
+  workflowHandler
 });
 
 // Create terminal manager
 const terminalManager = new TerminalManager();
 
-// Create workflow handler for multi-agent orchestration
-const workflowHandler = new WorkflowHandler();
-
 /**
  * Marketplace Server Initialization
  *
- * Agents are loaded on-demand from Supabase marketplace_agents table
+ * Agents are loaded on-demand from the marketplace_agents table (see lib/storage)
  * when users connect via WebSocket and send messages.
  */
 console.log('');
@@ -92,8 +100,8 @@ app.use((req, res, next) => {
   if (allowedOrigins.includes(origin)) {
     res.header('Access-Control-Allow-Origin', origin);
   }
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
@@ -102,16 +110,84 @@ app.use((req, res, next) => {
 
 app.use(express.json());
 
+// Every route except the health check requires a signed token (see lib/auth.js)
+if (!isAuthDisabled() && !process.env.AUTH_SECRET) {
+  console.error('❌ AUTH_SECRET is not set - refusing to start without API authentication');
+  console.error('   Set AUTH_SECRET, or AUTH_DISABLED=true for local development only');
+  process.exit(1);
+}
+if (isAuthDisabled()) {
+  console.warn('⚠️  AUTH_DISABLED=true - the HTTP and Socket.IO API are open to anyone who can reach this port');
+}
+
+// Telegram webhooks authenticate with their own secret token (see BotManager.handleTelegramWebhook)
+const PUBLIC_ROUTES = ['/health'];
+const TELEGRAM_WEBHOOK_ROUTE = /^\/telegram\/[^/]+\/webhook$/;
+// Tokens issued to a brain's tools only reach the memory and knowledge routes
+const BRAIN_TOKEN_ROUTE = /^\/(memories|knowledge)\//;
+app.use((req, res, next) => {
+  if (req.method === 'OPTIONS' || PUBLIC_ROUTES.includes(req.path) || TELEGRAM_WEBHOOK_ROUTE.test(req.path)) {
+    return next();
+  }
+  authenticate(req, res, () => {
+    if (req.auth.brain && !BRAIN_TOKEN_ROUTE.test(req.path)) {
+      return res.status(403).json({ error: 'Forbidden - this token is only for a brain\'s tools' });
+    }
+    next();
+  });
+});
+
 const httpServer = createServer(app);
+// send-message can carry base64 attachments up to the largest brain's limits.
+// Brain files are sized here; sizeSocketBuffer() adds database brains.
+const brainFiles = manager.brainLoader.listBrains().map(slug => {
+  try {
+    return manager.brainLoader.loadFromFile(slug);
+  } catch (error) {
+    return null;
+  }
+}).filter(Boolean);
+
 const io = new Server(httpServer, {
   cors: {
     origin: ['http://localhost:3000', 'https://labcart.io'],
     methods: ['GET', 'POST']
-  }
+  },
+  maxHttpBufferSize: getMaxMessageBytes(brainFiles)
 });
 
+/**
+ * Raise the Socket.IO message limit to fit the database brains (marketplace_agents)
+ * too - otherwise uploads within their attachment limits are silently dropped
+ */
+async function sizeSocketBuffer() {
+  let agents;
+  try {
+    agents = await getStorage().listAgents({ activeOnly: true });
+  } catch (error) {
+    console.error('⚠️  Could not size the socket buffer for database brains:', error.message);
+    return;
+  }
+
+  const maxBytes = getMaxMessageBytes([...brainFiles, ...agents.map(agent => agent.brain_config || {})]);
+  if (maxBytes > io.engine.opts.maxHttpBufferSize) {
+    io.engine.opts.maxHttpBufferSize = maxBytes;
+    // The WebSocket server takes its payload limit when it's created
+    io.engine.init();
+    console.log(`📦 Socket message limit raised to ${(maxBytes / 1024 / 1024).toFixed(1)} MB for database brains`);
+  }
+}
+
 const HTTP_PORT = process.env.BOT_SERVER_PORT || 3010;
-const ADMIN_USER_ID = process.env.ADMIN_USER_ID;
+
+// Socket.IO handshake must carry a valid token (socket.data.auth), and not one issued to a brain's tools
+io.use(authenticateSocket);
+io.use((socket, next) => {
+  if (socket.data.auth.brain) {
+    return next(new Error('Forbidden - this token is only for a brain\'s tools'));
+  }
+  next();
+});
 
 // Response queue for bot callbacks
 // Key: requestId, Value: { response, timestamp, resolved }
@@ -121,6 +197,7 @@ const responseQueue = new Map();
 // When a new agent is created by a workflow, broadcast to all connected clients
 workflowHandler.on('agent:created', (data) => {
   console.log(`📣 Broadcasting agent:created event for workflow ${data.workflowId}:`, data.agent?.slug);
+  sizeSocketBuffer();
   io.emit('agent:created', {
     workflowId: data.workflowId,
     agent: data.agent
@@ -136,23 +213,80 @@ function generateRequestId() {
   return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
-// POST /trigger-bot - Receive delegation from external sessions (VSCode, etc)
-app.post('/trigger-bot', async (req, res) => {
-  const { targetBot, task, messages, userId, waitForResponse, responseFormat } = req.body;
+// Resolve the userId an HTTP request acts as (the token's user; admins may
+// pass another). Sends 403 and returns null if the caller can't act as that user.
+function requestUserId(req, res, requestedUserId) {
+  const userId = resolveUserId(req.auth, requestedUserId);
+  if (userId === null) {
+    res.status(403).json({ error: 'Forbidden - cannot act as another user' });
+  }
+  return userId;
+}
+
+// Socket equivalent of requireScope(): emits errorEvent and returns false if missing
+function socketHasScope(socket, scope, errorEvent, context = {}) {
+  if (hasScope(socket.data.auth, scope)) {
+    return true;
+  }
+  socket.emit(errorEvent, { ...context, error: `Forbidden - requires '${scope}' scope` });
+  return false;
+}
+
+// A chat session belongs to the user whose messages it holds (admins may open any)
+function ownsSessionMessages(auth, messages) {
+  return hasScope(auth, 'admin') || messages.every(msg => String(msg.user_id) === String(auth.userId));
+}
+
+// Whether session metadata lists a Claude session (current or earlier)
+function metadataHasSession(metadata, sessionUuid) {
+  if (!metadata) return false;
+  return metadata.currentUuid === sessionUuid ||
+    (metadata.uuidHistory || []).some(entry => entry.uuid === sessionUuid);
+}
+
+// Workflows are only visible to the user who started them (and admins)
+async function canAccessWorkflow(auth, workflowId) {
+  if (hasScope(auth, 'admin')) return true;
+  const workflow = workflowHandler.getWorkflowStatus(workflowId) ||
+    await workflowHandler.loadWorkflowFromDatabase(workflowId);
+  // Unknown workflows fall through so handlers report "not found" as before
+  return !workflow || String(workflow.userId) === String(auth.userId);
+}
 
-  // Validate admin user
-  if (!ADMIN_USER_ID || String(userId) !== String(ADMIN_USER_ID)) {
-    return res.status(403).json({ error: 'Unauthorized - admin only' });
+// Express middleware: 403 unless the caller owns :workflowId
+async function requireWorkflowOwner(req, res, next) {
+  if (!await canAccessWorkflow(req.auth, req.params.workflowId)) {
+    return res.status(403).json({ error: 'Forbidden - workflow belongs to another user' });
   }
+  next();
+}
+
+// POST /trigger-bot - Receive delegation from external sessions (VSCode, etc)
+app.post('/trigger-bot', requireScope('admin'), async (req, res) => {
+  const { targetBot, task, messages, waitForResponse, responseFormat } = req.body;
+  const userId = requestUserId(req, res, req.body.userId);
+  if (userId === null) return;
 
   // Validate request
-  if (!targetBot || !task || !Array.isArray(messages)) {
+  if (!targetBot || !task || !Array.isArray(messages) || !userId) {
     return res.status(400).json({
       error: 'Invalid request',
       required: { targetBot: 'string', task: 'string', messages: 'array', userId: 'number' }
     });
   }
 
+  // Rate limit against the target bot (same quotas as chat traffic)
+  const targetBotInfo = manager.getBot(targetBot);
+  if (targetBotInfo) {
+    const rateLimit = manager.rateLimiter.consume(targetBot, userId, manager.getEffectiveBrain(targetBotInfo));
+    if (!rateLimit.allowed) {
+      return res.status(429).json({
+        error: manager.rateLimiter.formatMessage(rateLimit),
+        rateLimit
+      });
+    }
+  }
+
   try {
     // Generate request ID if waiting for response
     const requestId = waitForResponse ? generateRequestId() : null;
@@ -192,7 +326,7 @@ app.post('/trigger-bot', async (req, res) => {
 });
 
 // POST /callback/:requestId - Receive response from bot
-app.post('/callback/:requestId', async (req, res) => {
+app.post('/callback/:requestId', requireScope('admin'), async (req, res) => {
   const { requestId } = req.params;
   const { response, reasoning } = req.body;
 
@@ -210,7 +344,7 @@ app.post('/callback/:requestId', async (req, res) => {
 });
 
 // GET /response/:requestId - Poll for response (used by MCP tool)
-app.get('/response/:requestId', (req, res) => {
+app.get('/response/:requestId', requireScope('admin'), (req, res) => {
   const { requestId } = req.params;
   const result = responseQueue.get(requestId);
 
@@ -238,6 +372,49 @@ app.get('/response/:requestId', (req, res) => {
   });
 });
 
+// ========== Rate Limit Admin ==========
+
+// GET /admin/rate-limits - Inspect today's usage (?botId=&userId= optional)
+app.get('/admin/rate-limits', requireScope('admin'), (req, res) => {
+  const { botId, userId } = req.query;
+  res.json({
+    usage: manager.rateLimiter.listUsage({ botId, userId })
+  });
+});
+
+// POST /admin/rate-limits/reset - Reset usage for a user ({ userId, botId? })
+app.post('/admin/rate-limits/reset', requireScope('admin'), (req, res) => {
+  const { botId, userId } = req.body;
+  if (!userId) {
+    return res.status(400).json({ error: 'userId is required' });
+  }
+  const removed = manager.rateLimiter.reset(botId, userId);
+  res.json({ success: true, botId: botId || null, userId, removed });
+});
+
+// POST /admin/rate-limits/tier - Set a user's tier ({ userId, tier: 'free' | 'paid' | null })
+app.post('/admin/rate-limits/tier', requireScope('admin'), (req, res) => {
+  const { userId, tier } = req.body;
+  if (!userId || (tier !== null && !['free', 'paid'].includes(tier))) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      required: { userId: 'string', tier: "'free' | 'paid' | null" }
+    });
+  }
+  manager.rateLimiter.setTier(userId, tier);
+  res.json({ success: true, userId, tier: manager.rateLimiter.getTier(userId) });
+});
+
+// Telegram webhook endpoint (TELEGRAM_WEBHOOK=true) - Telegram posts each bot's updates here
+app.post('/telegram/:botId/webhook', (req, res) => {
+  const status = manager.handleTelegramWebhook(
+    req.params.botId,
+    req.get('X-Telegram-Bot-Api-Secret-Token'),
+    req.body
+  );
+  res.sendStatus(status);
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -250,12 +427,14 @@ app.get('/health', (req, res) => {
 
 // GET /sessions/:botId/:userId - Get session history for a bot+user
 app.get('/sessions/:botId/:userId', (req, res) => {
-  const { botId, userId } = req.params;
+  const { botId } = req.params;
   const { workspace } = req.query; // Optional workspace filter
+  const userId = requestUserId(req, res, req.params.userId);
+  if (userId === null) return;
 
   try {
     // Parse userId - use as-is if it's a string (anonymous), otherwise parseInt
-    const parsedUserId = userId.startsWith('anon-') ? userId : parseInt(userId);
+    const parsedUserId = String(userId).startsWith('anon-') ? userId : parseInt(userId);
 
     // Load current session metadata
     const metadata = manager.sessionManager.loadSessionMetadata(botId, parsedUserId);
@@ -286,7 +465,8 @@ app.get('/sessions/:botId/:userId', (req, res) => {
       createdAt: metadata.createdAt,
       updatedAt: metadata.updatedAt,
       isCurrent: true,
-      workspacePath: metadata.workspacePath || null
+      workspacePath: metadata.workspacePath || null,
+      continuesFrom: metadata.continuesFrom || null
     } : null;
 
     // Build history from uuidHistory
@@ -298,10 +478,14 @@ app.get('/sessions/:botId/:userId', (req, res) => {
         botId: botId,
         userId: parsedUserId,
         createdAt: entry.createdAt || entry.startedAt,
-        endedAt: entry.endedAt || entry.resetAt || entry.rotatedAt,
+        endedAt: entry.endedAt || entry.resetAt || entry.rotatedAt || entry.compactedAt,
         // Use per-UUID count if available, fallback to entry.messageCount for backwards compatibility
         messageCount: (metadata.uuidCounts && metadata.uuidCounts[entry.uuid]) || entry.messageCount || 0,
         reason: entry.reason || (entry.resetAt ? 'reset' : 'rotation'),
+        // Compacted sessions link to the session that carries on from their summary
+        summary: entry.summary || null,
+        continuesFrom: entry.continuesFrom || null,
+        continuedIn: entry.continuedIn || null,
         isCurrent: false
       }))
       .reverse(); // Most recent first
@@ -322,7 +506,9 @@ app.get('/sessions/:botId/:userId', (req, res) => {
 
 // POST /switch-session - Load a specific session
 app.post('/switch-session', (req, res) => {
-  const { botId, userId, sessionUuid } = req.body;
+  const { botId, sessionUuid } = req.body;
+  const userId = requestUserId(req, res, req.body.userId);
+  if (userId === null) return;
 
   if (!botId || !userId || !sessionUuid) {
     return res.status(400).json({
@@ -401,7 +587,9 @@ app.post('/switch-session', (req, res) => {
 
 // POST /new-session - Create a new session
 app.post('/new-session', (req, res) => {
-  const { botId, userId } = req.body;
+  const { botId } = req.body;
+  const userId = requestUserId(req, res, req.body.userId);
+  if (userId === null) return;
 
   if (!botId || !userId) {
     return res.status(400).json({
@@ -438,7 +626,7 @@ app.post('/new-session', (req, res) => {
 });
 
 // GET /all-sessions - List all session files from Claude projects folder
-app.get('/all-sessions', (req, res) => {
+app.get('/all-sessions', requireScope('files'), (req, res) => {
   const fs = require('fs');
   const path = require('path');
   const os = require('os');
@@ -510,6 +698,11 @@ app.get('/messages/:sessionUuid', async (req, res) => {
     // Load messages from database (new source of truth)
     const messages = await messageStore.loadMessages(sessionUuid, 1000);
 
+    // Only the session's owner (or an admin) may read it
+    if (!ownsSessionMessages(req.auth, messages)) {
+      return res.status(403).json({ error: 'Forbidden - session belongs to another user' });
+    }
+
     if (messages.length > 0) {
       // Transform to frontend format
       const formattedMessages = messages.map((msg) => ({
@@ -531,17 +724,25 @@ app.get('/messages/:sessionUuid', async (req, res) => {
     } else {
       // Fallback to Claude CLI files for sessions created before migration
       // This can be removed once all old sessions are migrated
-      let workspacePath = req.query.workspace;
       const botId = req.query.botId;
-      const userId = req.query.userId;
+      const userId = requestUserId(req, res, req.query.userId);
+      if (userId === null) return;
 
-      if (!workspacePath && botId && userId) {
-        const metadata = manager.sessionManager.loadSessionMetadata(botId, parseInt(userId));
-        if (metadata && metadata.workspacePath) {
-          workspacePath = metadata.workspacePath;
-        }
+      let metadata = null;
+      if (botId && userId) {
+        const parsedUserId = String(userId).startsWith('anon-') ? userId : parseInt(userId);
+        metadata = manager.sessionManager.loadSessionMetadata(botId, parsedUserId);
+      }
+
+      // CLI transcripts carry no owner - non-admins only get sessions their
+      // own metadata lists, from the workspace recorded there
+      const isAdmin = hasScope(req.auth, 'admin');
+      if (!isAdmin && !metadataHasSession(metadata, sessionUuid)) {
+        return res.status(404).json({ error: 'Session not found' });
       }
 
+      const workspacePath = (isAdmin && req.query.workspace) || metadata?.workspacePath;
+
       const legacyMessages = manager.readSessionMessages(sessionUuid, 1000, workspacePath);
 
       const formattedMessages = legacyMessages.map((msg, index) => ({
@@ -570,390 +771,228 @@ app.get('/messages/:sessionUuid', async (req, res) => {
   }
 });
 
-// WebSocket connection handling for UI
-io.on('connection', (socket) => {
-  console.log(`🔌 UI client connected: ${socket.id}`);
-
-  // Handle incoming messages from UI
-  socket.on('send-message', async (data) => {
-    const { botId, userId, message, workspacePath, sessionUuid: requestedSessionUuid } = data;
-    console.log(`📨 Message from UI for bot ${botId} (workspace: ${workspacePath})${requestedSessionUuid ? ` [session: ${requestedSessionUuid.substring(0, 8)}...]` : ''}:`, message);
-
-    try {
-      // Check if bot instance exists in manager
-      let botInfo = manager.bots.get(botId);
-
-      if (!botInfo) {
-        // Bot not loaded yet - load on-demand from bot instance
-        console.log(`🔄 Loading bot instance ${botId} on-demand from database`);
-
-        try {
-          // botId is now instance_slug - fetch the bot instance
-          const { createClient } = require('@supabase/supabase-js');
-          const supabase = createClient(
-            process.env.SUPABASE_URL,
-            process.env.SUPABASE_SERVICE_ROLE_KEY
-          );
-
-          // Fetch bot instance
-          const { data: instance, error: instanceError } = await supabase
-            .from('my_agents')
-            .select('*, agent:marketplace_agents(*)')
-            .eq('instance_slug', botId)
-            .single();
-
-          if (instanceError || !instance) {
-            console.error(`❌ Bot instance ${botId} not found:`, instanceError);
-            socket.emit('error', { message: `Bot instance ${botId} not found` });
-            return;
-          }
-
-          console.log(`✅ Found bot instance ${botId}, agent: ${instance.agent.slug}`);
-
-          // Merge agent brain_config with instance config_overrides
-          const mergedConfig = {
-            ...instance.agent.brain_config,
-            ...instance.config_overrides
-          };
-
-          // Add bot to manager with merged config
-          await manager.addBot({
-            id: botId, // Use instance_slug as botId
-            brain: instance.agent.slug, // Agent slug for brain loading
-            brainConfig: mergedConfig, // Pass merged config
-            webOnly: true
-          });
-
-          botInfo = manager.bots.get(botId);
-
-          if (!botInfo) {
-            console.error(`❌ Bot instance ${botId} not found in manager after loading`);
-            socket.emit('error', { message: `Bot instance ${botId} not found` });
-            return;
-          }
+// ========== Memories ==========
+// What a bot remembers about a user (lib/user-memory). Users manage their own
+// memories; the MCP router's memory tools call these with a token for the user,
+// issued for one brain.
 
-          console.log(`✅ Bot instance ${botId} loaded successfully`);
-        } catch (error) {
-          console.error(`❌ Failed to load bot instance ${botId}:`, error.message, error.stack);
-
-          let errorMessage = `Bot instance ${botId} not available`;
+function formatMemory(memory) {
+  return { id: memory.id, fact: memory.fact, source: memory.source, createdAt: memory.created_at };
+}
 
-          if (error.message && error.message.includes('not found')) {
-            errorMessage = `Bot instance ${botId} not found`;
-          } else if (error.message && error.message.includes('database')) {
-            errorMessage = 'Marketplace temporarily unavailable';
-          } else if (error.message) {
-            errorMessage = `Failed to load bot instance: ${error.message}`;
-          }
+// Express middleware: 403 if the token was issued to another brain's tools
+function requireMemoryBrain(req, res, next) {
+  if (req.auth.brain && req.auth.brain !== req.params.brain) {
+    return res.status(403).json({ error: `Forbidden - token is for brain '${req.auth.brain}'` });
+  }
+  next();
+}
 
-          socket.emit('error', { message: errorMessage });
-          return;
-        }
-      }
+// GET /memories/:brain/:userId?q=&limit= - List memories, or recall the ones matching q
+app.get('/memories/:brain/:userId', requireMemoryBrain, async (req, res) => {
+  const userId = requestUserId(req, res, req.params.userId);
+  if (userId === null) return;
 
-      // ========== Orchestrator Routing ==========
-      // If this is an orchestrator agent, route to workflow system instead of normal chat
-      // BUT still use the same session tracking so history persists
-      const isOrchestrator = botInfo.config?.brain === 'orchestrator' ||
-                              botInfo.config?.brainConfig?.isOrchestrator === true;
+  try {
+    const { brain } = req.params;
+    const memories = req.query.q
+      ? await userMemory.recall(brain, userId, req.query.q, parseInt(req.query.limit) || 10)
+      : (await userMemory.listMemories(brain, userId)).slice(0, parseInt(req.query.limit) || undefined);
 
-      if (isOrchestrator) {
-        console.log(`🎭 [${botId}] Orchestrator detected - routing to workflow system`);
+    res.json({ memories: memories.map(formatMemory) });
+  } catch (error) {
+    console.error('❌ Error listing memories:', error);
+    res.status(500).json({ error: 'Failed to list memories', details: error.message });
+  }
+});
 
-        // ========== ORCHESTRATOR SESSION MANAGEMENT ==========
-        // Same approach: we control session IDs, Claude's is just for --resume
-        let ourSessionId = requestedSessionUuid;
-        let isNewOrchestratorSession = false;
+// POST /memories/:brain/:userId - Remember a fact ({ fact })
+app.post('/memories/:brain/:userId', requireMemoryBrain, async (req, res) => {
+  const userId = requestUserId(req, res, req.params.userId);
+  if (userId === null) return;
 
-        if (!ourSessionId || ourSessionId === 'new') {
-          ourSessionId = messageStore.generateSessionId();
-          isNewOrchestratorSession = true;
-          console.log(`🆕 [${botId}] New orchestrator session ${ourSessionId.substring(0, 8)}... for user ${userId}`);
-        }
+  let result;
+  try {
+    result = await userMemory.rememberFact(req.params.brain, userId, req.body.fact, req.body.source === 'user' ? 'user' : 'tool');
+  } catch (error) {
+    // Invalid facts and full memory are the caller's to fix
+    return res.status(400).json({ error: error.message });
+  }
 
-        // Get CLI session ID for existing sessions
-        let cliSessionId = null;
-        if (!isNewOrchestratorSession) {
-          cliSessionId = await messageStore.getCliSessionId(ourSessionId);
-        }
+  res.status(result.created ? 201 : 200).json({ memory: formatMemory(result.memory), created: result.created });
+});
 
-        // ========== SAVE USER MESSAGE IMMEDIATELY ==========
-        await messageStore.saveUserMessage(ourSessionId, userId, botId, message, cliSessionId);
-        console.log(`💾 [${botId}] Saved orchestrator user message to DB BEFORE workflow`);
+// DELETE /memories/:brain/:userId/:memoryId - Forget one memory
+app.delete('/memories/:brain/:userId/:memoryId', requireMemoryBrain, async (req, res) => {
+  const userId = requestUserId(req, res, req.params.userId);
+  if (userId === null) return;
 
-        const logicalWorkspace = workspacePath || process.cwd();
+  try {
+    const forgotten = await userMemory.forget(req.params.brain, userId, { id: req.params.memoryId });
+    if (forgotten === 0) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
+    res.json({ forgotten });
+  } catch (error) {
+    console.error('❌ Error forgetting memory:', error);
+    res.status(500).json({ error: 'Failed to forget memory', details: error.message });
+  }
+});
 
-        try {
-          // Start workflow with the user's message as the goal
-          const result = await workflowHandler.startWorkflow({
-            userId,
-            goal: message,
-            sessionId: cliSessionId, // Pass CLI session for --resume (if exists)
-            onProgress: (type, progressData) => {
-              socket.emit('workflow:progress', { type, ...progressData });
-            }
-          });
+// DELETE /memories/:brain/:userId?q= - Forget the memories matching q, or all of them
+app.delete('/memories/:brain/:userId', requireMemoryBrain, async (req, res) => {
+  const userId = requestUserId(req, res, req.params.userId);
+  if (userId === null) return;
 
-          // Get CLI session ID from workflow result
-          const newCliSessionId = result.sessionId;
+  try {
+    const forgotten = await userMemory.forget(req.params.brain, userId, { query: req.query.q });
+    res.json({ forgotten });
+  } catch (error) {
+    console.error('❌ Error forgetting memories:', error);
+    res.status(500).json({ error: 'Failed to forget memories', details: error.message });
+  }
+});
 
-          // Link CLI session to our session
-          if (newCliSessionId && isNewOrchestratorSession) {
-            await messageStore.linkCliSession(ourSessionId, newCliSessionId);
-            cliSessionId = newCliSessionId;
-          }
+// ========== Knowledge Base ==========
+// Documents brains answer from (lib/knowledge-base). Every route needs the
+// 'knowledge' scope, except that reading a brain's knowledge base is also open
+// to the token its search_knowledge tool gets (issued for that brain).
 
-          // Update legacy session manager
-          manager.sessionManager.setCurrentUuid(botId, userId, ourSessionId, logicalWorkspace);
-          manager.sessionManager.incrementMessageCount(botId, userId, ourSessionId);
-          manager.sessionManager.incrementMessageCount(botId, userId, ourSessionId);
-
-          // Emit the appropriate event based on result status
-          if (result.status === 'needs_discovery') {
-            // Orchestrator needs more info before creating plan
-            socket.emit('workflow:discovery', {
-              workflowId: result.workflowId,
-              status: 'needs_discovery',
-              questions: result.questions,
-              message: result.message
-            });
-            console.log(`❓ [${botId}] Workflow needs discovery: ${result.workflowId}`);
-
-            const discoveryMessage = result.message || '❓ I need a bit more information to create a plan. Please answer the questions in the workflow panel.';
-
-            // Save workflow discovery message to database
-            await messageStore.saveWorkflowMessage(
-              ourSessionId, userId, botId, 'discovery',
-              { workflowId: result.workflowId, questions: result.questions },
-              discoveryMessage, cliSessionId
-            );
-            console.log(`💾 [${botId}] Saved workflow discovery message to DB`);
-
-            socket.emit('bot-message', {
-              botId,
-              userId,
-              message: discoveryMessage,
-              sessionUuid: ourSessionId,
-              hasAudio: false,
-              hasImages: false,
-              timestamp: Date.now()
-            });
-          } else if (result.status === 'needs_clarification') {
-            // Orchestrator needs single clarification
-            socket.emit('workflow:clarify', {
-              workflowId: result.workflowId,
-              status: 'needs_clarification',
-              question: result.question,
-              message: result.message
-            });
-            console.log(`❓ [${botId}] Workflow needs clarification: ${result.workflowId}`);
-
-            const clarifyMessage = result.message || result.question;
-
-            // Save workflow clarification message to database
-            await messageStore.saveWorkflowMessage(
-              ourSessionId, userId, botId, 'discovery',
-              { workflowId: result.workflowId, question: result.question },
-              clarifyMessage, cliSessionId
-            );
-            console.log(`💾 [${botId}] Saved workflow clarification message to DB`);
-
-            socket.emit('bot-message', {
-              botId,
-              userId,
-              message: clarifyMessage,
-              sessionUuid: ourSessionId,
-              hasAudio: false,
-              hasImages: false,
-              timestamp: Date.now()
-            });
-          } else {
-            // Regular plan created
-            socket.emit('workflow:planned', result);
-            console.log(`✅ [${botId}] Workflow plan created: ${result.workflowId}`);
-
-            const planMessage = `📋 **Workflow Plan Created**\n\nI've analyzed your goal and created a plan with ${result.plan?.steps?.length || 0} steps. Check the workflow panel to review and approve it.`;
-
-            // Save workflow plan message to database
-            await messageStore.saveWorkflowMessage(
-              ourSessionId, userId, botId, 'plan',
-              { workflowId: result.workflowId, plan: result.plan },
-              planMessage, cliSessionId
-            );
-            console.log(`💾 [${botId}] Saved workflow plan message to DB`);
-
-            socket.emit('bot-message', {
-              botId,
-              userId,
-              message: planMessage,
-              sessionUuid: ourSessionId,
-              hasAudio: false,
-              hasImages: false,
-              timestamp: Date.now()
-            });
-          }
+function requireKnowledgeReader(req, res, next) {
+  if (hasScope(req.auth, 'knowledge') || (req.auth.brain && req.auth.brain === req.params.brain)) {
+    return next();
+  }
+  res.status(403).json({ error: `Forbidden - requires 'knowledge' scope or a token for brain '${req.params.brain}'` });
+}
 
-        } catch (error) {
-          console.error(`❌ [${botId}] Workflow error:`, error);
-          socket.emit('workflow:error', { error: error.message });
+function formatDocument(document) {
+  return {
+    id: document.id,
+    name: document.name,
+    type: document.type,
+    title: document.title,
+    chunks: document.chunk_count,
+    createdAt: document.created_at,
+    updatedAt: document.updated_at
+  };
+}
 
-          const errorMessage = `❌ Error creating workflow plan: ${error.message}`;
+// GET /knowledge/:brain - List a brain's documents
+app.get('/knowledge/:brain', requireKnowledgeReader, (req, res) => {
+  try {
+    res.json({ documents: knowledgeBase.listDocuments(req.params.brain).map(formatDocument) });
+  } catch (error) {
+    console.error('❌ Error listing knowledge documents:', error);
+    res.status(500).json({ error: 'Failed to list documents', details: error.message });
+  }
+});
 
-          // Save workflow error message to database
-          // ourSessionId is always defined at this point (generated at start of orchestrator block)
-          await messageStore.saveWorkflowMessage(
-            ourSessionId, userId, botId, 'error',
-            { error: error.message },
-            errorMessage, cliSessionId
-          ).catch(e => console.error('Failed to save error message:', e));
+// GET /knowledge/:brain/search?q=&limit= - Best-matching passages, each with a citation
+app.get('/knowledge/:brain/search', requireKnowledgeReader, (req, res) => {
+  if (!req.query.q) {
+    return res.status(400).json({ error: 'q is required' });
+  }
 
-          socket.emit('bot-message', {
-            botId,
-            userId,
-            message: errorMessage,
-            sessionUuid: ourSessionId,
-            hasAudio: false,
-            hasImages: false,
-            timestamp: Date.now()
-          });
-        }
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+    res.json({ results: knowledgeBase.searchKnowledge(req.params.brain, req.query.q, limit) });
+  } catch (error) {
+    console.error('❌ Error searching knowledge base:', error);
+    res.status(500).json({ error: 'Failed to search knowledge base', details: error.message });
+  }
+});
 
-        return; // Skip normal chat flow (orchestrator handled above)
-      }
+// PUT /knowledge/:brain/documents/:name?type=&title= - Add or replace a document
+// The body is the document itself: markdown, text extracted from a PDF, or an FAQ CSV
+app.put('/knowledge/:brain/documents/:name', requireScope('knowledge'), express.text({ type: '*/*', limit: '20mb' }), (req, res) => {
+  if (typeof req.body !== 'string') {
+    return res.status(400).json({ error: 'Send the document as text (e.g. Content-Type: text/markdown)' });
+  }
 
-      // ========== NEW SESSION MANAGEMENT ==========
-      // We now control session IDs ourselves. Claude's session ID is just for --resume.
-      //
-      // requestedSessionUuid = OUR session UUID from frontend (for loading existing sessions)
-      // cliSessionId = Claude's session ID (stored in DB, used for --resume)
-
-      // Determine our session UUID
-      let ourSessionId = requestedSessionUuid;
-      let isNewSession = false;
-
-      if (!ourSessionId || ourSessionId === 'new') {
-        // New session: generate our own UUID
-        ourSessionId = messageStore.generateSessionId();
-        isNewSession = true;
-        console.log(`🆕 [${botId}] New session ${ourSessionId.substring(0, 8)}... for user ${userId}`);
-      } else {
-        console.log(`📝 [${botId}] Resuming session ${ourSessionId.substring(0, 8)}... for user ${userId}`);
-      }
+  let result;
+  try {
+    result = knowledgeBase.ingestDocument(req.params.brain, {
+      name: req.params.name,
+      content: req.body,
+      type: req.query.type,
+      title: req.query.title
+    });
+  } catch (error) {
+    // Unknown types and empty documents are the caller's to fix
+    return res.status(400).json({ error: error.message });
+  }
 
-      // Get CLI session ID for --resume (if this is an existing session)
-      let cliSessionId = null;
-      if (!isNewSession) {
-        cliSessionId = await messageStore.getCliSessionId(ourSessionId);
-        if (cliSessionId) {
-          console.log(`🔗 [${botId}] Found CLI session ${cliSessionId.substring(0, 8)}... for --resume`);
-        }
-      }
+  res.status(result.created ? 201 : 200).json({ document: formatDocument(result.document), created: result.created, changed: result.changed });
+});
 
-      // ========== SAVE USER MESSAGE IMMEDIATELY ==========
-      // This ensures the message is persisted even if Claude fails
-      await messageStore.saveUserMessage(ourSessionId, userId, botId, message, cliSessionId);
-      console.log(`💾 [${botId}] Saved user message to DB BEFORE calling Claude`);
-
-      // Build system prompt for new sessions
-      const brain = botInfo.brain;
-      let fullMessage;
-
-      if (isNewSession) {
-        // New session: include system prompt from brain
-        const systemPrompt = await manager.brainLoader.buildSystemPrompt(
-          botInfo.config.brain,
-          { id: userId, username: 'ui_user' } // Mock user object for UI
-        );
-        const securityReminder = await manager.brainLoader.getSecurityReminder(botInfo.config.brain);
-
-        // Debug: Log first 300 chars of system prompt
-        console.log(`🧠 [${botId}] System prompt preview: ${systemPrompt.substring(0, 300)}...`);
-
-        // Wrap user text in delimiters so we can extract it when reading logs
-        fullMessage = securityReminder
-          ? `${systemPrompt}\n\n---\n\n${securityReminder}\n\n<<<USER_TEXT_START>>>${message}<<<USER_TEXT_END>>>`
-          : `${systemPrompt}\n\n<<<USER_TEXT_START>>>${message}<<<USER_TEXT_END>>>`;
-      } else {
-        // Resumed session: just security reminder (if enabled)
-        const securityReminder = await manager.brainLoader.getSecurityReminder(botInfo.config.brain);
+// DELETE /knowledge/:brain/documents/:name - Remove a document
+app.delete('/knowledge/:brain/documents/:name', requireScope('knowledge'), (req, res) => {
+  try {
+    if (!knowledgeBase.deleteDocument(req.params.brain, req.params.name)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ deleted: true });
+  } catch (error) {
+    console.error('❌ Error deleting knowledge document:', error);
+    res.status(500).json({ error: 'Failed to delete document', details: error.message });
+  }
+});
 
-        // Wrap user text in delimiters so we can extract it when reading logs
-        fullMessage = securityReminder
-          ? `${securityReminder}\n\n<<<USER_TEXT_START>>>${message}<<<USER_TEXT_END>>>`
-          : `<<<USER_TEXT_START>>>${message}<<<USER_TEXT_END>>>`;
-      }
+// POST /knowledge/:brain/reindex - Rebuild a brain's index from its stored documents
+app.post('/knowledge/:brain/reindex', requireScope('knowledge'), (req, res) => {
+  try {
+    res.json(knowledgeBase.reindex(req.params.brain));
+  } catch (error) {
+    console.error('❌ Error re-indexing knowledge base:', error);
+    res.status(500).json({ error: 'Failed to re-index knowledge base', details: error.message });
+  }
+});
 
-      // Send to Claude directly (bypass Telegram)
-      const { sendToClaudeSession } = require('./lib/claude-client');
-
-      socket.emit('bot-thinking', { botId });
-
-      const result = await sendToClaudeSession({
-        message: fullMessage,
-        sessionId: cliSessionId, // Pass CLI session ID for --resume (null for new sessions)
-        claudeCmd: manager.claudeCmd,
-        // IMPORTANT: Always use process.cwd() for physical spawning (all instances share same directory)
-        // workspacePath is only for logical tracking/organization
-        workspacePath: process.cwd(),
-        // Stream chunks to frontend as they arrive
-        onStream: (chunk) => {
-          socket.emit('bot-chunk', {
-            botId,
-            userId,
-            chunk,
-            timestamp: Date.now()
-          });
-        }
-      });
+// WebSocket connection handling for UI
+io.on('connection', (socket) => {
+  console.log(`🔌 UI client connected: ${socket.id}`);
 
-      // Get Claude's CLI session ID from the response
-      const newCliSessionId = result.metadata?.sessionInfo?.sessionId;
+  // Chat goes through the shared conversation engine (see lib/channels)
+  const webChannel = new WebAdapter('web', (event, payload) => socket.emit(event, payload));
 
-      // Link CLI session ID to our session (for future --resume)
-      // Use !cliSessionId instead of isNewSession - we need to link whenever
-      // we get a CLI session from Claude and don't already have one linked
-      if (newCliSessionId && !cliSessionId) {
-        await messageStore.linkCliSession(ourSessionId, newCliSessionId);
-        cliSessionId = newCliSessionId;
-      }
+  // Handle incoming messages from UI
+  socket.on('send-message', async (data) => {
+    // attachments: optional [{ filename, contentType, url, key }] (uploaded via /assets/upload)
+    // or [{ filename, contentType, data }] with base64 data
+    const { botId, message, workspacePath, sessionUuid: requestedSessionUuid, attachments } = data;
+    const userId = resolveUserId(socket.data.auth, data.userId);
+    if (userId === null) {
+      socket.emit('error', { message: 'Forbidden - cannot act as another user' });
+      return;
+    }
+    console.log(`📨 Message from UI for bot ${botId} (workspace: ${workspacePath})${requestedSessionUuid ? ` [session: ${requestedSessionUuid.substring(0, 8)}...]` : ''}:`, message, attachments?.length ? `[${attachments.length} attachment(s)]` : '');
 
-      // Update legacy session manager (for backwards compatibility)
-      if (newCliSessionId) {
-        const logicalWorkspace = workspacePath || process.cwd();
-        manager.sessionManager.setCurrentUuid(botId, userId, ourSessionId, logicalWorkspace);
-        manager.sessionManager.incrementMessageCount(botId, userId, ourSessionId);
-        manager.sessionManager.incrementMessageCount(botId, userId, ourSessionId);
-      }
+    // Only the session's owner (or an admin) may continue it - resuming reads its history
+    if (requestedSessionUuid && requestedSessionUuid !== 'new' &&
+        !ownsSessionMessages(socket.data.auth, await messageStore.loadMessages(requestedSessionUuid, 1000))) {
+      console.warn(`🚫 User ${userId} tried to resume session ${requestedSessionUuid.substring(0, 8)}... of another user`);
+      socket.emit('error', { message: 'Forbidden - session belongs to another user' });
+      return;
+    }
 
-      if (result.success && result.text) {
-        // Save assistant message to database
-        await messageStore.saveAssistantMessage(ourSessionId, userId, botId, result.text, cliSessionId);
-        console.log(`💾 [${botId}] Saved assistant message to DB`);
-
-        // Send response back to UI (include OUR sessionUuid so frontend can use it)
-        socket.emit('bot-message', {
-          botId,
-          userId,
-          message: result.text,
-          sessionUuid: ourSessionId, // OUR session ID, not Claude's
-          hasAudio: false,  // REQUIRED by frontend BotMessage interface
-          hasImages: false, // REQUIRED by frontend BotMessage interface
-          timestamp: Date.now()
-        });
+    await manager.engine.handleMessage(webChannel, webChannel.normalize(data, userId));
+  });
 
-        console.log(`✅ [${botId}] Response sent to UI (${result.text.length} chars)`);
-      } else {
-        socket.emit('error', { message: 'Bot returned no response' });
-      }
-    } catch (error) {
-      console.error('❌ Error handling UI message:', error);
-      socket.emit('error', { message: error.message });
+  // Answer to a permission-request (tool approval) sent while a message is being handled
+  socket.on('permission-response', (data) => {
+    const userId = resolveUserId(socket.data.auth, data.userId);
+    const result = answerApproval(data.requestId, data.decision, userId);
+    if (result === 'expired') {
+      socket.emit('permission-resolved', { requestId: data.requestId, decision: 'expired' });
+    } else if (result === 'forbidden') {
+      socket.emit('error', { message: 'Forbidden - this permission request belongs to another user' });
     }
   });
 
   // Terminal handlers
   socket.on('terminal:create', (data) => {
     const { terminalId, cwd, cols, rows, botId } = data;
+    if (!socketHasScope(socket, 'terminal', 'terminal:error', { terminalId })) return;
     console.log(`🖥️  Create terminal request: ${terminalId}`);
 
     try {
@@ -1000,6 +1039,7 @@ io.on('connection', (socket) => {
 
   socket.on('terminal:input', (data) => {
     const { terminalId, data: inputData } = data;
+    if (!socketHasScope(socket, 'terminal', 'terminal:error', { terminalId })) return;
     try {
       terminalManager.write(terminalId, inputData);
     } catch (error) {
@@ -1010,6 +1050,7 @@ io.on('connection', (socket) => {
 
   socket.on('terminal:resize', (data) => {
     const { terminalId, cols, rows } = data;
+    if (!socketHasScope(socket, 'terminal', 'terminal:error', { terminalId })) return;
     try {
       terminalManager.resize(terminalId, cols, rows);
     } catch (error) {
@@ -1020,6 +1061,7 @@ io.on('connection', (socket) => {
 
   socket.on('terminal:kill', (data) => {
     const { terminalId } = data;
+    if (!socketHasScope(socket, 'terminal', 'terminal:error', { terminalId })) return;
     try {
       terminalManager.kill(terminalId);
 
@@ -1039,6 +1081,7 @@ io.on('connection', (socket) => {
   // Re-attach to existing terminal after reconnection
   socket.on('terminal:reattach', (data) => {
     const { terminalId, cwd, cols, rows, botId } = data;
+    if (!socketHasScope(socket, 'terminal', 'terminal:error', { terminalId })) return;
     console.log(`🔄 Re-attach terminal request: ${terminalId}`);
 
     try {
@@ -1097,7 +1140,13 @@ io.on('connection', (socket) => {
 
   // Start a new workflow with a user goal
   socket.on('workflow:start', async (data) => {
-    const { userId, goal } = data;
+    if (!socketHasScope(socket, 'workflows', 'workflow:error')) return;
+    const { goal } = data;
+    const userId = resolveUserId(socket.data.auth, data.userId);
+    if (!userId) {
+      socket.emit('workflow:error', { error: userId === null ? 'Forbidden - cannot act as another user' : 'userId is required' });
+      return;
+    }
     console.log(`🔄 [Workflow] Starting workflow for user ${userId}: "${goal.substring(0, 50)}..."`);
 
     try {
@@ -1120,7 +1169,13 @@ io.on('connection', (socket) => {
 
   // Approve and execute a workflow plan
   socket.on('workflow:approve', async (data) => {
-    const { workflowId, stepConfigs } = data;
+    if (!socketHasScope(socket, 'workflows', 'workflow:error')) return;
+    // maxParallel / onFailure optionally override the plan's scheduling settings
+    const { workflowId, stepConfigs, maxParallel, onFailure } = data;
+    if (!await canAccessWorkflow(socket.data.auth, workflowId)) {
+      socket.emit('workflow:error', { workflowId, error: 'Forbidden - workflow belongs to another user' });
+      return;
+    }
     console.log(`✅ [Workflow] User approved workflow: ${workflowId}`);
     if (stepConfigs?.length) {
       console.log(`   📋 With ${stepConfigs.length} action step config(s)`);
@@ -1132,7 +1187,7 @@ io.on('connection', (socket) => {
         (type, progressData) => {
           socket.emit('workflow:progress', { workflowId, type, ...progressData });
         },
-        { stepConfigs }
+        { stepConfigs, maxParallel, onFailure }
       );
 
       socket.emit('workflow:complete', result);
@@ -1146,7 +1201,12 @@ io.on('connection', (socket) => {
 
   // Resume a paused workflow with user input
   socket.on('workflow:resume', async (data) => {
+    if (!socketHasScope(socket, 'workflows', 'workflow:error')) return;
     const { workflowId, userInput } = data;
+    if (!await canAccessWorkflow(socket.data.auth, workflowId)) {
+      socket.emit('workflow:error', { workflowId, error: 'Forbidden - workflow belongs to another user' });
+      return;
+    }
     console.log(`🔄 [Workflow] Resuming workflow ${workflowId} with input`);
 
     try {
@@ -1171,8 +1231,13 @@ io.on('connection', (socket) => {
   });
 
   // Cancel a workflow
-  socket.on('workflow:cancel', (data) => {
+  socket.on('workflow:cancel', async (data) => {
+    if (!socketHasScope(socket, 'workflows', 'workflow:error')) return;
     const { workflowId } = data;
+    if (!await canAccessWorkflow(socket.data.auth, workflowId)) {
+      socket.emit('workflow:error', { workflowId, error: 'Forbidden - workflow belongs to another user' });
+      return;
+    }
     console.log(`🛑 [Workflow] Cancelling workflow: ${workflowId}`);
 
     workflowHandler.cancelWorkflow(workflowId);
@@ -1181,10 +1246,13 @@ io.on('connection', (socket) => {
 
   // Get workflow status
   socket.on('workflow:status', (data) => {
+    if (!socketHasScope(socket, 'workflows', 'workflow:error')) return;
     const { workflowId } = data;
     const status = workflowHandler.getWorkflowStatus(workflowId);
 
-    if (status) {
+    if (status && !hasScope(socket.data.auth, 'admin') && String(status.userId) !== String(socket.data.auth.userId)) {
+      socket.emit('workflow:error', { workflowId, error: 'Forbidden - workflow belongs to another user' });
+    } else if (status) {
       socket.emit('workflow:status', status);
     } else {
       socket.emit('workflow:error', { workflowId, error: 'Workflow not found' });
@@ -1195,8 +1263,8 @@ io.on('connection', (socket) => {
 
   // Create a new agent
   socket.on('agent:create', async (data) => {
+    if (!socketHasScope(socket, 'workflows', 'agent:error')) return;
     const {
-      userId,
       slug,
       name,
       description,
@@ -1206,6 +1274,11 @@ io.on('connection', (socket) => {
       inputSchema = null,
       outputSchema = null
     } = data;
+    const userId = resolveUserId(socket.data.auth, data.userId);
+    if (userId === null) {
+      socket.emit('agent:error', { error: 'Forbidden - cannot act as another user' });
+      return;
+    }
 
     console.log(`🤖 [Agent] Creating agent "${slug}" for user ${userId}`);
 
@@ -1249,7 +1322,12 @@ io.on('connection', (socket) => {
 
   // List agents for a user
   socket.on('agent:list', async (data) => {
-    const { userId } = data;
+    if (!socketHasScope(socket, 'workflows', 'agent:error')) return;
+    const userId = resolveUserId(socket.data.auth, data.userId);
+    if (userId === null) {
+      socket.emit('agent:error', { error: 'Forbidden - cannot act as another user' });
+      return;
+    }
 
     if (!userId) {
       socket.emit('agent:error', { error: 'userId is required' });
@@ -1427,182 +1505,23 @@ async function connectToProxy() {
             proxySocket.send(JSON.stringify({ event, data }));
           }
         };
+        const ideChannel = new WebAdapter('ide', sendToProxy, { useWorkspace: true, username: 'ide_user' });
 
         // Process messages directly (no Socket.IO clients exist in proxy mode)
         switch (eventType) {
           case 'chat:send':
           case 'send-message': {
-            const { botId, userId, message: userMessage, workspacePath, sessionUuid: requestedSessionUuid } = data;
+            const { botId, userId, message: userMessage, workspacePath } = data;
             console.log(`📨 Message from IDE for bot ${botId} (workspace: ${workspacePath}):`, userMessage);
 
-            try {
-              let botInfo = manager.bots.get(botId);
-
-              if (!botInfo) {
-                // Bot not loaded yet - load on-demand from Supabase
-                // IDE now sends instance_slug (same as Market mode)
-                console.log(`🔄 Loading bot instance ${botId} on-demand from database (IDE mode)`);
-
-                try {
-                  const { createClient } = require('@supabase/supabase-js');
-                  const supabaseUrl = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
-                  const supabase = createClient(
-                    supabaseUrl,
-                    process.env.SUPABASE_SERVICE_ROLE_KEY
-                  );
-
-                  // IDE now sends instance_slug (same as Market mode)
-                  const { data: instance, error: instanceError } = await supabase
-                    .from('my_agents')
-                    .select('*, agent:marketplace_agents(*)')
-                    .eq('instance_slug', botId)
-                    .single();
-
-                  if (instanceError || !instance) {
-                    console.error(`❌ Bot instance ${botId} not found:`, instanceError);
-                    sendToProxy('error', { message: `Bot instance ${botId} not found` });
-                    return;
-                  }
-
-                  console.log(`✅ Found bot instance ${botId}, agent: ${instance.agent?.slug || instance.instance_slug}`);
-
-                  // Merge agent brain_config with instance config_overrides
-                  const mergedConfig = {
-                    ...(instance.agent?.brain_config || {}),
-                    ...instance.config_overrides
-                  };
-
-                  // Add bot to manager with merged config
-                  await manager.addBot({
-                    id: botId,
-                    brain: instance.agent?.slug || instance.instance_slug,
-                    brainConfig: mergedConfig,
-                    webOnly: true
-                  });
-
-                  botInfo = manager.bots.get(botId);
-
-                  if (!botInfo) {
-                    console.error(`❌ Bot instance ${botId} not found in manager after loading`);
-                    sendToProxy('error', { message: `Bot instance ${botId} not found` });
-                    return;
-                  }
-
-                  console.log(`✅ Bot instance ${botId} loaded successfully (IDE mode)`);
-                } catch (loadError) {
-                  console.error(`❌ Failed to load bot instance ${botId}:`, loadError.message);
-                  sendToProxy('error', { message: `Failed to load bot: ${loadError.message}` });
-                  return;
-                }
-              }
-
-              // ========== SESSION MANAGEMENT (same as Market mode) ==========
-              let ourSessionId = requestedSessionUuid;
-              let isNewSession = false;
-
-              if (!ourSessionId || ourSessionId === 'new') {
-                ourSessionId = messageStore.generateSessionId();
-                isNewSession = true;
-                console.log(`🆕 [${botId}] New IDE session ${ourSessionId.substring(0, 8)}... for user ${userId}`);
-              } else {
-                console.log(`📝 [${botId}] Resuming IDE session ${ourSessionId.substring(0, 8)}... for user ${userId}`);
-              }
-
-              // Get CLI session ID for --resume (if existing session)
-              let cliSessionId = null;
-              if (!isNewSession) {
-                cliSessionId = await messageStore.getCliSessionId(ourSessionId);
-                if (cliSessionId) {
-                  console.log(`🔗 [${botId}] Found CLI session ${cliSessionId.substring(0, 8)}... for --resume`);
-                }
-              }
-
-              // ========== SAVE USER MESSAGE IMMEDIATELY ==========
-              await messageStore.saveUserMessage(ourSessionId, userId, botId, userMessage, cliSessionId);
-              console.log(`💾 [${botId}] Saved user message to DB BEFORE calling Claude`);
-
-              // Build system prompt for new sessions
-              let fullMessage;
-              if (isNewSession) {
-                const systemPrompt = await manager.brainLoader.buildSystemPrompt(
-                  botInfo.config.brain,
-                  { id: userId, username: 'ide_user' }
-                );
-                const securityReminder = await manager.brainLoader.getSecurityReminder(botInfo.config.brain);
-
-                fullMessage = securityReminder
-                  ? `${systemPrompt}\n\n---\n\n${securityReminder}\n\n<<<USER_TEXT_START>>>${userMessage}<<<USER_TEXT_END>>>`
-                  : `${systemPrompt}\n\n<<<USER_TEXT_START>>>${userMessage}<<<USER_TEXT_END>>>`;
-              } else {
-                const securityReminder = await manager.brainLoader.getSecurityReminder(botInfo.config.brain);
-                fullMessage = securityReminder
-                  ? `${securityReminder}\n\n<<<USER_TEXT_START>>>${userMessage}<<<USER_TEXT_END>>>`
-                  : `<<<USER_TEXT_START>>>${userMessage}<<<USER_TEXT_END>>>`;
-              }
-
-              // Send to Claude directly
-              const { sendToClaudeSession } = require('./lib/claude-client');
-
-              sendToProxy('bot-thinking', { botId });
-
-              const result = await sendToClaudeSession({
-                message: fullMessage,
-                sessionId: cliSessionId,  // Use CLI session ID for --resume
-                claudeCmd: manager.claudeCmd,
-                workspacePath: workspacePath || process.env.LABCART_WORKSPACE || process.cwd(),
-                // Stream chunks to frontend as they arrive
-                onStream: (chunk) => {
-                  sendToProxy('bot-chunk', {
-                    botId,
-                    userId,
-                    chunk,
-                    timestamp: Date.now()
-                  });
-                }
-              });
-
-              // Get Claude's CLI session ID from the response
-              const newCliSessionId = result.metadata?.sessionInfo?.sessionId;
-
-              // Link CLI session ID to our session (for future --resume)
-              // Use !cliSessionId instead of isNewSession - we need to link whenever
-              // we get a CLI session from Claude and don't already have one linked
-              if (newCliSessionId && !cliSessionId) {
-                await messageStore.linkCliSession(ourSessionId, newCliSessionId);
-                cliSessionId = newCliSessionId;
-              }
-
-              // Update legacy session manager (for backwards compatibility)
-              if (newCliSessionId) {
-                const logicalWorkspace = workspacePath || process.env.LABCART_WORKSPACE || process.cwd();
-                manager.sessionManager.setCurrentUuid(botId, userId, ourSessionId, logicalWorkspace);
-                manager.sessionManager.incrementMessageCount(botId, userId, ourSessionId);
-                manager.sessionManager.incrementMessageCount(botId, userId, ourSessionId);
-              }
-
-              if (result.success && result.text) {
-                // Save assistant message to database
-                await messageStore.saveAssistantMessage(ourSessionId, userId, botId, result.text, cliSessionId);
-                console.log(`💾 [${botId}] Saved assistant message to DB`);
-
-                // Send response back to UI (include OUR sessionUuid so frontend can use it)
-                sendToProxy('bot-message', {
-                  botId,
-                  userId,
-                  message: result.text,
-                  sessionUuid: ourSessionId,  // OUR session ID, not Claude's
-                  hasAudio: false,
-                  hasImages: false,
-                  timestamp: Date.now()
-                });
+            await manager.engine.handleMessage(ideChannel, ideChannel.normalize(data, userId));
+            break;
+          }
 
-                console.log(`✅ [${botId}] Response sent to IDE (${result.text.length} chars)`);
-              } else {
-                sendToProxy('error', { message: 'Bot returned no response' });
-              }
-            } catch (error) {
-              console.error('❌ Error handling IDE message:', error);
-              sendToProxy('error', { message: error.message });
+          case 'permission-response': {
+            const result = answerApproval(data.requestId, data.decision, data.userId);
+            if (result === 'expired') {
+              sendToProxy('permission-resolved', { requestId: data.requestId, decision: 'expired' });
             }
             break;
           }
@@ -1819,7 +1738,7 @@ async function registerServer(urlOverride) {
 }
 
 // Workspace folder resolution endpoint
-app.post('/resolve-workspace', async (req, res) => {
+app.post('/resolve-workspace', requireScope('files'), async (req, res) => {
   try {
     const { folderName } = req.body;
 
@@ -1877,7 +1796,7 @@ app.post('/resolve-workspace', async (req, res) => {
 });
 
 // Discover workspaces by reading Claude CLI session files (cwd field)
-app.get('/discover-workspaces', async (req, res) => {
+app.get('/discover-workspaces', requireScope('files'), async (req, res) => {
   try {
     const fs = require('fs');
     const path = require('path');
@@ -1998,7 +1917,7 @@ app.get('/discover-workspaces', async (req, res) => {
 });
 
 // List available workspaces in ~/labcart-projects/
-app.get('/list-workspaces', async (req, res) => {
+app.get('/list-workspaces', requireScope('files'), async (req, res) => {
   try {
     const fs = require('fs');
     const path = require('path');
@@ -2038,7 +1957,7 @@ app.get('/list-workspaces', async (req, res) => {
 });
 
 // Clone GitHub repository to ~/labcart-projects/
-app.post('/clone-repo', async (req, res) => {
+app.post('/clone-repo', requireScope('files'), async (req, res) => {
   try {
     const { repoUrl } = req.body;
 
@@ -2115,7 +2034,7 @@ app.post('/clone-repo', async (req, res) => {
 });
 
 // Workspace identification endpoint - creates/reads .labcart/workspace.json
-app.post('/workspace/identify', async (req, res) => {
+app.post('/workspace/identify', requireScope('files'), async (req, res) => {
   try {
     const { workspacePath } = req.body;
 
@@ -2200,7 +2119,7 @@ app.post('/workspace/identify', async (req, res) => {
 });
 
 // File system listing endpoint
-app.get('/files', (req, res) => {
+app.get('/files', requireScope('files'), (req, res) => {
   try {
     const workspacePath = req.query.workspace || process.cwd();
     const dirPath = req.query.path || workspacePath;
@@ -2236,7 +2155,7 @@ app.get('/files', (req, res) => {
 });
 
 // Create file or folder
-app.post('/create-file', express.json(), (req, res) => {
+app.post('/create-file', requireScope('files'), express.json(), (req, res) => {
   try {
     const { parentPath, name, type, workspace } = req.body;
     const workspacePath = workspace || process.cwd();
@@ -2275,7 +2194,7 @@ app.post('/create-file', express.json(), (req, res) => {
 });
 
 // Rename file or folder
-app.post('/rename-file', express.json(), (req, res) => {
+app.post('/rename-file', requireScope('files'), express.json(), (req, res) => {
   try {
     const { oldPath, newName, workspace } = req.body;
     const workspacePath = workspace || process.cwd();
@@ -2318,7 +2237,7 @@ app.post('/rename-file', express.json(), (req, res) => {
 });
 
 // Delete file or folder
-app.delete('/delete-file', express.json(), (req, res) => {
+app.delete('/delete-file', requireScope('files'), express.json(), (req, res) => {
   try {
     const { filePath, workspace } = req.body;
     const workspacePath = workspace || process.cwd();
@@ -2359,7 +2278,7 @@ app.delete('/delete-file', express.json(), (req, res) => {
 });
 
 // Copy/paste files
-app.post('/copy-file', express.json(), (req, res) => {
+app.post('/copy-file', requireScope('files'), express.json(), (req, res) => {
   try {
     const { sources, targetDir, operation, workspace } = req.body;
     const workspacePath = workspace || process.cwd();
@@ -2443,7 +2362,7 @@ app.post('/copy-file', express.json(), (req, res) => {
 });
 
 // File system watching endpoint (Server-Sent Events)
-app.get('/files/watch', (req, res) => {
+app.get('/files/watch', requireScope('files'), (req, res) => {
   const workspacePath = req.query.workspace || process.cwd();
   const dirPath = req.query.path || workspacePath;
 
@@ -2496,7 +2415,7 @@ app.get('/files/watch', (req, res) => {
 const r2Storage = require('./services/r2-storage');
 
 // POST /assets/upload - Upload a file to R2
-app.post('/assets/upload', express.raw({ type: '*/*', limit: '50mb' }), async (req, res) => {
+app.post('/assets/upload', requireScope('files'), express.raw({ type: '*/*', limit: '50mb' }), async (req, res) => {
   const { workflowId, filename, contentType } = req.query;
 
   if (!workflowId || !filename) {
@@ -2526,7 +2445,7 @@ app.post('/assets/upload', express.raw({ type: '*/*', limit: '50mb' }), async (r
 });
 
 // GET /assets/download - Get signed download URL for an asset
-app.get('/assets/download', async (req, res) => {
+app.get('/assets/download', requireScope('files'), async (req, res) => {
   const key = req.query.key;
 
   if (!key) {
@@ -2543,7 +2462,7 @@ app.get('/assets/download', async (req, res) => {
 });
 
 // POST /assets/presigned-upload - Get a presigned URL for direct upload
-app.post('/assets/presigned-upload', async (req, res) => {
+app.post('/assets/presigned-upload', requireScope('files'), async (req, res) => {
   const { workflowId, filename, contentType } = req.body;
 
   if (!workflowId || !filename) {
@@ -2570,7 +2489,7 @@ app.post('/assets/presigned-upload', async (req, res) => {
 });
 
 // DELETE /assets/delete - Delete an asset
-app.delete('/assets/delete', async (req, res) => {
+app.delete('/assets/delete', requireScope('files'), async (req, res) => {
   const key = req.query.key;
 
   if (!key) {
@@ -2589,8 +2508,10 @@ app.delete('/assets/delete', async (req, res) => {
 // ========== Workflow HTTP Endpoints ==========
 
 // POST /workflow/start - Start a new workflow
-app.post('/workflow/start', async (req, res) => {
-  const { userId, goal } = req.body;
+app.post('/workflow/start', requireScope('workflows'), async (req, res) => {
+  const { goal } = req.body;
+  const userId = requestUserId(req, res, req.body.userId);
+  if (userId === null) return;
 
   if (!userId || !goal) {
     return res.status(400).json({
@@ -2614,12 +2535,12 @@ app.post('/workflow/start', async (req, res) => {
 });
 
 // POST /workflow/:workflowId/approve - Approve and execute workflow
-app.post('/workflow/:workflowId/approve', async (req, res) => {
+app.post('/workflow/:workflowId/approve', requireScope('workflows'), requireWorkflowOwner, async (req, res) => {
   const { workflowId } = req.params;
-  const { stepConfigs } = req.body || {}; // Optional action step configurations
+  const { stepConfigs, maxParallel, onFailure } = req.body || {}; // Optional step configs and scheduling overrides
 
   try {
-    const result = await workflowHandler.executeWorkflow(workflowId, () => {}, { stepConfigs });
+    const result = await workflowHandler.executeWorkflow(workflowId, () => {}, { stepConfigs, maxParallel, onFailure });
     res.json(result);
   } catch (error) {
     console.error('❌ Workflow approve error:', error);
@@ -2628,7 +2549,7 @@ app.post('/workflow/:workflowId/approve', async (req, res) => {
 });
 
 // GET /workflow/:workflowId - Get workflow status
-app.get('/workflow/:workflowId', (req, res) => {
+app.get('/workflow/:workflowId', requireScope('workflows'), requireWorkflowOwner, (req, res) => {
   const { workflowId } = req.params;
   const status = workflowHandler.getWorkflowStatus(workflowId);
 
@@ -2640,7 +2561,7 @@ app.get('/workflow/:workflowId', (req, res) => {
 });
 
 // POST /workflow/:workflowId/cancel - Cancel a workflow
-app.post('/workflow/:workflowId/cancel', (req, res) => {
+app.post('/workflow/:workflowId/cancel', requireScope('workflows'), requireWorkflowOwner, (req, res) => {
   const { workflowId } = req.params;
 
   workflowHandler.cancelWorkflow(workflowId);
@@ -2648,7 +2569,7 @@ app.post('/workflow/:workflowId/cancel', (req, res) => {
 });
 
 // POST /workflow/:workflowId/respond - Respond to discovery/clarification questions
-app.post('/workflow/:workflowId/respond', async (req, res) => {
+app.post('/workflow/:workflowId/respond', requireScope('workflows'), requireWorkflowOwner, async (req, res) => {
   const { workflowId } = req.params;
   const { answers, answer } = req.body;
 
@@ -2672,9 +2593,8 @@ app.post('/workflow/:workflowId/respond', async (req, res) => {
 // ========== Agent Management HTTP Endpoints ==========
 
 // POST /agents/create - Create a new agent
-app.post('/agents/create', async (req, res) => {
+app.post('/agents/create', requireScope('workflows'), async (req, res) => {
   const {
-    userId,
     slug,
     name,
     description,
@@ -2684,6 +2604,8 @@ app.post('/agents/create', async (req, res) => {
     inputSchema = null,
     outputSchema = null
   } = req.body;
+  const userId = requestUserId(req, res, req.body.userId);
+  if (userId === null) return;
 
   // Validate required fields
   if (!userId || !slug || !name || !systemPrompt) {
@@ -2735,8 +2657,9 @@ app.post('/agents/create', async (req, res) => {
 });
 
 // GET /agents/:userId - List all agents for a user
-app.get('/agents/:userId', async (req, res) => {
-  const { userId } = req.params;
+app.get('/agents/:userId', requireScope('workflows'), async (req, res) => {
+  const userId = requestUserId(req, res, req.params.userId);
+  if (userId === null) return;
 
   try {
     const agents = await workflowHandler.getAvailableAgents(userId);
@@ -2748,7 +2671,7 @@ app.get('/agents/:userId', async (req, res) => {
 });
 
 // Bot sync endpoint - Sync bots from database to bots.json
-app.post('/sync-bots', async (req, res) => {
+app.post('/sync-bots', requireScope('admin'), async (req, res) => {
   try {
     const userId = process.env.USER_ID;
     const coordinationUrl = process.env.COORDINATION_URL?.replace('/register', '') || 'http://localhost:3000/api';
@@ -2781,6 +2704,9 @@ app.post('/sync-bots', async (req, res) => {
         workspace: bot.workspace || '/opt/lab/claude-bot',
         webOnly: bot.web_only,
         token: bot.telegram_token,
+        discordToken: bot.discord_token || undefined,
+        slackBotToken: bot.slack_bot_token || undefined,
+        slackAppToken: bot.slack_app_token || undefined,
         active: bot.active,
       }));
 
@@ -2807,12 +2733,16 @@ httpServer.listen(HTTP_PORT, async () => {
   console.log(`   POST /trigger-bot - External delegation endpoint`);
   console.log(`   POST /resolve-workspace - Workspace folder resolution`);
   console.log(`   GET  /health      - Health check`);
+  console.log(`   POST /telegram/:botId/webhook - Telegram updates (webhook mode)`);
+  console.log(`   GET  /admin/rate-limits - Inspect/reset rate limit usage (admin)`);
   console.log(`   POST /workflow/start - Start a workflow`);
   console.log(`   GET  /workflow/:id - Get workflow status`);
   console.log(`   POST /agents/create - Create a new agent`);
   console.log(`   GET  /agents/:userId - List agents for user`);
   console.log(`   WebSocket enabled for UI connections\n`);
 
+  await sizeSocketBuffer();
+
   // Recover any interrupted workflows from previous run
   try {
     await workflowHandler.recoverInterruptedWorkflows();
@@ -2835,6 +2765,7 @@ httpServer.listen(HTTP_PORT, async () => {
 
       // Re-register with new URL
       await registerServer(newUrl);
+      await manager.configureTelegramWebhooks(newUrl);
 
       // Force reconnect proxy with new URL
       forceReconnectProxy();
@@ -2849,6 +2780,7 @@ httpServer.listen(HTTP_PORT, async () => {
       // Fall back to .env URL if tunnel manager fails
       registerServer();
       connectToProxy();
+      manager.configureTelegramWebhooks(process.env.SERVER_URL);
     });
 
     // Start the tunnel
@@ -2863,6 +2795,7 @@ httpServer.listen(HTTP_PORT, async () => {
       // Proceed with registration anyway (will use .env fallback)
       await registerServer();
       await connectToProxy();
+      await manager.configureTelegramWebhooks(process.env.SERVER_URL);
     }
   } else {
     // Local development or SKIP_TUNNEL_MANAGER=true
@@ -2875,6 +2808,9 @@ httpServer.listen(HTTP_PORT, async () => {
 
     // Connect to WebSocket proxy for remote IDE connections
     await connectToProxy();
+
+    // Telegram webhooks need a public URL - local development without one polls
+    await manager.configureTelegramWebhooks(process.env.SERVER_URL);
   }
 });
 
@@ -19,7 +19,7 @@ import { fileURLToPath } from 'url';
 /**
  * Upload a file to R2 storage via HTTP endpoint
  * @param {string} localPath - Path to the local file
- * @param {object} r2Config - R2 configuration { upload_url, user_id, workflow_id }
+ * @param {object} r2Config - R2 configuration { upload_url, upload_token, user_id, workflow_id }
  * @returns {Promise<{r2_url: string, r2_key: string} | null>} R2 result or null on failure
  */
 async function uploadToR2(localPath, r2Config) {
@@ -51,9 +51,14 @@ async function uploadToR2(localPath, r2Config) {
 
     console.log(`   ☁️  Uploading to R2: ${filename}`);
 
+    const headers = { 'Content-Type': contentType };
+    if (r2Config.upload_token) {
+      headers.Authorization = `Bearer ${r2Config.upload_token}`;
+    }
+
     const response = await fetch(uploadUrl, {
       method: 'POST',
-      headers: { 'Content-Type': contentType },
+      headers,
       body: fileContent
     });
 
@@ -0,0 +1,28 @@
+-- Keep every attempt of a workflow step (retries, fallback agents) as its own row.
+-- workflow_steps was keyed by (workflow_id, step_num), so each retry overwrote the last.
+
+alter table public.workflow_steps
+  add column if not exists attempt integer not null default 1;
+
+-- Drop the old (workflow_id, step_num) key, whatever it is called
+do $$
+declare
+  old_key text;
+begin
+  for old_key in
+    select c.conname
+    from pg_constraint c
+    where c.conrelid = 'public.workflow_steps'::regclass
+      and c.contype in ('p', 'u')
+      and (
+        select array_agg(a.attname::text order by a.attname)
+        from unnest(c.conkey) as k(attnum)
+        join pg_attribute a on a.attrelid = c.conrelid and a.attnum = k.attnum
+      ) = array['step_num', 'workflow_id']
+  loop
+    execute format('alter table public.workflow_steps drop constraint %I', old_key);
+  end loop;
+end $$;
+
+alter table public.workflow_steps
+  add constraint workflow_steps_workflow_step_attempt_key unique (workflow_id, step_num, attempt);
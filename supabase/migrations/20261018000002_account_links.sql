@@ -0,0 +1,12 @@
+-- Links a channel user (Telegram, Slack, Discord, ...) to a LabCart account,
+-- so the same person keeps one identity across channels.
+
+create table if not exists public.account_links (
+  channel text not null,
+  channel_user_id text not null,
+  account_id text not null,
+  created_at timestamptz not null default now(),
+  primary key (channel, channel_user_id)
+);
+
+create index if not exists idx_account_links_account on public.account_links (account_id);
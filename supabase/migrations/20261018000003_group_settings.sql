@@ -0,0 +1,11 @@
+-- Settings admins change with /group in Telegram group chats (answering on/off,
+-- rate limits, instructions), one row per (channel, chat).
+
+create table if not exists public.group_settings (
+  channel text not null,
+  chat_id text not null,
+  settings jsonb not null default '{}'::jsonb,
+  updated_by text,
+  updated_at timestamptz not null default now(),
+  primary key (channel, chat_id)
+);
@@ -0,0 +1,13 @@
+-- Long-term facts a brain remembers about a user (remember_fact, /memory),
+-- scoped to one (brain, user).
+
+create table if not exists public.user_memories (
+  id uuid primary key default gen_random_uuid(),
+  brain text not null,
+  user_id text not null,
+  fact text not null,
+  source text not null default 'tool',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_user_memories_owner on public.user_memories (brain, user_id);
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Test script for brain-declared bot commands
+ *
+ * Runs Telegram bots against a local mock of the Bot API, with a fake Claude
+ * CLI and a stand-in workflow handler, so no Telegram or Anthropic
+ * credentials are needed.
+ *
+ * Tests:
+ * 1. Brains without commands get the default menu
+ * 2. Declared commands make up the menu and /help
+ * 3. Prompt commands send their template to Claude
+ * 4. Built-in actions run, and undeclared commands are unknown
+ * 5. Workflow commands start a workflow
+ * 6. Invalid command declarations are brain errors
+ *
+ * Usage:
+ *   node test-bot-commands.js
+ */
+
+const {
+  test,
+  assert,
+  waitFor,
+  runTests,
+  setupTestDir,
+  createFakeClaude,
+  startMockBotApi
+} = require('./test-helpers');
+
+const DEFAULT_TOKEN = '555:default-token';
+const COMMANDS_TOKEN = '556:commands-token';
+const ALICE = { id: 4001, first_name: 'Alice', username: 'alice' };
+const PRIVATE_CHAT = { id: ALICE.id, type: 'private', first_name: 'Alice' };
+
+const COMMANDS = [
+  { name: 'restart', action: 'restart' },
+  { name: 'summary', description: 'Summarise our chat', prompt: 'Summarise our chat. {{args}}' },
+  { name: 'plan', description: 'Plan a project', workflow: 'Plan this project: {{args}}' },
+  { name: 'secret', prompt: 'Tell me a secret', hidden: true }
+];
+
+setupTestDir('commands');
+
+// Fake Claude CLI: records the prompt, answers "Hello there"
+const claude = createFakeClaude();
+
+const BotManager = require('./lib/bot-manager');
+const { validateBrainConfig } = require('./lib/brain-schema');
+
+console.log('=== Bot Command Tests ===\n');
+
+// ========== Mock Bot API ==========
+
+let api;
+
+function menus(token) {
+  return api.callsTo('setMyCommands', token)
+    .map(call => ({
+      scope: call.params.scope ? JSON.parse(call.params.scope).type : 'default',
+      commands: JSON.parse(call.params.commands).map(command => command.command).join(',')
+    }));
+}
+
+/**
+ * Send a private message to one bot and wait for a reply starting with `expected`
+ */
+function send(token, text, expected = '') {
+  return api.sendText(ALICE, PRIVATE_CHAT, text, { expected, token });
+}
+
+// ========== Tests ==========
+
+runTests(async () => {
+  api = await startMockBotApi();
+
+  const goals = [];
+  const workflowHandler = {
+    startWorkflow: async ({ goal }) => {
+      goals.push(goal);
+      return { status: 'planned', workflowId: 'wf-1', plan: { steps: [{}, {}] } };
+    }
+  };
+
+  const manager = new BotManager({ claudeCmd: claude.cmd, workflowHandler });
+  await manager.addBot({ id: 'defaultbot', token: DEFAULT_TOKEN, brain: 'echo-agent' });
+  await manager.addBot({ id: 'commandbot', token: COMMANDS_TOKEN, brain: 'echo-agent', brainConfig: { commands: COMMANDS } });
+
+  await test('Gives brains without commands the default menu', async () => {
+    const [privateMenu, groupMenu] = await waitFor(() => menus(DEFAULT_TOKEN).length === 2 && menus(DEFAULT_TOKEN));
+    assert(privateMenu.scope === 'default' && privateMenu.commands === 'help,tts,stats,link', `Unexpected menu: ${privateMenu.commands}`);
+    assert(groupMenu.scope === 'all_group_chats' && groupMenu.commands === 'help,tts,stats,group', `Unexpected group menu: ${groupMenu.commands}`);
+
+    const help = await send(DEFAULT_TOKEN, '/help');
+    assert(help.includes('/tts - Toggle voice/text mode'), 'Help should list the defaults');
+    assert(!help.includes('/team'), 'Hidden commands stay out of /help');
+  });
+
+  await test('Builds the menu and /help from declared commands', async () => {
+    const [privateMenu, groupMenu] = await waitFor(() => menus(COMMANDS_TOKEN).length === 2 && menus(COMMANDS_TOKEN));
+    assert(privateMenu.commands === 'restart,summary,plan', `Unexpected menu: ${privateMenu.commands}`);
+    assert(groupMenu.commands === 'restart,summary,plan,group', `Unexpected group menu: ${groupMenu.commands}`);
+
+    const help = await send(COMMANDS_TOKEN, '/start');
+    assert(help.includes('/summary - Summarise our chat'), 'Help should use the declared description');
+    assert(help.includes('/restart - Start fresh conversation'), 'Built-ins get a default description');
+    assert(!help.includes('/secret') && !help.includes('/tts'), 'Help should only list declared, visible commands');
+  });
+
+  await test('Sends prompt commands to Claude', async () => {
+    await send(COMMANDS_TOKEN, '/summary just the decisions', 'Hello there');
+    assert(claude.readPrompt().includes('<<<USER_TEXT_START>>>Summarise our chat. just the decisions<<<USER_TEXT_END>>>'),
+      'Template should be filled in');
+
+    await send(COMMANDS_TOKEN, '/secret', 'Hello there');
+    assert(claude.readPrompt().includes('<<<USER_TEXT_START>>>Tell me a secret<<<USER_TEXT_END>>>'), 'Hidden commands still work');
+  });
+
+  await test('Runs built-in actions and rejects undeclared commands', async () => {
+    await send(COMMANDS_TOKEN, '/restart', '🔄 Conversation restarted!');
+    assert(manager.sessionManager.getCurrentUuid('commandbot', ALICE.id) === null, 'Should reset the session');
+    await send(COMMANDS_TOKEN, '/tts', '❓ Unknown command');
+    await send(DEFAULT_TOKEN, '/restart', '❓ Unknown command');
+  });
+
+  await test('Starts workflows from workflow commands', async () => {
+    const reply = await send(COMMANDS_TOKEN, '/plan a product launch', '📋');
+    assert(goals[0] === 'Plan this project: a product launch', `Unexpected goal: ${goals[0]}`);
+    assert(reply.includes('Workflow plan created with 2 steps'), `Unexpected reply: ${reply}`);
+  });
+
+  await test('Reports invalid command declarations', async () => {
+    const { errors } = validateBrainConfig({
+      systemPrompt: 'Test',
+      commands: [{ name: 'both', prompt: 'a', workflow: 'b' }, { name: 'x', action: 'fly' }]
+    });
+    assert(errors.includes('commands[0] must have exactly one of: action, prompt, workflow'), `Unexpected errors: ${errors}`);
+    assert(errors.some(error => error.startsWith('commands[1].action must be one of')), 'Unknown actions are errors');
+  });
+
+  await manager.stopAll();
+  api.close();
+});
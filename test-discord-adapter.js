@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * Test script for the Discord channel adapter
+ *
+ * Runs a bot against a local mock of the Discord Gateway and REST API, with
+ * a fake Claude CLI, so no Discord or Anthropic credentials are needed.
+ *
+ * Tests:
+ * 1. Gateway identify and slash command registration
+ * 2. Direct messages get a reply (status message, then the reply) and a session
+ * 3. Server channel messages are only answered when the bot is mentioned
+ * 4. /tts and /stats slash commands
+ *
+ * Usage:
+ *   node test-discord-adapter.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+const BOT_USER = { id: '900000000000000001', username: 'labbot', bot: true };
+const DISCORD_TOKEN = 'test-discord-token';
+const FAKE_SESSION_ID = '11111111-2222-3333-4444-555555555555';
+
+// Sessions, rate limits and storage are written relative to the working directory
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'labcart-discord-test-'));
+process.chdir(tmpDir);
+process.env.TELEGRAM_ENABLED = 'false';
+process.env.BRAIN_HOT_RELOAD = 'false';
+process.env.STORAGE_BACKEND = 'sqlite';
+
+// Fake Claude CLI: answers every prompt with a streamed "Hello there"
+const fakeClaude = path.join(tmpDir, 'fake-claude');
+fs.writeFileSync(fakeClaude, `#!/bin/sh
+cat > /dev/null
+echo '{"type":"system","session_id":"${FAKE_SESSION_ID}"}'
+echo '{"type":"assistant","message":{"content":[{"type":"text","text":"Hello "}]}}'
+echo '{"type":"assistant","message":{"content":[{"type":"text","text":"there"}]}}'
+echo '{"type":"result","duration_ms":5,"result":"Hello there"}'
+`, { mode: 0o755 });
+
+const BotManager = require('./lib/bot-manager');
+
+console.log('=== Discord Adapter Tests ===\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    const result = predicate();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+// ========== Mock Discord ==========
+
+const requests = []; // { method, route, body }
+const identifies = [];
+let gatewaySocket = null;
+let sequence = 0;
+let nextMessageId = 1;
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const route = req.url.replace(/^\/api/, '');
+    let body = null;
+    if (raw && req.headers['content-type']?.startsWith('application/json')) {
+      body = JSON.parse(raw);
+    }
+    requests.push({ method: req.method, route, body, auth: req.headers.authorization });
+
+    const json = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.method === 'GET' && route === '/gateway/bot') {
+      return json(200, { url: `ws://127.0.0.1:${server.address().port}/gateway` });
+    }
+    if (req.method === 'POST' && /^\/channels\/[^/]+\/messages$/.test(route)) {
+      return json(200, { id: `sent-${nextMessageId++}`, ...body });
+    }
+    if (req.method === 'PATCH') {
+      return json(200, body);
+    }
+    if (req.method === 'PUT') {
+      return json(200, body);
+    }
+    res.writeHead(204);
+    res.end();
+  });
+});
+
+const gateway = new WebSocketServer({ server, path: '/gateway' });
+gateway.on('connection', (socket) => {
+  gatewaySocket = socket;
+  socket.send(JSON.stringify({ op: 10, d: { heartbeat_interval: 45000 } }));
+
+  socket.on('message', (raw) => {
+    const { op, d } = JSON.parse(raw.toString());
+    if (op === 1) {
+      socket.send(JSON.stringify({ op: 11 }));
+    } else if (op === 2) {
+      identifies.push(d);
+      dispatch('READY', { user: BOT_USER, application: { id: BOT_USER.id }, session_id: 'mock-session' });
+    }
+  });
+});
+
+function dispatch(type, data) {
+  gatewaySocket.send(JSON.stringify({ op: 0, t: type, s: ++sequence, d: data }));
+}
+
+function discordMessage(id, fields) {
+  return {
+    id,
+    author: { id: '111', username: 'alice' },
+    mentions: [],
+    attachments: [],
+    ...fields
+  };
+}
+
+function channelRequests(channelId) {
+  return requests.filter(r => r.route.startsWith(`/channels/${channelId}/`));
+}
+
+// ========== Tests ==========
+
+async function run() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.DISCORD_API_URL = `http://127.0.0.1:${server.address().port}/api`;
+
+  const manager = new BotManager({ claudeCmd: fakeClaude });
+  await manager.addBot({ id: 'discordbot', discordToken: DISCORD_TOKEN, brain: 'echo-agent' });
+
+  await test('Identifies with the bot token and registers slash commands', async () => {
+    await waitFor(() => identifies.length > 0);
+    assert(identifies[0].token === DISCORD_TOKEN, 'Should identify with the Discord token');
+
+    const commands = await waitFor(() => requests.find(r => r.method === 'PUT'));
+    assert(commands.route === `/applications/${BOT_USER.id}/commands`, 'Should register application commands');
+    assert(commands.body.map(c => c.name).join(',') === 'help,tts,stats', 'Should mirror /help, /tts and /stats');
+    assert(commands.auth === `Bot ${DISCORD_TOKEN}`, 'REST calls should use the bot token');
+  });
+
+  await test('Replies to direct messages', async () => {
+    dispatch('MESSAGE_CREATE', discordMessage('dm-1', { channel_id: 'dm', content: 'hello' }));
+
+    const reply = await waitFor(() => channelRequests('dm').find(r => r.body?.content === 'Hello there'));
+    assert(reply.body.message_reference?.message_id === 'dm-1', 'Reply should reference the user message');
+
+    const status = channelRequests('dm').find(r => r.body?.content === '⏳ Thinking...');
+    assert(status, 'Should post a status message');
+    assert(channelRequests('dm').some(r => r.method === 'DELETE'), 'Should delete the status message');
+    assert(
+      manager.sessionManager.getCurrentUuid('discordbot', '111') === FAKE_SESSION_ID,
+      'Should map the Discord user to the Claude session'
+    );
+  });
+
+  await test('Only answers server messages that mention the bot', async () => {
+    dispatch('MESSAGE_CREATE', discordMessage('g-1', { channel_id: 'guild', guild_id: 'g', content: 'hello all' }));
+    dispatch('MESSAGE_CREATE', discordMessage('g-2', {
+      channel_id: 'guild',
+      guild_id: 'g',
+      author: { id: '222', username: 'otherbot', bot: true },
+      content: `<@${BOT_USER.id}> hi`,
+      mentions: [BOT_USER]
+    }));
+    dispatch('MESSAGE_CREATE', discordMessage('g-3', {
+      channel_id: 'guild',
+      guild_id: 'g',
+      content: `<@${BOT_USER.id}> hi`,
+      mentions: [BOT_USER]
+    }));
+
+    const reply = await waitFor(() => channelRequests('guild').find(r => r.body?.content === 'Hello there'));
+    assert(reply.body.message_reference?.message_id === 'g-3', 'Should answer the mention only');
+    const replies = channelRequests('guild').filter(r => r.body?.message_reference && r.body.message_reference.message_id !== 'g-3');
+    assert(replies.length === 0, 'Should ignore unmentioned and bot messages');
+  });
+
+  await test('Handles /tts and /stats slash commands', async () => {
+    const interaction = (id, name) => ({ id, token: `${id}-token`, type: 2, data: { name }, user: { id: '111' } });
+
+    dispatch('INTERACTION_CREATE', interaction('i-1', 'tts'));
+    const tts = await waitFor(() => requests.find(r => r.route === '/interactions/i-1/i-1-token/callback'));
+    assert(tts.body.type === 4 && tts.body.data.flags === 64, 'Should reply ephemerally');
+    assert(tts.body.data.content === '🎙️ Speech Mode Activated', 'Should toggle TTS on');
+    assert(manager.sessionManager.getTtsPreference('discordbot', '111') === true, 'Should save the preference');
+
+    dispatch('INTERACTION_CREATE', interaction('i-2', 'stats'));
+    const stats = await waitFor(() => requests.find(r => r.route === '/interactions/i-2/i-2-token/callback'));
+    assert(stats.body.data.content.includes('Conversation Stats'), 'Should show stats for the user');
+  });
+
+  await manager.stopAll();
+  gateway.close();
+  server.close();
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Test run failed:', err);
+    failed++;
+  })
+  .finally(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    // ========== Summary ==========
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+    console.log(`Total: ${passed + failed}`);
+
+    if (failed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✅ All tests passed!\n');
+      process.exit(0);
+    }
+  });
@@ -9,7 +9,7 @@
  */
 
 require('dotenv').config();
-const supabase = require('./lib/supabase-client');
+const { getStorage } = require('./lib/storage');
 const BrainLoader = require('./lib/brain-loader');
 
 const TEST_SLUG = `test-dynamic-agent-${Date.now()}`;
@@ -26,9 +26,9 @@ async function runTest() {
   console.log('\n1. Creating agent in database...');
   console.log(`   Slug: ${TEST_SLUG}`);
 
-  const { data: created, error: createError } = await supabase
-    .from('marketplace_agents')
-    .insert({
+  let created;
+  try {
+    created = await getStorage().createAgent({
       slug: TEST_SLUG,
       name: 'Test Dynamic Agent',
       short_description: 'A test agent for verifying dynamic loading',
@@ -45,11 +45,8 @@ async function runTest() {
         capabilities: ['text'],
         security: false
       }
-    })
-    .select()
-    .single();
-
-  if (createError) {
+    });
+  } catch (createError) {
     console.error('   ❌ FAILED to create agent:', createError.message);
     process.exit(1);
   }
@@ -60,14 +57,10 @@ async function runTest() {
   // Step 2: Verify brain_config is set
   console.log('\n2. Verifying brain_config in database...');
 
-  const { data: fetched, error: fetchError } = await supabase
-    .from('marketplace_agents')
-    .select('*')
-    .eq('slug', TEST_SLUG)
-    .single();
+  const fetched = await getStorage().getAgent(TEST_SLUG);
 
-  if (fetchError || !fetched) {
-    console.error('   ❌ FAILED to fetch agent:', fetchError?.message);
+  if (!fetched) {
+    console.error('   ❌ FAILED to fetch agent');
     await cleanup();
     process.exit(1);
   }
@@ -168,15 +161,11 @@ async function runTest() {
 
   async function cleanup() {
     console.log('\n[Cleanup] Removing test agent...');
-    const { error } = await supabase
-      .from('marketplace_agents')
-      .delete()
-      .eq('slug', TEST_SLUG);
-
-    if (error) {
-      console.log('   Warning: cleanup failed:', error.message);
-    } else {
+    try {
+      await getStorage().deleteAgent(TEST_SLUG);
       console.log('   Test agent removed');
+    } catch (error) {
+      console.log('   Warning: cleanup failed:', error.message);
     }
   }
 }
@@ -10,7 +10,7 @@
 
 require('dotenv').config();
 const WorkflowHandler = require('./lib/workflow-handler');
-const supabase = require('./lib/supabase-client');
+const { getStorage } = require('./lib/storage');
 
 const TEST_USER_ID = `e2e-test-${Date.now()}`;
 
@@ -98,11 +98,7 @@ then use that agent to translate this phrase: "Hello, the weather is nice today"
       console.log(`\n✅ Dynamic agent was created: ${createdAgentSlug}`);
 
       // Verify it exists in DB
-      const { data: agent } = await supabase
-        .from('marketplace_agents')
-        .select('slug, name, brain_config')
-        .eq('slug', createdAgentSlug)
-        .single();
+      const agent = await getStorage().getAgent(createdAgentSlug);
 
       if (agent) {
         console.log(`   Agent exists in DB: ✅`);
@@ -150,7 +146,7 @@ then use that agent to translate this phrase: "Hello, the weather is nice today"
     // Cleanup
     if (createdAgentSlug) {
       console.log('\n[Cleanup] Removing test agent...');
-      await supabase.from('marketplace_agents').delete().eq('slug', createdAgentSlug);
+      await getStorage().deleteAgent(createdAgentSlug);
     }
 
     if (allPassed) {
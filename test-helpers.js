@@ -0,0 +1,333 @@
+/**
+ * Shared scaffolding for the bot test scripts (test-telegram-*.js,
+ * test-reply-markup.js, test-user-memory.js, ...)
+ *
+ * Each script runs a real BotManager in a temp working directory against a
+ * local mock of the Telegram Bot API (TELEGRAM_API_URL) and a fake Claude CLI
+ * (a shell script printing stream-json), so no Telegram or Anthropic
+ * credentials are needed. Scripts keep only their scenario: the fake CLI's
+ * behaviour, any extra Bot API methods, and the tests themselves.
+ *
+ * Usage:
+ *   const { test, assert, runTests, setupTestDir, createFakeClaude, startMockBotApi } = require('./test-helpers');
+ *
+ *   setupTestDir('groups');                 // before requiring lib/ modules
+ *   const claude = createFakeClaude();
+ *   const BotManager = require('./lib/bot-manager');
+ *
+ *   runTests(async () => {
+ *     const api = await startMockBotApi({ botUser: BOT_USER });
+ *     ...
+ *     api.close();
+ *   });
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const FAKE_SESSION_ID = '11111111-2222-3333-4444-555555555555';
+
+let tmpDir = null;
+let passed = 0;
+let failed = 0;
+
+// ========== Test Runner ==========
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function throws(fn, pattern) {
+  try {
+    fn();
+  } catch (err) {
+    assert(pattern.test(err.message), `Unexpected error: ${err.message}`);
+    return;
+  }
+  throw new Error('Expected an error');
+}
+
+async function rejects(promise, pattern) {
+  try {
+    await promise;
+  } catch (err) {
+    assert(pattern.test(err.message), `Unexpected error: ${err.message}`);
+    return;
+  }
+  throw new Error('Expected an error');
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    const result = await predicate();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a script's tests, then remove the test directory, print the summary
+ * and exit (1 if anything failed)
+ *
+ * @param {Function} run - async () => void
+ */
+function runTests(run) {
+  run()
+    .catch(err => {
+      console.error('❌ Test run failed:', err);
+      failed++;
+    })
+    .finally(() => {
+      if (tmpDir) {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+
+      // ========== Summary ==========
+
+      console.log('\n=== Test Summary ===');
+      console.log(`Passed: ${passed}`);
+      console.log(`Failed: ${failed}`);
+      console.log(`Total: ${passed + failed}`);
+
+      if (failed > 0) {
+        process.exit(1);
+      } else {
+        console.log('\n✅ All tests passed!\n');
+        process.exit(0);
+      }
+    });
+}
+
+// ========== Test Directory ==========
+
+/**
+ * Move into a fresh temp directory - sessions, rate limits and SQLite
+ * storage are written relative to the working directory. Call it before
+ * requiring lib/ modules; runTests() removes the directory.
+ *
+ * @param {string} name - Used in the directory name
+ * @returns {string} Directory path
+ */
+function setupTestDir(name) {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), `labcart-${name}-test-`));
+  process.chdir(tmpDir);
+  process.env.BRAIN_HOT_RELOAD = 'false';
+  process.env.STORAGE_BACKEND = 'sqlite';
+  return tmpDir;
+}
+
+// ========== Fake Claude CLI ==========
+
+/**
+ * Write a fake Claude CLI into the test directory
+ *
+ * By default it records its arguments, its prompt and a copy of its MCP
+ * config, then answers every prompt with `reply`. `script` replaces that
+ * with a scenario's own sh script, given the same file paths.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.reply] - Answer to every prompt (default "Hello there")
+ * @param {Function} [options.script] - ({ promptFile, argsFile, mcpConfigFile }) => script body
+ * @returns {Object} { cmd, promptFile, argsFile, mcpConfigFile, readPrompt(), readArgs(), readMcpConfig() }
+ */
+function createFakeClaude({ reply = 'Hello there', script } = {}) {
+  const files = {
+    promptFile: path.join(tmpDir, 'last-prompt.txt'),
+    argsFile: path.join(tmpDir, 'last-args.txt'),
+    mcpConfigFile: path.join(tmpDir, 'last-mcp-config.json')
+  };
+
+  const body = script ? script(files) : `echo "$@" > "${files.argsFile}"
+cat > "${files.promptFile}"
+PREV=""
+for ARG in "$@"; do
+  [ "$PREV" = "--mcp-config" ] && cp "$ARG" "${files.mcpConfigFile}"
+  PREV="$ARG"
+done
+echo '{"type":"system","session_id":"${FAKE_SESSION_ID}"}'
+echo '{"type":"assistant","message":{"content":[{"type":"text","text":"${reply}"}]}}'
+echo '{"type":"result","duration_ms":5,"result":"${reply}"}'
+`;
+
+  const cmd = path.join(tmpDir, 'fake-claude');
+  fs.writeFileSync(cmd, `#!/bin/sh\n${body}`, { mode: 0o755 });
+
+  return {
+    cmd,
+    ...files,
+    readPrompt: () => fs.readFileSync(files.promptFile, 'utf8'),
+    readArgs: () => fs.readFileSync(files.argsFile, 'utf8'),
+    readMcpConfig: () => JSON.parse(fs.readFileSync(files.mcpConfigFile, 'utf8'))
+  };
+}
+
+// ========== Mock Bot API ==========
+
+/**
+ * Start a local mock of the Telegram Bot API and point TELEGRAM_API_URL at it
+ *
+ * Every call is recorded as { token, method, params }. getUpdates long-polls
+ * the updates queued with receive(), getMe answers with botUser (or a bot
+ * named after the token), sendMessage echoes the message and everything
+ * else answers true. `handlers` add or override methods:
+ * (params, { token }) => result; a thrown error becomes an API error.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.botUser] - getMe result
+ * @param {Object} [options.handlers] - method → handler
+ * @returns {Promise<Object>} Mock API (see below)
+ */
+async function startMockBotApi({ botUser, handlers = {} } = {}) {
+  const calls = [];
+  const queues = new Map(); // token (or '*' for any bot) → pending updates
+  let nextUpdateId = 1;
+  let nextMessageId = 1;
+
+  const takeUpdates = (token) => [
+    ...(queues.get(token) || []).splice(0),
+    ...(queues.get('*') || []).splice(0)
+  ];
+
+  const defaults = {
+    getMe: (params, { token }) => botUser || {
+      id: parseInt(token), is_bot: true, first_name: 'Test Bot', username: `bot${parseInt(token)}`
+    },
+    sendMessage: (params) => ({
+      message_id: 10000 + nextMessageId++,
+      chat: { id: Number(params.chat_id) },
+      from: botUser,
+      text: params.text
+    })
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const [, bot, method] = url.pathname.split('/');
+      const token = bot.substring(3);
+      const params = { ...Object.fromEntries(url.searchParams), ...Object.fromEntries(new URLSearchParams(raw)) };
+      calls.push({ token, method, params });
+
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      if (method === 'getUpdates' && !handlers.getUpdates) {
+        // Long polling: answer right away if there's something, otherwise after a moment
+        const updates = takeUpdates(token);
+        if (updates.length > 0) return send(200, { ok: true, result: updates });
+        return setTimeout(() => send(200, { ok: true, result: takeUpdates(token) }), 100);
+      }
+
+      const handler = handlers[method] || defaults[method] || (() => true);
+      try {
+        send(200, { ok: true, result: await handler(params, { token }) });
+      } catch (err) {
+        const code = err.code || 400;
+        send(code, { ok: false, error_code: code, description: err.message });
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.TELEGRAM_API_URL = `http://127.0.0.1:${server.address().port}`;
+
+  const api = {
+    calls,
+
+    /** Calls to a method (optionally for one bot token) */
+    callsTo: (method, token) => calls.filter(call => call.method === method && (!token || call.token === token)),
+
+    /** Texts sent with sendMessage (optionally by one bot) */
+    sentTexts: (token) => api.callsTo('sendMessage', token).map(call => call.params.text),
+
+    /**
+     * A Telegram message, with the entities Telegram adds for commands and mentions
+     */
+    message(from, chat, text, extra = {}) {
+      const message = { message_id: nextMessageId++, from, chat, date: Math.floor(Date.now() / 1000), text, ...extra };
+
+      const entities = [];
+      const mention = text.match(/@\w+/);
+      if (mention) entities.push({ type: 'mention', offset: mention.index, length: mention[0].length });
+      if (text.startsWith('/')) entities.push({ type: 'bot_command', offset: 0, length: text.split(' ')[0].length });
+      if (entities.length > 0) message.entities = entities;
+
+      return message;
+    },
+
+    /** An update with the next update_id */
+    update: (fields) => ({ update_id: nextUpdateId++, ...fields }),
+
+    /**
+     * Queue an update for getUpdates
+     *
+     * @param {Object} fields - { message } / { callback_query } / ...
+     * @param {string} [token] - Only for this bot (default: whichever polls first)
+     * @returns {Object} The update
+     */
+    receive(fields, token = '*') {
+      const update = api.update(fields);
+      if (!queues.has(token)) queues.set(token, []);
+      queues.get(token).push(update);
+      return update;
+    },
+
+    /**
+     * Deliver a text message and wait for a reply starting with `expected`,
+     * skipping status messages
+     *
+     * @param {Object} from - Sender
+     * @param {Object} chat - Chat
+     * @param {string} text - Message text
+     * @param {Object} [options] - { expected, token, skip (default: "⏳ ...") }
+     * @returns {Promise<string>} Reply text
+     */
+    async sendText(from, chat, text, { expected = '', token, skip = /^⏳/ } = {}) {
+      const before = api.sentTexts(token).length;
+      api.receive({ message: api.message(from, chat, text) }, token);
+      return waitFor(() => api.sentTexts(token).slice(before).find(sent => !skip.test(sent) && sent.startsWith(expected)));
+    },
+
+    close: () => server.close()
+  };
+
+  return api;
+}
+
+module.exports = {
+  FAKE_SESSION_ID,
+  test,
+  assert,
+  throws,
+  rejects,
+  waitFor,
+  sleep,
+  runTests,
+  setupTestDir,
+  createFakeClaude,
+  startMockBotApi
+};
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/**
+ * Test script for brain knowledge bases
+ *
+ * Indexes documents in a temporary database, and runs a Telegram bot against
+ * a local mock of the Bot API with a fake Claude CLI that records its prompt
+ * and MCP config, so no Telegram or Anthropic credentials are needed.
+ *
+ * Tests:
+ * 1. Markdown, PDF text and FAQ CSVs are split into citable chunks
+ * 2. Searches rank passages with BM25 and cite each one
+ * 3. Documents are replaced, removed and re-indexed
+ * 4. Bots with a knowledge base get search_knowledge and are told to use it
+ *
+ * Usage:
+ *   node test-knowledge-base.js
+ */
+
+const {
+  test,
+  assert,
+  throws,
+  runTests,
+  setupTestDir,
+  createFakeClaude,
+  startMockBotApi
+} = require('./test-helpers');
+
+const BOT_TOKEN = '777:test-token';
+const BOT_USER = { id: 777, is_bot: true, first_name: 'Support Bot', username: 'supportbot' };
+const ALICE = { id: 8001, first_name: 'Alice', username: 'alice' };
+const PRIVATE_CHAT = { id: ALICE.id, type: 'private', first_name: 'Alice' };
+const BRAIN = 'echo-agent';
+
+setupTestDir('knowledge');
+process.env.AUTH_SECRET = 'knowledge-test-secret';
+
+// Fake Claude CLI: saves its prompt and a copy of its MCP config
+const claude = createFakeClaude({ reply: 'Happy to help' });
+
+const REFUNDS_MD = `# Refund policy
+
+We want you to be happy with every order.
+
+## Timelines
+
+Refunds are processed within five business days of receiving the return.
+
+\`\`\`
+# Not a heading - inside a code block
+\`\`\`
+
+### Card payments
+
+Card refunds can take another three to seven days to appear on your statement.
+
+## Exchanges
+
+Exchanges ship as soon as the original item arrives at our warehouse.
+`;
+
+const MANUAL_TXT = 'Setting up the kettle\n\nFill the kettle to the MAX line.\f' +
+  'Descaling\n\nDescale the kettle every month with white vinegar.\f' +
+  'Warranty\n\nThe kettle has a two year warranty.';
+
+const FAQ_CSV = 'Question,Answer\r\n' +
+  'Do you ship abroad?,"Yes, to 40 countries."\r\n' +
+  '"Can I pay with ""buy now, pay later""?","Yes, through Klarna."\r\n' +
+  'Where is my order?,Use the tracking link in your confirmation email.\r\n';
+
+const BotManager = require('./lib/bot-manager');
+const {
+  resolveKnowledgeConfig,
+  chunkDocument,
+  ingestDocument,
+  listDocuments,
+  deleteDocument,
+  reindex,
+  searchKnowledge
+} = require('./lib/knowledge-base');
+const { verifyToken } = require('./lib/auth');
+
+console.log('=== Knowledge Base Tests ===\n');
+
+let api;
+
+/**
+ * Send a private message and wait for a reply starting with `expected`
+ */
+function send(text, expected = '') {
+  return api.sendText(ALICE, PRIVATE_CHAT, text, { expected });
+}
+
+// ========== Tests ==========
+
+runTests(async () => {
+  await test('Splits documents into citable chunks', async () => {
+    const markdown = chunkDocument('markdown', REFUNDS_MD);
+    assert(markdown.title === 'Refund policy', `Unexpected title: ${markdown.title}`);
+    assert(markdown.chunks.map(chunk => chunk.section).join('|') ===
+      'Refund policy|Refund policy > Timelines|Refund policy > Timelines > Card payments|Refund policy > Exchanges',
+      `Unexpected sections: ${markdown.chunks.map(chunk => chunk.section)}`);
+    assert(markdown.chunks[1].content.includes('# Not a heading'), 'Headings in code blocks stay in the text');
+
+    const pdf = chunkDocument('pdf', MANUAL_TXT);
+    assert(pdf.chunks.map(chunk => chunk.page).join() === '1,2,3', 'PDF text is split by page');
+
+    const faq = chunkDocument('faq', FAQ_CSV);
+    assert(faq.chunks.length === 3 && faq.chunks[1].row === 3, 'One chunk per FAQ row, numbered as in a spreadsheet');
+    assert(faq.chunks[1].content === 'Q: Can I pay with "buy now, pay later"?\nA: Yes, through Klarna.', `Unexpected FAQ chunk: ${faq.chunks[1].content}`);
+
+    const long = chunkDocument('pdf', 'A sentence that keeps going. '.repeat(200));
+    assert(long.chunks.length > 1 && long.chunks.every(chunk => chunk.content.length <= 1500), 'Long pages are split');
+  });
+
+  await test('Searches with BM25 and cites every hit', async () => {
+    assert(resolveKnowledgeConfig({}) === null, 'Knowledge bases are opt-in');
+    assert(resolveKnowledgeConfig({ knowledge: { enabled: true } }).maxResults === 5, 'maxResults defaults to 5');
+
+    const { document, created } = ingestDocument(BRAIN, { name: 'refunds.md', content: REFUNDS_MD });
+    assert(created && document.type === 'markdown' && document.chunk_count === 4, `Unexpected document: ${JSON.stringify(document)}`);
+    ingestDocument(BRAIN, { name: 'kettle-manual.txt', content: MANUAL_TXT, title: 'Kettle manual' });
+    ingestDocument(BRAIN, { name: 'faq.csv', content: FAQ_CSV });
+    ingestDocument('other-brain', { name: 'refunds.md', content: '# Refunds\n\nNo card refunds, ever.' });
+
+    const [card] = searchKnowledge(BRAIN, 'How long do card refunds take?');
+    assert(card.text.startsWith('Card refunds can take'), `Unexpected best hit: ${card.text}`);
+    assert(card.citation === 'Refund policy (refunds.md) § Refund policy > Timelines > Card payments', `Unexpected citation: ${card.citation}`);
+    assert(card.snippet.includes('**refunds**'), 'Snippets highlight matches');
+
+    const [descale] = searchKnowledge(BRAIN, 'descaling');
+    assert(descale.citation === 'Kettle manual (kettle-manual.txt), p. 2', `Unexpected citation: ${descale.citation}`);
+    const [klarna] = searchKnowledge(BRAIN, 'klarna');
+    assert(klarna.citation === 'faq.csv, row 3 § Can I pay with "buy now, pay later"?', `Unexpected citation: ${klarna.citation}`);
+
+    assert(searchKnowledge(BRAIN, 'refunds', 2).length === 2, 'Respects the limit');
+    assert(searchKnowledge(BRAIN, 'NEAR(refunds "AND" kettle:').length > 0, 'Search syntax is searched literally');
+    assert(searchKnowledge(BRAIN, 'submarine').length === 0 && searchKnowledge(BRAIN, '?!').length === 0, 'No match, no hits');
+    assert(searchKnowledge(BRAIN, 'ever').length === 0, 'Brains only search their own documents');
+
+    throws(() => ingestDocument(BRAIN, { name: 'slides.pptx', content: 'x' }), /Unknown document type/);
+    throws(() => ingestDocument(BRAIN, { name: 'empty.md', content: '  ' }), /content is required/);
+    throws(() => ingestDocument(BRAIN, { name: 'scan.pdf', content: '%PDF-1.7 ...' }), /text of the PDF/);
+  });
+
+  await test('Replaces, removes and re-indexes documents', async () => {
+    assert(ingestDocument(BRAIN, { name: 'refunds.md', content: REFUNDS_MD }).changed === false, 'Unchanged documents are left alone');
+
+    const updated = REFUNDS_MD.replace('five business days', 'ten business days');
+    const { created, changed } = ingestDocument(BRAIN, { name: 'refunds.md', content: updated });
+    assert(!created && changed, 'Same name replaces the document');
+    assert(searchKnowledge(BRAIN, 'ten business days')[0].text.includes('ten business days'), 'Finds the new text');
+    assert(!searchKnowledge(BRAIN, 'five').some(hit => hit.document === 'refunds.md'), 'Old chunks are gone');
+
+    assert(reindex(BRAIN).documents === 3 && reindex(BRAIN).chunks === 10, 'Rebuilds the index from stored documents');
+    assert(searchKnowledge(BRAIN, 'warranty').length === 1, 'Re-indexing keeps documents searchable');
+
+    assert(deleteDocument(BRAIN, 'faq.csv') && !deleteDocument(BRAIN, 'faq.csv'), 'Removes a document once');
+    assert(searchKnowledge(BRAIN, 'klarna').length === 0, 'Removed documents aren\'t found');
+    assert(listDocuments(BRAIN).map(doc => doc.name).join() === 'kettle-manual.txt,refunds.md', 'Lists the rest by name');
+  });
+
+  api = await startMockBotApi({ botUser: BOT_USER });
+
+  const manager = new BotManager({ claudeCmd: claude.cmd });
+  await manager.addBot({ id: 'supportbot', token: BOT_TOKEN, brain: BRAIN, brainConfig: { knowledge: { enabled: true, maxResults: 3 } } });
+
+  await test('Gives bots with a knowledge base search_knowledge', async () => {
+    await send('How do I descale my kettle?', 'Happy to help');
+
+    assert(claude.readPrompt().includes('search it with search_knowledge'), 'New sessions are told to search');
+    const { env } = claude.readMcpConfig().mcpServers.router;
+    assert(env.KNOWLEDGE_BRAIN === BRAIN && env.KNOWLEDGE_MAX_RESULTS === '3', 'Router searches this brain');
+    assert(env.KNOWLEDGE_API_URL === 'http://localhost:3010/knowledge', `Unexpected API URL: ${env.KNOWLEDGE_API_URL}`);
+    const token = verifyToken(env.KNOWLEDGE_API_TOKEN);
+    assert(token.brain === BRAIN && token.scopes.length === 0, 'The tool\'s token can only read this brain');
+
+    manager.bots.get('supportbot').config.brainConfig = {};
+    manager.sessionManager.resetConversation('supportbot', ALICE.id);
+    await send('Hello', 'Happy to help');
+    assert(!claude.readPrompt().includes('search_knowledge'), 'Other brains aren\'t told about it');
+    assert(!claude.readMcpConfig().mcpServers.router.env.KNOWLEDGE_BRAIN, 'Other brains don\'t get the tool');
+  });
+
+  await manager.stopAll();
+  api.close();
+});
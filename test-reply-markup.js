@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * Test script for reply markup (buttons, quick replies and polls)
+ *
+ * Runs a Telegram bot against a local mock of the Bot API, plus the web
+ * adapter, with a fake Claude CLI that answers with markup markers, so no
+ * Telegram or Anthropic credentials are needed.
+ *
+ * Tests:
+ * 1. Markers are parsed and stripped from the text
+ * 2. Telegram buttons become an inline keyboard, and the system prompt explains them
+ * 3. Clicking a button sends its payload to the same session
+ * 4. Quick replies become a reply keyboard
+ * 5. Poll answers come back as the chosen option
+ * 6. Web clients get buttons on bot-message; other channels get them as text
+ *
+ * Usage:
+ *   node test-reply-markup.js
+ */
+
+const {
+  FAKE_SESSION_ID,
+  test,
+  assert,
+  waitFor,
+  runTests,
+  setupTestDir,
+  createFakeClaude,
+  startMockBotApi
+} = require('./test-helpers');
+
+const BOT_TOKEN = '999:test-token';
+const BOT_USER = { id: 999, is_bot: true, first_name: 'Markup Bot', username: 'markupbot' };
+const ALICE = { id: 3001, first_name: 'Alice', username: 'alice' };
+const PRIVATE_CHAT = { id: ALICE.id, type: 'private', first_name: 'Alice' };
+
+setupTestDir('markup');
+
+// Fake Claude CLI: records the prompt and arguments, answers with markers depending on the request
+const claude = createFakeClaude({
+  script: ({ promptFile, argsFile }) => `echo "$@" > "${argsFile}"
+cat > "${promptFile}"
+if grep -q "USER_TEXT_START>>>show plans" "${promptFile}"; then
+  REPLY='Which plan?\\n[[BUTTONS: Basic | Pro => plan_pro]]\\n[[BUTTONS: Compare them all in detail please => ${'x'.repeat(70)}]]'
+elif grep -q "USER_TEXT_START>>>sizes" "${promptFile}"; then
+  REPLY='What size?\\n[[QUICK_REPLIES: Small | Large]]'
+elif grep -q "USER_TEXT_START>>>vote" "${promptFile}"; then
+  REPLY='Time to vote.\\n[[POLL: Best day? | Monday | Friday]]'
+else
+  REPLY='Got it'
+fi
+echo '{"type":"system","session_id":"${FAKE_SESSION_ID}"}'
+printf '%s\\n' "{\\"type\\":\\"result\\",\\"duration_ms\\":5,\\"result\\":\\"$REPLY\\"}"
+`
+});
+
+const BotManager = require('./lib/bot-manager');
+const { WebAdapter } = require('./lib/channels');
+const ChannelAdapter = require('./lib/channels/channel-adapter');
+const { parseReplyMarkup } = require('./lib/reply-markup');
+
+console.log('=== Reply Markup Tests ===\n');
+
+// ========== Mock Bot API ==========
+
+let api;
+
+function startApi() {
+  return startMockBotApi({
+    botUser: BOT_USER,
+    handlers: {
+      sendPoll: () => ({ message_id: 20000, chat: PRIVATE_CHAT, from: BOT_USER, poll: { id: 'poll-1' } })
+    }
+  });
+}
+
+function receiveText(text) {
+  api.receive({ message: api.message(ALICE, PRIVATE_CHAT, text) });
+}
+
+// ========== Tests ==========
+
+runTests(async () => {
+  await test('Parses markers and strips them from the text', async () => {
+    const { text, markup } = parseReplyMarkup('Pick one:\n[[BUTTONS: A | B => b_payload]]\n[[BUTTONS: C]]\n[[QUICK_REPLIES: X | Y]]\n[[POLL: Q? | 1 | 2]]');
+    assert(text === 'Pick one:', `Unexpected text: ${JSON.stringify(text)}`);
+    assert(markup.buttons.length === 2, 'Each BUTTONS line is a row');
+    assert(markup.buttons[0][1].label === 'B' && markup.buttons[0][1].payload === 'b_payload', 'Should split label and payload');
+    assert(markup.buttons[1][0].payload === 'C', 'Payload defaults to the label');
+    assert(markup.quickReplies.join() === 'X,Y', 'Should read quick replies');
+    assert(markup.poll.question === 'Q?' && markup.poll.options.join() === '1,2', 'Should read the poll');
+
+    assert(parseReplyMarkup('No markers here').markup === null, 'Plain text has no markup');
+    assert(parseReplyMarkup('[[POLL: Only a question | one]]').markup.poll === null, 'Polls need two options');
+  });
+
+  api = await startApi();
+
+  const manager = new BotManager({ claudeCmd: claude.cmd });
+  await manager.addBot({ id: 'markupbot', token: BOT_TOKEN, brain: 'echo-agent', brainConfig: { replyMarkup: { enabled: true } } });
+
+  await test('Sends buttons as an inline keyboard', async () => {
+    receiveText('show plans');
+    const sent = await waitFor(() => api.callsTo('sendMessage').find(call => call.params.reply_markup));
+
+    assert(sent.params.text === 'Which plan?', `Markers should be stripped: ${JSON.stringify(sent.params.text)}`);
+    const keyboard = JSON.parse(sent.params.reply_markup).inline_keyboard;
+    assert(keyboard[0][0].text === 'Basic' && keyboard[0][0].callback_data === 'btn:Basic', 'Label is the default payload');
+    assert(keyboard[0][1].callback_data === 'btn:plan_pro', 'Should use the payload');
+    assert(/^btn#[\w-]{11}$/.test(keyboard[1][0].callback_data), 'Long payloads are stored in memory under a random id');
+    assert(manager.telegram.fromCallbackData('btn#1') === null, 'Ids from before a restart are unknown');
+    assert(claude.readPrompt().includes('[[BUTTONS:'), 'System prompt should explain the markers');
+  });
+
+  await test('Sends a clicked button\'s payload to the same session', async () => {
+    const keyboardMessage = api.callsTo('sendMessage').find(call => call.params.reply_markup);
+    const before = api.callsTo('sendMessage').length;
+
+    api.receive({
+      callback_query: {
+        id: 'cb1',
+        from: ALICE,
+        data: JSON.parse(keyboardMessage.params.reply_markup).inline_keyboard[1][0].callback_data,
+        message: { message_id: 10001, from: BOT_USER, chat: PRIVATE_CHAT, date: 0, text: 'Which plan?' }
+      }
+    });
+
+    await waitFor(() => api.callsTo('sendMessage').slice(before).find(call => call.params.text === 'Got it'));
+    assert(api.callsTo('answerCallbackQuery').some(call => call.params.callback_query_id === 'cb1'), 'Should answer the callback');
+    assert(api.callsTo('editMessageReplyMarkup').length === 1, 'Should remove the buttons');
+    assert(claude.readPrompt().includes(`<<<USER_TEXT_START>>>${'x'.repeat(70)}<<<USER_TEXT_END>>>`), 'Payload should be the user\'s message');
+    assert(claude.readArgs().includes(`--resume ${FAKE_SESSION_ID}`), 'Should continue the session');
+  });
+
+  await test('Sends quick replies as a reply keyboard', async () => {
+    receiveText('sizes');
+    const sent = await waitFor(() => api.callsTo('sendMessage').find(call => call.params.text === 'What size?'));
+    const markup = JSON.parse(sent.params.reply_markup);
+    assert(markup.keyboard.map(row => row[0].text).join() === 'Small,Large', 'Should list the quick replies');
+    assert(markup.one_time_keyboard === true, 'Keyboard should hide after use');
+  });
+
+  await test('Sends polls and answers votes', async () => {
+    receiveText('vote');
+    const poll = await waitFor(() => api.callsTo('sendPoll')[0]);
+    assert(poll.params.question === 'Best day?', 'Should send the question');
+    assert(JSON.parse(poll.params.options).join() === 'Monday,Friday', 'Should send the options');
+    assert(poll.params.is_anonymous === 'false', 'Votes must reach the bot');
+
+    const before = api.callsTo('sendMessage').length;
+    api.receive({ poll_answer: { poll_id: 'poll-1', user: ALICE, option_ids: [1] } });
+    await waitFor(() => api.callsTo('sendMessage').slice(before).find(call => call.params.text === 'Got it'));
+    assert(claude.readPrompt().includes('<<<USER_TEXT_START>>>Friday<<<USER_TEXT_END>>>'), 'The vote should be the user\'s message');
+  });
+
+  await test('Web clients get buttons; other channels get them as text', async () => {
+    const events = [];
+    const web = new WebAdapter('web', (event, data) => events.push({ event, data }));
+    await manager.engine.handleMessage(web, web.normalize({ botId: 'markupbot', message: 'show plans', sessionUuid: 'new' }, 'web-user'));
+
+    const message = events.find(e => e.event === 'bot-message');
+    assert(message, 'Should emit bot-message');
+    assert(message.data.message === 'Which plan?', 'Should strip markers');
+    assert(message.data.buttons[0][1].payload === 'plan_pro', 'Should include the buttons');
+
+    class PlainAdapter extends ChannelAdapter {
+      constructor() {
+        super('plain', { persistsHistory: true });
+        this.replies = [];
+      }
+      async sendReply(turn, text, markup) {
+        this.replies.push({ text, markup });
+      }
+    }
+    const plain = new PlainAdapter();
+    await manager.engine.handleMessage(plain, web.normalize({ botId: 'markupbot', message: 'sizes', sessionUuid: 'new' }, 'plain-user'));
+    assert(plain.replies[0].text === 'What size?\n\n• Small\n• Large', `Unexpected fallback: ${JSON.stringify(plain.replies[0]?.text)}`);
+    assert(!plain.replies[0].markup, 'Plain channels get no markup');
+  });
+
+  await manager.stopAll();
+  api.close();
+});
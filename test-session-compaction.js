@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * Test script for long-conversation compaction
+ *
+ * Runs a Telegram bot against a local mock of the Bot API, with a fake
+ * Claude CLI that writes notes when asked to summarize, so no Telegram or
+ * Anthropic credentials are needed.
+ *
+ * Tests:
+ * 1. Policies resolve with defaults, and each limit triggers compaction
+ * 2. A session past its limit is summarized and continues in a seeded session
+ * 3. /stats shows the transcript size and earlier conversations
+ * 4. A failed summary keeps the old session
+ * 5. /reset drops a pending summary
+ *
+ * Usage:
+ *   node test-session-compaction.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  test,
+  assert,
+  waitFor,
+  runTests,
+  setupTestDir,
+  createFakeClaude,
+  startMockBotApi
+} = require('./test-helpers');
+
+const BOT_TOKEN = '888:test-token';
+const BOT_USER = { id: 888, is_bot: true, first_name: 'Compact Bot', username: 'compactbot' };
+const ALICE = { id: 6001, first_name: 'Alice', username: 'alice' };
+const PRIVATE_CHAT = { id: ALICE.id, type: 'private', first_name: 'Alice' };
+const FIRST_SESSION_ID = '11111111-2222-3333-4444-555555555555';
+const SECOND_SESSION_ID = '66666666-7777-8888-9999-000000000000';
+const NOTES = 'Alice loves jazz and is planning a trip to Lisbon in May.';
+
+// Claude transcripts are written under the home directory
+const tmpDir = setupTestDir('compaction');
+process.env.HOME = tmpDir;
+
+// Fake Claude CLI: logs its arguments and prompt, answers summary requests
+// with notes (or fails if fail-summary exists), and keeps the resumed session ID
+const callLog = path.join(tmpDir, 'calls.log');
+const failSummaryFlag = path.join(tmpDir, 'fail-summary');
+const claude = createFakeClaude({
+  script: ({ promptFile }) => `cat > "${promptFile}"
+SESSION=""
+PREV=""
+for ARG in "$@"; do
+  [ "$PREV" = "--resume" ] && SESSION="$ARG"
+  PREV="$ARG"
+done
+if grep -q 'Write those notes now' "${promptFile}"; then
+  echo "summary $SESSION" >> "${callLog}"
+  [ -f "${failSummaryFlag}" ] && exit 1
+  echo '{"type":"system","session_id":"'$SESSION'"}'
+  echo '{"type":"result","duration_ms":5,"result":"${NOTES}"}'
+  exit 0
+fi
+if [ -z "$SESSION" ]; then
+  SESSION="${FIRST_SESSION_ID}"
+  grep -q 'earlier_conversation' "${promptFile}" && SESSION="${SECOND_SESSION_ID}"
+fi
+echo "chat $SESSION" >> "${callLog}"
+echo '{"type":"system","session_id":"'$SESSION'"}'
+echo '{"type":"result","duration_ms":5,"result":"Hello there"}'
+`
+});
+
+const BotManager = require('./lib/bot-manager');
+const {
+  resolveCompactionPolicy,
+  getTranscriptPath,
+  getTranscriptSize,
+  getCompactionReason
+} = require('./lib/session-compaction');
+
+console.log('=== Session Compaction Tests ===\n');
+
+let api;
+
+function claudeCalls() {
+  return fs.existsSync(callLog) ? fs.readFileSync(callLog, 'utf8').trim().split('\n') : [];
+}
+
+/**
+ * Send a private message and wait for a reply starting with `expected`
+ * (skipping status and compaction messages)
+ */
+function send(text, expected = '') {
+  return api.sendText(ALICE, PRIVATE_CHAT, text, { expected, skip: /^(⏳|🗜️)/ });
+}
+
+// ========== Tests ==========
+
+runTests(async () => {
+  await test('Resolves policies and checks each limit', async () => {
+    assert(resolveCompactionPolicy({}) === null, 'Compaction is opt-in');
+    assert(resolveCompactionPolicy({ compaction: { maxMessages: 10 } }) === null, 'Limits alone don\'t enable it');
+
+    const policy = resolveCompactionPolicy({ compaction: { enabled: true, maxMessages: 10 } });
+    assert(policy.maxMessages === 10 && policy.maxBytes === 2000000, 'Missing limits use the defaults');
+    assert(policy.maxAgeMs === 30 * 24 * 60 * 60 * 1000, `Unexpected age limit: ${policy.maxAgeMs}`);
+
+    const now = new Date().toISOString();
+    const session = { currentUuid: 'abc', createdAt: now, messageCount: 3, uuidCounts: { abc: 10 } };
+    assert(getCompactionReason(policy, session, 0) === 'messages', 'Counts the current session\'s messages');
+    assert(getCompactionReason(policy, { ...session, uuidCounts: {} }, 2000000) === 'size', 'Checks the transcript size');
+    const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+    assert(getCompactionReason(policy, { ...session, uuidCounts: {}, createdAt: old }, 0) === 'age', 'Checks the session age');
+    assert(getCompactionReason(policy, { ...session, uuidCounts: {} }, 100) === null, 'Sessions under every limit are left alone');
+
+    const transcript = getTranscriptPath('abc', '/srv/bots');
+    assert(transcript === path.join(tmpDir, '.claude/projects/-srv-bots/abc.jsonl'), `Unexpected path: ${transcript}`);
+    fs.mkdirSync(path.dirname(transcript), { recursive: true });
+    fs.writeFileSync(transcript, 'x'.repeat(1500));
+    assert(getTranscriptSize('abc', '/srv/bots') === 1500 && getTranscriptSize('missing') === 0, 'Reads transcript sizes');
+  });
+
+  api = await startMockBotApi({ botUser: BOT_USER });
+
+  const manager = new BotManager({ claudeCmd: claude.cmd });
+  await manager.addBot({ id: 'compactbot', token: BOT_TOKEN, brain: 'echo-agent', brainConfig: { compaction: { enabled: true, maxMessages: 4 } } });
+  const { sessionManager } = manager;
+
+  await test('Summarizes a long session and continues in a seeded one', async () => {
+    await send('Hi, I love jazz', 'Hello there');
+    await send('I\'m going to Lisbon in May', 'Hello there');
+    assert(sessionManager.getCurrentUuid('compactbot', ALICE.id) === FIRST_SESSION_ID, 'Sessions under the limit carry on');
+
+    const statusesBefore = api.sentTexts().length;
+    await send('Any tips?', 'Hello there');
+    assert(api.sentTexts().slice(statusesBefore).includes('🗜️ Tidying up our conversation...'), 'Shows a status while summarizing');
+
+    assert(claudeCalls().join() === [
+      `chat ${FIRST_SESSION_ID}`, `chat ${FIRST_SESSION_ID}`, `summary ${FIRST_SESSION_ID}`, `chat ${SECOND_SESSION_ID}`
+    ].join(), `Unexpected calls: ${claudeCalls()}`);
+
+    const prompt = claude.readPrompt();
+    assert(prompt.includes(`<earlier_conversation>\n${NOTES}\n</earlier_conversation>`), 'New session is seeded with the notes');
+    assert(prompt.includes('<<<USER_TEXT_START>>>Any tips?<<<USER_TEXT_END>>>'), 'The user\'s message follows');
+
+    const metadata = sessionManager.loadSessionMetadata('compactbot', ALICE.id);
+    const [compacted] = metadata.uuidHistory;
+    assert(metadata.currentUuid === SECOND_SESSION_ID && metadata.continuesFrom === FIRST_SESSION_ID, 'New session links back');
+    assert(compacted.uuid === FIRST_SESSION_ID && compacted.reason === 'compaction' && compacted.trigger === 'messages', 'Old session is archived');
+    assert(compacted.summary === NOTES && compacted.continuedIn === SECOND_SESSION_ID, 'Archived session keeps its summary and link');
+    assert(compacted.messageCount === 4 && !metadata.pendingSummary, 'Summary is used once');
+  });
+
+  await test('Shows size and earlier conversations in /stats', async () => {
+    const stats = await send('/stats', '📊');
+    assert(stats.includes('Messages: 2'), `Unexpected stats: ${stats}`);
+    assert(stats.includes('Size: 0 B'), 'Shows the transcript size');
+    assert(stats.includes('Earlier conversations summarized: 1'), 'Shows compactions');
+  });
+
+  await test('Keeps the session when summarizing fails', async () => {
+    fs.writeFileSync(failSummaryFlag, '');
+    await send('Thanks!', 'Hello there');
+    await send('What about food?', 'Hello there');
+
+    assert(claudeCalls().slice(-2).join() === `summary ${SECOND_SESSION_ID},chat ${SECOND_SESSION_ID}`, `Unexpected calls: ${claudeCalls()}`);
+    const metadata = sessionManager.loadSessionMetadata('compactbot', ALICE.id);
+    assert(metadata.currentUuid === SECOND_SESSION_ID && metadata.compactionCount === 1, 'Old session carries on');
+    fs.unlinkSync(failSummaryFlag);
+  });
+
+  await test('Drops the summary on /reset', async () => {
+    sessionManager.compactSession('compactbot', ALICE.id, { summary: NOTES, reason: 'age' });
+    assert(sessionManager.getPendingSummary('compactbot', ALICE.id) === NOTES, 'Compaction leaves a summary for the next session');
+
+    api.receive({ message: api.message(ALICE, PRIVATE_CHAT, '/reset') });
+    await waitFor(() => sessionManager.getPendingSummary('compactbot', ALICE.id) === null);
+
+    await send('Hello again', 'Hello there');
+    assert(!claude.readPrompt().includes('earlier_conversation'), 'Fresh session has no summary');
+    assert(sessionManager.getCurrentUuid('compactbot', ALICE.id) === FIRST_SESSION_ID, 'Starts a fresh session');
+  });
+
+  await manager.stopAll();
+  api.close();
+});
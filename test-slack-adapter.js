@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+/**
+ * Test script for the Slack channel adapter
+ *
+ * Runs two bots against a local mock of the Slack Web API and Socket Mode,
+ * with a fake Claude CLI, so no Slack or Anthropic credentials are needed.
+ *
+ * Tests:
+ * 1. Socket Mode connection with the bot and app tokens
+ * 2. Direct messages get a reply (status message updated with chat.update)
+ * 3. Mentions start a thread, and later replies in that thread are answered
+ * 4. /link connects a Telegram and a Slack account
+ * 5. /team from Slack delegates into a new thread with another bot
+ *
+ * Usage:
+ *   node test-slack-adapter.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+const TEAM_ID = 'T0001';
+const USER_ID = 'U0001';
+const FAKE_SESSION_ID = '11111111-2222-3333-4444-555555555555';
+
+// Two bots in the same workspace, told apart by their tokens
+const SLACK_BOTS = {
+  slackbot: { botToken: 'xoxb-slackbot', appToken: 'xapp-slackbot', userId: 'B0001' },
+  helperbot: { botToken: 'xoxb-helperbot', appToken: 'xapp-helperbot', userId: 'B0002' }
+};
+
+// Sessions, rate limits and storage are written relative to the working directory
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'labcart-slack-test-'));
+process.chdir(tmpDir);
+process.env.TELEGRAM_ENABLED = 'false';
+process.env.BRAIN_HOT_RELOAD = 'false';
+process.env.STORAGE_BACKEND = 'sqlite';
+
+// Fake Claude CLI: answers every prompt with a streamed "Hello there"
+const fakeClaude = path.join(tmpDir, 'fake-claude');
+fs.writeFileSync(fakeClaude, `#!/bin/sh
+cat > /dev/null
+echo '{"type":"system","session_id":"${FAKE_SESSION_ID}"}'
+echo '{"type":"assistant","message":{"content":[{"type":"text","text":"Hello "}]}}'
+echo '{"type":"assistant","message":{"content":[{"type":"text","text":"there"}]}}'
+echo '{"type":"result","duration_ms":5,"result":"Hello there"}'
+`, { mode: 0o755 });
+
+const BotManager = require('./lib/bot-manager');
+const messageStore = require('./lib/message-store');
+const { getLinkedIdentities } = require('./lib/account-links');
+
+console.log('=== Slack Adapter Tests ===\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    const result = await predicate();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+// ========== Mock Slack ==========
+
+const requests = []; // { bot, method, body, token, ts }
+const responses = []; // slash command replies posted to response_url
+const sockets = new Map(); // botId → Socket Mode connection
+const acks = [];
+let nextTs = 1;
+let nextEnvelope = 1;
+
+function botForToken(token) {
+  return Object.keys(SLACK_BOTS).find(id =>
+    SLACK_BOTS[id].botToken === token || SLACK_BOTS[id].appToken === token
+  );
+}
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const body = raw ? JSON.parse(raw) : {};
+    const json = (data) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.url.startsWith('/respond/')) {
+      responses.push({ id: req.url.slice('/respond/'.length), ...body });
+      return json({ ok: true });
+    }
+
+    const method = req.url.replace(/^\/api\//, '');
+    const token = (req.headers.authorization || '').replace('Bearer ', '');
+    const bot = botForToken(token);
+    const request = { bot, method, body, token };
+    requests.push(request);
+
+    if (!bot) {
+      return json({ ok: false, error: 'invalid_auth' });
+    }
+
+    switch (method) {
+      case 'auth.test':
+        return json({ ok: true, user_id: SLACK_BOTS[bot].userId, user: bot, team_id: TEAM_ID, team: 'Lab' });
+      case 'apps.connections.open':
+        return json({ ok: true, url: `ws://127.0.0.1:${server.address().port}/socket?bot=${bot}` });
+      case 'chat.postMessage':
+        request.ts = `${nextTs++}.000100`;
+        return json({ ok: true, channel: body.channel, ts: request.ts });
+      case 'chat.update':
+      case 'chat.delete':
+        return json({ ok: true, channel: body.channel, ts: body.ts });
+      case 'users.info':
+        return json({ ok: true, user: { id: body.user, name: 'alice', real_name: 'Alice' } });
+      case 'conversations.open':
+        return json({ ok: true, channel: { id: `D-${bot}` } });
+      default:
+        return json({ ok: false, error: 'unknown_method' });
+    }
+  });
+});
+
+const socketServer = new WebSocketServer({ server, path: '/socket' });
+socketServer.on('connection', (socket, req) => {
+  const bot = new URL(req.url, 'http://localhost').searchParams.get('bot');
+  sockets.set(bot, socket);
+  socket.on('message', raw => acks.push(JSON.parse(raw.toString()).envelope_id));
+  socket.send(JSON.stringify({ type: 'hello' }));
+});
+
+function sendEnvelope(bot, type, payload) {
+  const envelopeId = `env-${nextEnvelope++}`;
+  sockets.get(bot).send(JSON.stringify({ envelope_id: envelopeId, type, payload }));
+  return envelopeId;
+}
+
+function sendEvent(bot, event) {
+  return sendEnvelope(bot, 'events_api', { team_id: TEAM_ID, event: { user: USER_ID, ...event } });
+}
+
+function sendCommand(bot, command, text) {
+  const id = `cmd-${nextEnvelope}`;
+  sendEnvelope(bot, 'slash_commands', {
+    command,
+    text,
+    user_id: USER_ID,
+    team_id: TEAM_ID,
+    response_url: `http://127.0.0.1:${server.address().port}/respond/${id}`
+  });
+  return id;
+}
+
+function botRequests(bot, method) {
+  return requests.filter(r => r.bot === bot && r.method === method);
+}
+
+// ========== Tests ==========
+
+async function run() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.SLACK_API_URL = `http://127.0.0.1:${server.address().port}/api`;
+
+  const manager = new BotManager({ claudeCmd: fakeClaude });
+  for (const [id, { botToken, appToken }] of Object.entries(SLACK_BOTS)) {
+    await manager.addBot({ id, slackBotToken: botToken, slackAppToken: appToken, brain: 'echo-agent' });
+  }
+  const adapter = manager.slack;
+
+  await test('Connects over Socket Mode with the bot and app tokens', async () => {
+    await waitFor(() => sockets.size === 2);
+    assert(botRequests('slackbot', 'auth.test')[0].token === SLACK_BOTS.slackbot.botToken, 'auth.test should use the bot token');
+    assert(
+      botRequests('slackbot', 'apps.connections.open')[0].token === SLACK_BOTS.slackbot.appToken,
+      'apps.connections.open should use the app token'
+    );
+  });
+
+  await test('Replies to direct messages by updating the status message', async () => {
+    const envelopeId = sendEvent('slackbot', { type: 'message', channel_type: 'im', channel: 'D1', ts: '100.000001', text: 'hello' });
+
+    const update = await waitFor(() => botRequests('slackbot', 'chat.update').find(r => r.body.text === 'Hello there'));
+    const status = botRequests('slackbot', 'chat.postMessage').find(r => r.body.channel === 'D1');
+    assert(status.body.text === '⏳ Thinking...', 'Should post a status message');
+    assert(!status.body.thread_ts, 'Top-level DMs should be answered at the top level');
+    assert(update.body.channel === 'D1', 'Reply should replace the status message');
+    assert(acks.includes(envelopeId), 'Should acknowledge the envelope');
+
+    const sessionId = adapter.getSessionId(TEAM_ID, 'D1', null);
+    assert(await waitFor(async () => await messageStore.getMessageCount(sessionId) === 2), 'Should store the DM session');
+  });
+
+  await test('Answers mentions in a thread and follows up in that thread', async () => {
+    const mention = `<@${SLACK_BOTS.slackbot.userId}> hi`;
+    sendEvent('slackbot', { type: 'message', channel_type: 'channel', channel: 'C1', ts: '200.000001', text: mention });
+    sendEvent('slackbot', { type: 'app_mention', channel: 'C1', ts: '200.000001', text: mention });
+
+    await waitFor(() => botRequests('slackbot', 'chat.update').some(r => r.body.channel === 'C1' && r.body.text === 'Hello there'));
+    const threaded = botRequests('slackbot', 'chat.postMessage').filter(r => r.body.channel === 'C1');
+    assert(threaded.length === 1, 'Should answer the mention once');
+    assert(threaded[0].body.thread_ts === '200.000001', 'Should reply in a thread under the mention');
+
+    const sessionId = adapter.getSessionId(TEAM_ID, 'C1', '200.000001');
+    await waitFor(async () => await messageStore.getMessageCount(sessionId) === 2);
+
+    // Unmentioned messages: answered in the bot's thread, ignored elsewhere
+    sendEvent('slackbot', { type: 'message', channel_type: 'channel', channel: 'C1', ts: '201.000001', text: 'anyone?' });
+    sendEvent('slackbot', { type: 'message', channel_type: 'channel', channel: 'C1', ts: '202.000001', thread_ts: '200.000001', text: 'and then?' });
+
+    await waitFor(async () => await messageStore.getMessageCount(sessionId) === 4);
+    const followUps = botRequests('slackbot', 'chat.postMessage').filter(r => r.body.channel === 'C1');
+    assert(followUps.length === 2, 'Should only answer the thread reply');
+    assert(followUps[1].body.thread_ts === '200.000001', 'Follow-up should stay in the thread');
+  });
+
+  await test('Links a Telegram account with /link', async () => {
+    const telegram = { channel: 'telegram', userId: 4242 };
+    const codeReply = await manager.runLinkCommand(telegram, '');
+    const code = codeReply.match(/code: (\w+)/)[1];
+
+    const id = sendCommand('slackbot', '/link', code);
+    const response = await waitFor(() => responses.find(r => r.id === id));
+    assert(response.response_type === 'ephemeral', 'Should reply ephemerally');
+    assert(response.text === '✅ Accounts linked: telegram, slack', `Unexpected reply: ${response.text}`);
+
+    const linked = await getLinkedIdentities({ channel: 'slack', userId: USER_ID });
+    assert(linked.some(i => i.channel === 'telegram' && i.userId === '4242'), 'Slack user should reach the Telegram account');
+
+    const reused = sendCommand('slackbot', '/link', code);
+    const rejected = await waitFor(() => responses.find(r => r.id === reused));
+    assert(rejected.text.includes('invalid or has expired'), 'Codes should be single-use');
+  });
+
+  await test('Delegates with /team into a new thread with the target bot', async () => {
+    const id = sendCommand('slackbot', '/team', '@helperbot -m 10 review this');
+    const response = await waitFor(() => responses.find(r => r.id === id));
+    assert(response.text.includes('✅ @helperbot'), `Should delegate to helperbot: ${response.text}`);
+    assert(response.text.includes('Sent 4 messages of context'), 'Should share the latest thread');
+
+    const root = botRequests('helperbot', 'chat.postMessage').find(r => r.body.channel === 'D-helperbot' && !r.body.thread_ts);
+    assert(root.body.text.includes('Context received from *SLACKBOT*'), 'Should start a thread in the DM');
+
+    await waitFor(() => botRequests('helperbot', 'chat.update').some(r => r.body.text === 'Hello there'));
+    const status = botRequests('helperbot', 'chat.postMessage').find(r => r.body.thread_ts);
+    assert(status.body.thread_ts === root.ts, 'Should answer in that thread');
+
+    const sessionId = adapter.getSessionId(TEAM_ID, 'D-helperbot', root.ts);
+    const messages = await waitFor(async () => {
+      const stored = await messageStore.loadMessages(sessionId);
+      return stored.length === 2 && stored;
+    });
+    assert(messages[0].content.includes('review this'), 'Thread should start with the delegated task');
+  });
+
+  await manager.stopAll();
+  socketServer.close();
+  server.close();
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Test run failed:', err);
+    failed++;
+  })
+  .finally(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    // ========== Summary ==========
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+    console.log(`Total: ${passed + failed}`);
+
+    if (failed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✅ All tests passed!\n');
+      process.exit(0);
+    }
+  });
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Test script for Telegram group chats
+ *
+ * Runs a bot against a local mock of the Telegram Bot API (TELEGRAM_API_URL),
+ * with a fake Claude CLI that records the prompts it gets, so no Telegram or
+ * Anthropic credentials are needed.
+ *
+ * Tests:
+ * 1. Only messages addressed to the bot (mention, reply, command) are answered
+ * 2. The group shares one session, and prompts say who is speaking
+ * 3. /group is for admins, and its instructions reach the prompt
+ * 4. /group off silences the bot until /group on
+ * 5. Group rate limits
+ * 6. Private chats keep their own sessions
+ * 7. Only the sender can confirm their pending photo
+ *
+ * Usage:
+ *   node test-telegram-groups.js
+ */
+
+const {
+  FAKE_SESSION_ID,
+  test,
+  assert,
+  waitFor,
+  sleep,
+  runTests,
+  setupTestDir,
+  createFakeClaude,
+  startMockBotApi
+} = require('./test-helpers');
+
+const BOT_TOKEN = '777:test-token';
+const BOT_USER = { id: 777, is_bot: true, first_name: 'Group Bot', username: 'groupbot' };
+const GROUP = { id: -100123, type: 'supergroup', title: 'Lab Group' };
+const ALICE = { id: 1001, first_name: 'Alice', username: 'alice' };
+const BOB = { id: 1002, first_name: 'Bob', last_name: 'Jones', username: 'bob' };
+
+setupTestDir('groups');
+process.env.ADMIN_USER_IDS = '';
+
+// Fake Claude CLI: records the prompt and arguments, answers "Hello there"
+const claude = createFakeClaude();
+
+const BotManager = require('./lib/bot-manager');
+
+console.log('=== Telegram Group Chat Tests ===\n');
+
+// ========== Mock Bot API ==========
+
+const chatAdmins = new Set([ALICE.id]);
+let api;
+
+function startApi() {
+  return startMockBotApi({
+    botUser: BOT_USER,
+    handlers: {
+      getChatMember: (params) => ({
+        status: chatAdmins.has(Number(params.user_id)) ? 'administrator' : 'member',
+        user: { id: Number(params.user_id) }
+      })
+    }
+  });
+}
+
+/**
+ * sendMessage calls: { chat_id, text, reply_to_message_id }
+ */
+function sent() {
+  return api.callsTo('sendMessage').map(call => call.params);
+}
+
+/**
+ * Deliver a message to the bot
+ */
+function receive(from, text, { chat = GROUP, ...extra } = {}) {
+  const message = api.message(from, chat, text, extra);
+  api.receive({ message });
+  return message;
+}
+
+function repliesTo(message) {
+  return sent().filter(m => m.reply_to_message_id === String(message.message_id));
+}
+
+// ========== Tests ==========
+
+runTests(async () => {
+  api = await startApi();
+
+  const manager = new BotManager({ claudeCmd: claude.cmd });
+  await manager.addBot({ id: 'groupbot', token: BOT_TOKEN, brain: 'echo-agent' });
+  await waitFor(() => manager.bots.get('groupbot').telegramUser.username === 'groupbot');
+
+  await test('Only answers group messages addressed to the bot', async () => {
+    receive(ALICE, 'morning everyone');
+    receive(ALICE, '/help@otherbot');
+    const mention = receive(ALICE, '@groupbot what is 2+2?');
+
+    const reply = await waitFor(() => repliesTo(mention).find(m => m.text === 'Hello there'));
+    assert(reply.chat_id === String(GROUP.id), 'Should answer in the group');
+    assert(claude.readPrompt().includes('<<<USER_TEXT_START>>>what is 2+2?<<<USER_TEXT_END>>>'), 'Should strip the mention');
+
+    await sleep(300);
+    assert(!sent().some(m => m.text.includes('answer when you mention')), 'Should ignore commands for other bots');
+    assert(sent().filter(m => m.text === 'Hello there').length === 1, 'Should ignore unaddressed messages');
+
+    const help = receive(BOB, '/help@groupbot');
+    await waitFor(() => sent().find(m => m.text.includes('answer when you mention @groupbot')));
+    assert(repliesTo(help).length === 0, 'Help is sent to the group');
+  });
+
+  await test('Shares one session per group with speaker attribution', async () => {
+    const firstPrompt = claude.readPrompt();
+    assert(firstPrompt.includes('You are in the group chat "Lab Group"'), 'New group sessions should explain the group');
+    assert(firstPrompt.includes('[Alice (@alice)]\n<<<USER_TEXT_START>>>'), 'Should name the speaker');
+
+    const botMessage = sent().find(m => m.text === 'Hello there');
+    const reply = receive(BOB, 'and 3+3?', {
+      reply_to_message: { message_id: 10000, from: BOT_USER, chat: GROUP, text: botMessage.text }
+    });
+    await waitFor(() => repliesTo(reply).find(m => m.text === 'Hello there'));
+
+    const prompt = claude.readPrompt();
+    assert(prompt.includes('[Bob Jones (@bob)]\n<<<USER_TEXT_START>>>and 3+3?'), 'Should attribute the second speaker');
+    assert(!prompt.includes('You are in the group chat'), 'Should continue the group session');
+    assert(claude.readArgs().includes(`--resume ${FAKE_SESSION_ID}`), 'Should resume the shared session');
+    assert(manager.sessionManager.getCurrentUuid('groupbot', GROUP.id) === FAKE_SESSION_ID, 'Session should be keyed by the group');
+    assert(manager.sessionManager.getCurrentUuid('groupbot', BOB.id) === null, 'Members should not get their own sessions');
+  });
+
+  await test('Lets only group admins change settings with /group', async () => {
+    const denied = receive(BOB, '/group instructions Talk like a pirate');
+    await waitFor(() => repliesTo(denied).find(m => m.text.includes('Only group admins')));
+
+    receive(ALICE, '/group instructions Keep answers under 20 words');
+    await waitFor(() => sent().find(m => m.text.includes('Instructions: Keep answers under 20 words')));
+
+    const question = receive(BOB, '@groupbot summarise the rules');
+    await waitFor(() => repliesTo(question).find(m => m.text === 'Hello there'));
+    const prompt = claude.readPrompt();
+    assert(prompt.includes('Instructions from the group\'s admins:\nKeep answers under 20 words'), 'Instructions should reach the prompt');
+    assert(prompt.includes('You are in the group chat'), 'Changing instructions should start a new session');
+  });
+
+  await test('Stays quiet after /group off until /group on', async () => {
+    receive(ALICE, '/group off');
+    await waitFor(() => sent().find(m => m.text.includes('Answering: off')));
+
+    const ignored = receive(BOB, '@groupbot are you there?');
+    await sleep(400);
+    assert(repliesTo(ignored).length === 0, 'Should ignore mentions while off');
+
+    const answering = () => sent().filter(m => m.text.includes('Answering: on')).length;
+    const before = answering();
+    receive(ALICE, '/group on');
+    await waitFor(() => answering() > before);
+  });
+
+  await test('Applies group rate limits', async () => {
+    receive(ALICE, '/group limit 1 100');
+    await waitFor(() => sent().find(m => m.text.includes('Rate limit: 1/minute, 100/day')));
+
+    // Earlier messages count towards this minute unless it just rolled over - either way one is over the limit
+    receive(ALICE, '@groupbot one');
+    receive(BOB, '@groupbot two');
+    await waitFor(() => sent().find(m => m.text.includes('This group can send me 1 messages per minute')));
+  });
+
+  await test('Keeps private chats per user', async () => {
+    const chat = { id: ALICE.id, type: 'private', first_name: 'Alice' };
+    receive(ALICE, 'hi in private', { chat });
+
+    await waitFor(() => sent().find(m => m.chat_id === String(ALICE.id) && m.text === 'Hello there'));
+    const prompt = claude.readPrompt();
+    assert(!prompt.includes('[Alice'), 'Private prompts have no speaker line');
+    assert(!prompt.includes('group chat'), 'Private sessions are separate from the group');
+    assert(manager.sessionManager.getCurrentUuid('groupbot', ALICE.id) === FAKE_SESSION_ID, 'Should keep a session for the user');
+  });
+
+  await test('Only lets the sender confirm their pending photo', async () => {
+    const cartoonified = [];
+    manager.cartoonifyPhoto = async (botId, msg) => { cartoonified.push(msg.from.id); };
+    manager.pendingPhotos.set(`${GROUP.id}:${ALICE.id}`, { photoBase64: 'abc', photoMediaType: 'image/jpeg', timestamp: Date.now() });
+
+    receive(BOB, '@groupbot yes');
+    await sleep(400);
+    assert(cartoonified.length === 0, 'Bob can\'t confirm Alice\'s photo');
+    assert(manager.pendingPhotos.has(`${GROUP.id}:${ALICE.id}`), 'Alice\'s photo is still waiting');
+
+    receive(ALICE, '@groupbot yes');
+    await waitFor(() => cartoonified.length === 1);
+    assert(cartoonified[0] === ALICE.id && manager.pendingPhotos.size === 0, 'Alice confirms her own photo');
+  });
+
+  await manager.stopAll();
+  api.close();
+});
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Test script for Telegram webhook mode
+ *
+ * Runs a bot in webhook mode (TELEGRAM_WEBHOOK=true) against a local mock of
+ * the Telegram Bot API, with the webhook route mounted the way server.js
+ * mounts it and a fake Claude CLI, so no Telegram or Anthropic credentials
+ * are needed.
+ *
+ * Tests:
+ * 1. Bots wait for a public URL, then register their webhook with a secret token
+ * 2. The webhook route rejects unknown bots and bad secret tokens
+ * 3. Messages delivered by webhook get a reply
+ * 4. Recovery re-registers the webhook and keeps inline button handling
+ * 5. Bots poll if Telegram rejects the webhook URL
+ *
+ * Usage:
+ *   node test-telegram-webhook.js
+ */
+
+const http = require('http');
+const express = require('express');
+const {
+  test,
+  assert,
+  waitFor,
+  sleep,
+  runTests,
+  setupTestDir,
+  createFakeClaude,
+  startMockBotApi
+} = require('./test-helpers');
+
+const BOT_TOKEN = '888:test-token';
+const BOT_USER = { id: 888, is_bot: true, first_name: 'Hook Bot', username: 'hookbot' };
+const ALICE = { id: 2001, first_name: 'Alice', username: 'alice' };
+
+setupTestDir('webhook');
+process.env.TELEGRAM_WEBHOOK = 'true';
+delete process.env.TELEGRAM_WEBHOOK_URL;
+
+// Fake Claude CLI: answers every prompt with "Hello there"
+const claude = createFakeClaude();
+
+const BotManager = require('./lib/bot-manager');
+
+console.log('=== Telegram Webhook Tests ===\n');
+
+// ========== Mock Bot API ==========
+
+let webhook = { url: '' };
+let api;
+
+function startApi() {
+  return startMockBotApi({
+    botUser: BOT_USER,
+    handlers: {
+      setWebHook: (params) => {
+        if (!params.url.startsWith('https://')) {
+          throw new Error('Bad Request: bad webhook: An HTTPS URL must be provided for webhook');
+        }
+        webhook = { url: params.url, secret_token: params.secret_token };
+        return true;
+      },
+      deleteWebhook: () => {
+        webhook = { url: '' };
+        return true;
+      },
+      getWebhookInfo: () => ({ url: webhook.url, pending_update_count: 0 })
+    }
+  });
+}
+
+// ========== Webhook Route ==========
+
+let manager;
+let hookUrl;
+
+// Same route as server.js
+const app = express();
+app.use(express.json());
+app.post('/telegram/:botId/webhook', (req, res) => {
+  const status = manager.handleTelegramWebhook(
+    req.params.botId,
+    req.get('X-Telegram-Bot-Api-Secret-Token'),
+    req.body
+  );
+  res.sendStatus(status);
+});
+const hooks = http.createServer(app);
+
+/**
+ * Deliver an update the way Telegram does
+ */
+async function deliver(botId, update, secretToken = webhook.secret_token) {
+  const response = await fetch(`${hookUrl}/telegram/${botId}/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': secretToken || '' },
+    body: JSON.stringify(update)
+  });
+  return response.status;
+}
+
+function messageUpdate(text) {
+  const chat = { id: ALICE.id, type: 'private', first_name: 'Alice' };
+  return api.update({ message: api.message(ALICE, chat, text) });
+}
+
+// ========== Tests ==========
+
+runTests(async () => {
+  api = await startApi();
+  await new Promise(resolve => hooks.listen(0, '127.0.0.1', resolve));
+  hookUrl = `http://127.0.0.1:${hooks.address().port}`;
+
+  manager = new BotManager({ claudeCmd: claude.cmd });
+  await manager.addBot({ id: 'hookbot', token: BOT_TOKEN, brain: 'echo-agent' });
+
+  await test('Registers the webhook once the public URL is known', async () => {
+    await sleep(300);
+    assert(api.callsTo('getUpdates').length === 0, 'Should not poll in webhook mode');
+    assert(api.callsTo('setWebHook').length === 0, 'Should wait for a public URL');
+
+    await manager.configureTelegramWebhooks('https://bots.example.com/');
+    assert(webhook.url === 'https://bots.example.com/telegram/hookbot/webhook', `Unexpected webhook URL: ${webhook.url}`);
+    assert(/^[0-9a-f]{64}$/.test(webhook.secret_token), 'Should set a secret token');
+    assert(JSON.parse(api.callsTo('setWebHook')[0].params.allowed_updates).includes('callback_query'), 'Should ask for button clicks');
+  });
+
+  await test('Rejects unknown bots and bad secret tokens', async () => {
+    assert(await deliver('nobot', messageUpdate('hi')) === 404, 'Unknown bots should 404');
+    assert(await deliver('hookbot', messageUpdate('hi'), 'wrong') === 401, 'Bad secrets should 401');
+    assert(await deliver('hookbot', messageUpdate('hi'), '') === 401, 'Missing secrets should 401');
+    assert(await deliver('hookbot', { hello: 'world' }) === 400, 'Non-updates should 400');
+
+    await sleep(200);
+    assert(api.callsTo('sendMessage').length === 0, 'Rejected updates should not be handled');
+  });
+
+  await test('Answers messages delivered by webhook', async () => {
+    assert(await deliver('hookbot', messageUpdate('hello')) === 200, 'Valid updates should 200');
+    await waitFor(() => api.callsTo('sendMessage').find(call => call.params.text === 'Hello there'));
+  });
+
+  await test('Recovery re-registers the webhook and keeps button handling', async () => {
+    // Someone deleted the webhook - the health check notices and recovers the bot
+    webhook = { url: '' };
+    const before = api.callsTo('setWebHook').length;
+    manager.performHealthChecks();
+    await waitFor(() => api.callsTo('setWebHook').length > before, 5000);
+    await waitFor(() => manager.bots.get('hookbot').status === 'healthy');
+    assert(webhook.url.endsWith('/telegram/hookbot/webhook'), 'Should set the webhook again');
+
+    const update = api.update({
+      callback_query: {
+        id: 'cb1',
+        from: ALICE,
+        data: 'noop',
+        message: { message_id: 1, chat: { id: ALICE.id, type: 'private' }, date: 0, text: 'Pick one' }
+      }
+    });
+    assert(await deliver('hookbot', update) === 200, 'Should accept the new bot instance\'s updates');
+    await waitFor(() => api.callsTo('answerCallbackQuery').find(call => call.params.callback_query_id === 'cb1'));
+  });
+
+  await test('Polls when Telegram rejects the webhook URL', async () => {
+    await manager.configureTelegramWebhooks('http://localhost:3010');
+    await waitFor(() => api.callsTo('getUpdates').length > 0);
+    assert(await deliver('hookbot', messageUpdate('hi')) === 404, 'Webhook route should be off while polling');
+  });
+
+  await manager.stopAll();
+  api.close();
+  hooks.close();
+});
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * Test script for tool permission approvals
+ *
+ * Runs a Telegram bot against a local mock of the Bot API, plus the web
+ * adapter, with a fake Claude CLI that speaks the can_use_tool control
+ * protocol, so no Telegram or Anthropic credentials are needed.
+ *
+ * Tests:
+ * 1. Brain policies resolve per tool (exact names, MCP prefixes, wildcards)
+ * 2. 'ask' tools get Allow/Deny buttons on Telegram, and the answer reaches Claude
+ * 3. Only the person asked can answer, and "Always allow here" is remembered
+ * 4. 'deny' and 'allow' tools are answered without asking
+ * 5. Web clients get permission-request events; unanswered requests are denied
+ * 6. Channels that can't ask deny 'ask' tools
+ *
+ * Usage:
+ *   node test-tool-permissions.js
+ */
+
+const {
+  FAKE_SESSION_ID,
+  test,
+  assert,
+  waitFor,
+  sleep,
+  runTests,
+  setupTestDir,
+  createFakeClaude,
+  startMockBotApi
+} = require('./test-helpers');
+
+const BOT_TOKEN = '888:test-token';
+const BOT_USER = { id: 888, is_bot: true, first_name: 'Careful Bot', username: 'carefulbot' };
+const ALICE = { id: 6001, first_name: 'Alice', username: 'alice' };
+const BOB = { id: 6002, first_name: 'Bob', username: 'bob' };
+const PRIVATE_CHAT = { id: ALICE.id, type: 'private', first_name: 'Alice' };
+
+const PERMISSIONS = {
+  default: 'allow',
+  tools: {
+    tapjot_delete_snippet: 'ask',
+    WebFetch: 'deny'
+  },
+  timeoutSeconds: 5
+};
+
+setupTestDir('permissions');
+
+// Fake Claude CLI: asks to use a tool picked from the message, then reports the answer it got
+const claude = createFakeClaude({
+  script: ({ argsFile }) => `echo "$@" > "${argsFile}"
+read -r request
+case "$request" in
+  *delete*) TOOL=mcp__router__tapjot_delete_snippet ;;
+  *fetch*) TOOL=WebFetch ;;
+  *) TOOL=WebSearch ;;
+esac
+echo '{"type":"system","session_id":"${FAKE_SESSION_ID}"}'
+echo '{"type":"control_request","request_id":"req_1","request":{"subtype":"can_use_tool","tool_name":"'$TOOL'","input":{"id":"42","api_key":"s3cret"}}}'
+read -r answer
+BEHAVIOR=$(echo "$answer" | sed 's/.*"behavior":"\\([a-z]*\\)".*/\\1/')
+echo '{"type":"result","duration_ms":5,"result":"'$TOOL': '$BEHAVIOR'"}'
+`
+});
+
+const BotManager = require('./lib/bot-manager');
+const { WebAdapter } = require('./lib/channels');
+const ChannelAdapter = require('./lib/channels/channel-adapter');
+const { resolvePermissionPolicy, getToolPolicy, answerApproval } = require('./lib/tool-permissions');
+
+console.log('=== Tool Permission Tests ===\n');
+
+let api;
+let nextCallbackId = 1;
+
+function receiveText(text) {
+  api.receive({ message: api.message(ALICE, PRIVATE_CHAT, text) });
+}
+
+function click(from, data) {
+  api.receive({
+    callback_query: {
+      id: `cb${nextCallbackId++}`,
+      from,
+      data,
+      message: { message_id: 10001, from: BOT_USER, chat: PRIVATE_CHAT, date: 0, text: 'approval' }
+    }
+  });
+}
+
+function waitForReply(text, since) {
+  return waitFor(() => api.callsTo('sendMessage').slice(since).find(call => call.params.text === text));
+}
+
+// ========== Tests ==========
+
+runTests(async () => {
+  await test('Resolves the brain policy per tool', async () => {
+    assert(resolvePermissionPolicy({}) === null, 'No policy skips permission prompts');
+    assert(resolvePermissionPolicy({ permissions: { tools: { WebSearch: 'allow' } } }) === null, 'Allow-only policies skip them too');
+
+    const policy = resolvePermissionPolicy({ permissions: { default: 'ask', tools: { WebFetch: 'deny', 'tapjot_*': 'allow', tapjot_delete_snippet: 'ask' } } });
+    assert(getToolPolicy(policy, 'WebFetch') === 'deny', 'Exact names match');
+    assert(getToolPolicy(policy, 'mcp__router__tapjot_list_snippets') === 'allow', 'Wildcards match bare MCP names');
+    assert(getToolPolicy(policy, 'mcp__router__tapjot_delete_snippet') === 'ask', 'Exact names beat wildcards');
+    assert(getToolPolicy(policy, 'WebSearch') === 'ask', 'Unlisted tools get the default');
+    assert(policy.timeoutMs === 60000 && policy.rememberForSession === true, 'Should fill in defaults');
+  });
+
+  api = await startMockBotApi({ botUser: BOT_USER });
+
+  const manager = new BotManager({ claudeCmd: claude.cmd });
+  await manager.addBot({ id: 'carefulbot', token: BOT_TOKEN, brain: 'echo-agent', brainConfig: { permissions: PERMISSIONS } });
+
+  await test('Asks on Telegram and passes the answer to Claude', async () => {
+    const before = api.callsTo('sendMessage').length;
+    receiveText('delete snippet 42');
+
+    const prompt = await waitFor(() => api.callsTo('sendMessage').slice(before).find(call => call.params.reply_markup));
+    const keyboard = JSON.parse(prompt.params.reply_markup).inline_keyboard;
+    const [allow, always] = keyboard[0].map(button => button.callback_data);
+    assert(/^perm:[0-9a-f]+:allow$/.test(allow) && always.endsWith(':allow_session'), `Unexpected buttons: ${JSON.stringify(keyboard)}`);
+    assert(keyboard[1][0].callback_data.endsWith(':deny'), 'Should offer Deny');
+    assert(prompt.params.text.includes('mcp__router__tapjot_delete_snippet') && prompt.params.text.includes('api_key: [redacted]'),
+      `Unexpected prompt: ${prompt.params.text}`);
+
+    const args = claude.readArgs();
+    assert(args.includes('--permission-prompt-tool stdio') && !args.includes('--dangerously-skip-permissions'), 'Claude should ask first');
+
+    click(ALICE, allow);
+    await waitForReply('mcp__router__tapjot_delete_snippet: allow', before);
+    assert(api.callsTo('editMessageText').some(call => call.params.text === '✅ Allowed mcp__router__tapjot_delete_snippet'), 'Prompt should show the answer');
+  });
+
+  await test('Only takes answers from the person asked, and remembers "Always allow here"', async () => {
+    let before = api.callsTo('sendMessage').length;
+    receiveText('delete snippet 43');
+
+    const prompt = await waitFor(() => api.callsTo('sendMessage').slice(before).find(call => call.params.reply_markup));
+    const always = JSON.parse(prompt.params.reply_markup).inline_keyboard[0][1].callback_data;
+
+    click(BOB, always.replace('allow_session', 'deny'));
+    await sleep(400);
+    assert(!api.callsTo('sendMessage').slice(before).some(call => call.params.text.startsWith('mcp__')), 'Bob can\'t answer Alice\'s prompt');
+
+    click(ALICE, always);
+    await waitForReply('mcp__router__tapjot_delete_snippet: allow', before);
+
+    before = api.callsTo('sendMessage').length;
+    receiveText('delete snippet 44');
+    await waitForReply('mcp__router__tapjot_delete_snippet: allow', before);
+    assert(!api.callsTo('sendMessage').slice(before).some(call => call.params.reply_markup), 'Should not ask again this session');
+
+    click(ALICE, always);
+    await waitFor(() => api.callsTo('editMessageText').find(call => call.params.text === '⌛ This request has expired.'));
+  });
+
+  await test('Answers deny and allow tools without asking', async () => {
+    let before = api.callsTo('sendMessage').length;
+    receiveText('fetch the page');
+    await waitForReply('WebFetch: deny', before);
+
+    before = api.callsTo('sendMessage').length;
+    receiveText('search for it');
+    await waitForReply('WebSearch: allow', before);
+    assert(!api.callsTo('sendMessage').slice(before).some(call => call.params.reply_markup), 'Allowed tools need no prompt');
+  });
+
+  await test('Asks web clients and denies unanswered requests', async () => {
+    let events = [];
+    let answer = 'deny';
+    const web = new WebAdapter('web', (event, data) => {
+      events.push({ event, data });
+      if (event === 'permission-request' && answer) {
+        answerApproval(data.requestId, answer, 'web-user');
+      }
+    });
+    await manager.engine.handleMessage(web, web.normalize({ botId: 'carefulbot', message: 'delete it', sessionUuid: 'new' }, 'web-user'));
+
+    const request = events.find(e => e.event === 'permission-request').data;
+    assert(request.toolName === 'mcp__router__tapjot_delete_snippet' && request.timeoutSeconds === 5, 'Should describe the request');
+    assert(request.args.api_key === '[redacted]', 'Arguments are sanitized');
+    assert(events.find(e => e.event === 'permission-resolved').data.decision === 'deny', 'Should settle the request');
+    assert(events.find(e => e.event === 'bot-message').data.message === 'mcp__router__tapjot_delete_snippet: deny', 'Claude should be told no');
+
+    // Nobody answers this time
+    events = [];
+    answer = null;
+    await manager.engine.handleMessage(web, web.normalize({ botId: 'carefulbot', message: 'delete it', sessionUuid: 'new' }, 'web-user'));
+    assert(events.find(e => e.event === 'permission-resolved').data.decision === 'timeout', 'Should time out');
+    assert(events.find(e => e.event === 'bot-message').data.message === 'mcp__router__tapjot_delete_snippet: deny', 'Timeouts deny');
+  });
+
+  await test('Denies tools that need approval on channels that can\'t ask', async () => {
+    class PlainAdapter extends ChannelAdapter {
+      constructor() {
+        super('plain', { persistsHistory: true });
+        this.replies = [];
+      }
+      async sendReply(turn, text) {
+        this.replies.push(text);
+      }
+    }
+    const plain = new PlainAdapter();
+    const web = new WebAdapter('web', () => {});
+    await manager.engine.handleMessage(plain, web.normalize({ botId: 'carefulbot', message: 'delete it', sessionUuid: 'new' }, 'plain-user'));
+    assert(plain.replies[0] === 'mcp__router__tapjot_delete_snippet: deny', `Unexpected reply: ${plain.replies[0]}`);
+  });
+
+  await manager.stopAll();
+  api.close();
+});
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Test script for live tool-call status
+ *
+ * Runs a Telegram bot against a local mock of the Bot API, plus the web
+ * adapter, with a fake Claude CLI that calls two tools before answering, so
+ * no Telegram or Anthropic credentials are needed.
+ *
+ * Tests:
+ * 1. Tools get labels from the registry, and arguments are sanitized
+ * 2. The Telegram status message shows each running tool
+ * 3. Web clients get bot-tool events with arguments and durations
+ *
+ * Usage:
+ *   node test-tool-status.js
+ */
+
+const {
+  FAKE_SESSION_ID,
+  test,
+  assert,
+  waitFor,
+  runTests,
+  setupTestDir,
+  createFakeClaude,
+  startMockBotApi
+} = require('./test-helpers');
+
+const BOT_TOKEN = '777:test-token';
+const BOT_USER = { id: 777, is_bot: true, first_name: 'Tool Bot', username: 'toolbot' };
+const ALICE = { id: 5001, first_name: 'Alice', username: 'alice' };
+const PRIVATE_CHAT = { id: ALICE.id, type: 'private', first_name: 'Alice' };
+
+setupTestDir('tools');
+
+// Fake Claude CLI: checks NBA scores, then searches the web (which fails), then answers
+const claude = createFakeClaude({
+  script: () => `cat > /dev/null
+echo '{"type":"system","session_id":"${FAKE_SESSION_ID}"}'
+echo '{"type":"assistant","message":{"content":[{"type":"tool_use","id":"tool_1","name":"mcp__router__get_live_scores","input":{"sport":"nba","api_key":"s3cret"}}]}}'
+sleep 0.3
+echo '{"type":"user","message":{"content":[{"type":"tool_result","tool_use_id":"tool_1","content":"Lakers 110 - Celtics 102"}]}}'
+sleep 0.2
+echo '{"type":"assistant","message":{"content":[{"type":"tool_use","id":"tool_2","name":"WebSearch","input":{"query":"Lakers injuries"}}]}}'
+sleep 0.3
+echo '{"type":"user","message":{"content":[{"type":"tool_result","tool_use_id":"tool_2","content":"Search failed","is_error":true}]}}'
+echo '{"type":"assistant","message":{"content":[{"type":"text","text":"The Lakers won 110-102."}]}}'
+echo '{"type":"result","duration_ms":900,"result":"The Lakers won 110-102."}'
+`
+});
+
+const BotManager = require('./lib/bot-manager');
+const { WebAdapter } = require('./lib/channels');
+const { getToolLabel, sanitizeToolArgs } = require('./lib/tool-status');
+
+console.log('=== Tool Status Tests ===\n');
+
+// ========== Tests ==========
+
+runTests(async () => {
+  await test('Labels tools from the registry and sanitizes arguments', async () => {
+    assert(getToolLabel('WebSearch') === '🔍 Searching the web...', 'Built-in tools have labels');
+    assert(getToolLabel('mcp__router__get_live_scores', { sport: 'nba' }) === '🏟️ Fetching NBA scores...', 'Labels can use arguments');
+    assert(getToolLabel('mcp__router__get_standings') === '📊 Fetching standings...', 'Arguments are optional');
+    assert(getToolLabel('mcp__playwright__browser_click') === '🤖 Automating browser...', 'Whole MCP servers can share a label');
+    assert(getToolLabel('mcp__router__get_flight_status') === '🔧 Using get flight status...', 'Unknown tools get a generic label');
+
+    const args = sanitizeToolArgs({ prompt: 'x'.repeat(500), authToken: 'abc', count: 2, files: ['a', 'b'] });
+    assert(args.prompt.length === 103, 'Long strings are truncated');
+    assert(args.authToken === '[redacted]', 'Secrets are redacted');
+    assert(args.count === 2 && args.files === '[2 items]', 'Other values are kept or summarised');
+  });
+
+  const api = await startMockBotApi({ botUser: BOT_USER });
+
+  const manager = new BotManager({ claudeCmd: claude.cmd });
+  await manager.addBot({ id: 'toolbot', token: BOT_TOKEN, brain: 'echo-agent' });
+
+  await test('Shows the running tool in the Telegram status message', async () => {
+    api.receive({ message: api.message(ALICE, PRIVATE_CHAT, 'How did the Lakers do?') });
+
+    await waitFor(() => api.callsTo('sendMessage').find(call => call.params.text === 'The Lakers won 110-102.'));
+
+    const statuses = [
+      api.callsTo('sendMessage')[0].params.text,
+      ...api.callsTo('editMessageText').map(call => call.params.text)
+    ];
+    const expected = ['⏳ Thinking...', '🏟️ Fetching NBA scores...', '⏳ Thinking...', '🔍 Searching the web...', '⏳ Thinking...'];
+    assert(expected.every((status, i) => statuses[i] === status), `Unexpected statuses: ${JSON.stringify(statuses)}`);
+    assert(api.callsTo('deleteMessage').length === 1, 'Status message should be removed before the reply');
+  });
+
+  await test('Sends bot-tool events to web clients', async () => {
+    const events = [];
+    const web = new WebAdapter('web', (event, data) => events.push({ event, data }));
+    await manager.engine.handleMessage(web, web.normalize({ botId: 'toolbot', message: 'How did the Lakers do?', sessionUuid: 'new' }, 'web-user'));
+
+    const tools = events.filter(e => e.event === 'bot-tool').map(e => e.data);
+    assert(tools.map(t => `${t.name}:${t.status}`).join() ===
+      'mcp__router__get_live_scores:running,mcp__router__get_live_scores:done,WebSearch:running,WebSearch:failed',
+      `Unexpected events: ${tools.map(t => `${t.name}:${t.status}`).join()}`);
+
+    const [scores, scoresDone] = tools;
+    assert(scores.label === '🏟️ Fetching NBA scores...', 'Events carry the label');
+    assert(scores.args.sport === 'nba' && scores.args.api_key === '[redacted]', 'Arguments are sanitized');
+    assert(scoresDone.toolId === scores.toolId && scores.sessionUuid, 'Finish events match their start');
+    assert(scoresDone.durationMs >= 250, `Unexpected duration: ${scoresDone.durationMs}`);
+    assert(scores.durationMs === undefined, 'Start events have no duration');
+
+    assert(events.findIndex(e => e.event === 'bot-tool') < events.findIndex(e => e.event === 'bot-message'), 'Tool events come before the reply');
+  });
+
+  await manager.stopAll();
+  api.close();
+});
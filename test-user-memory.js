@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Test script for long-term user memory
+ *
+ * Runs a Telegram bot against a local mock of the Bot API, with a fake
+ * Claude CLI that records its prompt and MCP config, so no Telegram or
+ * Anthropic credentials are needed.
+ *
+ * Tests:
+ * 1. Facts are remembered once, recalled by keyword and forgotten
+ * 2. New sessions start with the user's memories and get the memory tools
+ * 3. /memory lists memories and forgets one or all of them
+ *
+ * Usage:
+ *   node test-user-memory.js
+ */
+
+const {
+  test,
+  assert,
+  rejects,
+  runTests,
+  setupTestDir,
+  createFakeClaude,
+  startMockBotApi
+} = require('./test-helpers');
+
+const BOT_TOKEN = '999:test-token';
+const BOT_USER = { id: 999, is_bot: true, first_name: 'Memory Bot', username: 'memorybot' };
+const ALICE = { id: 7001, first_name: 'Alice', username: 'alice' };
+const PRIVATE_CHAT = { id: ALICE.id, type: 'private', first_name: 'Alice' };
+const BRAIN = 'echo-agent';
+
+setupTestDir('memory');
+process.env.AUTH_SECRET = 'memory-test-secret';
+
+// Fake Claude CLI: saves its prompt and a copy of its MCP config
+const claude = createFakeClaude({ reply: 'Noted' });
+
+const BotManager = require('./lib/bot-manager');
+const { verifyToken } = require('./lib/auth');
+const {
+  resolveMemoryConfig,
+  rememberFact,
+  recall,
+  forget,
+  listMemories
+} = require('./lib/user-memory');
+
+console.log('=== User Memory Tests ===\n');
+
+let api;
+
+/**
+ * Send a private message and wait for a reply starting with `expected`
+ */
+function send(text, expected = '') {
+  return api.sendText(ALICE, PRIVATE_CHAT, text, { expected });
+}
+
+// ========== Tests ==========
+
+runTests(async () => {
+  await test('Remembers, recalls and forgets facts', async () => {
+    assert(resolveMemoryConfig({}) === null, 'Memory is opt-in');
+    assert(resolveMemoryConfig({ memory: { enabled: true } }).maxInPrompt === 20, 'maxInPrompt defaults to 20');
+
+    const { memory, created } = await rememberFact(BRAIN, ALICE.id, '  Alice   is vegetarian ');
+    assert(created && memory.fact === 'Alice is vegetarian', `Unexpected memory: ${JSON.stringify(memory)}`);
+    const again = await rememberFact(BRAIN, ALICE.id, 'alice is VEGETARIAN');
+    assert(!again.created && again.memory.id === memory.id, 'The same fact is only kept once');
+    await rememberFact(BRAIN, ALICE.id, 'Alice plays the cello in a quartet');
+    await rememberFact('other-brain', ALICE.id, 'Alice is vegetarian');
+
+    await rejects(rememberFact(BRAIN, ALICE.id, '   '), /required/);
+    await rejects(rememberFact(BRAIN, ALICE.id, 'x'.repeat(501)), /too long/);
+
+    const cello = await recall(BRAIN, ALICE.id, 'What instrument? The cello?');
+    assert(cello.length === 1 && cello[0].fact.includes('cello'), 'Recalls by keyword');
+    assert((await recall(BRAIN, ALICE.id, 'football')).length === 0, 'Unrelated queries recall nothing');
+    assert((await recall(BRAIN, ALICE.id)).length === 2, 'No query recalls the newest');
+
+    assert(await forget(BRAIN, ALICE.id, { query: 'cello' }) === 1, 'Forgets by keyword');
+    assert(await forget(BRAIN, ALICE.id, { id: memory.id }) === 1, 'Forgets by ID');
+    assert((await listMemories(BRAIN, ALICE.id)).length === 0, 'Nothing left for this brain');
+    assert((await listMemories('other-brain', ALICE.id)).length === 1, 'Other brains keep their own memories');
+  });
+
+  api = await startMockBotApi({ botUser: BOT_USER });
+
+  const manager = new BotManager({ claudeCmd: claude.cmd });
+  await manager.addBot({ id: 'memorybot', token: BOT_TOKEN, brain: BRAIN, brainConfig: { memory: { enabled: true, maxInPrompt: 2 } } });
+
+  await test('Starts new sessions with memories and the memory tools', async () => {
+    await rememberFact(BRAIN, ALICE.id, 'Alice has a dog called Biscuit');
+    await rememberFact(BRAIN, ALICE.id, 'Alice is learning Portuguese');
+    await rememberFact(BRAIN, ALICE.id, 'Alice works night shifts');
+
+    await send('Any ideas for walking my dog?', 'Noted');
+
+    const prompt = claude.readPrompt();
+    assert(prompt.includes('What you remember about this user from earlier conversations'), 'Adds a memory section');
+    assert(prompt.includes('- Alice has a dog called Biscuit'), 'Includes the most relevant memory');
+    assert(prompt.includes('- Alice works night shifts'), 'Fills up with the newest');
+    assert(!prompt.includes('Portuguese'), 'Respects maxInPrompt');
+
+    const { env } = claude.readMcpConfig().mcpServers.router;
+    assert(env.MEMORY_BRAIN === BRAIN && env.MEMORY_USER_ID === String(ALICE.id), 'Router manages this user\'s memories');
+    assert(env.MEMORY_API_URL === 'http://localhost:3010/memories', `Unexpected API URL: ${env.MEMORY_API_URL}`);
+    const token = verifyToken(env.MEMORY_API_TOKEN);
+    assert(String(token.userId) === String(ALICE.id) && token.brain === BRAIN && token.scopes.length === 0,
+      'The tools\' token only reaches this user\'s memories of this brain');
+
+    await send('And for dinner?', 'Noted');
+    assert(!claude.readPrompt().includes('What you remember'), 'Resumed sessions aren\'t re-seeded');
+  });
+
+  await test('Lists and deletes memories with /memory', async () => {
+    const list = await send('/memory', '🧠');
+    assert(list.includes('1. Alice works night shifts') && list.includes('3. Alice has a dog called Biscuit'), `Unexpected list: ${list}`);
+
+    const forgotten = await send('/memory forget 2', '🗑️');
+    assert(forgotten === '🗑️ Forgotten: Alice is learning Portuguese', `Unexpected reply: ${forgotten}`);
+    assert((await send('/memory forget 9')).startsWith('❓'), 'Unknown numbers are refused');
+
+    assert(await send('/memory clear', '🗑️') === '🗑️ Forgot 2 memories.', 'Clears the rest');
+    assert(await send('/memory', '🧠') === '🧠 I don\'t remember anything about you yet.', 'Nothing left');
+  });
+
+  await manager.stopAll();
+  api.close();
+});
@@ -6,6 +6,7 @@
  * 1. Orchestrator parser (JSON parsing)
  * 2. Workflow handler initialization
  * 3. Agent list formatting
+ * 4. Plan execution (loops, concurrency, failure policies, retries) with a stubbed step executor
  */
 
 const {
@@ -20,15 +21,26 @@ console.log('=== Workflow System Tests ===\n');
 let passed = 0;
 let failed = 0;
 
+// Sync tests run on the spot; async ones return a promise to await
 function test(name, fn) {
-  try {
-    fn();
+  const pass = () => {
     console.log(`✅ ${name}`);
     passed++;
-  } catch (err) {
+  };
+  const fail = (err) => {
     console.log(`❌ ${name}`);
     console.log(`   Error: ${err.message}`);
     failed++;
+  };
+
+  try {
+    const result = fn();
+    if (result && typeof result.then === 'function') {
+      return result.then(pass, fail);
+    }
+    pass();
+  } catch (err) {
+    fail(err);
   }
 }
 
@@ -47,7 +59,7 @@ test('Parse raw JSON plan command', () => {
     "type": "plan",
     "goal": "Write an article",
     "steps": [
-      {"step": 1, "agent": "writer", "task": "Write draft", "depends_on": []}
+      {"step": 1, "step_type": "delegate", "agent": "writer", "task": "Write draft", "depends_on": []}
     ],
     "message": "Here's my plan"
   }`;
@@ -64,7 +76,7 @@ test('Parse JSON in code block', () => {
 {
   "type": "plan",
   "goal": "Test goal",
-  "steps": [{"step": 1, "agent": "test", "task": "Do something", "depends_on": []}],
+  "steps": [{"step": 1, "step_type": "delegate", "agent": "test", "task": "Do something", "depends_on": []}],
   "message": "Testing"
 }
 \`\`\``;
@@ -132,6 +144,62 @@ test('Reject invalid command type', () => {
   assert(!result.success, 'Should fail on invalid type');
 });
 
+test('Validate plan with branch and loop steps', () => {
+  const result = validateCommand({
+    type: 'plan',
+    goal: 'Refine a draft',
+    message: 'Plan',
+    steps: [
+      { step: 1, step_type: 'delegate', agent: 'writer', task: 'Write draft' },
+      { step: 2, step_type: 'delegate', agent: 'judge', task: 'Score draft', depends_on: [1] },
+      { step: 3, step_type: 'loop', back_to: 1, until: { value: '{{step_2.score}}', gte: 8 }, max_iterations: 3 },
+      { step: 4, step_type: 'branch', condition: { value: '{{step_2.winner}}', matches: '^step_1$' }, then: 'end' },
+      { step: 5, step_type: 'delegate', agent: 'writer', task: 'Polish' }
+    ]
+  });
+  assert(result.valid, result.error);
+});
+
+test('Reject backward branch and unbounded loop', () => {
+  const base = { type: 'plan', goal: 'Test', message: 'Plan' };
+  const backward = validateCommand({ ...base, steps: [
+    { step: 1, step_type: 'delegate', agent: 'writer', task: 'Write' },
+    { step: 2, step_type: 'branch', condition: { value: '{{step_1}}', contains: 'x' }, then: 1 }
+  ] });
+  assert(!backward.valid, 'Should reject branch to an earlier step');
+
+  const unbounded = validateCommand({ ...base, steps: [
+    { step: 1, step_type: 'delegate', agent: 'writer', task: 'Write' },
+    { step: 2, step_type: 'loop', back_to: 1, until: { value: '{{step_1}}', exists: true }, max_iterations: 100 }
+  ] });
+  assert(!unbounded.valid, 'Should reject max_iterations above the limit');
+});
+
+test('Reject invalid plan scheduling options', () => {
+  const plan = {
+    type: 'plan',
+    goal: 'Test',
+    message: 'Plan',
+    steps: [{ step: 1, step_type: 'delegate', agent: 'writer', task: 'Write' }]
+  };
+  assert(validateCommand({ ...plan, max_parallel: 2, on_failure: 'continue' }).valid, 'Should accept valid options');
+  assert(!validateCommand({ ...plan, max_parallel: 0 }).valid, 'Should reject max_parallel 0');
+  assert(!validateCommand({ ...plan, on_failure: 'retry' }).valid, 'Should reject unknown on_failure');
+});
+
+test('Reject invalid step retry policies', () => {
+  const plan = (step) => ({
+    type: 'plan',
+    goal: 'Test',
+    message: 'Plan',
+    steps: [{ step: 1, step_type: 'delegate', agent: 'writer', task: 'Write', ...step }]
+  });
+  assert(validateCommand(plan({ retries: 2, backoff: 'exponential', timeout_ms: 60000, fallback_agent: 'editor' })).valid, 'Should accept valid policy');
+  assert(!validateCommand(plan({ retries: 99 })).valid, 'Should reject too many retries');
+  assert(!validateCommand(plan({ backoff: 'linear' })).valid, 'Should reject unknown backoff');
+  assert(!validateCommand(plan({ timeout_ms: 10 })).valid, 'Should reject tiny timeout');
+});
+
 // ========== Format Tests ==========
 
 console.log('\n--- Formatting Tests ---\n');
@@ -193,15 +261,277 @@ test('WorkflowHandler is an EventEmitter', () => {
   assert(typeof handler.emit === 'function', 'Should have emit method');
 });
 
-// ========== Summary ==========
+test('Evaluate branch conditions against step results', () => {
+  const WorkflowHandler = require('./lib/workflow-handler');
+  const handler = new WorkflowHandler();
+  const stepResults = new Map([
+    [1, { output: 'Draft text' }],
+    [2, { output: 'Review', judgeResult: { winner: 'step_1', score: 7, ranking: ['step_1', 'step_3'] } }]
+  ]);
+
+  assert(handler.evaluateCondition({ value: '{{step_2.winner}}', equals: 'step_1' }, stepResults), 'equals');
+  assert(!handler.evaluateCondition({ value: '{{step_2.score}}', gte: 8 }, stepResults), 'gte');
+  assert(handler.evaluateCondition({ value: '{{step_2.ranking[1]}}', matches: 'step_\\d' }, stepResults), 'matches on array index');
+  assert(handler.evaluateCondition({ not: { value: '{{step_9.score}}', exists: true } }, stepResults), 'missing step');
+});
+
+test('BrainLoader lists and loads local brain files', () => {
+  const BrainLoader = require('./lib/brain-loader');
+  const loader = new BrainLoader({ watch: false });
+  const brains = loader.listBrains();
+  assert(brains.includes('echo-agent'), 'Should list echo-agent');
+  assert(!brains.includes('_template'), 'Should skip _template');
+  const brain = loader.loadFromFile('echo-agent');
+  assert(loader.validateBrain(brain).length === 0, 'echo-agent should be valid');
+  assert(loader.validateBrain({ name: 'x' }).length === 1, 'Should require systemPrompt');
+});
+
+test('Brain schema reports readable errors and unknown fields', () => {
+  const { validateBrainConfig } = require('./lib/brain-schema');
+  const result = validateBrainConfig({
+    systemPrompt: 'You are a bot',
+    tts: { enabled: true, speed: 9 },
+    rateLimits: { free: { daily: 10, perMinute: 2 }, paid: 100 },
+    imageGen: { profile: 'missing-profile' },
+    voiceInput: { enabeld: true }
+  });
+  assert(!result.valid, 'Should be invalid');
+  assert(result.errors.includes('tts.speed must be <= 4'), 'Should report tts.speed');
+  assert(result.errors.some(e => e.startsWith('imageGen.profile must be one of')), 'Should report image profile');
+  assert(result.warnings.includes('unknown field: voiceInput.enabeld'), 'Should warn about typo');
+});
+
+test('Web channel adapters normalize send-message payloads', () => {
+  const { WebAdapter } = require('./lib/channels');
+  const payload = { botId: 'bot-1', message: 'hi', workspacePath: '/tmp/project', sessionUuid: 'new' };
 
-console.log('\n=== Test Summary ===');
-console.log(`Passed: ${passed}`);
-console.log(`Failed: ${failed}`);
-console.log(`Total: ${passed + failed}`);
+  const web = new WebAdapter('web', () => {});
+  const fromWeb = web.normalize(payload, 'user-1');
+  assert(web.persistsHistory && !web.media, 'Web sessions should be stored, without media');
+  assert(fromWeb.workspacePath === process.cwd(), 'Web should run Claude in the server directory');
+  assert(fromWeb.sessionWorkspace === '/tmp/project', 'Web should record the client workspace');
 
-if (failed > 0) {
-  process.exit(1);
-} else {
-  console.log('\n✅ All tests passed!\n');
+  const ide = new WebAdapter('ide', () => {}, { useWorkspace: true, username: 'ide_user' });
+  const fromIde = ide.normalize(payload, 'user-1');
+  assert(fromIde.workspacePath === '/tmp/project', 'IDE should run Claude in the client workspace');
+  assert(fromIde.user.username === 'ide_user', 'Should use the adapter username');
+});
+
+// ========== Plan Execution Tests ==========
+// executeStepOnce is stubbed, so plans run without Claude or storage
+
+/**
+ * WorkflowHandler whose work steps run `runStep(step, { state, signal })`
+ */
+function createPlanHandler(runStep) {
+  const WorkflowHandler = require('./lib/workflow-handler');
+  const handler = new WorkflowHandler();
+  handler.persisted = [];
+  handler.persistStep = async (workflow, stepData) => {
+    handler.persisted.push({ ...stepData, attempt: stepData.attempt || workflow.stepAttempts?.get(stepData.stepNum) || 1 });
+  };
+  handler.persistWorkflow = async () => {};
+  handler.executeStepOnce = async (workflow, step, state, onProgress, signal) => runStep(step, { state, signal });
+  return handler;
+}
+
+function createPlanWorkflow(steps, options = {}) {
+  return { id: 'wf-test', goal: 'Test', plan: { goal: 'Test', steps, ...options }, workerSessions: new Map() };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runPlanTests() {
+  console.log('\n--- Plan Execution Tests ---\n');
+
+  await test('Loops re-run their body with feedback until the condition holds', async () => {
+    const runs = [];
+    const scores = [5, 9];
+    const handler = createPlanHandler(async (step, { state }) => {
+      runs.push({ step: step.step, feedback: state.loopFeedback.get(step.step) });
+      if (step.agent === 'judge') {
+        const score = scores.shift();
+        return { success: true, output: `score ${score}`, judgeResult: { score } };
+      }
+      return { success: true, output: `${step.agent} output` };
+    });
+    const events = [];
+
+    const result = await handler.executePlanDeterministically(createPlanWorkflow([
+      { step: 1, step_type: 'delegate', agent: 'writer', task: 'Write' },
+      { step: 2, step_type: 'delegate', agent: 'judge', task: 'Score', depends_on: [1] },
+      { step: 3, step_type: 'loop', back_to: 1, until: { value: '{{step_2.score}}', gte: 8 }, max_iterations: 3, feedback_step: 2 },
+      { step: 4, step_type: 'delegate', agent: 'editor', task: 'Polish', depends_on: [1] }
+    ]), (event, data) => events.push({ event, ...data }));
+
+    assert(result.status === 'completed', `Unexpected status: ${result.status}`);
+    assert(runs.map(run => run.step).join() === '1,2,1,2,4', `Unexpected runs: ${runs.map(run => run.step)}`);
+    assert(runs[2].feedback && runs[2].feedback.includes('score 5'), 'The re-run gets the judge\'s feedback');
+    assert(!runs[3].feedback, 'The feedback step itself gets none');
+    const loops = events.filter(e => e.event === 'loop_iteration');
+    assert(loops.length === 2 && !loops[0].done && loops[1].done, 'Reports each iteration');
+  });
+
+  await test('Loops stop after max_iterations and continue', async () => {
+    const runs = [];
+    const handler = createPlanHandler(async (step) => {
+      runs.push(step.step);
+      return { success: true, output: 'score 1', judgeResult: { score: 1 } };
+    });
+
+    const workflow = createPlanWorkflow([
+      { step: 1, step_type: 'delegate', agent: 'judge', task: 'Score' },
+      { step: 2, step_type: 'loop', back_to: 1, until: { value: '{{step_1.score}}', gte: 8 }, max_iterations: 3 },
+      { step: 3, step_type: 'delegate', agent: 'editor', task: 'Polish' }
+    ]);
+    const result = await handler.executePlanDeterministically(workflow);
+
+    assert(runs.join() === '1,1,1,3', `Unexpected runs: ${runs}`);
+    assert(result.status === 'completed' && result.outputs.step_3, 'Continues after the loop');
+    const loopRows = handler.persisted.filter(row => row.agentSlug === 'control:loop');
+    assert(JSON.parse(loopRows[2].output).exhausted, 'Records that the loop gave up');
+    assert(loopRows.map(row => row.attempt).join() === '1,2,3', 'Each iteration gets its own loop row');
+    assert(workflow.stepAttempts.get(1) === 3 && workflow.stepAttempts.get(3) === 1, 'Re-runs keep numbering their attempts');
+  });
+
+  await test('Runs independent steps concurrently, up to max_parallel', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const log = [];
+    const handler = createPlanHandler(async (step) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      log.push(`start ${step.step}`);
+      await sleep(20);
+      log.push(`end ${step.step}`);
+      running--;
+      return { success: true, output: `step ${step.step}` };
+    });
+
+    const result = await handler.executePlanDeterministically(createPlanWorkflow([
+      { step: 1, step_type: 'delegate', agent: 'a', task: 'A' },
+      { step: 2, step_type: 'delegate', agent: 'b', task: 'B' },
+      { step: 3, step_type: 'delegate', agent: 'c', task: 'C' },
+      { step: 4, step_type: 'delegate', agent: 'd', task: 'D', depends_on: [1, 2, 3] }
+    ], { max_parallel: 2 }));
+
+    assert(result.status === 'completed' && Object.keys(result.outputs).length === 4, 'Runs every step');
+    assert(maxRunning === 2, `Expected 2 steps at once, saw ${maxRunning}`);
+    assert(log.indexOf('start 4') > log.indexOf('end 3'), 'Waits for every dependency');
+  });
+
+  // Step 1 fails at once while step 2 is still running; 3 depends on 1, 4 is independent
+  const failingPlan = (onFailure) => createPlanWorkflow([
+    { step: 1, step_type: 'delegate', agent: 'broken', task: 'Fail' },
+    { step: 2, step_type: 'delegate', agent: 'slow', task: 'Slow' },
+    { step: 3, step_type: 'delegate', agent: 'after', task: 'After 1', depends_on: [1] },
+    { step: 4, step_type: 'delegate', agent: 'other', task: 'Independent' }
+  ], { max_parallel: 2, on_failure: onFailure });
+
+  const runFailingStep = (started) => async (step) => {
+    started.push(step.step);
+    if (step.agent === 'broken') throw new Error('boom');
+    if (step.agent === 'slow') await sleep(30);
+    return { success: true, output: `step ${step.step}` };
+  };
+
+  await test('fail_fast starts nothing new and fails once running steps finish', async () => {
+    const started = [];
+    const handler = createPlanHandler(runFailingStep(started));
+
+    let error = null;
+    try {
+      await handler.executePlanDeterministically(failingPlan('fail_fast'));
+    } catch (err) {
+      error = err;
+    }
+
+    assert(error && /Step 1 \(broken\) failed: boom/.test(error.message), `Unexpected error: ${error?.message}`);
+    assert(started.join() === '1,2', `Unexpected steps started: ${started}`);
+    assert(handler.persisted.some(row => row.stepNum === 1 && row.status === 'failed'), 'Persists the failure');
+  });
+
+  await test('continue skips dependents of a failed step and runs the rest', async () => {
+    const started = [];
+    const handler = createPlanHandler(runFailingStep(started));
+    const events = [];
+
+    const result = await handler.executePlanDeterministically(failingPlan('continue'), (event, data) => events.push({ event, ...data }));
+
+    assert(result.status === 'completed_with_errors', `Unexpected status: ${result.status}`);
+    assert(started.sort().join() === '1,2,4', `Unexpected steps started: ${started}`);
+    assert(/boom/.test(result.failedSteps[1]) && /skipped - depends on failed step 1/.test(result.failedSteps[3]), 'Reports both failures');
+    assert(result.outputs.step_2 && result.outputs.step_4, 'Independent steps complete');
+    assert(events.some(e => e.event === 'step_skipped' && e.step === 3), 'Reports the skipped step');
+  });
+
+  await test('Retries with backoff, then falls back to fallback_agent', async () => {
+    const attempts = [];
+    const handler = createPlanHandler(async (step) => {
+      attempts.push({ agent: step.agent, at: Date.now() });
+      if (step.agent === 'writer') throw new Error(`writer failed ${attempts.length}`);
+      return { success: true, output: 'editor output' };
+    });
+    const events = [];
+
+    const result = await handler.executePlanDeterministically(createPlanWorkflow([
+      { step: 1, step_type: 'delegate', agent: 'writer', task: 'Write', retries: 2, backoff: 25, fallback_agent: 'editor' }
+    ]), (event, data) => events.push({ event, ...data }));
+
+    assert(result.outputs.step_1 === 'editor output', 'The fallback agent\'s result is used');
+    assert(attempts.map(a => a.agent).join() === 'writer,writer,writer,editor', `Unexpected attempts: ${attempts.map(a => a.agent)}`);
+    assert(attempts[1].at - attempts[0].at >= 20 && attempts[2].at - attempts[1].at >= 20, 'Waits the backoff between retries');
+    assert(attempts[3].at - attempts[2].at < 20, 'Falls back without waiting');
+
+    const failedRows = handler.persisted.filter(row => row.status === 'failed');
+    assert(failedRows.map(row => row.attempt).join() === '1,2,3', 'Persists each failed attempt with its number');
+    assert(events.filter(e => e.event === 'step_retry').length === 3, 'Reports each retry');
+    assert(events.some(e => e.event === 'step_fallback' && e.agent === 'editor' && e.attempt === 4), 'Reports the fallback');
+
+    const policy = handler.getStepRetryPolicy({});
+    const delays = [1, 2, 3, 10].map(attempt => handler.getRetryDelay(policy, attempt));
+    assert(delays.join() === '2000,4000,8000,60000', `Unexpected exponential delays: ${delays}`);
+    assert(handler.getRetryDelay({ backoff: 'none' }, 1) === 0 && handler.getRetryDelay({ backoff: 'fixed' }, 5) === 2000, 'none and fixed backoff');
+  });
+
+  await test('timeout_ms aborts a hung attempt and retries it', async () => {
+    const signals = [];
+    const handler = createPlanHandler((step, { signal }) => {
+      signals.push(signal);
+      if (signals.length === 1) {
+        // Hangs until aborted, like a Claude process that stopped answering
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+      }
+      return { success: true, output: 'second try' };
+    });
+
+    const result = await handler.executePlanDeterministically(createPlanWorkflow([
+      { step: 1, step_type: 'delegate', agent: 'writer', task: 'Write', retries: 1, backoff: 'none', timeout_ms: 50 }
+    ]));
+
+    assert(result.outputs.step_1 === 'second try', 'The retry\'s result is used');
+    assert(signals[0].aborted && !signals[1].aborted, 'Only the timed-out attempt is aborted');
+    const failed = handler.persisted.find(row => row.status === 'failed');
+    assert(failed.attempt === 1 && /Step 1 timed out after 50ms/.test(failed.error), `Unexpected failure: ${JSON.stringify(failed)}`);
+  });
 }
+
+runPlanTests()
+  .catch(err => {
+    console.error('❌ Test run failed:', err);
+    failed++;
+  })
+  .finally(() => {
+    // ========== Summary ==========
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+    console.log(`Total: ${passed + failed}`);
+
+    if (failed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✅ All tests passed!\n');
+    }
+  });